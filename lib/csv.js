@@ -0,0 +1,60 @@
+// lib/csv.js - CSV helpers: export (';' separated with UTF-8 BOM, so Excel with Swiss/German settings opens it directly) and import
+
+const SEPARATOR = ';';
+const BOM = '\uFEFF';
+const FORMULA_PREFIXES = ['=', '+', '-', '@']; // Cells starting with these would be run as formulas by spreadsheet apps
+
+// escapeCell(value) - Quotes a cell if needed and neutralises formula injection
+function escapeCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_PREFIXES.includes(text.charAt(0))) text = `'${text}`;
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// unescapeCell(text) - Reverses the formula neutralisation of escapeCell when a CSV export is imported again
+function unescapeCell(text) {
+    return /^'[=+\-@]/.test(text) ? text.substring(1) : text;
+}
+
+/**
+ * Builds a CSV document.
+ * rows: array of objects, columns: [{ key, label }] (order of the columns in the file)
+ */
+function toCsv(rows, columns) {
+    const lines = [columns.map(column => escapeCell(column.label)).join(SEPARATOR)];
+    rows.forEach(row => lines.push(columns.map(column => escapeCell(row[column.key])).join(SEPARATOR)));
+    return BOM + lines.join('\r\n') + '\r\n';
+}
+
+// detectSeparator(text) - ',', ';' or tab, whichever occurs most often in the first line (Google Sheets exports ',', Excel CH/DE ';')
+function detectSeparator(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    return [',', SEPARATOR, '\t'].reduce((best, candidate) => (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best), ',');
+}
+
+/**
+ * Parses a CSV document (quoted cells may contain separators, quotes and line breaks).
+ * Returns an array of rows, each an array of cell strings. The separator is detected unless given.
+ */
+function parseCsv(text, separator = null) {
+    const content = String(text).replace(/^\uFEFF/, '');
+    const delimiter = separator || detectSeparator(content);
+    const rows = []; let row = []; let cell = ''; let inQuotes = false;
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else cell += char;
+        } else if (char === '"' && cell === '') inQuotes = true;
+        else if (char === delimiter) { row.push(cell); cell = ''; }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row); row = []; cell = '';
+        } else cell += char;
+    }
+    if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+    return rows;
+}
+
+module.exports = { toCsv, parseCsv, unescapeCell };
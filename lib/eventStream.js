@@ -0,0 +1,47 @@
+// lib/eventStream.js - Live updates for open planners: changes of events are pushed as Server-Sent Events (GET /api/events/stream).
+// Messages only carry the kind of change and the event id, browsers re-load what they may see through the normal API.
+// Connections are kept in memory, so each server instance only reaches the browsers connected to it.
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // Comment lines keep proxies and load balancers from closing idle connections
+const RECONNECT_DELAY_MS = 5 * 1000; // Sent to the browser, EventSource reconnects after this delay
+const MAX_CLIENTS = 1000;
+
+/**
+ * Creates the stream.
+ * options: heartbeatMs (interval of the keep-alive comments), maxClients (further connections are refused with 503)
+ * Returns { subscribe(req, res), publish(data), close(), clientCount() }.
+ */
+function createEventStream({ heartbeatMs = HEARTBEAT_INTERVAL_MS, maxClients = MAX_CLIENTS } = {}) {
+    const clients = new Set();
+    let lastMessageId = 0;
+
+    // subscribe(req, res) - Keeps the response open as event stream until the browser disconnects
+    function subscribe(req, res) {
+        if (clients.size >= maxClients) return res.status(503).json({ code: 'too_many_connections', error: 'Too many live connections. Please reload later.' });
+        res.set({ 'Content-Type': 'text/event-stream; charset=utf-8', 'Cache-Control': 'no-cache, no-transform', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+        res.flushHeaders();
+        res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+    }
+
+    // publish(data) - Sends a 'change' message with the JSON data to all connected browsers
+    function publish(data) {
+        const message = `id: ${++lastMessageId}\nevent: change\ndata: ${JSON.stringify(data)}\n\n`;
+        clients.forEach(res => res.write(message));
+    }
+
+    const heartbeat = setInterval(() => clients.forEach(res => res.write(': keep-alive\n\n')), heartbeatMs);
+    heartbeat.unref(); // Does not keep the process alive (tests, shutdown)
+
+    // close() - Ends all connections and stops the heartbeat
+    function close() {
+        clearInterval(heartbeat);
+        clients.forEach(res => res.end());
+        clients.clear();
+    }
+
+    return { subscribe, publish, close, clientCount: () => clients.size };
+}
+
+module.exports = { createEventStream };
@@ -0,0 +1,105 @@
+// lib/eventTimes.js - Start and end of events as real instants in Europe/Zurich (incl. daylight saving time).
+// Events are edited as wall-clock fields (eventDate/startTime to endDate/endTime) and stored as the instants startAt/endAt.
+// A missing start time starts the event at midnight (allDay), a missing end time books the rest of its last day (openEnd).
+// Wall-clock times that do not exist (spring forward) move forward by the gap, ambiguous ones (fall back) use the first instant.
+
+const TIME_ZONE = 'Europe/Zurich';
+const MAX_EVENT_DAYS = 14; // An event may cover at most this many calendar days
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})/; // Leading 'HH:MM' of a time value (older documents contain free text like '19:00 Uhr')
+
+const zonedFormat = new Intl.DateTimeFormat('en-CA', { timeZone: TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' });
+
+// getZonedParts(instant) - Wall-clock parts of a Date in Europe/Zurich as numbers { year, month, day, hour, minute, second }
+function getZonedParts(instant) {
+    const parts = {};
+    zonedFormat.formatToParts(instant).forEach(part => { if (part.type !== 'literal') parts[part.type] = Number(part.value); });
+    return parts;
+}
+
+// getOffsetMs(ms) - UTC offset of Europe/Zurich at an instant (1 or 2 hours)
+function getOffsetMs(ms) {
+    const { year, month, day, hour, minute, second } = getZonedParts(new Date(ms));
+    return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(ms / 1000) * 1000;
+}
+
+// toZonedDateTime(instant) - Date -> { date: 'YYYY-MM-DD', time: 'HH:MM' } in Europe/Zurich
+function toZonedDateTime(instant) {
+    const { year, month, day, hour, minute } = getZonedParts(instant);
+    const pad = value => String(value).padStart(2, '0');
+    return { date: `${year}-${pad(month)}-${pad(day)}`, time: `${pad(hour)}:${pad(minute)}` };
+}
+
+// zonedToInstant(date, time) - 'YYYY-MM-DD' + 'HH:MM' in Europe/Zurich -> Date ('24:00' is midnight of the next day)
+function zonedToInstant(date, time = '00:00') {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = TIME_PATTERN.exec(time).slice(1).map(Number);
+    const wallMs = Date.UTC(year, month - 1, day, hour, minute);
+    // The offsets a day before and after cover both sides of a DST transition on that day
+    const offsets = [...new Set([getOffsetMs(wallMs - DAY_MS), getOffsetMs(wallMs + DAY_MS)])].sort((a, b) => b - a);
+    const match = offsets.find(offset => getOffsetMs(wallMs - offset) === offset); // Larger offset first = earlier instant
+    return new Date(wallMs - (match ?? getOffsetMs(wallMs - DAY_MS))); // No match: the time lies in the gap, keep the offset before it
+}
+
+// todayInZurich() - Current calendar date in Europe/Zurich as 'YYYY-MM-DD'
+function todayInZurich() {
+    return toZonedDateTime(new Date()).date;
+}
+
+// startOfDay(date) - Instant of midnight of a 'YYYY-MM-DD' day in Europe/Zurich
+function startOfDay(date) {
+    return zonedToInstant(date, '00:00');
+}
+
+/**
+ * Converts the wall-clock fields of an event ({ eventDate, startTime, endDate, endTime }, endDate defaults to eventDate)
+ * into its stored time fields { startAt, endAt, allDay, openEnd } (startAt/endAt as Dates).
+ */
+function toStoredTimes({ eventDate, startTime = '', endDate = '', endTime = '' }) {
+    return {
+        startAt: zonedToInstant(eventDate, startTime || '00:00'),
+        endAt: zonedToInstant(endDate || eventDate, endTime || '24:00'),
+        allDay: !startTime,
+        openEnd: !endTime,
+    };
+}
+
+/**
+ * Wall-clock fields of stored time fields ({ startAt, endAt, allDay, openEnd }, startAt/endAt as Dates):
+ * { eventDate, startTime, endDate, endTime } with '' for a missing start/end time.
+ */
+function fromStoredTimes({ startAt, endAt, allDay = false, openEnd = false }) {
+    const start = toZonedDateTime(startAt);
+    const end = toZonedDateTime(openEnd ? new Date(endAt.getTime() - 1) : endAt); // An open end is midnight after the last day
+    return { eventDate: start.date, startTime: allDay ? '' : start.time, endDate: end.date, endTime: openEnd ? '' : end.time };
+}
+
+// withInstants(event) - Event with startAt/endAt (ISO strings) computed from its wall-clock fields, e.g. an occurrence of a series
+function withInstants(event) {
+    const { startAt, endAt } = toStoredTimes(event);
+    return { ...event, startAt: startAt.toISOString(), endAt: endAt.toISOString() };
+}
+
+/**
+ * Time fields of a document in the old format (eventDate as Timestamp/Date at UTC midnight, startTime/endTime as free text).
+ * Returns { eventDate, startTime, endDate, endTime, unparsed } as wall-clock fields; times without a leading 'HH:MM' are dropped
+ * and listed in unparsed. An end time before the start time runs into the next day (that is how the old booking check read it).
+ */
+function fromLegacyFields({ eventDate, startTime, endTime }) {
+    const date = (typeof eventDate?.toDate === 'function' ? eventDate.toDate() : new Date(eventDate)).toISOString().split('T')[0];
+    const unparsed = [];
+    const readTime = value => {
+        const text = String(value ?? '').trim();
+        const match = TIME_PATTERN.exec(text);
+        if (match && Number(match[1]) < 24 && Number(match[2]) < 60) return `${match[1].padStart(2, '0')}:${match[2]}`;
+        if (text) unparsed.push(text);
+        return '';
+    };
+    const fields = { eventDate: date, startTime: readTime(startTime), endDate: date, endTime: readTime(endTime) };
+    if (fields.startTime && fields.endTime && fields.endTime <= fields.startTime) {
+        fields.endDate = toZonedDateTime(new Date(Date.parse(`${date}T12:00:00Z`) + DAY_MS)).date;
+    }
+    return { ...fields, unparsed };
+}
+
+module.exports = { TIME_ZONE, MAX_EVENT_DAYS, toZonedDateTime, zonedToInstant, todayInZurich, startOfDay, toStoredTimes, fromStoredTimes, withInstants, fromLegacyFields };
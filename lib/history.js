@@ -0,0 +1,28 @@
+// lib/history.js - Field-level diffs of event documents for the change history / audit log
+
+// toComparable(value) - Converts Firestore values into plain JSON (Timestamps -> ISO strings, missing -> null)
+function toComparable(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (Array.isArray(value)) return value.map(toComparable);
+    if (typeof value === 'object') return Object.fromEntries(Object.keys(value).sort().map(key => [key, toComparable(value[key])]));
+    return value;
+}
+
+/**
+ * Compares two versions of a document (null = did not exist) field by field.
+ * Returns { field: { before, after } } for every changed field, ignoring the fields in ignoredFields.
+ */
+function diffFields(before, after, ignoredFields = []) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    fields.forEach(field => {
+        if (ignoredFields.includes(field)) return;
+        const beforeValue = toComparable(before?.[field]);
+        const afterValue = toComparable(after?.[field]);
+        if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) changes[field] = { before: beforeValue, after: afterValue };
+    });
+    return changes;
+}
+
+module.exports = { toComparable, diffFields };
@@ -0,0 +1,130 @@
+// lib/ics.js - Builds iCalendar (RFC 5545) documents from planner events
+
+const { formatResources } = require('./resources');
+const { addDays } = require('./recurrence');
+
+const CALENDAR_TIMEZONE = 'Europe/Zurich';
+const PRODUCT_ID = '-//EBA-BAR//Event Planner//DE';
+const UID_DOMAIN = 'ebaplanner'; // Combined with the Firestore doc id, so UIDs stay stable across feed refreshes
+
+// Timezone definition for Europe/Zurich (CET/CEST with the EU daylight saving rules)
+const VTIMEZONE_ZURICH = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${CALENDAR_TIMEZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+0100',
+    'TZOFFSETTO:+0200',
+    'TZNAME:CEST',
+    'DTSTART:19810329T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0100',
+    'TZNAME:CET',
+    'DTSTART:19961027T030000',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE',
+];
+
+// escapeText(value) - Escapes a TEXT property value (backslash, semicolon, comma, newlines)
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// foldLine(line) - Folds a content line into chunks of max. 75 octets (continuation lines start with a space)
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? 75 : 74; // Continuation lines lose one octet to the leading space
+        if (currentBytes + charBytes > limit) { chunks.push(current); current = ''; currentBytes = 0; }
+        current += char;
+        currentBytes += charBytes;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+// formatDate(dateStr) - 'YYYY-MM-DD' -> 'YYYYMMDD'
+function formatDate(dateStr) {
+    return dateStr.replace(/-/g, '');
+}
+
+// parseTime(value) - Returns 'HHMMSS' for an 'HH:MM' string, null if not parsable
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(String(value || '').trim());
+    return match ? `${match[1].padStart(2, '0')}${match[2]}00` : null;
+}
+
+// formatUtcTimestamp(date) - Date -> 'YYYYMMDDTHHMMSSZ'
+function formatUtcTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Builds the VEVENT lines for one event (catalogue: resource catalogue for the resource names).
+ * Events without a start time become all-day events (over all their days), events without an end time run until the end of their last day.
+ */
+function buildEventLines(event, dtStamp, catalogue) {
+    const lines = ['BEGIN:VEVENT', `UID:${event.id}@${UID_DOMAIN}`, `DTSTAMP:${dtStamp}`];
+    const start = parseTime(event.startTime);
+    const end = parseTime(event.endTime);
+
+    const endDate = event.endDate || event.eventDate;
+
+    if (start) {
+        lines.push(`DTSTART;TZID=${CALENDAR_TIMEZONE}:${formatDate(event.eventDate)}T${start}`);
+        if (end) lines.push(`DTEND;TZID=${CALENDAR_TIMEZONE}:${formatDate(endDate)}T${end}`);
+        else lines.push(`DTEND;TZID=${CALENDAR_TIMEZONE}:${formatDate(addDays(endDate, 1))}T000000`); // Booked until midnight like in the planner
+    } else {
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(event.eventDate)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatDate(addDays(endDate, 1))}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.title || 'Unbenannter Event')}`);
+    const descriptionParts = [];
+    if (event.description) descriptionParts.push(event.description);
+    const resources = formatResources(event.resources, catalogue);
+    if (resources) descriptionParts.push(`Ressourcen: ${resources}`);
+    if (event.responsible) descriptionParts.push(`Verantwortlich: ${event.responsible}`);
+    if (event.participantInfo) descriptionParts.push(event.participantInfo);
+    if (descriptionParts.length > 0) lines.push(`DESCRIPTION:${escapeText(descriptionParts.join('\n\n'))}`);
+    if (event.eventType) lines.push(`CATEGORIES:${escapeText(event.eventType)}`);
+    if (event.eventType === 'Privat') lines.push('CLASS:PRIVATE');
+    if (event.createdAt) lines.push(`CREATED:${formatUtcTimestamp(new Date(event.createdAt))}`);
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Builds a complete VCALENDAR document.
+ * events: API event objects (eventDate/endDate as 'YYYY-MM-DD', startTime/endTime as 'HH:MM' in Europe/Zurich)
+ * options.name: Calendar name shown by subscribing clients
+ * options.resources: Resource catalogue (names of the booked resources in the description)
+ */
+function buildCalendar(events, options = {}) {
+    const dtStamp = formatUtcTimestamp(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(options.name || 'EBA-BAR Events')}`,
+        `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`,
+        ...VTIMEZONE_ZURICH,
+    ];
+    events.filter(event => event.eventDate).forEach(event => lines.push(...buildEventLines(event, dtStamp, options.resources)));
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildCalendar };
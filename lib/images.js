@@ -0,0 +1,58 @@
+// lib/images.js - Image upload pipeline: checks the file content, re-encodes to WebP without metadata and creates the size variants
+
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif']; // Detected from the file content, the declared mimetype is not trusted
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000; // Larger images are refused before decoding (protects against decompression bombs)
+const IMAGE_CONTENT_TYPE = 'image/webp';
+// Stored variants: 'full' is shown in the expanded tile, 'thumb' in the event list (both fit inside the given box, never upscaled)
+const IMAGE_VARIANTS = {
+    full: { width: 1600, height: 1600, quality: 82 },
+    thumb: { width: 320, height: 320, quality: 70 },
+};
+const IMAGE_VARIANT_NAMES = Object.keys(IMAGE_VARIANTS);
+
+/**
+ * Validates an uploaded image and renders all variants.
+ * Returns { variants: { full: Buffer, thumb: Buffer } } or { error, code } (message and stable code for the API response).
+ */
+async function processImage(buffer) {
+    let metadata;
+    try { metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata(); }
+    catch (error) { return { code: 'invalid_image', error: 'The uploaded file is not a valid image or is too large.' }; }
+    if (!ALLOWED_FORMATS.includes(metadata.format)) { return { code: 'unsupported_image_format', error: 'Unsupported image format. Allowed: JPEG, PNG, WebP and GIF.' }; }
+
+    try {
+        const variants = {};
+        for (const [variant, { width, height, quality }] of Object.entries(IMAGE_VARIANTS)) {
+            // rotate() applies the EXIF orientation; the output carries no EXIF/GPS/ICC metadata because withMetadata() is not used
+            variants[variant] = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+                .rotate()
+                .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+                .webp({ quality })
+                .toBuffer();
+        }
+        return { variants };
+    } catch (error) {
+        console.error("Error processing uploaded image:", error.message);
+        return { code: 'image_processing_failed', error: 'The uploaded image could not be processed.' };
+    }
+}
+
+// createImageName(originalname) - Unique object name for a processed upload, e.g. '1718000000000-3f9a1c2b-plakat.webp'
+// The random part keeps uploads of the same file name in the same millisecond from overwriting each other's variants.
+function createImageName(originalname) {
+    const baseName = path.parse(String(originalname || '')).name.replace(/[^\w-]/g, '_').substring(0, 60) || 'bild';
+    return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${baseName}.webp`;
+}
+
+// toVariantName(objectName, variant) - Object name of a variant: 'x.webp' -> 'x.thumb.webp' ('full' is the object itself)
+function toVariantName(objectName, variant) {
+    if (variant === 'full') return objectName;
+    const extension = path.extname(objectName);
+    return `${objectName.substring(0, objectName.length - extension.length)}.${variant}${extension}`;
+}
+
+module.exports = { IMAGE_CONTENT_TYPE, IMAGE_VARIANT_NAMES, processImage, createImageName, toVariantName };
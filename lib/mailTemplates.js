@@ -0,0 +1,104 @@
+// lib/mailTemplates.js - German plain-text templates of the notification mails: event created/updated/cancelled,
+// reminders for the responsible person, the weekly digest, the confirmation of a digest subscription and the decision on a proposal.
+// Events are passed as API events ({ title, eventDate, startTime, endDate, endTime, resources, responsible, ... }); each template returns { subject, text }.
+
+const { formatResources } = require('./resources');
+
+const SIGNATURE = '\n\nDein EBA-BAR Planer\n(Diese Nachricht wurde automatisch versendet.)';
+
+// Subject prefix and intro per change of an event
+const CHANGE_TEXTS = {
+    created: { subject: 'Neuer Event', intro: 'ein neuer Event wurde eingetragen' },
+    updated: { subject: 'Event geändert', intro: 'ein Event wurde geändert' },
+    cancelled: { subject: 'Event abgesagt', intro: 'ein Event wurde abgesagt' },
+};
+// Why the recipient gets the mail
+const RECIPIENT_TEXTS = {
+    responsible: 'Du bist bei diesem Event als verantwortliche Person eingetragen.',
+    participant: 'Du bist für diesen Event angemeldet.',
+};
+
+// formatDate(date) - 'YYYY-MM-DD' as German date, e.g. 'Samstag, 14. Juni 2025'
+function formatDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('de-CH', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+// formatTime(event) - Time range of an event ('18:00 - 22:00 Uhr', 'ab 18:00 Uhr' or 'ganzer Tag'),
+// for multi-day events until the end date ('22:00 Uhr bis Freitag, 1. Januar 2027, 02:00 Uhr')
+function formatTime(event) {
+    if (event.endDate && event.endDate !== event.eventDate) {
+        return `${event.startTime ? `${event.startTime} Uhr` : 'ganzer Tag'} bis ${formatDate(event.endDate)}${event.endTime ? `, ${event.endTime} Uhr` : ''}`;
+    }
+    if (event.startTime && event.endTime) return `${event.startTime} - ${event.endTime} Uhr`;
+    return event.startTime ? `ab ${event.startTime} Uhr` : 'ganzer Tag';
+}
+
+// formatEventDetails(event, catalogue) - Detail lines of an event (date, time, resources, responsible person)
+function formatEventDetails(event, catalogue) {
+    const resources = formatResources(event.resources, catalogue);
+    return [
+        `Event: ${event.title || 'Unbenannter Event'}`,
+        `Datum: ${formatDate(event.eventDate)}${event.isSeries ? ' (Serie, erster Termin)' : ''}`,
+        `Zeit: ${formatTime(event)}`,
+        resources ? `Ressourcen: ${resources}` : null,
+        event.responsible ? `Verantwortlich: ${event.responsible}` : null,
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Mail about a created, updated or cancelled event.
+ * options: catalogue (resource names), link (planner link), recipient ('responsible' or 'participant')
+ */
+function eventChangeMail(change, event, { catalogue, link, recipient = 'responsible' }) {
+    const texts = CHANGE_TEXTS[change];
+    return {
+        subject: `${texts.subject}: ${event.title || 'Unbenannter Event'} am ${formatDate(event.eventDate)}`,
+        text: `Hallo\n\n${texts.intro}:\n\n${formatEventDetails(event, catalogue)}\n\n${RECIPIENT_TEXTS[recipient]}${change === 'cancelled' ? '' : `\nAlle Details im Planer: ${link}`}${SIGNATURE}`,
+    };
+}
+
+// reminderMail(event, daysBefore, { catalogue, link }) - Reminder of the responsible person before the event
+function reminderMail(event, daysBefore, { catalogue, link }) {
+    const when = daysBefore === 0 ? 'heute' : daysBefore === 1 ? 'morgen' : `in ${daysBefore} Tagen`;
+    return {
+        subject: `Erinnerung: ${event.title || 'Unbenannter Event'} ${when}`,
+        text: `Hallo\n\nkleine Erinnerung: ${when} findet ein Event statt, bei dem du als verantwortliche Person eingetragen bist.\n\n${formatEventDetails(event, catalogue)}\n\nBitte prüfe im Planer, ob alles stimmt: ${link}${SIGNATURE}`,
+    };
+}
+
+// digestMail(events, { catalogue, link, unsubscribeLink }) - Weekly overview of the upcoming public events
+function digestMail(events, { catalogue, link, unsubscribeLink }) {
+    const lines = events.map(event => {
+        const resources = formatResources(event.resources, catalogue);
+        return `- ${formatDate(event.eventDate)}, ${formatTime(event)}: ${event.title || 'Unbenannter Event'}${resources ? ` (${resources})` : ''}`;
+    });
+    return {
+        subject: `Wochenübersicht: ${events.length} ${events.length === 1 ? 'Event' : 'Events'} in der EBA-BAR`,
+        text: `Hallo\n\ndiese öffentlichen Events finden in den nächsten Tagen in der EBA-BAR statt:\n\n${lines.join('\n')}\n\nAlle Events im Planer: ${link}${SIGNATURE}\n\nKeine Wochenübersicht mehr erhalten: ${unsubscribeLink}`,
+    };
+}
+
+// subscriptionConfirmMail({ confirmLink }) - Double opt-in of the weekly digest
+function subscriptionConfirmMail({ confirmLink }) {
+    return {
+        subject: 'Bitte bestätige dein Abo der EBA-BAR Wochenübersicht',
+        text: `Hallo\n\njemand (hoffentlich du) möchte mit dieser Adresse die wöchentliche Übersicht der öffentlichen Events der EBA-BAR erhalten.\n\nBitte bestätige das Abo mit diesem Link:\n${confirmLink}\n\nHast du dich nicht angemeldet? Dann ignoriere diese Nachricht einfach, du erhältst keine weiteren Mails.${SIGNATURE}`,
+    };
+}
+
+/**
+ * Decision on a public event proposal, sent to the proposer.
+ * options: approved (published, else rejected), reason (of the rejection), catalogue (resource names), link (planner link)
+ */
+function proposalDecisionMail(event, { approved, reason = '', catalogue, link }) {
+    const title = event.title || 'Unbenannter Event';
+    const decision = approved
+        ? `dein Vorschlag wurde angenommen und ist jetzt im Planer veröffentlicht:\n\n${formatEventDetails(event, catalogue)}\n\nAlle Details im Planer: ${link}`
+        : `leider können wir deinen Vorschlag nicht übernehmen:\n\n${formatEventDetails(event, catalogue)}\n\nBegründung: ${reason}`;
+    return {
+        subject: `${approved ? 'Vorschlag angenommen' : 'Vorschlag abgelehnt'}: ${title} am ${formatDate(event.eventDate)}`,
+        text: `Hallo\n\n${decision}${SIGNATURE}`,
+    };
+}
+
+module.exports = { eventChangeMail, reminderMail, digestMail, subscriptionConfirmMail, proposalDecisionMail };
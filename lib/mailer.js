@@ -0,0 +1,51 @@
+// lib/mailer.js - Sends the notification mails over SMTP (nodemailer) and reports every attempt to the delivery log.
+// SMTP is configured by env vars (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD, MAIL_FROM). Without SMTP_HOST mails are
+// not sent but still logged as skipped, so development runs without a mail server; a local sink (e.g. Mailpit on localhost:1025) works too.
+
+const nodemailer = require('nodemailer');
+
+const MAIL_STATUS_SENT = 'sent';
+const MAIL_STATUS_FAILED = 'failed';
+const MAIL_STATUS_SKIPPED = 'skipped'; // SMTP not configured
+const DEFAULT_SMTP_PORT = 587;
+const DEFAULT_FROM = 'EBA-BAR Planer <noreply@localhost>';
+
+// readSmtpConfig(env) - nodemailer transport options of the SMTP_* env vars, null if SMTP_HOST is not set
+function readSmtpConfig(env = process.env) {
+    if (!env.SMTP_HOST) return null;
+    const port = Number(env.SMTP_PORT) || DEFAULT_SMTP_PORT;
+    const config = { host: env.SMTP_HOST, port, secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465 };
+    if (env.SMTP_USER) config.auth = { user: env.SMTP_USER, pass: env.SMTP_PASSWORD || '' };
+    return config;
+}
+
+/**
+ * Creates the mailer.
+ * options: smtp (transport options of readSmtpConfig, null = mails are skipped), from (sender),
+ * log(entry) (stores an entry of the delivery log: { kind, to, subject, eventId, key, status, error, messageId })
+ * Returns { enabled, send(mail) }.
+ */
+function createMailer({ smtp = null, from = DEFAULT_FROM, log }) {
+    const transporter = smtp ? nodemailer.createTransport(smtp) : null;
+
+    // send({ to, subject, text, kind, eventId, key }) - Sends one mail and logs the attempt, resolves with the delivery status.
+    // Never rejects: a failed mail must not fail the change that triggered it.
+    async function send({ to, subject, text, kind, eventId = null, key = null }) {
+        const entry = { kind, to, subject, eventId, key, status: MAIL_STATUS_SKIPPED, error: null, messageId: null };
+        if (transporter) {
+            try {
+                const info = await transporter.sendMail({ from, to, subject, text });
+                Object.assign(entry, { status: MAIL_STATUS_SENT, messageId: info.messageId || null });
+            } catch (error) {
+                Object.assign(entry, { status: MAIL_STATUS_FAILED, error: error.message });
+                console.error(`Mail '${kind}' to ${to} failed:`, error.message);
+            }
+        }
+        try { await log(entry); } catch (error) { console.error(`Error logging mail '${kind}' to ${to}:`, error.message); }
+        return entry.status;
+    }
+
+    return { enabled: Boolean(transporter), send };
+}
+
+module.exports = { MAIL_STATUS_SENT, MAIL_STATUS_FAILED, MAIL_STATUS_SKIPPED, readSmtpConfig, createMailer };
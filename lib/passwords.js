@@ -0,0 +1,42 @@
+// lib/passwords.js - Password hashing (scrypt) and one-time tokens for invites / password resets
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 10;
+
+// hashPassword(password) - Returns 'scrypt$<salt>$<hash>' (hex encoded) for storage
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(String(password), salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+// verifyPassword(password, storedHash) - Constant-time comparison against a value from hashPassword()
+async function verifyPassword(password, storedHash) {
+    const [algorithm, salt, hashHex] = String(storedHash || '').split('$');
+    if (algorithm !== 'scrypt' || !salt || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// validatePasswordStrength(password) - Returns an error message or null
+function validatePasswordStrength(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+    return null;
+}
+
+// generateToken() - Random URL-safe token (sent to the user, only its hash is stored)
+function generateToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+// hashToken(token) - SHA-256 of a token, used to look up invite/reset tokens without storing them in clear text
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = { hashPassword, verifyPassword, validatePasswordStrength, generateToken, hashToken };
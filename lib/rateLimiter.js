@@ -0,0 +1,65 @@
+// lib/rateLimiter.js - Per-IP and global rate limiting: attempts are counted per IP and in total, too many attempts within
+// the window lock out the IP (or everybody) for a while. With globalDelayMs the global limit only slows every caller down
+// instead of locking everybody out, so a single client cannot lock out the others (used for logins).
+// What counts as an attempt is up to the caller: failed logins for the brute-force protection of POST /api/login, every
+// submission for the public proposal, subscription and sign-up forms.
+// Counters are kept in memory, so each server instance limits on its own.
+
+const MAX_TRACKED_IPS = 10000; // Upper bound of the per-IP map, expired entries are pruned beyond it
+
+/**
+ * Creates a limiter.
+ * options: maxAttemptsPerIp, maxAttemptsGlobal (attempts within windowMs), windowMs, lockoutMs,
+ *          globalDelayMs (0 = the global limit locks out everybody, otherwise it delays each request by this long), now (clock, for tests)
+ * Returns { getLockout(ip), getDelay(), recordAttempt(ip), reset(ip) }; getLockout/recordAttempt return the remaining lockout in ms (0 = allowed),
+ * getDelay the time in ms to wait before handling a request (0 = none).
+ */
+function createRateLimiter({ maxAttemptsPerIp = 5, maxAttemptsGlobal = 100, windowMs = 15 * 60 * 1000, lockoutMs = 15 * 60 * 1000, globalDelayMs = 0, now = Date.now } = {}) {
+    const ipStates = new Map(); // ip -> { attempts: [timestamps], lockedUntil }
+    const globalState = { attempts: [], lockedUntil: 0 };
+
+    // addAttempt(state, limit, lock) - Counts an attempt in the window, locks the state once the limit is reached (unless lock is false)
+    function addAttempt(state, limit, lock = true) {
+        const time = now();
+        state.attempts = state.attempts.filter(attemptedAt => attemptedAt > time - windowMs);
+        state.attempts.push(time);
+        if (lock && state.attempts.length >= limit) { state.lockedUntil = time + lockoutMs; state.attempts = []; }
+    }
+
+    // pruneIpStates() - Drops IPs without recent attempts and lockout
+    function pruneIpStates() {
+        const time = now();
+        ipStates.forEach((state, ip) => { if (state.lockedUntil <= time && state.attempts.every(attemptedAt => attemptedAt <= time - windowMs)) ipStates.delete(ip); });
+    }
+
+    function getLockout(ip) {
+        const time = now();
+        return Math.max(0, globalState.lockedUntil - time, (ipStates.get(ip)?.lockedUntil || 0) - time);
+    }
+
+    function recordAttempt(ip) {
+        if (!ipStates.has(ip)) {
+            if (ipStates.size >= MAX_TRACKED_IPS) pruneIpStates();
+            ipStates.set(ip, { attempts: [], lockedUntil: 0 });
+        }
+        addAttempt(ipStates.get(ip), maxAttemptsPerIp);
+        addAttempt(globalState, maxAttemptsGlobal, globalDelayMs === 0);
+        return getLockout(ip);
+    }
+
+    // getDelay() - Slowdown while the global limit is reached (only with globalDelayMs)
+    function getDelay() {
+        if (globalDelayMs === 0) return 0;
+        const time = now();
+        return globalState.attempts.filter(attemptedAt => attemptedAt > time - windowMs).length >= maxAttemptsGlobal ? globalDelayMs : 0;
+    }
+
+    // reset(ip) - Forgets the attempts of an IP (e.g. after a successful login)
+    function reset(ip) {
+        ipStates.delete(ip);
+    }
+
+    return { getLockout, getDelay, recordAttempt, reset };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,146 @@
+// lib/recurrence.js - Recurrence rules for event series (weekly, bi-weekly, monthly on the nth weekday)
+// All dates are handled as 'YYYY-MM-DD' strings (calendar days, no time of day); the instants of the occurrences come from lib/eventTimes.js.
+
+const { MAX_EVENT_DAYS, withInstants } = require('./eventTimes');
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const MAX_OCCURRENCES = 520; // Safety cap: 10 years of weekly events
+const MAX_SHIFT_DAYS = 31; // Single occurrences may be moved by at most this many days
+const OCCURRENCE_ID_SEPARATOR = ':'; // Occurrence ids are '<seriesId>:<YYYY-MM-DD>'
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fields a single occurrence can override without touching the rest of the series
+const OVERRIDABLE_FIELDS = ['title', 'eventDate', 'startTime', 'endDate', 'endTime', 'description', 'resources', 'responsible', 'eventType', 'participantInfo'];
+
+// isValidDate(dateStr) - true for an existing calendar date in 'YYYY-MM-DD' format
+function isValidDate(dateStr) {
+    if (!DATE_PATTERN.test(String(dateStr || ''))) return false;
+    const date = new Date(dateStr + 'T00:00:00Z');
+    return !isNaN(date) && date.toISOString().startsWith(dateStr);
+}
+
+// addDays(dateStr, days) - Adds (or subtracts) days to a 'YYYY-MM-DD' date string
+function addDays(dateStr, days) {
+    const date = new Date(dateStr + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// getWeekOfMonth(dateStr) - 1-4 for the nth weekday of the month, -1 if it is the fifth (= last) one
+function getWeekOfMonth(dateStr) {
+    const week = Math.ceil(Number(dateStr.substring(8, 10)) / 7);
+    return week > 4 ? -1 : week;
+}
+
+// getNthWeekdayOfMonth(year, monthIndex, weekday, weekOfMonth) - Date string or null if that day does not exist
+function getNthWeekdayOfMonth(year, monthIndex, weekday, weekOfMonth) {
+    let date;
+    if (weekOfMonth === -1) {
+        date = new Date(Date.UTC(year, monthIndex + 1, 0)); // Last day of the month
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() - weekday + 7) % 7));
+    } else {
+        date = new Date(Date.UTC(year, monthIndex, 1));
+        date.setUTCDate(1 + ((weekday - date.getUTCDay() + 7) % 7) + (weekOfMonth - 1) * 7);
+        if (date.getUTCMonth() !== ((monthIndex % 12) + 12) % 12) return null;
+    }
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Validates recurrence input (e.g. from the add/edit forms) for a series starting at startDate.
+ * input: { frequency, until, count, weekOfMonth } - frequency '' / missing means "no recurrence"
+ * Returns { recurrence } (null if not recurring) or { error, code } (message and stable code for the API response).
+ */
+function normalizeRecurrence(input, startDate) {
+    const frequency = String(input?.frequency || '').trim();
+    if (!frequency) return { recurrence: null };
+    if (!FREQUENCIES.includes(frequency)) return { code: 'invalid_frequency', error: `Invalid recurrence frequency. Allowed: ${FREQUENCIES.join(', ')}.` };
+
+    const until = String(input.until || '').trim() || null;
+    if (until && !isValidDate(until)) return { code: 'invalid_recurrence_end', error: 'Invalid recurrence end date. Please use YYYY-MM-DD.' };
+    if (until && until < startDate) return { code: 'recurrence_end_before_start', error: 'The recurrence end date must not be before the first event.' };
+
+    const count = input.count === undefined || input.count === null || String(input.count).trim() === '' ? null : Number(input.count);
+    if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) return { code: 'invalid_recurrence_count', error: `Recurrence count must be between 1 and ${MAX_OCCURRENCES}.` };
+    if (!until && !count) return { code: 'recurrence_end_missing', error: 'A recurring event needs an end date or a number of occurrences.' };
+
+    let weekOfMonth = null;
+    if (frequency === 'monthly') {
+        weekOfMonth = input.weekOfMonth === undefined || String(input.weekOfMonth).trim() === '' ? getWeekOfMonth(startDate) : Number(input.weekOfMonth);
+        if (![1, 2, 3, 4, -1].includes(weekOfMonth)) return { code: 'invalid_week_of_month', error: 'Week of month must be 1-4 or -1 (last).' };
+    }
+    return { recurrence: { frequency, until, count, weekOfMonth } };
+}
+
+// isSameRecurrence(a, b) - true if both rules are identical (ignores key order of stored maps)
+function isSameRecurrence(a, b) {
+    return ['frequency', 'until', 'count', 'weekOfMonth'].every(key => (a?.[key] ?? null) === (b?.[key] ?? null));
+}
+
+/**
+ * Returns the occurrence dates of a series starting at startDate, limited to [rangeFrom, rangeTo] if given.
+ * The count limit always counts from the first occurrence, independent of the range.
+ */
+function getOccurrenceDates(startDate, recurrence, rangeFrom = null, rangeTo = null) {
+    const dates = [];
+    const weekday = new Date(startDate + 'T00:00:00Z').getUTCDay();
+    const startYear = Number(startDate.substring(0, 4));
+    const startMonth = Number(startDate.substring(5, 7)) - 1;
+    let index = 0;
+
+    for (let step = 0; index < MAX_OCCURRENCES; step++) {
+        let candidate;
+        if (recurrence.frequency === 'monthly') {
+            if (step > MAX_OCCURRENCES * 2) break;
+            candidate = getNthWeekdayOfMonth(startYear, startMonth + step, weekday, recurrence.weekOfMonth);
+            if (!candidate || candidate < startDate) continue;
+        } else {
+            candidate = addDays(startDate, step * (recurrence.frequency === 'biweekly' ? 14 : 7));
+        }
+        if (recurrence.count && index >= recurrence.count) break;
+        if (recurrence.until && candidate > recurrence.until) break;
+        if (rangeTo && candidate > rangeTo) break;
+        index++;
+        if (!rangeFrom || candidate >= rangeFrom) dates.push(candidate);
+    }
+    return dates;
+}
+
+// getDayDifference(from, to) - Number of days from one 'YYYY-MM-DD' date to another
+function getDayDifference(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+}
+
+// toOccurrence(event, date) - The occurrence of a series (API event) on one of its dates, with the overrides of an edited (or cancelled) occurrence.
+// It lasts as many days as the first occurrence and gets its own startAt/endAt, so DST changes between the dates are respected.
+function toOccurrence(event, date) {
+    const { exceptions = {}, ...series } = event;
+    const exception = exceptions[date];
+    const occurrence = { ...series, eventDate: date, ...(exception || {}), id: `${event.id}${OCCURRENCE_ID_SEPARATOR}${date}`, seriesId: event.id, occurrenceDate: date, isException: Boolean(exception) };
+    if (!exception?.endDate) occurrence.endDate = addDays(occurrence.eventDate, getDayDifference(series.eventDate, series.endDate || series.eventDate)); // Exceptions stored before multi-day events have no end date
+    return withInstants(occurrence);
+}
+
+/**
+ * Expands a series (API event object with recurrence and exceptions) into its occurrences that take place (at least partly) within the range.
+ * Cancelled occurrences are skipped, edited occurrences carry their overrides (isException: true).
+ */
+function expandSeriesEvent(event, rangeFrom = null, rangeTo = null) {
+    if (!event.recurrence || !event.eventDate) return [];
+    // Expand a little wider so moved occurrences and occurrences running into the range are not missed
+    const nominalFrom = rangeFrom ? addDays(rangeFrom, -(MAX_SHIFT_DAYS + MAX_EVENT_DAYS)) : null;
+    const nominalTo = rangeTo ? addDays(rangeTo, MAX_SHIFT_DAYS) : null;
+
+    return getOccurrenceDates(event.eventDate, event.recurrence, nominalFrom, nominalTo)
+        .filter(date => !event.exceptions?.[date]?.cancelled)
+        .map(date => toOccurrence(event, date))
+        .filter(occurrence => (!rangeFrom || occurrence.endDate >= rangeFrom) && (!rangeTo || occurrence.eventDate <= rangeTo));
+}
+
+// splitOccurrenceId(id) - '<docId>:<YYYY-MM-DD>' -> { docId, occurrenceDate }, plain ids -> { docId, occurrenceDate: null }
+function splitOccurrenceId(id) {
+    const [docId, occurrenceDate = null] = String(id || '').split(OCCURRENCE_ID_SEPARATOR);
+    return { docId, occurrenceDate: isValidDate(occurrenceDate) ? occurrenceDate : null };
+}
+
+module.exports = { FREQUENCIES, OVERRIDABLE_FIELDS, isValidDate, addDays, normalizeRecurrence, isSameRecurrence, getOccurrenceDates, toOccurrence, expandSeriesEvent, splitOccurrenceId };
@@ -0,0 +1,91 @@
+// lib/resources.js - Resource catalogue: the bookable items of the EBA-BAR, kept in the collection 'resources' (managed by admins).
+// Events store resource ids; events of older versions store the comma-joined names of the original form checkboxes.
+
+// Resource that books the whole room: conflicts with every other event in the same time slot
+const RESOURCE_WHOLE_ROOM = 'ganzer-raum';
+
+// Catalogue created on the first start. Its names also map the text resources of older events to ids.
+const DEFAULT_RESOURCES = [
+    { id: RESOURCE_WHOLE_ROOM, name: 'Ganzer Raum', description: 'Der ganze Raum, schliesst alle anderen Buchungen im selben Zeitfenster aus.', quantity: 1, active: true, exclusive: true, sortOrder: 0 },
+    { id: 'retro-game-station', name: 'Retro Game Station', description: '', quantity: 1, active: true, exclusive: false, sortOrder: 1 },
+    { id: 'beamer-sofa', name: 'Beamer und Sofa', description: '', quantity: 1, active: true, exclusive: false, sortOrder: 2 },
+    { id: 'flipperkasten', name: 'Flipperkasten', description: '', quantity: 1, active: true, exclusive: false, sortOrder: 3 },
+    { id: 'tische-1-2', name: '1-2 Tische', description: '', quantity: 1, active: true, exclusive: false, sortOrder: 4 },
+    { id: 'tische-2-4', name: '2-4 Tische', description: '', quantity: 1, active: true, exclusive: false, sortOrder: 5 },
+    { id: 'tische-4-6', name: '4-6 Tische', description: '', quantity: 1, active: true, exclusive: false, sortOrder: 6 },
+];
+
+// splitResourceList(value) - Array of the entries of an array or a comma-joined string (as stored by older versions)
+function splitResourceList(value) {
+    const entries = Array.isArray(value) ? value : String(value || '').split(',');
+    return entries.map(entry => String(entry).trim()).filter(entry => entry);
+}
+
+// findResource(entry, catalogue) - Catalogue entry for a resource id or name (case-insensitive), undefined if unknown
+function findResource(entry, catalogue) {
+    const key = String(entry).trim().toLowerCase();
+    return catalogue.find(resource => resource.id === key || resource.name.toLowerCase() === key);
+}
+
+/**
+ * Maps resource ids or names (array or comma-joined string) to the ids of the given catalogue.
+ * Returns { ids, unknown } - ids without duplicates, unknown: entries not in the catalogue.
+ */
+function resolveResourceIds(value, catalogue = DEFAULT_RESOURCES) {
+    const ids = []; const unknown = [];
+    splitResourceList(value).forEach(entry => {
+        const resource = findResource(entry, catalogue);
+        if (!resource) unknown.push(entry);
+        else if (!ids.includes(resource.id)) ids.push(resource.id);
+    });
+    return { ids, unknown };
+}
+
+// parseResources(value) - Resource ids of a stored event; names of the original checkboxes become their ids, other text is kept
+function parseResources(value) {
+    return [...new Set(splitResourceList(value).map(entry => findResource(entry, DEFAULT_RESOURCES)?.id || entry))];
+}
+
+// formatResources(value, catalogue) - Names of the resources of an event, comma-joined for display (retired resources included)
+function formatResources(value, catalogue = DEFAULT_RESOURCES) {
+    return parseResources(value).map(id => catalogue.find(resource => resource.id === id)?.name || id).join(', ');
+}
+
+// getExclusiveIds(catalogue) - Ids of the resources that block the whole room (like "Ganzer Raum")
+function getExclusiveIds(catalogue) {
+    return catalogue.filter(resource => resource.exclusive).map(resource => resource.id);
+}
+
+// compareResources(a, b) - Catalogue order: exclusive resources first, then sortOrder and name
+function compareResources(a, b) {
+    return Number(Boolean(b.exclusive)) - Number(Boolean(a.exclusive)) || (a.sortOrder ?? 0) - (b.sortOrder ?? 0) || a.name.localeCompare(b.name, 'de');
+}
+
+// toResourceId(name, existingIds) - Readable, unique id for a new resource, e.g. 'Töggelikasten' -> 'toeggelikasten'
+function toResourceId(name, existingIds) {
+    const base = String(name).toLowerCase().replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 40) || 'ressource';
+    let id = base;
+    for (let suffix = 2; existingIds.includes(id); suffix++) id = `${base}-${suffix}`;
+    return id;
+}
+
+// loadResources(collection) - Whole catalogue (retired resources included) in catalogue order; the defaults as long as it was never created
+async function loadResources(collection) {
+    const snapshot = await collection.get();
+    if (snapshot.empty) return DEFAULT_RESOURCES.map(resource => ({ ...resource }));
+    return snapshot.docs.map(doc => {
+        const { name = doc.id, description = '', quantity = 1, active = true, exclusive = false, sortOrder = 0 } = doc.data();
+        return { id: doc.id, name, description, quantity, active, exclusive, sortOrder };
+    }).sort(compareResources);
+}
+
+// ensureDefaultResources(collection) - Creates the default catalogue on the first start
+async function ensureDefaultResources(collection) {
+    const snapshot = await collection.limit(1).get();
+    if (!snapshot.empty) return;
+    await Promise.all(DEFAULT_RESOURCES.map(({ id, ...resource }) => collection.doc(id).set(resource)));
+    console.log(`Resource catalogue created with ${DEFAULT_RESOURCES.length} default resources.`);
+}
+
+module.exports = { RESOURCE_WHOLE_ROOM, DEFAULT_RESOURCES, resolveResourceIds, parseResources, formatResources, getExclusiveIds, compareResources, toResourceId, loadResources, ensureDefaultResources };
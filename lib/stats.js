@@ -0,0 +1,121 @@
+// lib/stats.js - Room usage statistics of the reporting dashboard (GET /api/stats): events and booked hours per month,
+// per event type, resource, weekday, time slot and responsible person, built from API events (series already expanded).
+// Booked hours only count events with start and end time; events without times are counted as events only.
+
+const { parseResources } = require('./resources');
+
+const REPORTS = ['months', 'eventTypes', 'resources', 'weekdays', 'timeSlots', 'organizers'];
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+// Time slots by start time ('HH:MM', from inclusive, to exclusive); events without start time fall into 'none'
+const TIME_SLOTS = [
+    { slot: 'morning', from: '00:00', to: '12:00' },
+    { slot: 'afternoon', from: '12:00', to: '17:00' },
+    { slot: 'evening', from: '17:00', to: '21:00' },
+    { slot: 'night', from: '21:00', to: '24:00' },
+];
+const TIME_SLOT_NONE = 'none';
+const MAX_ORGANIZERS = 20; // Only the most active responsible persons are listed
+// Columns of the CSV export per report (keys of the report rows)
+const REPORT_COLUMNS = {
+    months: ['month', 'events', 'hours', 'publicEvents', 'privateEvents'],
+    eventTypes: ['eventType', 'events', 'hours', 'share'],
+    resources: ['resource', 'name', 'events', 'hours'],
+    weekdays: ['weekday', 'name', 'events', 'hours'],
+    timeSlots: ['slot', 'from', 'to', 'events', 'hours'],
+    organizers: ['responsible', 'events', 'hours'],
+};
+
+// getDurationHours(event) - Booked hours of an event (end - start instant, so multi-day events and DST changes count right), 0 if start or end time is missing
+function getDurationHours(event) {
+    if (!event.startTime || !event.endTime) return 0;
+    const milliseconds = Date.parse(event.endAt) - Date.parse(event.startAt);
+    return milliseconds > 0 ? milliseconds / (60 * 60 * 1000) : 0;
+}
+
+// getWeekday(date) - ISO weekday of a 'YYYY-MM-DD' date (1 = Monday ... 7 = Sunday)
+function getWeekday(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+}
+
+// getTimeSlot(event) - Slot name of the start time of an event
+function getTimeSlot(event) {
+    if (!/^\d{2}:\d{2}/.test(event.startTime || '')) return TIME_SLOT_NONE;
+    return TIME_SLOTS.find(slot => event.startTime >= slot.from && event.startTime < slot.to).slot;
+}
+
+// listMonths(from, to) - All months 'YYYY-MM' of the date range, so months without events are reported too
+function listMonths(from, to) {
+    const months = [];
+    let [year, month] = from.substring(0, 7).split('-').map(Number);
+    for (let key = from.substring(0, 7); key <= to.substring(0, 7);) {
+        months.push(key);
+        if (++month > 12) { month = 1; year++; }
+        key = `${year}-${String(month).padStart(2, '0')}`;
+    }
+    return months;
+}
+
+// roundHours(hours) - Hours with at most two decimals (avoids floating point noise in the JSON and CSV)
+function roundHours(hours) {
+    return Math.round(hours * 100) / 100;
+}
+
+// addUsage(row, hours) - Counts one event with its booked hours in a report row
+function addUsage(row, hours) {
+    row.events++;
+    row.hours += hours;
+}
+
+/**
+ * Builds all reports of the date range.
+ * events: API events starting in the range (series occurrences expanded, counted on their start date), catalogue: resource catalogue (names),
+ * publicType/privateType: event types counted as public/private events
+ * Returns { from, to, totals, months, eventTypes, resources, weekdays, timeSlots, organizers }; every row has events and hours.
+ */
+function buildUsageStats(events, { from, to, catalogue = [], publicType, privateType }) {
+    const totals = { events: 0, hours: 0, publicEvents: 0, privateEvents: 0, eventsWithoutTimes: 0 };
+    const months = new Map(listMonths(from, to).map(month => [month, { month, events: 0, hours: 0, publicEvents: 0, privateEvents: 0 }]));
+    const eventTypes = new Map([publicType, privateType].map(eventType => [eventType, { eventType, events: 0, hours: 0, share: 0 }]));
+    const resources = new Map(catalogue.map(resource => [resource.id, { resource: resource.id, name: resource.name, events: 0, hours: 0 }]));
+    const weekdays = WEEKDAY_NAMES.map((name, index) => ({ weekday: index + 1, name, events: 0, hours: 0 }));
+    const timeSlots = new Map([...TIME_SLOTS, { slot: TIME_SLOT_NONE, from: '', to: '' }].map(slot => [slot.slot, { ...slot, events: 0, hours: 0 }]));
+    const organizers = new Map(); // Lower-case name -> row, the first spelling is shown
+
+    events.forEach(event => {
+        const hours = getDurationHours(event);
+        addUsage(totals, hours);
+        if (hours === 0) totals.eventsWithoutTimes++;
+        const month = months.get(String(event.eventDate).substring(0, 7));
+        if (month) addUsage(month, hours);
+        if (event.eventType === publicType) { totals.publicEvents++; if (month) month.publicEvents++; }
+        if (event.eventType === privateType) { totals.privateEvents++; if (month) month.privateEvents++; }
+        if (!eventTypes.has(event.eventType || '')) eventTypes.set(event.eventType || '', { eventType: event.eventType || '', events: 0, hours: 0, share: 0 });
+        addUsage(eventTypes.get(event.eventType || ''), hours);
+        parseResources(event.resources).forEach(id => {
+            if (!resources.has(id)) resources.set(id, { resource: id, name: id, events: 0, hours: 0 }); // Resource no longer in the catalogue
+            addUsage(resources.get(id), hours);
+        });
+        addUsage(weekdays[getWeekday(event.eventDate) - 1], hours);
+        addUsage(timeSlots.get(getTimeSlot(event)), hours);
+        const responsible = String(event.responsible || '').trim();
+        if (responsible) {
+            const key = responsible.toLowerCase();
+            if (!organizers.has(key)) organizers.set(key, { responsible, events: 0, hours: 0 });
+            addUsage(organizers.get(key), hours);
+        }
+    });
+
+    const round = rows => rows.map(row => ({ ...row, hours: roundHours(row.hours) }));
+    return {
+        from, to,
+        totals: { ...totals, hours: roundHours(totals.hours) },
+        months: round([...months.values()]),
+        eventTypes: round([...eventTypes.values()].map(row => ({ ...row, share: totals.events > 0 ? Math.round(row.events / totals.events * 1000) / 10 : 0 }))),
+        resources: round([...resources.values()].sort((a, b) => b.hours - a.hours || b.events - a.events)),
+        weekdays: round(weekdays.sort((a, b) => b.hours - a.hours || b.events - a.events || a.weekday - b.weekday)), // Busiest days first
+        timeSlots: round([...timeSlots.values()].sort((a, b) => b.hours - a.hours || b.events - a.events)), // Busiest first, ties stay in the order of the day
+        organizers: round([...organizers.values()].sort((a, b) => b.events - a.events || b.hours - a.hours || a.responsible.localeCompare(b.responsible)).slice(0, MAX_ORGANIZERS)),
+    };
+}
+
+module.exports = { REPORTS, REPORT_COLUMNS, buildUsageStats };
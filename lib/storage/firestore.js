@@ -0,0 +1,100 @@
+// lib/storage/firestore.js - Google Cloud backend: Firestore for events/users/sessions, a Cloud Storage bucket for images
+
+const { Firestore, FieldValue, FieldPath, Timestamp } = require('@google-cloud/firestore'); // Firestore Client + Helpers
+const { FirestoreStore } = require('@google-cloud/connect-firestore'); // Session Store
+const { Storage } = require('@google-cloud/storage'); // Google Cloud Storage Client
+const { format } = require('util'); // Node.js utility
+
+/**
+ * Creates the Firestore/GCS storage.
+ * bucketName: Cloud Storage bucket holding the event images
+ */
+function createFirestoreStorage({ bucketName }) {
+    const db = new Firestore(); // Credentials come from ADC (GOOGLE_APPLICATION_CREDENTIALS or gcloud login)
+    const bucket = new Storage().bucket(bucketName);
+    // Objects are private: images are served through GET /api/images/:name, which applies the privacy rules of the owning event.
+    // Images uploaded by older versions were made public, migrate-image-acl.js makes them private.
+    const urlPrefix = `https://storage.googleapis.com/${bucketName}/`;
+
+    // getObjectName(fileUrl) - Object name of a file stored by save(), null for other URLs
+    function getObjectName(fileUrl) {
+        if (!fileUrl || !String(fileUrl).startsWith(urlPrefix)) return null;
+        return String(fileUrl).substring(urlPrefix.length) || null;
+    }
+
+    const images = {
+        getObjectName,
+        toStorageUrl: (objectName) => `${urlPrefix}${objectName}`,
+
+        // save(objectName, buffer, contentType) - Stores an image (not publicly readable), returns its storage URL
+        save(objectName, buffer, contentType) {
+            return new Promise((resolve, reject) => {
+                const blob = bucket.file(objectName);
+                const blobStream = blob.createWriteStream({ metadata: { contentType }, resumable: false });
+                blobStream.on('error', (err) => { console.error("GCS Upload Error:", err); reject(`Error uploading to GCS: ${err.message}`); });
+                blobStream.on('finish', async () => {
+                    try { const storageUrl = format(`${urlPrefix}${blob.name}`); console.log("GCS Upload successful, storage URL:", storageUrl); resolve(storageUrl); }
+                    catch (err) { console.error("Error getting URL of uploaded file:", err); reject(`Error finalizing GCS upload: ${err.message}`); }
+                });
+                blobStream.end(buffer);
+            });
+        },
+
+        // remove(fileUrl) - Deletes a file stored by save() (missing files are ignored)
+        async remove(fileUrl) {
+            if (!fileUrl || !fileUrl.startsWith(urlPrefix)) { console.warn(`Invalid GCS URL for deletion: ${fileUrl}`); return; }
+            try {
+                const fileName = getObjectName(fileUrl);
+                if (!fileName) { console.warn(`Could not extract filename from URL: ${fileUrl}`); return; }
+                console.log(`Attempting to delete GCS object: ${fileName}`); await bucket.file(fileName).delete({ ignoreNotFound: true }); console.log(`Successfully deleted GCS object: ${fileName}`);
+            } catch (error) { console.error(`Failed to delete GCS object ${fileUrl}:`, error.message); }
+        },
+
+        // exists(objectName) - Whether the object is still in the bucket
+        async exists(objectName) {
+            const [exists] = await bucket.file(objectName).exists();
+            return exists;
+        },
+
+        // open(objectName) - { contentType, stream } of a stored image, throws an error with code 404 if it does not exist
+        async open(objectName) {
+            const file = bucket.file(objectName);
+            const [metadata] = await file.getMetadata();
+            return { contentType: metadata.contentType, stream: file.createReadStream() };
+        },
+
+        // list() - Names of all objects in the bucket
+        async list() {
+            const [files] = await bucket.getFiles();
+            return files.map(file => file.name);
+        },
+
+        // isPublic(objectName) - Whether everybody can read the object directly from the bucket
+        async isPublic(objectName) {
+            const [isPublic] = await bucket.file(objectName).isPublic();
+            return isPublic;
+        },
+
+        // makePrivate(objectName) - Removes the public-read ACL, only the project can read the object afterwards
+        async makePrivate(objectName) {
+            await bucket.file(objectName).makePrivate();
+        },
+    };
+
+    return {
+        backend: 'firestore',
+        db, FieldValue, FieldPath, Timestamp, images,
+        // createSessionStore(session) - Sessions are kept in the Firestore collection 'express-sessions'
+        createSessionStore: () => new FirestoreStore({ dataset: db, kind: 'express-sessions' }),
+        // logStartupWarnings() - Configuration problems that only show up at the first request otherwise
+        logStartupWarnings() {
+            if (!process.env.GOOGLE_APPLICATION_CREDENTIALS && !process.env.GOOGLE_CLOUD_PROJECT && process.env.NODE_ENV !== 'production') {
+                // Warning only relevant for local development if not running on GCP
+                console.warn('WARNING: Local ADC not found/configured (GOOGLE_APPLICATION_CREDENTIALS or gcloud login). Set STORAGE_BACKEND=local to run without Google Cloud.');
+            }
+            if (!bucketName) console.error('ERROR: GCS_BUCKET_NAME is not defined or empty!');
+        },
+    };
+}
+
+module.exports = { createFirestoreStorage };
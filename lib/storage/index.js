@@ -0,0 +1,25 @@
+// lib/storage/index.js - Selects the storage backend for events, users, sessions and images
+//
+// STORAGE_BACKEND=firestore (default): Firestore + Cloud Storage bucket GCS_BUCKET_NAME (needs Google Cloud credentials)
+// STORAGE_BACKEND=local: embedded JSON database and images on disk in LOCAL_DATA_DIR (default ./data), for development and tests
+//
+// Both backends return { backend, db, FieldValue, FieldPath, Timestamp, images, createSessionStore(session), logStartupWarnings() }.
+// db offers the subset of the Firestore API the planner uses (collections, queries, batches, transactions).
+
+const path = require('path');
+
+const STORAGE_BACKENDS = ['firestore', 'local'];
+const DEFAULT_BUCKET_NAME = 'ebaplanner_event_images';
+
+// createStorage(env) - Storage backend configured by the environment variables
+function createStorage(env = process.env) {
+    const backend = env.STORAGE_BACKEND || 'firestore';
+    if (!STORAGE_BACKENDS.includes(backend)) throw new Error(`Unknown STORAGE_BACKEND "${backend}". Allowed: ${STORAGE_BACKENDS.join(', ')}.`);
+    // Backends are loaded on demand, so the local backend runs without the Google Cloud client libraries being configured
+    if (backend === 'local') {
+        return require('./local').createLocalStorage({ dataDir: env.LOCAL_DATA_DIR || path.join(__dirname, '..', '..', 'data') });
+    }
+    return require('./firestore').createFirestoreStorage({ bucketName: env.GCS_BUCKET_NAME || DEFAULT_BUCKET_NAME });
+}
+
+module.exports = { createStorage, STORAGE_BACKENDS };
@@ -0,0 +1,115 @@
+// lib/storage/local.js - Local backend without Google Cloud: embedded JSON database (lib/storage/localDb.js) and images on disk
+
+const fs = require('fs');
+const path = require('path');
+const { LocalDatabase, FieldValue, FieldPath, Timestamp } = require('./localDb');
+
+const URL_PREFIX = 'local:'; // imageUrl of an image stored on disk: 'local:<file name>'
+const SAFE_NAME_PATTERN = /^[\w-][\w.-]*$/; // File names we create (no path separators, no leading dot)
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000; // Sessions without cookie expiry
+
+/**
+ * Creates the local storage.
+ * dataDir: directory holding the database file (db.json) and the images/ folder
+ */
+function createLocalStorage({ dataDir }) {
+    const imageDir = path.join(dataDir, 'images');
+    fs.mkdirSync(imageDir, { recursive: true });
+    const db = new LocalDatabase({ filePath: path.join(dataDir, 'db.json') });
+
+    // imagePath(objectName) - Path of a stored image, null for names that could leave the image directory
+    const imagePath = (objectName) => (SAFE_NAME_PATTERN.test(String(objectName)) ? path.join(imageDir, objectName) : null);
+    const notFound = (objectName) => Object.assign(new Error(`Image not found: ${objectName}`), { code: 404 });
+
+    const images = {
+        // getObjectName(fileUrl) - File name of an image stored by save(), null for other URLs
+        getObjectName(fileUrl) {
+            if (!fileUrl || !String(fileUrl).startsWith(URL_PREFIX)) return null;
+            return String(fileUrl).substring(URL_PREFIX.length) || null;
+        },
+        toStorageUrl: (objectName) => `${URL_PREFIX}${objectName}`,
+
+        // save(objectName, buffer, contentType) - Writes the image and its content type (sidecar .json), returns its storage URL
+        async save(objectName, buffer, contentType) {
+            const filePath = imagePath(objectName);
+            if (!filePath) throw new Error(`Invalid image name: ${objectName}`);
+            await fs.promises.writeFile(filePath, buffer);
+            await fs.promises.writeFile(`${filePath}.json`, JSON.stringify({ contentType }));
+            console.log("Local image stored:", objectName);
+            return `${URL_PREFIX}${objectName}`;
+        },
+
+        // remove(fileUrl) - Deletes an image stored by save() (missing files are ignored)
+        async remove(fileUrl) {
+            const filePath = imagePath(images.getObjectName(fileUrl));
+            if (!filePath) { console.warn(`Invalid local image URL for deletion: ${fileUrl}`); return; }
+            try {
+                await fs.promises.rm(filePath, { force: true }); await fs.promises.rm(`${filePath}.json`, { force: true });
+                console.log(`Deleted local image: ${path.basename(filePath)}`);
+            } catch (error) { console.error(`Failed to delete local image ${fileUrl}:`, error.message); }
+        },
+
+        // exists(objectName) - Whether the image is still on disk
+        async exists(objectName) {
+            const filePath = imagePath(objectName);
+            return Boolean(filePath) && fs.existsSync(filePath);
+        },
+
+        // open(objectName) - { contentType, stream } of a stored image, throws an error with code 404 if it does not exist
+        async open(objectName) {
+            const filePath = imagePath(objectName);
+            if (!filePath || !fs.existsSync(filePath)) throw notFound(objectName);
+            let contentType;
+            try { contentType = JSON.parse(await fs.promises.readFile(`${filePath}.json`, 'utf8')).contentType; } catch (error) { contentType = undefined; }
+            return { contentType, stream: fs.createReadStream(filePath) };
+        },
+
+        // list() - Names of all stored images (without the content type sidecars)
+        async list() {
+            return (await fs.promises.readdir(imageDir)).filter(name => !name.endsWith('.json'));
+        },
+
+        // isPublic(objectName) / makePrivate(objectName) - Files on disk have no public URL, they are only served through the image proxy
+        async isPublic() { return false; },
+        async makePrivate() {},
+    };
+
+    return {
+        backend: 'local',
+        db, FieldValue, FieldPath, Timestamp, images,
+        createSessionStore: (session) => createLocalSessionStore(session, db.collection('sessions')),
+        logStartupWarnings() {
+            console.log(`Using local storage in ${path.resolve(dataDir)} (not meant for production).`);
+        },
+    };
+}
+
+// createLocalSessionStore(session, collection) - express-session store keeping sessions in a collection of the local database
+function createLocalSessionStore(session, collection) {
+    const expiresAt = (sessionData) => {
+        const expires = sessionData?.cookie?.expires;
+        return expires ? new Date(expires).getTime() : Date.now() + DEFAULT_SESSION_TTL_MS;
+    };
+
+    class LocalSessionStore extends session.Store {
+        get(sid, callback) {
+            collection.doc(sid).get().then(async (doc) => {
+                if (!doc.exists) return callback(null, null);
+                if (doc.data().expiresAt <= Date.now()) { await doc.ref.delete(); return callback(null, null); }
+                callback(null, JSON.parse(doc.data().data));
+            }).catch(callback);
+        }
+        set(sid, sessionData, callback = () => {}) {
+            collection.doc(sid).set({ data: JSON.stringify(sessionData), expiresAt: expiresAt(sessionData) }).then(() => callback(null), callback);
+        }
+        touch(sid, sessionData, callback = () => {}) {
+            this.set(sid, sessionData, callback);
+        }
+        destroy(sid, callback = () => {}) {
+            collection.doc(sid).delete().then(() => callback(null), callback);
+        }
+    }
+    return new LocalSessionStore();
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,484 @@
+// lib/storage/localDb.js - Embedded document database implementing the subset of the Firestore API used by the planner.
+// Documents are kept in memory and written to one JSON file after every commit (temp file + rename, so the file is never half written).
+// Writes, batches and transactions are serialised through one queue; this is meant for local development and tests, not for several processes.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const NOT_FOUND = 5; // Firestore/gRPC status code for missing documents
+
+// notFoundError(message) - Error shaped like the ones thrown by the Firestore client
+function notFoundError(message) {
+    const error = new Error(`${NOT_FOUND} NOT_FOUND: ${message}`);
+    error.code = NOT_FOUND;
+    return error;
+}
+
+// autoId() - 20 character document id like the ones generated by Firestore
+function autoId() {
+    const bytes = crypto.randomBytes(20);
+    return Array.from(bytes, byte => AUTO_ID_CHARS[byte % AUTO_ID_CHARS.length]).join('');
+}
+
+// --- Value Types (Timestamp, FieldValue, FieldPath) ---
+
+let lastNowMicros = 0;
+
+class Timestamp {
+    constructor(seconds, nanoseconds) {
+        // Same checks as the Firestore client, so invalid dates fail on both backends
+        if (!Number.isInteger(seconds) || !Number.isInteger(nanoseconds) || nanoseconds < 0 || nanoseconds >= 1e9) throw new Error(`Invalid Timestamp (seconds: ${seconds}, nanoseconds: ${nanoseconds})`);
+        this.seconds = seconds;
+        this.nanoseconds = nanoseconds;
+    }
+    static fromMillis(millis) {
+        return new Timestamp(Math.floor(millis / 1000), Math.round((millis % 1000 + 1000) % 1000) * 1e6);
+    }
+    static fromDate(date) {
+        return Timestamp.fromMillis(date.getTime());
+    }
+    // now() - Strictly increasing (microsecond steps), so entries written in the same millisecond keep their order
+    static now() {
+        const micros = Math.max(Date.now() * 1000, lastNowMicros + 1);
+        lastNowMicros = micros;
+        return new Timestamp(Math.floor(micros / 1e6), (micros % 1e6) * 1000);
+    }
+    toMillis() {
+        return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+    }
+    toDate() {
+        return new Date(this.toMillis());
+    }
+    isEqual(other) {
+        return other instanceof Timestamp && other.seconds === this.seconds && other.nanoseconds === this.nanoseconds;
+    }
+    valueOf() { // Same idea as the Firestore client: makes <, > and sorting work
+        return `${String(this.seconds + 1e12).padStart(14, '0')}.${String(this.nanoseconds).padStart(9, '0')}`;
+    }
+}
+
+class FieldValue {
+    constructor(kind, operand) {
+        this.kind = kind;
+        this.operand = operand;
+    }
+    static serverTimestamp() { return new FieldValue('serverTimestamp'); }
+    static delete() { return new FieldValue('delete'); }
+    static increment(n) { return new FieldValue('increment', n); }
+    static arrayUnion(...elements) { return new FieldValue('arrayUnion', elements); }
+    static arrayRemove(...elements) { return new FieldValue('arrayRemove', elements); }
+}
+
+class FieldPath {
+    constructor(...segments) {
+        this.segments = segments;
+    }
+}
+
+// toSegments(field) - 'a.b' or FieldPath('a', 'b') -> ['a', 'b']
+function toSegments(field) {
+    return field instanceof FieldPath ? field.segments : String(field).split('.');
+}
+
+// --- Value Helpers ---
+
+// cloneValue(value) - Deep copy of stored data (Timestamps are immutable and shared)
+function cloneValue(value) {
+    if (Array.isArray(value)) return value.map(cloneValue);
+    if (value && typeof value === 'object' && !(value instanceof Timestamp) && !(value instanceof FieldValue)) {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, cloneValue(inner)]));
+    }
+    return value;
+}
+
+// getField(data, segments) - Value at a field path, undefined if missing
+function getField(data, segments) {
+    return segments.reduce((value, segment) => (value && typeof value === 'object' && !(value instanceof Timestamp) ? value[segment] : undefined), data);
+}
+
+// isEqualValue(a, b) - Deep equality of stored values
+function isEqualValue(a, b) {
+    return compareValues(a, b) === 0;
+}
+
+// typeOrder(value) - Sort order of value types across types (as in Firestore: null < booleans < numbers < timestamps < strings < arrays < maps)
+function typeOrder(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'boolean') return 1;
+    if (typeof value === 'number') return 2;
+    if (value instanceof Timestamp) return 3;
+    if (typeof value === 'string') return 4;
+    if (Array.isArray(value)) return 5;
+    return 6;
+}
+
+// compareValues(a, b) - Total order of stored values (-1, 0, 1)
+function compareValues(a, b) {
+    const typeDiff = typeOrder(a) - typeOrder(b);
+    if (typeDiff !== 0) return Math.sign(typeDiff);
+    if (a === null || a === undefined) return 0;
+    if (a instanceof Timestamp) return Math.sign(a.seconds - b.seconds || a.nanoseconds - b.nanoseconds);
+    if (Array.isArray(a)) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) { const diff = compareValues(a[i], b[i]); if (diff !== 0) return diff; }
+        return Math.sign(a.length - b.length);
+    }
+    if (typeof a === 'object') {
+        const aKeys = Object.keys(a).sort(); const bKeys = Object.keys(b).sort();
+        for (let i = 0; i < Math.min(aKeys.length, bKeys.length); i++) {
+            if (aKeys[i] !== bKeys[i]) return aKeys[i] < bKeys[i] ? -1 : 1;
+            const diff = compareValues(a[aKeys[i]], b[bKeys[i]]); if (diff !== 0) return diff;
+        }
+        return Math.sign(aKeys.length - bKeys.length);
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// resolveValue(current, value) - Applies a FieldValue sentinel to the current field value
+function resolveValue(current, value) {
+    if (!(value instanceof FieldValue)) {
+        if (value && typeof value === 'object' && !(value instanceof Timestamp) && !Array.isArray(value)) {
+            return Object.fromEntries(Object.entries(value).filter(([, inner]) => !(inner instanceof FieldValue && inner.kind === 'delete')).map(([key, inner]) => [key, resolveValue(undefined, inner)]));
+        }
+        return cloneValue(value);
+    }
+    switch (value.kind) {
+        case 'serverTimestamp': return Timestamp.now();
+        case 'increment': return (typeof current === 'number' ? current : 0) + value.operand;
+        case 'arrayUnion': { const list = Array.isArray(current) ? [...current] : []; value.operand.forEach(element => { if (!list.some(existing => isEqualValue(existing, element))) list.push(cloneValue(element)); }); return list; }
+        case 'arrayRemove': return (Array.isArray(current) ? current : []).filter(existing => !value.operand.some(element => isEqualValue(existing, element)));
+        default: throw new Error(`Unsupported FieldValue: ${value.kind}`);
+    }
+}
+
+// setField(data, segments, value) - Sets (or with FieldValue.delete() removes) a nested field in place
+function setField(data, segments, value) {
+    const parent = segments.slice(0, -1).reduce((object, segment) => {
+        if (!object[segment] || typeof object[segment] !== 'object' || object[segment] instanceof Timestamp) object[segment] = {};
+        return object[segment];
+    }, data);
+    const last = segments[segments.length - 1];
+    if (value instanceof FieldValue && value.kind === 'delete') delete parent[last];
+    else parent[last] = resolveValue(parent[last], value);
+}
+
+// mergeData(target, source) - set(..., { merge: true }): nested maps are merged, everything else is replaced
+function mergeData(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+        const isMap = value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Timestamp) && !(value instanceof FieldValue);
+        if (isMap && target[key] && typeof target[key] === 'object' && !(target[key] instanceof Timestamp) && !Array.isArray(target[key])) mergeData(target[key], value);
+        else setField(target, [key], value);
+    });
+}
+
+// --- JSON Persistence ---
+
+function encodeValue(value) {
+    if (value instanceof Timestamp) return { $timestamp: [value.seconds, value.nanoseconds] };
+    if (Array.isArray(value)) return value.map(encodeValue);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, encodeValue(inner)]));
+    return value;
+}
+
+function decodeValue(value) {
+    if (Array.isArray(value)) return value.map(decodeValue);
+    if (value && typeof value === 'object') {
+        if (Array.isArray(value.$timestamp)) return new Timestamp(value.$timestamp[0], value.$timestamp[1]);
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, decodeValue(inner)]));
+    }
+    return value;
+}
+
+// --- Snapshots ---
+
+class DocumentSnapshot {
+    constructor(ref, data) {
+        this.ref = ref;
+        this.id = ref.id;
+        this.exists = data !== undefined;
+        this._data = data;
+    }
+    data() {
+        return this.exists ? cloneValue(this._data) : undefined;
+    }
+    get(field) {
+        return this.exists ? cloneValue(getField(this._data, toSegments(field))) : undefined;
+    }
+}
+
+class QuerySnapshot {
+    constructor(docs) {
+        this.docs = docs;
+        this.size = docs.length;
+        this.empty = docs.length === 0;
+    }
+    forEach(callback) {
+        this.docs.forEach(callback);
+    }
+}
+
+// --- Queries & References ---
+
+const FILTERS = {
+    '==': (value, operand) => isEqualValue(value, operand),
+    '!=': (value, operand) => !isEqualValue(value, operand),
+    '<': (value, operand) => typeOrder(value) === typeOrder(operand) && compareValues(value, operand) < 0,
+    '<=': (value, operand) => typeOrder(value) === typeOrder(operand) && compareValues(value, operand) <= 0,
+    '>': (value, operand) => typeOrder(value) === typeOrder(operand) && compareValues(value, operand) > 0,
+    '>=': (value, operand) => typeOrder(value) === typeOrder(operand) && compareValues(value, operand) >= 0,
+    'in': (value, operand) => operand.some(candidate => isEqualValue(value, candidate)),
+    'not-in': (value, operand) => !operand.some(candidate => isEqualValue(value, candidate)),
+    'array-contains': (value, operand) => Array.isArray(value) && value.some(element => isEqualValue(element, operand)),
+    'array-contains-any': (value, operand) => Array.isArray(value) && value.some(element => operand.some(candidate => isEqualValue(element, candidate))),
+};
+const RANGE_OPERATORS = ['<', '<=', '>', '>=', '!=', 'not-in'];
+
+class Query {
+    constructor(db, collectionPath, options = {}) {
+        this._db = db;
+        this._collectionPath = collectionPath;
+        this._filters = options.filters || [];
+        this._orders = options.orders || [];
+        this._limit = options.limit ?? null;
+        this._startAfter = options.startAfter ?? null;
+        this._select = options.select ?? null;
+    }
+    _with(changes) {
+        return new Query(this._db, this._collectionPath, { filters: this._filters, orders: this._orders, limit: this._limit, startAfter: this._startAfter, select: this._select, ...changes });
+    }
+    where(field, operator, value) {
+        if (!FILTERS[operator]) throw new Error(`Unsupported query operator: ${operator}`);
+        return this._with({ filters: [...this._filters, { segments: toSegments(field), operator, value }] });
+    }
+    orderBy(field, direction = 'asc') {
+        return this._with({ orders: [...this._orders, { segments: toSegments(field), direction }] });
+    }
+    limit(count) {
+        return this._with({ limit: count });
+    }
+    startAfter(...values) {
+        return this._with({ startAfter: values });
+    }
+    select(...fields) {
+        return this._with({ select: fields.map(toSegments) });
+    }
+    // _effectiveOrders() - Like Firestore: inequality fields are ordered first, the document id breaks ties
+    _effectiveOrders() {
+        const orders = [...this._orders];
+        this._filters.filter(filter => RANGE_OPERATORS.includes(filter.operator)).forEach(filter => {
+            if (!orders.some(order => order.segments.join('.') === filter.segments.join('.'))) orders.push({ segments: filter.segments, direction: 'asc' });
+        });
+        return orders;
+    }
+    _run() {
+        const collection = this._db._collection(this._collectionPath);
+        const orders = this._effectiveOrders();
+        let entries = [...collection.entries()]
+            .filter(([, data]) => this._filters.every(filter => { const value = getField(data, filter.segments); return value !== undefined && FILTERS[filter.operator](value, filter.value); }))
+            .filter(([, data]) => orders.every(order => getField(data, order.segments) !== undefined)); // Missing order fields are excluded, as in Firestore
+        const compareEntries = ([aId, aData], [bId, bData]) => {
+            for (const order of orders) {
+                const diff = compareValues(getField(aData, order.segments), getField(bData, order.segments));
+                if (diff !== 0) return order.direction === 'desc' ? -diff : diff;
+            }
+            return aId < bId ? -1 : aId > bId ? 1 : 0;
+        };
+        entries.sort(compareEntries);
+
+        if (this._startAfter) {
+            const [first] = this._startAfter;
+            const cursor = first instanceof DocumentSnapshot
+                ? [first.id, first._data || {}]
+                : [null, Object.fromEntries(orders.map((order, index) => [index, this._startAfter[index]]))];
+            entries = entries.filter(entry => {
+                if (cursor[0] !== null) return compareEntries(entry, cursor) > 0;
+                // Plain values: compare the order fields only
+                for (const [index, order] of orders.entries()) {
+                    if (!(index in cursor[1])) break;
+                    const diff = compareValues(getField(entry[1], order.segments), cursor[1][index]);
+                    if (diff !== 0) return (order.direction === 'desc' ? -diff : diff) > 0;
+                }
+                return false;
+            });
+        }
+        if (this._limit !== null) entries = entries.slice(0, this._limit);
+
+        return new QuerySnapshot(entries.map(([id, data]) => {
+            let visibleData = data;
+            if (this._select) { visibleData = {}; this._select.forEach(segments => { const value = getField(data, segments); if (value !== undefined) setField(visibleData, segments, value); }); }
+            return new DocumentSnapshot(new DocumentReference(this._db, this._collectionPath, id), visibleData);
+        }));
+    }
+    async get() {
+        return this._run();
+    }
+}
+
+class CollectionReference extends Query {
+    constructor(db, collectionPath) {
+        super(db, collectionPath);
+        this.path = collectionPath;
+        this.id = collectionPath.split('/').pop();
+    }
+    doc(id = autoId()) {
+        return new DocumentReference(this._db, this.path, String(id));
+    }
+    async add(data) {
+        const ref = this.doc();
+        await ref.set(data);
+        return ref;
+    }
+}
+
+class DocumentReference {
+    constructor(db, collectionPath, id) {
+        this._db = db;
+        this._collectionPath = collectionPath;
+        this.id = id;
+        this.path = `${collectionPath}/${id}`;
+        this.parent = { id: collectionPath.split('/').pop(), path: collectionPath };
+    }
+    collection(name) {
+        return new CollectionReference(this._db, `${this.path}/${name}`);
+    }
+    _snapshot() {
+        return new DocumentSnapshot(this, this._db._collection(this._collectionPath).get(this.id));
+    }
+    async get() {
+        return this._snapshot();
+    }
+    set(data, options = {}) {
+        return this._db._commit([{ type: 'set', ref: this, data, options }]);
+    }
+    update(dataOrField, ...moreFieldsAndValues) {
+        return this._db._commit([{ type: 'update', ref: this, data: toUpdateData(dataOrField, moreFieldsAndValues) }]);
+    }
+    delete() {
+        return this._db._commit([{ type: 'delete', ref: this }]);
+    }
+}
+
+// toUpdateData(dataOrField, moreFieldsAndValues) - update({ 'a.b': 1 }) / update('a.b', 1, new FieldPath('c'), 2) -> [[segments, value]]
+function toUpdateData(dataOrField, moreFieldsAndValues) {
+    if (typeof dataOrField === 'string' || dataOrField instanceof FieldPath) {
+        const fieldsAndValues = [dataOrField, ...moreFieldsAndValues];
+        const pairs = [];
+        for (let i = 0; i < fieldsAndValues.length; i += 2) pairs.push([toSegments(fieldsAndValues[i]), fieldsAndValues[i + 1]]);
+        return pairs;
+    }
+    return Object.entries(dataOrField).map(([field, value]) => [toSegments(field), value]);
+}
+
+// --- Batches & Transactions ---
+
+class WriteBatch {
+    constructor(db) {
+        this._db = db;
+        this._writes = [];
+    }
+    set(ref, data, options = {}) { this._writes.push({ type: 'set', ref, data, options }); return this; }
+    update(ref, dataOrField, ...moreFieldsAndValues) { this._writes.push({ type: 'update', ref, data: toUpdateData(dataOrField, moreFieldsAndValues) }); return this; }
+    delete(ref) { this._writes.push({ type: 'delete', ref }); return this; }
+    commit() { return this._db._commit(this._writes); }
+}
+
+class Transaction {
+    constructor(db) {
+        this._db = db;
+        this._writes = [];
+    }
+    async get(refOrQuery) {
+        return refOrQuery instanceof DocumentReference ? refOrQuery._snapshot() : refOrQuery._run();
+    }
+    set(ref, data, options = {}) { this._writes.push({ type: 'set', ref, data, options }); return this; }
+    update(ref, dataOrField, ...moreFieldsAndValues) { this._writes.push({ type: 'update', ref, data: toUpdateData(dataOrField, moreFieldsAndValues) }); return this; }
+    delete(ref) { this._writes.push({ type: 'delete', ref }); return this; }
+}
+
+// --- Database ---
+
+class LocalDatabase {
+    /**
+     * filePath: JSON file the data is loaded from and saved to (null = memory only)
+     */
+    constructor({ filePath = null } = {}) {
+        this._filePath = filePath;
+        this._collections = new Map(); // collection path -> Map(id -> data)
+        this._queue = Promise.resolve(); // Serialises commits and transactions
+        if (filePath && fs.existsSync(filePath)) {
+            const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            Object.entries(stored).forEach(([collectionPath, docs]) => {
+                this._collections.set(collectionPath, new Map(Object.entries(docs).map(([id, data]) => [id, decodeValue(data)])));
+            });
+        }
+    }
+    collection(name) {
+        return new CollectionReference(this, name);
+    }
+    batch() {
+        return new WriteBatch(this);
+    }
+    // runTransaction(updateFunction) - Runs exclusively (no other write can interleave), writes are applied when the function resolves
+    runTransaction(updateFunction) {
+        return this._exclusive(async () => {
+            const transaction = new Transaction(this);
+            const result = await updateFunction(transaction);
+            this._apply(transaction._writes);
+            return result;
+        });
+    }
+    _collection(collectionPath) {
+        if (!this._collections.has(collectionPath)) this._collections.set(collectionPath, new Map());
+        return this._collections.get(collectionPath);
+    }
+    _exclusive(task) {
+        const run = this._queue.then(task);
+        this._queue = run.catch(() => {});
+        return run;
+    }
+    _commit(writes) {
+        return this._exclusive(async () => { this._apply(writes); });
+    }
+    // _apply(writes) - Applies all writes or none (update on a missing document fails the whole commit)
+    _apply(writes) {
+        if (writes.length === 0) return;
+        writes.forEach(write => {
+            if (write.type === 'update' && !this._collection(write.ref._collectionPath).has(write.ref.id)) throw notFoundError(`No document to update: ${write.ref.path}`);
+        });
+        const staged = new Map(); // path -> new data (undefined = deleted), later writes see earlier ones
+        const current = ref => (staged.has(ref.path) ? staged.get(ref.path) : this._collection(ref._collectionPath).get(ref.id));
+        writes.forEach(write => {
+            if (write.type === 'delete') { staged.set(write.ref.path, undefined); return; }
+            if (write.type === 'set') {
+                const data = write.options.merge ? cloneValue(current(write.ref) || {}) : {};
+                mergeData(data, write.data);
+                staged.set(write.ref.path, data);
+                return;
+            }
+            const data = cloneValue(current(write.ref));
+            if (data === undefined) throw notFoundError(`No document to update: ${write.ref.path}`);
+            write.data.forEach(([segments, value]) => setField(data, segments, value));
+            staged.set(write.ref.path, data);
+        });
+        writes.forEach(write => {
+            const collection = this._collection(write.ref._collectionPath);
+            const data = staged.get(write.ref.path);
+            if (data === undefined) collection.delete(write.ref.id); else collection.set(write.ref.id, data);
+        });
+        this._save();
+    }
+    _save() {
+        if (!this._filePath) return;
+        const stored = {};
+        this._collections.forEach((docs, collectionPath) => {
+            if (docs.size > 0) stored[collectionPath] = Object.fromEntries([...docs.entries()].map(([id, data]) => [id, encodeValue(data)]));
+        });
+        fs.mkdirSync(path.dirname(this._filePath), { recursive: true });
+        const tempFile = `${this._filePath}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(stored));
+        fs.renameSync(tempFile, this._filePath);
+    }
+}
+
+module.exports = { LocalDatabase, Timestamp, FieldValue, FieldPath };
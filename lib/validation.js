@@ -0,0 +1,123 @@
+// lib/validation.js - Validation shared by the add/edit forms, the bulk import and the sheet sync (event fields) and the resource catalogue.
+// Errors are reported per field ({ field: message }), so the forms can show them next to the input, plus a stable code per field
+// ({ field: code }) that the frontend translates.
+
+const { isValidDate } = require('./recurrence');
+const { MAX_EVENT_DAYS } = require('./eventTimes');
+const { DEFAULT_RESOURCES, resolveResourceIds } = require('./resources');
+
+const EVENT_TYPES = ['Öffentlich', 'Privat'];
+const DEFAULT_EVENT_TYPE = 'Öffentlich';
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/; // 'HH:MM', 00:00 - 23:59
+// Max. length of the text fields (characters)
+const FIELD_LIMITS = { title: 120, responsible: 120, description: 5000, participantInfo: 2000 };
+const RESOURCE_FIELD_LIMITS = { name: 60, description: 300 };
+const MAX_RESOURCE_QUANTITY = 100;
+const MAX_SORT_ORDER = 999;
+
+// createErrors() - Collects the per-field errors and codes of a validation, add(field, code, message) records one
+function createErrors() {
+    const errors = {};
+    const codes = {};
+    return { errors, codes, add: (field, code, message) => { errors[field] = message; codes[field] = code; } };
+}
+
+// readText(input, field) - Trimmed text value of a field ('' if missing)
+function readText(input, field) {
+    const value = input[field];
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Validates the event fields of a request body / import row (values as sent by the forms: strings,
+ * resources as array or comma-joined string of resource ids or names).
+ * options.resources: resources that may be booked (active catalogue entries, see lib/resources.js)
+ * Returns { value: { title, eventDate, startTime, endDate, endTime, description, resources, responsible, eventType, participantInfo } }
+ * (dates as 'YYYY-MM-DD', endDate defaults to eventDate, resources as array of ids) or { errors: { field: message }, codes: { field: code } }.
+ * Events may span up to MAX_EVENT_DAYS calendar days; on a single day the end time must be after the start time.
+ */
+function validateEventFields(input, { resources = DEFAULT_RESOURCES } = {}) {
+    const { errors, codes, add } = createErrors();
+    const value = {};
+    Object.keys(FIELD_LIMITS).forEach(field => {
+        value[field] = readText(input, field);
+        if (value[field].length > FIELD_LIMITS[field]) add(field, 'too_long', `${field} must not be longer than ${FIELD_LIMITS[field]} characters.`);
+    });
+    if (!value.title && !errors.title) add('title', 'required', 'Title is required.');
+
+    value.eventDate = readText(input, 'eventDate');
+    if (!value.eventDate) add('eventDate', 'required', 'Date is required.');
+    else if (!isValidDate(value.eventDate)) add('eventDate', 'invalid_date', 'Invalid date. Please use an existing date in the format YYYY-MM-DD.');
+
+    value.endDate = readText(input, 'endDate') || value.eventDate;
+    if (value.endDate !== value.eventDate && !errors.eventDate) {
+        const days = (Date.parse(value.endDate) - Date.parse(value.eventDate)) / (24 * 60 * 60 * 1000) + 1;
+        if (!isValidDate(value.endDate)) add('endDate', 'invalid_date', 'Invalid end date. Please use an existing date in the format YYYY-MM-DD.');
+        else if (days < 1) add('endDate', 'end_date_before_start', 'The end date must not be before the start date.');
+        else if (days > MAX_EVENT_DAYS) add('endDate', 'event_too_long', `An event may last at most ${MAX_EVENT_DAYS} days.`);
+    }
+
+    ['startTime', 'endTime'].forEach(field => {
+        value[field] = readText(input, field);
+        if (value[field] && !TIME_PATTERN.test(value[field])) add(field, 'invalid_time', 'Invalid time. Please use HH:MM (00:00 - 23:59).');
+    });
+    const sameDay = value.endDate === value.eventDate;
+    if (sameDay && value.startTime && value.endTime && !errors.startTime && !errors.endTime && value.endTime <= value.startTime) add('endTime', 'end_before_start', 'The end time must be after the start time.');
+
+    value.eventType = readText(input, 'eventType') || DEFAULT_EVENT_TYPE;
+    if (!EVENT_TYPES.includes(value.eventType)) add('eventType', 'invalid_event_type', `Invalid event type. Allowed: ${EVENT_TYPES.join(', ')}.`);
+
+    const { ids, unknown } = resolveResourceIds(input.resources, resources);
+    value.resources = ids;
+    const exclusive = resources.find(resource => resource.exclusive && ids.includes(resource.id));
+    if (unknown.length > 0) add('resources', 'unknown_resources', `Unknown resources: ${unknown.join(', ')}.`);
+    else if (exclusive && ids.length > 1) add('resources', 'exclusive_resource', `${exclusive.name} cannot be combined with other resources.`);
+
+    return Object.keys(errors).length > 0 ? { errors, codes } : { value };
+}
+
+// readInteger(value, fallback) - Integer of a form/JSON value, fallback if empty, NaN if not an integer
+function readInteger(value, fallback) {
+    if (value === undefined || value === null || String(value).trim() === '') return fallback;
+    const number = Number(value);
+    return Number.isInteger(number) ? number : NaN;
+}
+
+/**
+ * Validates the fields of a catalogue resource (POST/PUT /api/resources, JSON body).
+ * With partial, only the fields present in the input are checked and returned (updates).
+ * Returns { value: { name, description, quantity, active, exclusive, sortOrder } } or { errors: { field: message }, codes: { field: code } }.
+ */
+function validateResourceFields(input, { partial = false } = {}) {
+    const { errors, codes, add } = createErrors();
+    const value = {};
+    const has = field => !partial || input[field] !== undefined;
+    Object.keys(RESOURCE_FIELD_LIMITS).forEach(field => {
+        if (!has(field)) return;
+        value[field] = readText(input, field);
+        if (value[field].length > RESOURCE_FIELD_LIMITS[field]) add(field, 'too_long', `${field} must not be longer than ${RESOURCE_FIELD_LIMITS[field]} characters.`);
+    });
+    if (has('name') && !value.name) add('name', 'required', 'Name is required.');
+    else if (has('name') && value.name.includes(',')) add('name', 'name_contains_comma', 'The name must not contain commas.'); // Resources of older events are comma-joined names
+
+    if (has('quantity')) {
+        value.quantity = readInteger(input.quantity, 1);
+        if (!(value.quantity >= 1 && value.quantity <= MAX_RESOURCE_QUANTITY)) add('quantity', 'invalid_quantity', `Quantity must be a whole number between 1 and ${MAX_RESOURCE_QUANTITY}.`);
+    }
+    if (input.sortOrder !== undefined) {
+        value.sortOrder = readInteger(input.sortOrder, 0);
+        if (!(value.sortOrder >= 0 && value.sortOrder <= MAX_SORT_ORDER)) add('sortOrder', 'invalid_sort_order', `Sort order must be a whole number between 0 and ${MAX_SORT_ORDER}.`);
+    }
+    ['active', 'exclusive'].forEach(flag => {
+        if (!has(flag)) return;
+        value[flag] = input[flag] === undefined ? flag === 'active' : input[flag] === true || input[flag] === 'true'; // New resources are active, not exclusive
+    });
+    return Object.keys(errors).length > 0 ? { errors, codes } : { value };
+}
+
+// formatValidationErrors(errors) - All messages of a validation result as one sentence list (API message, import/sync reports)
+function formatValidationErrors(errors) {
+    return Object.values(errors).join(' ');
+}
+
+module.exports = { EVENT_TYPES, DEFAULT_EVENT_TYPE, FIELD_LIMITS, validateEventFields, validateResourceFields, formatValidationErrors };
@@ -0,0 +1,94 @@
+// migrate-event-times.js - Converts stored events from the old time format (eventDate as Timestamp at UTC midnight plus free-text
+// startTime/endTime) into the start and end instants startAt/endAt in Europe/Zurich that allow multi-day events (lib/eventTimes.js).
+//
+// Usage: node migrate-event-times.js [options]
+//   --dry-run        Only report what would be converted
+//
+// Times are read from their leading 'HH:MM' ('19:00 Uhr' -> 19:00), an end time before the start time runs into the next day.
+// Times that cannot be read are dropped (the event then starts at midnight / books the rest of its day) and listed, so they can
+// be checked in the planner. Overrides of single series occurrences keep their wall-clock fields and get their end date.
+// Already converted events are skipped, the script can be run repeatedly.
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const { createStorage } = require('./lib/storage'); // Same storage backend as the server (STORAGE_BACKEND)
+const { toStoredTimes, fromLegacyFields } = require('./lib/eventTimes');
+
+const FIRESTORE_COLLECTION = 'events';
+const BATCH_SIZE = 400; // Firestore batch limit is 500 operations
+
+// formatRange(fields) - Wall-clock fields as readable range for the report, e.g. '2026-12-31 22:00 - 2027-01-01 02:00'
+function formatRange({ eventDate, startTime, endDate, endTime }) {
+  const start = `${eventDate}${startTime ? ` ${startTime}` : ''}`;
+  const end = `${endDate === eventDate ? '' : endDate}${endTime ? ` ${endTime}` : ''}`.trim();
+  return end ? `${start} - ${end}` : start;
+}
+
+/**
+ * Builds the update of one event document: { update, range, unparsed } or null if it is already converted.
+ * Timestamp/FieldValue: value types of the storage backend.
+ */
+function planEventUpdate(data, { Timestamp, FieldValue }) {
+  const update = {}; const unparsed = []; let range = null;
+  if (!data.startAt && data.eventDate) {
+    const { unparsed: unparsedTimes, ...fields } = fromLegacyFields(data);
+    const { startAt, endAt, allDay, openEnd } = toStoredTimes(fields);
+    Object.assign(update, { startAt: Timestamp.fromDate(startAt), endAt: Timestamp.fromDate(endAt), allDay, openEnd, eventDate: FieldValue.delete(), startTime: FieldValue.delete(), endTime: FieldValue.delete() });
+    unparsed.push(...unparsedTimes);
+    range = formatRange(fields);
+  }
+  Object.entries(data.exceptions || {}).forEach(([date, exception]) => {
+    if (!exception?.eventDate || exception.cancelled || 'endDate' in exception) return; // Only moved/edited occurrences carry times
+    const { unparsed: unparsedTimes, ...fields } = fromLegacyFields(exception);
+    update[`exceptions.${date}`] = { ...exception, ...fields };
+    unparsed.push(...unparsedTimes);
+  });
+  return Object.keys(update).length > 0 ? { update, range, unparsed } : null;
+}
+
+/**
+ * Main migration function
+ */
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (options.help) {
+    console.log('Usage: node migrate-event-times.js [--dry-run]');
+    return;
+  }
+
+  const storage = createStorage();
+  const { db } = storage;
+  const snapshot = await db.collection(FIRESTORE_COLLECTION).get();
+  const converted = [];
+  snapshot.forEach(doc => {
+    const plan = planEventUpdate(doc.data(), storage);
+    if (plan) converted.push({ doc, title: doc.data().title || '', ...plan });
+  });
+
+  if (!options['dry-run']) {
+    let batch = db.batch();
+    let batchCounter = 0;
+    for (const item of converted) {
+      batch.update(item.doc.ref, item.update);
+      if (++batchCounter >= BATCH_SIZE) { await batch.commit(); batch = db.batch(); batchCounter = 0; }
+    }
+    if (batchCounter > 0) await batch.commit();
+  }
+
+  const withUnparsed = converted.filter(item => item.unparsed.length > 0);
+  console.log(`${options['dry-run'] ? 'Dry run - nothing was written.' : 'Migration finished.'} ${snapshot.size} events checked.`);
+  converted.forEach(item => console.log(`  [convert] ${item.doc.id} ${item.title}${item.range ? `: ${item.range}` : ' (series occurrences)'}${item.unparsed.length > 0 ? ` (unreadable times dropped: ${item.unparsed.join(', ')})` : ''}`));
+  console.log(`\nSummary: ${converted.length} ${options['dry-run'] ? 'to convert' : 'converted'}, ${withUnparsed.length} with unreadable times${withUnparsed.length > 0 ? ' (please check them in the planner)' : ''}.`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error("\nMigration failed:", error.message);
+    process.exitCode = 1;
+  });
+}
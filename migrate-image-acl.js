@@ -0,0 +1,52 @@
+// migrate-image-acl.js - Makes the images in the bucket private that older versions uploaded with a public-read ACL.
+// Since then images are only served through GET /api/images/:name, which applies the privacy rules of the owning event.
+//
+// Usage: node migrate-image-acl.js [options]
+//   --dry-run        Only report which images are still public
+//
+// Buckets with uniform bucket-level access have no object ACLs: there, remove allUsers from the bucket's IAM policy instead.
+// Images on the local backend are never public. Private images are skipped, the script can be run repeatedly.
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const { createStorage } = require('./lib/storage'); // Same storage backend as the server (STORAGE_BACKEND)
+
+/**
+ * Main migration function
+ */
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (options.help) {
+    console.log('Usage: node migrate-image-acl.js [--dry-run]');
+    return;
+  }
+
+  const { images } = createStorage();
+  const objectNames = await images.list();
+  const changed = []; const failed = [];
+  for (const objectName of objectNames) {
+    try {
+      if (!(await images.isPublic(objectName))) continue;
+      if (!options['dry-run']) await images.makePrivate(objectName);
+      changed.push(objectName);
+    } catch (error) { failed.push({ objectName, reason: error.message }); }
+  }
+
+  console.log(`${options['dry-run'] ? 'Dry run - nothing was changed.' : 'Migration finished.'} ${objectNames.length} images checked.`);
+  changed.forEach(objectName => console.log(`  [private] ${objectName}`));
+  failed.forEach(item => console.log(`  [failed] ${item.objectName}: ${item.reason}`));
+  console.log(`\nSummary: ${changed.length} ${options['dry-run'] ? 'to make private' : 'made private'}, ${failed.length} failed.`);
+  if (failed.length > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error("\nMigration failed:", error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,95 @@
+// migrate-resources.js - Converts the resources of stored events from comma-joined labels ('Beamer und Sofa, Flipperkasten')
+// into arrays of resource ids (['beamer-sofa', 'flipperkasten']), including the overrides of single series occurrences.
+//
+// Usage: node migrate-resources.js [options]
+//   --dry-run        Only report what would be converted
+//   --drop-unknown   Also convert events with labels that are not in the resource catalogue, dropping those labels
+//
+// Without --drop-unknown, events with unknown labels are listed and left unchanged, so they can be fixed in the planner first.
+// Already converted events are skipped, the script can be run repeatedly.
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const { createStorage } = require('./lib/storage'); // Same storage backend as the server (STORAGE_BACKEND)
+const { resolveResourceIds, getExclusiveIds, loadResources } = require('./lib/resources');
+
+const FIRESTORE_COLLECTION = 'events';
+const BATCH_SIZE = 400; // Firestore batch limit is 500 operations
+
+/**
+ * Converts one stored resources value with the names and ids of the catalogue.
+ * Returns null if it is already an array of ids, otherwise { ids, unknown }.
+ */
+function convertResources(value, catalogue) {
+  const { ids, unknown } = resolveResourceIds(value, catalogue);
+  if (Array.isArray(value) && unknown.length === 0 && ids.length === value.length && ids.every((id, i) => id === value[i])) return null;
+  // An exclusive resource (whole room) already blocks everything else (the forms never allowed combining it)
+  const exclusiveId = getExclusiveIds(catalogue).find(id => ids.includes(id));
+  return { ids: exclusiveId ? [exclusiveId] : ids, unknown };
+}
+
+/**
+ * Builds the update of one event document: { update, unknown } or null if nothing has to be converted.
+ */
+function planEventUpdate(data, catalogue) {
+  const update = {}; const unknown = [];
+  const converted = 'resources' in data ? convertResources(data.resources, catalogue) : null;
+  if (converted) { update.resources = converted.ids; unknown.push(...converted.unknown); }
+  Object.entries(data.exceptions || {}).forEach(([date, exception]) => {
+    const convertedException = exception && 'resources' in exception ? convertResources(exception.resources, catalogue) : null;
+    if (!convertedException) return;
+    update[`exceptions.${date}.resources`] = convertedException.ids;
+    unknown.push(...convertedException.unknown);
+  });
+  return Object.keys(update).length > 0 ? { update, unknown: [...new Set(unknown)] } : null;
+}
+
+/**
+ * Main migration function
+ */
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      'drop-unknown': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (options.help) {
+    console.log('Usage: node migrate-resources.js [--dry-run] [--drop-unknown]');
+    return;
+  }
+
+  const { db } = createStorage();
+  const catalogue = await loadResources(db.collection('resources')); // Retired resources included, old events may book them
+  const snapshot = await db.collection(FIRESTORE_COLLECTION).get();
+  const converted = []; const blocked = [];
+  snapshot.forEach(doc => {
+    const plan = planEventUpdate(doc.data(), catalogue);
+    if (!plan) return;
+    const item = { doc, title: doc.data().title || '', ...plan };
+    if (plan.unknown.length > 0 && !options['drop-unknown']) blocked.push(item); else converted.push(item);
+  });
+
+  if (!options['dry-run']) {
+    let batch = db.batch();
+    let batchCounter = 0;
+    for (const item of converted) {
+      batch.update(item.doc.ref, item.update);
+      if (++batchCounter >= BATCH_SIZE) { await batch.commit(); batch = db.batch(); batchCounter = 0; }
+    }
+    if (batchCounter > 0) await batch.commit();
+  }
+
+  console.log(`${options['dry-run'] ? 'Dry run - nothing was written.' : 'Migration finished.'} ${snapshot.size} events checked.`);
+  converted.forEach(item => console.log(`  [convert] ${item.doc.id} ${item.title}${item.unknown.length > 0 ? ` (dropped: ${item.unknown.join(', ')})` : ''}`));
+  blocked.forEach(item => console.log(`  [unknown] ${item.doc.id} ${item.title}: ${item.unknown.join(', ')}`));
+  console.log(`\nSummary: ${converted.length} ${options['dry-run'] ? 'to convert' : 'converted'}, ${blocked.length} left unchanged because of unknown resources${blocked.length > 0 ? ' (fix them or re-run with --drop-unknown)' : ''}.`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error("\nMigration failed:", error.message);
+    process.exitCode = 1;
+  });
+}
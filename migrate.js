@@ -1,225 +1,342 @@
-// import-from-sheet.js
+// migrate.js - Syncs the events from the Google Sheet (or a CSV/XLSX export of it) into the events collection
+//
+// Usage: node migrate.js [options]
+//   --file <path>          Read a local .csv or .xlsx export instead of the Google Sheet
+//   --spreadsheet <id>     Google Sheet ID (default: GOOGLE_SPREADSHEET_ID or the EBZ sheet)
+//   --sheet <name>         Sheet tab / worksheet of an .xlsx file (default: 'Formularantworten 1')
+//   --mapping <path>       Mapping file (default: migrate-mapping.json next to this script)
+//   --dry-run              Only report what would be created, updated and skipped
+//   --report <path>        Also write the summary report as JSON
+//
+// Every row is identified by its key column (Google Forms' 'Zeitstempel' by default), stored as importKey on the event.
+// Re-runs therefore update the events of changed rows and skip unchanged ones instead of creating duplicates.
+// The sheet wins for the mapped fields; fields not in the mapping (image, registration, ...) are left alone.
+// Rows are checked with the rules of the planner forms (times HH:MM, known resources, ...); invalid rows are rejected.
+// Date and times are read as Europe/Zurich wall-clock time and stored as the instants startAt/endAt (lib/eventTimes.js);
+// an optional endDate column allows events over several days.
 require('dotenv').config();
 
-const { google } = require('googleapis');
-const { GoogleAuth } = require('google-auth-library');
-const { Firestore, Timestamp, FieldValue } = require('@google-cloud/firestore');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createStorage } = require('./lib/storage'); // Same storage backend as the server (STORAGE_BACKEND)
+const { parseCsv } = require('./lib/csv');
+const { diffFields } = require('./lib/history');
+const { validateEventFields, formatValidationErrors } = require('./lib/validation'); // Same field rules as the planner forms
+const { loadResources } = require('./lib/resources');
+const { isValidDate } = require('./lib/recurrence');
+const { toStoredTimes, toZonedDateTime } = require('./lib/eventTimes'); // Start/end instants in Europe/Zurich
 
 // --- Configuration ---
-const SPREADSHEET_ID = '1v213UqdChUATSQoTeOl_poaZj17MbXRAjk8nJXKzyXQ';
-const SHEET_NAME = 'Formularantworten 1'; // Exact name of the sheet tab
-const SHEET_RANGE = 'A:J'; // Adjust range to include all columns (A to J based on previous config)
+const DEFAULT_SPREADSHEET_ID = process.env.GOOGLE_SPREADSHEET_ID || '1v213UqdChUATSQoTeOl_poaZj17MbXRAjk8nJXKzyXQ';
+const DEFAULT_SHEET_NAME = 'Formularantworten 1'; // Exact name of the sheet tab
+const DEFAULT_MAPPING_FILE = path.join(__dirname, 'migrate-mapping.json');
+const SHEET_RANGE = 'A:Z'; // Columns read from the Google Sheet (the mapping picks the relevant ones by header)
 const HEADER_ROW = 1; // Row number where headers are located
-const FIRESTORE_COLLECTION = 'events'; // Target Firestore collection
-
-// Column order/names *as they appear in the Google Sheet*
-// Adjust this if your Sheet order differs slightly or you want to skip columns
-const SHEET_COLUMN_ORDER = [
-    'Wann findet der Event statt?', // A
-    'Event Titel',                 // B
-    'Wann starter der Event?',       // C
-    'Wann ist der Event zu Ende?', // D
-    'Um was geht es bei dem Event?', // E
-    'Welche Ressourcen brauchst du?', // F
-    'Wer ist für den Event Verantwortlich?', // G
-    'Event Typ',                   // H
-    'Zusatzinfo Teilnehmer',       // I (Previously 'Teilnehmer Info')
-    'Zeitstempel'                  // J
-];
-
-// Mapping from Sheet Column Name to Firestore Field Name
-// Use the keys your backend/frontend now expect
-const fieldMapping = {
-    'Event Titel': 'title',
-    'Wann findet der Event statt?': 'eventDate', // Will be converted to Timestamp
-    'Wann starter der Event?': 'startTime',
-    'Wann ist der Event zu Ende?': 'endTime',
-    'Um was geht es bei dem Event?': 'description',
-    'Welche Ressourcen brauchst du?': 'resources',
-    'Wer ist für den Event Verantwortlich?': 'responsible',
-    'Event Typ': 'eventType',
-    'Zusatzinfo Teilnehmer': 'participantInfo',
-    // 'Zeitstempel': 'createdAt' // We might want Firestore to generate this
-};
-
-
-// --- Initialize Clients ---
-const db = new Firestore();
-const sheets = google.sheets('v4');
+const FIRESTORE_COLLECTION = 'events'; // Target collection
+const IMPORTABLE_FIELDS = ['title', 'eventDate', 'startTime', 'endDate', 'endTime', 'description', 'resources', 'responsible', 'eventType', 'participantInfo'];
+const TIME_FIELDS = ['eventDate', 'startTime', 'endDate', 'endTime']; // Stored together as startAt/endAt/allDay/openEnd
+const BATCH_SIZE = 400; // Firestore batch limit is 500 operations
+const IN_QUERY_LIMIT = 30; // Firestore 'in' queries accept max. 30 values
+
+const ACTION_CREATE = 'create';
+const ACTION_UPDATE = 'update';
+const ACTION_UNCHANGED = 'unchanged';
+const ACTION_SKIP = 'skip';
+
+let db; let Timestamp; let FieldValue; // Set by main() from the configured storage backend (STORAGE_BACKEND)
 
 /**
- * Parses various date string formats from the sheet into a valid Date object.
- * Returns null if parsing fails.
- * (Simplified version focusing on expected formats)
+ * Parses the date formats of the sheet (DD.MM.YYYY, YYYY-MM-DD, MM/DD/YYYY, else whatever Date understands) into 'YYYY-MM-DD'.
+ * Returns null if parsing fails or the date does not exist (e.g. 31.02.2027).
  */
 function parseSheetDate(dateValue) {
-  if (!dateValue) return null;
-  let dateStr = String(dateValue).trim();
+  const dateStr = String(dateValue ?? '').trim();
   if (!dateStr) return null;
+  const formatDate = (year, month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
   let parts;
-
-  // Try DD.MM.YYYY
-  parts = dateStr.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
-  if (parts) {
-    try {
-      // Month is 0-indexed in JS Date constructor (parts[2] is 1-12)
-      const d = new Date(Date.UTC(parts[3], parts[2] - 1, parts[1]));
-      if (!isNaN(d)) return d;
-    } catch (e) {}
+  let date = null;
+
+  if ((parts = dateStr.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/))) date = formatDate(parts[3], parts[2], parts[1]); // DD.MM.YYYY
+  else if ((parts = dateStr.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) date = formatDate(parts[1], parts[2], parts[3]); // YYYY-MM-DD
+  else if ((parts = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) date = formatDate(parts[3], parts[1], parts[2]); // MM/DD/YYYY
+  else {
+    // Fallback (less reliable): Date parses such strings as local time, so its local calendar day is the written one
+    const parsed = new Date(dateStr);
+    if (!isNaN(parsed)) date = formatDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
   }
+  return isValidDate(date) ? date : null;
+}
 
-  // Try YYYY-MM-DD
-  parts = dateStr.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
-   if (parts) {
-     try {
-        const d = new Date(Date.UTC(parts[1], parts[2] - 1, parts[3]));
-        if (!isNaN(d)) return d;
-     } catch(e) {}
-   }
-
-  // Try MM/DD/YYYY
-   parts = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-   if (parts) {
-     try {
-        const d = new Date(Date.UTC(parts[3], parts[1] - 1, parts[2]));
-        if (!isNaN(d)) return d;
-     } catch (e) {}
-   }
-
-  // Fallback attempt (less reliable)
-  try {
-    const d = new Date(dateStr);
-    if (!isNaN(d)) return d;
-  } catch (e) {}
-
-  console.warn(`Could not parse date: "${dateStr}"`);
-  return null;
+
+/**
+ * Loads and checks the mapping file: { "keyColumn": "<column>", "fields": { "<column>": "<event field>" } }.
+ * Throws with a readable message if the file is unusable.
+ */
+function loadMapping(filePath) {
+  let mapping;
+  try { mapping = JSON.parse(fs.readFileSync(filePath, 'utf8')); }
+  catch (error) { throw new Error(`Mapping file ${filePath} could not be read: ${error.message}`); }
+  if (!mapping || typeof mapping.keyColumn !== 'string' || !mapping.keyColumn.trim()) throw new Error(`Mapping file ${filePath}: "keyColumn" is required.`);
+  if (!mapping.fields || typeof mapping.fields !== 'object') throw new Error(`Mapping file ${filePath}: "fields" must map column names to event fields.`);
+  const unknownFields = Object.values(mapping.fields).filter(field => !IMPORTABLE_FIELDS.includes(field));
+  if (unknownFields.length > 0) throw new Error(`Mapping file ${filePath}: unknown event fields ${unknownFields.join(', ')}. Allowed: ${IMPORTABLE_FIELDS.join(', ')}.`);
+  ['title', 'eventDate'].forEach(required => {
+    if (!Object.values(mapping.fields).includes(required)) throw new Error(`Mapping file ${filePath}: no column is mapped to "${required}".`);
+  });
+  return { keyColumn: mapping.keyColumn.trim(), fields: mapping.fields };
 }
 
+// --- Row Sources ---
 
 /**
- * Main import function
+ * Reads all rows of the Google Sheet (values as displayed in the sheet).
  */
-async function importData() {
-  if (!SPREADSHEET_ID) {
-    console.error("Error: GOOGLE_SPREADSHEET_ID is not set in .env file.");
-    return;
+async function readSheetRows(spreadsheetId, sheetName) {
+  // Loaded on demand, so file imports work without Google credentials
+  const { google } = require('googleapis');
+  const { GoogleAuth } = require('google-auth-library');
+  const auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'] });
+  google.options({ auth: await auth.getClient() });
+  console.log(`Fetching data from Sheet ID ${spreadsheetId}, range: ${sheetName}!${SHEET_RANGE}`);
+  const response = await google.sheets('v4').spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!${SHEET_RANGE}`,
+    valueRenderOption: 'FORMATTED_VALUE', // Get dates/numbers as strings
+  });
+  return response.data.values || [];
+}
+
+/**
+ * Converts an Excel cell value into the text the Google Sheet shows (Swiss format), so row keys match between both sources.
+ * Dates become 'DD.MM.YYYY', times (Excel stores them on 1899-12-30) 'HH:MM', timestamps 'DD.MM.YYYY HH:MM:SS'.
+ */
+function formatExcelValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    const iso = value.toISOString(); // Excel dates carry no time zone, exceljs returns them as UTC
+    const date = `${iso.substring(8, 10)}.${iso.substring(5, 7)}.${iso.substring(0, 4)}`;
+    if (value.getUTCFullYear() < 1900) return iso.substring(11, 16);
+    if (iso.endsWith('T00:00:00.000Z')) return date;
+    return `${date} ${iso.substring(11, 19)}`;
   }
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return formatExcelValue(value.result); // Formula
+    if (value.text !== undefined) return String(value.text); // Hyperlink
+  }
+  return String(value);
+}
 
-  console.log(`Starting import from Sheet ID: ${SPREADSHEET_ID}, Sheet: ${SHEET_NAME}`);
-
-  try {
-    // Authenticate for Sheets API
-    const auth = new GoogleAuth({
-      scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly']
-    });
-    const authClient = await auth.getClient();
-    google.options({ auth: authClient });
-
-    // Get data from Google Sheet
-    console.log(`Workspaceing data from range: ${SHEET_NAME}!${SHEET_RANGE}`);
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: SPREADSHEET_ID,
-      range: `${SHEET_NAME}!${SHEET_RANGE}`,
-      valueRenderOption: 'FORMATTED_VALUE', // Get dates/numbers as strings
-    });
-
-    const rows = response.data.values;
-    if (!rows || rows.length <= HEADER_ROW) {
-      console.log("No data found in the sheet (or only header row).");
-      return;
-    }
+/**
+ * Reads all rows of a local .csv or .xlsx export (for .xlsx the worksheet sheetName, or the first one).
+ */
+async function readFileRows(filePath, sheetName) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.csv') return parseCsv(fs.readFileSync(filePath, 'utf8'));
+  if (extension !== '.xlsx') throw new Error(`Unsupported file type "${extension}". Use a .csv or .xlsx export.`);
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const worksheet = workbook.getWorksheet(sheetName) || workbook.worksheets[0];
+  if (!worksheet) throw new Error(`${filePath} contains no worksheet.`);
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    rows[rowNumber - 1] = row.values.slice(1).map(formatExcelValue); // row.values is 1-based
+  });
+  return Array.from(rows, row => row || []);
+}
+
+// --- Sync ---
 
-    // Extract headers from the specified row
-    const headers = rows[HEADER_ROW - 1].map(h => String(h).trim());
-    // Get the actual data rows (after the header)
-    const dataRows = rows.slice(HEADER_ROW);
-
-    console.log(`Found ${headers.length} headers and ${dataRows.length} data rows.`);
-
-    // --- Process and Write to Firestore using Batch Writes ---
-    const collectionRef = db.collection(FIRESTORE_COLLECTION);
-    let batch = db.batch();
-    let writeCounter = 0;
-    let batchCounter = 0;
-    const batchSize = 400; // Firestore batch limit is 500 operations
-
-    for (const row of dataRows) {
-      // Skip empty rows
-      if (row.every(cell => cell === null || String(cell).trim() === '')) {
-        continue;
-      }
-
-      const eventObject = {};
-      let hasRequiredData = false;
-
-      headers.forEach((header, index) => {
-        const firestoreField = fieldMapping[header];
-        if (firestoreField && index < row.length) {
-          const sheetValue = String(row[index] || '').trim();
-
-          if (firestoreField === 'eventDate') {
-            const parsedDate = parseSheetDate(sheetValue);
-            if (parsedDate) {
-              eventObject[firestoreField] = Timestamp.fromDate(parsedDate); // Convert to Firestore Timestamp
-              hasRequiredData = true; // Assume date is required
-            } else {
-               eventObject[firestoreField] = null; // Or handle invalid dates differently
-            }
-          } else {
-            eventObject[firestoreField] = sheetValue;
-          }
-
-          // Check if title is present (assume title is also required)
-          if (firestoreField === 'title' && sheetValue !== '') {
-              hasRequiredData = true;
-          }
-        }
-      });
-
-       // Add a server timestamp for creation if desired
-       eventObject.createdAt = FieldValue.serverTimestamp();
-
-      // Only add if essential data is present
-      if (hasRequiredData) {
-        const newDocRef = collectionRef.doc(); // Auto-generate Firestore ID
-        batch.set(newDocRef, eventObject);
-        writeCounter++;
-        batchCounter++;
-
-        // Commit batch when it reaches size limit
-        if (batchCounter >= batchSize) {
-          console.log(`Committing batch of ${batchCounter} events...`);
-          await batch.commit();
-          console.log(`Batch committed. Total processed: ${writeCounter}`);
-          // Start a new batch
-          batch = db.batch();
-          batchCounter = 0;
-        }
-      } else {
-          console.warn("Skipping row due to missing required data (e.g., Title or parsable Date):", row);
-      }
+/**
+ * Turns one sheet row into event fields, checked with the validation rules of the planner (lib/validation.js).
+ * resources: bookable (active) catalogue resources; the sheet may name them by name or id.
+ * Returns { key, event } or { error } (reason the row is rejected).
+ */
+function toEventRow(headers, row, mapping, resources) {
+  const cell = (column) => String(row[headers.indexOf(column)] ?? '').trim();
+  const key = cell(mapping.keyColumn);
+  if (!key) return { error: `Missing value in key column "${mapping.keyColumn}"` };
+
+  const input = {};
+  for (const [column, field] of Object.entries(mapping.fields)) {
+    const sheetValue = cell(column);
+    if (field === 'eventDate' || (field === 'endDate' && sheetValue)) { // An empty end date means the event ends on its start date
+      const parsedDate = parseSheetDate(sheetValue);
+      if (!parsedDate) return { key, error: sheetValue ? `Date "${sheetValue}" could not be parsed` : 'Missing date' };
+      input[field] = parsedDate;
+    } else if (field === 'startTime' || field === 'endTime') {
+      input[field] = sheetValue.replace(/^(\d):/, '0$1:').replace(/^(\d{2}:\d{2}):\d{2}$/, '$1'); // Sheets shows '9:00:00'
+    } else {
+      input[field] = sheetValue;
     }
+  }
+  const { value, errors } = validateEventFields(input, { resources });
+  if (errors) return { key, error: formatValidationErrors(errors) };
+
+  // Only the mapped fields are written, the others keep the values edited in the planner.
+  // The time fields always come from the row (unmapped times count as missing), stored as instants in Europe/Zurich.
+  const event = Object.fromEntries(Object.values(mapping.fields).filter(field => !TIME_FIELDS.includes(field)).map(field => [field, value[field]]));
+  const { startAt, endAt, allDay, openEnd } = toStoredTimes(value);
+  Object.assign(event, { startAt: Timestamp.fromDate(startAt), endAt: Timestamp.fromDate(endAt), allDay, openEnd });
+  return { key, event };
+}
+
+/**
+ * Loads the events imported earlier, by importKey.
+ */
+async function loadImportedEvents(collectionRef, keys) {
+  const existingByKey = new Map();
+  for (let i = 0; i < keys.length; i += IN_QUERY_LIMIT) {
+    const snapshot = await collectionRef.where('importKey', 'in', keys.slice(i, i + IN_QUERY_LIMIT)).get();
+    snapshot.docs.forEach(doc => existingByKey.set(doc.data().importKey, doc));
+  }
+  return existingByKey;
+}
+
+/**
+ * Compares the sheet rows with the stored events.
+ * Returns { actions: [{ rowNumber, key, action, docId, title, eventDate, changes, reason }], rejected: [{ rowNumber, key, reason }] }.
+ */
+async function buildSyncPlan(rows, mapping, collectionRef, resources) {
+  const headers = (rows[HEADER_ROW - 1] || []).map(h => String(h).trim());
+  const missingColumns = [mapping.keyColumn, ...Object.keys(mapping.fields)].filter(column => !headers.includes(column));
+  if (missingColumns.length > 0) throw new Error(`Columns not found in the header row: ${missingColumns.join(', ')}`);
+
+  const parsedRows = []; const rejected = []; const rowNumberByKey = new Map();
+  rows.slice(HEADER_ROW).forEach((row, index) => {
+    const rowNumber = HEADER_ROW + index + 1; // Row number as shown in the sheet
+    if (row.every(cell => cell === null || String(cell).trim() === '')) return; // Skip empty rows
+    const { key, event, error } = toEventRow(headers, row, mapping, resources);
+    if (error) { rejected.push({ rowNumber, key: key || null, reason: error }); return; }
+    if (rowNumberByKey.has(key)) { rejected.push({ rowNumber, key, reason: `Duplicate key (same as row ${rowNumberByKey.get(key)})` }); return; }
+    rowNumberByKey.set(key, rowNumber);
+    parsedRows.push({ rowNumber, key, event });
+  });
+
+  const existingByKey = await loadImportedEvents(collectionRef, parsedRows.map(row => row.key));
+  const actions = parsedRows.map(({ rowNumber, key, event }) => {
+    const summary = { rowNumber, key, title: event.title, eventDate: toZonedDateTime(event.startAt.toDate()).date };
+    const doc = existingByKey.get(key);
+    if (!doc) return { ...summary, action: ACTION_CREATE, event };
+    if (doc.data().deletedAt) return { ...summary, action: ACTION_SKIP, docId: doc.id, reason: 'Event is in the trash' };
+    const changes = diffFields(doc.data(), event, Object.keys(doc.data()).filter(field => !(field in event)));
+    if (Object.keys(changes).length === 0) return { ...summary, action: ACTION_UNCHANGED, docId: doc.id };
+    return { ...summary, action: ACTION_UPDATE, docId: doc.id, event, changes };
+  });
+  return { actions, rejected };
+}
 
-    // Commit any remaining writes in the last batch
-    if (batchCounter > 0) {
-      console.log(`Committing final batch of ${batchCounter} events...`);
+/**
+ * Writes the creates and updates of a plan with batch writes.
+ */
+async function applySyncPlan(plan, collectionRef) {
+  let batch = db.batch();
+  let batchCounter = 0;
+  let writeCounter = 0;
+  for (const item of plan.actions) {
+    if (item.action === ACTION_CREATE) {
+      batch.set(collectionRef.doc(), { ...item.event, importKey: item.key, createdAt: FieldValue.serverTimestamp() }); // Auto-generated ID
+    } else if (item.action === ACTION_UPDATE) {
+      const changedFields = Object.fromEntries(Object.keys(item.changes).map(field => [field, item.event[field]]));
+      batch.update(collectionRef.doc(item.docId), { ...changedFields, updatedAt: FieldValue.serverTimestamp() });
+    } else {
+      continue;
+    }
+    writeCounter++;
+    batchCounter++;
+    // Commit batch when it reaches size limit
+    if (batchCounter >= BATCH_SIZE) {
+      console.log(`Committing batch of ${batchCounter} writes...`);
       await batch.commit();
-      console.log(`Final batch committed. Total processed: ${writeCounter}`);
+      batch = db.batch();
+      batchCounter = 0;
     }
+  }
+  if (batchCounter > 0) {
+    console.log(`Committing final batch of ${batchCounter} writes...`);
+    await batch.commit();
+  }
+  return writeCounter;
+}
+
+/**
+ * Prints the plan (every row with its action) and the summary, returns the report object.
+ */
+function reportSyncPlan(plan, { dryRun, source }) {
+  const counts = { create: 0, update: 0, unchanged: 0, skip: 0, rejected: plan.rejected.length };
+  plan.actions.forEach(item => { counts[item.action]++; });
+
+  console.log(`\n${dryRun ? 'Dry run - nothing was written.' : 'Sync finished.'} Source: ${source}`);
+  plan.actions.filter(item => item.action !== ACTION_UNCHANGED).forEach(item => {
+    const details = item.action === ACTION_UPDATE ? ` (changed: ${Object.keys(item.changes).join(', ')})` : item.reason ? ` (${item.reason})` : '';
+    console.log(`  [${item.action}] Row ${item.rowNumber}: ${item.eventDate} ${item.title}${details}`);
+  });
+  console.log(`\nSummary: ${counts.create} ${dryRun ? 'to create' : 'created'}, ${counts.update} ${dryRun ? 'to update' : 'updated'}, ${counts.unchanged} unchanged, ${counts.skip} skipped, ${counts.rejected} rejected.`);
+  if (plan.rejected.length > 0) {
+    console.log('Rejected rows:');
+    plan.rejected.forEach(row => console.log(`  Row ${row.rowNumber}${row.key ? ` (${row.key})` : ''}: ${row.reason}`));
+  }
+
+  return {
+    dryRun, source, finishedAt: new Date().toISOString(), counts,
+    rows: plan.actions.map(({ event, ...item }) => item),
+    rejected: plan.rejected,
+  };
+}
+
+/**
+ * Main sync function
+ */
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      file: { type: 'string' },
+      spreadsheet: { type: 'string', default: DEFAULT_SPREADSHEET_ID },
+      sheet: { type: 'string', default: DEFAULT_SHEET_NAME },
+      mapping: { type: 'string', default: DEFAULT_MAPPING_FILE },
+      'dry-run': { type: 'boolean', default: false },
+      report: { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (options.help) {
+    console.log('Usage: node migrate.js [--file export.csv|export.xlsx] [--spreadsheet ID] [--sheet NAME] [--mapping mapping.json] [--dry-run] [--report report.json]');
+    return;
+  }
 
-    console.log(`\nImport finished successfully! ${writeCounter} events imported to collection '${FIRESTORE_COLLECTION}'.`);
+  const mapping = loadMapping(options.mapping);
+  const source = options.file ? path.resolve(options.file) : `Google Sheet ${options.spreadsheet} (${options.sheet})`;
+  console.log(`Starting ${options['dry-run'] ? 'dry run' : 'sync'} from ${source}, key column: ${mapping.keyColumn}`);
 
-  } catch (error) {
-    console.error("\nImport failed:");
+  const rows = options.file ? await readFileRows(options.file, options.sheet) : await readSheetRows(options.spreadsheet, options.sheet);
+  if (rows.length <= HEADER_ROW) {
+    console.log("No data found (or only header row).");
+    return;
+  }
+
+  ({ db, Timestamp, FieldValue } = createStorage());
+  const collectionRef = db.collection(FIRESTORE_COLLECTION);
+  const resources = (await loadResources(db.collection('resources'))).filter(resource => resource.active);
+  const plan = await buildSyncPlan(rows, mapping, collectionRef, resources);
+  if (!options['dry-run']) await applySyncPlan(plan, collectionRef);
+
+  const report = reportSyncPlan(plan, { dryRun: options['dry-run'], source });
+  if (options.report) {
+    fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${options.report}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error("\nSync failed:");
     if (error.response?.data?.error) { // Handle potential Google API errors
-         console.error("API Error Details:", JSON.stringify(error.response.data.error, null, 2));
+      console.error("API Error Details:", JSON.stringify(error.response.data.error, null, 2));
     } else {
-        console.error("Error:", error.message);
-        console.error("Stack:", error.stack);
+      console.error("Error:", error.message);
     }
-  }
+    process.exitCode = 1;
+  });
 }
-
-// Run the import function
-importData();
\ No newline at end of file
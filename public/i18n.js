@@ -0,0 +1,1216 @@
+// public/i18n.js - Translations of the planner frontend (German and English), loaded before the inline script of index.html.
+// Texts are looked up by key with t(key, params); placeholders like {name} are replaced by params.name.
+// Static texts of index.html carry data-i18n attributes (data-i18n-placeholder/-title/-aria-label/-alt for attributes) and are
+// set by applyTranslations(); longer texts like the help page exist once per language in elements with data-lang.
+// The language is the manual choice of the menu (stored in localStorage) or the first supported browser language, German otherwise.
+// API errors are translated by their code (errors.<code>), see apiErrorMessage() in index.html.
+
+const LANGUAGES = ['de', 'en'];
+const DEFAULT_LANGUAGE = 'de';
+const LANGUAGE_STORAGE_KEY = 'ebaplanner.language';
+const LANGUAGE_CHANGE_EVENT = 'i18n:change'; // Dispatched on document after setLanguage(), views re-render their dynamic texts
+// Locale of the date, time and number formatting per language
+const LOCALES = { de: 'de-CH', en: 'en-GB' };
+// data-i18n-* attributes and the element attribute they set
+const I18N_ATTRIBUTES = { i18nPlaceholder: 'placeholder', i18nTitle: 'title', i18nAriaLabel: 'aria-label', i18nAlt: 'alt' };
+
+const TRANSLATIONS = {
+    de: {
+        'app.title': 'EBA-BAR Event Liste & Erfassung',
+        'language.name': 'Deutsch',
+
+        // Common
+        'common.email': 'E-Mail',
+        'common.name': 'Name',
+        'common.date': 'Datum',
+        'common.status': 'Status',
+        'common.actions': 'Aktionen',
+        'common.description': 'Beschreibung',
+        'common.edit': 'Bearbeiten',
+        'common.save': 'Speichern',
+        'common.delete': 'Löschen',
+        'common.cancel': 'Abbrechen',
+        'common.active': 'Aktiv',
+        'common.disabled': 'Deaktiviert',
+        'common.activate': 'Aktivieren',
+        'common.deactivate': 'Deaktivieren',
+        'common.event': 'Event',
+        'common.events': 'Events',
+        'common.httpError': 'HTTP Fehler {status}',
+        'common.unknownError': 'Ein unbekannter Fehler ist aufgetreten.',
+        'common.errorPrefix': 'Fehler: {message}',
+        'common.communicationError': 'Kommunikationsfehler: {message}',
+        'common.actionFailed': 'Aktion fehlgeschlagen: {message}',
+        'common.initFailed': 'Initialisierungsfehler: {count} kritische UI Elemente fehlen oder Modal Initialisierung fehlgeschlagen. Konsole prüfen.',
+
+        // Menu
+        'menu.toggle': 'Menü',
+        'menu.list': 'Event Übersicht',
+        'menu.month': 'Monatsansicht',
+        'menu.week': 'Wochenansicht',
+        'menu.add': 'Event erfassen',
+        'menu.propose': 'Event vorschlagen',
+        'menu.proposals': 'Vorschläge prüfen',
+        'menu.stats': 'Statistik',
+        'menu.trash': 'Papierkorb',
+        'menu.users': 'Benutzer verwalten',
+        'menu.resources': 'Ressourcen verwalten',
+        'menu.mailLog': 'Mail-Protokoll',
+        'menu.help': 'Grundsätze und Hilfe',
+        'menu.logout': 'Logout',
+        'menu.language': 'Sprache',
+        'menu.loggedInAs': 'Angemeldet: {name} ({role})',
+
+        // Roles, event types and other value labels
+        'roles.admin': 'Admin',
+        'roles.organizer': 'Organisator:in',
+        'roles.viewer': 'Leser:in',
+        'eventTypes.public': 'Öffentlich',
+        'eventTypes.private': 'Privat',
+        'historyActions.create': 'Erstellt',
+        'historyActions.update': 'Geändert',
+        'historyActions.image': 'Bild entfernt',
+        'historyActions.delete': 'In Papierkorb verschoben',
+        'historyActions.restore': 'Wiederhergestellt',
+        'historyActions.rollback': 'Zurückgesetzt',
+        'historyActions.purge': 'Endgültig gelöscht',
+        'historyActions.propose': 'Vorgeschlagen',
+        'historyActions.approve': 'Vorschlag freigegeben',
+        'historyActions.reject': 'Vorschlag abgelehnt',
+        'registrationStatus.confirmed': 'Angemeldet',
+        'registrationStatus.waitlisted': 'Warteliste',
+        'registrationStatus.cancelled': 'Abgemeldet',
+        'mailKinds.created': 'Neuer Event',
+        'mailKinds.updated': 'Event geändert',
+        'mailKinds.cancelled': 'Event abgesagt',
+        'mailKinds.reminder': 'Erinnerung',
+        'mailKinds.digest': 'Wochenübersicht',
+        'mailKinds.subscription': 'Abo-Bestätigung',
+        'mailKinds.proposal': 'Entscheid zum Vorschlag',
+        'mailStatus.sent': 'Gesendet',
+        'mailStatus.failed': 'Fehlgeschlagen',
+        'mailStatus.skipped': 'Nicht gesendet (kein SMTP)',
+
+        // Login and password
+        'login.title': 'Login erforderlich',
+        'login.intro': 'Bitte melde dich mit deinem Benutzerkonto an, um Events zu erfassen oder zu bearbeiten.',
+        'login.noAccountBefore': 'Kein Benutzerkonto? Du kannst einen Event auch',
+        'login.noAccountLink': 'vorschlagen',
+        'login.noAccountAfter': ', der Vorstand prüft ihn und schaltet ihn frei.',
+        'login.password': 'Passwort',
+        'login.button': 'Login',
+        'login.inProgress': 'Versuche Login...',
+        'login.missingInput': 'Bitte E-Mail und Passwort eingeben.',
+        'login.tooManyAttempts': 'Zu viele fehlgeschlagene Versuche. Bitte in {minutes} Minuten erneut versuchen.',
+        'login.failed': 'Login fehlgeschlagen.',
+        'login.failedWith': 'Login fehlgeschlagen: {message}',
+        'login.loggingOut': 'Logge aus...',
+        'login.loggedOut': 'Du wurdest ausgeloggt.',
+        'login.toEdit': 'Bitte einloggen, um Events zu bearbeiten.',
+        'login.toAdd': 'Bitte einloggen, um Events zu erfassen.',
+        'password.title': 'Passwort festlegen',
+        'password.intro': 'Lege ein Passwort für dein Benutzerkonto fest (mindestens 10 Zeichen).',
+        'password.new': 'Neues Passwort',
+        'password.repeat': 'Passwort wiederholen',
+        'password.save': 'Passwort speichern',
+        'password.linkInvalid': 'Der Link ist ungültig.',
+        'password.tooShort': 'Das Passwort muss mindestens 10 Zeichen lang sein.',
+        'password.mismatch': 'Die Passwörter stimmen nicht überein.',
+        'password.saved': 'Passwort gespeichert. Du kannst dich jetzt einloggen.',
+        'password.saveFailed': 'Passwort konnte nicht gespeichert werden: {message}',
+
+        // Event list, filters and calendar
+        'events.title': 'EBA-BAR Event Liste',
+        'events.loading': 'Lade Events...',
+        'events.noMatches': 'Keine Events entsprechen den aktuellen Filtern.',
+        'events.loadMore': 'Weitere Events laden',
+        'events.unexpectedFormat': 'Unerwartetes Datenformat vom Server.',
+        'events.notFound': 'Event nicht gefunden.',
+        'events.details': 'Event Details',
+        'events.liveNotice': 'Die Events wurden von jemand anderem aktualisiert.',
+        'filters.search': 'Suche (Titel/Beschreibung)',
+        'filters.searchPlaceholder': 'Suchbegriff eingeben...',
+        'filters.type': 'Typ',
+        'filters.all': 'Alle',
+        'filters.monthYear': 'Monat / Jahr',
+        'filters.allMonths': 'Monat (Alle)',
+        'filters.allYears': 'Jahr (Alle)',
+        'filters.past': 'Vergangene',
+        'filters.reset': 'Reset',
+        'calendar.previous': 'Zurück',
+        'calendar.today': 'Heute',
+        'calendar.next': 'Weiter',
+        'calendar.loading': 'Lade Kalender...',
+        'calendar.untimed': 'Ohne Zeit',
+
+        // Event tile
+        'event.untitled': 'Unbenannter Event',
+        'event.noDate': 'Kein Datum',
+        'event.invalidDate': 'Ungültiges Datum',
+        'event.timeRange': '{start} - {end} Uhr',
+        'event.timeMultiDay': 'Beginn {start} Uhr, Ende {end} Uhr',
+        'event.timeFrom': 'Ab {start} Uhr',
+        'event.noTime': 'Keine Zeitangabe',
+        'event.wholeDay': 'ganzer Tag',
+        'event.series': 'Serie',
+        'event.addToCalendar': 'Zum Kalender hinzufügen',
+        'event.responsible': 'Verantwortlich:',
+        'event.description': 'Beschreibung:',
+        'event.resources': 'Ressourcen:',
+        'event.participantInfo': 'Zusätzliche Informationen für Teilnehmer:',
+        'event.image': 'Bild:',
+        'event.imageAlt': 'Event Bild für {title}',
+        'event.noImage': 'Kein Bild vorhanden.',
+
+        // Add/edit/proposal forms
+        'form.title': 'Event Titel*',
+        'form.date': 'Datum*',
+        'form.startTime': 'Startzeit (HH:MM)',
+        'form.endDate': 'Enddatum (mehrtägig)',
+        'form.endTime': 'Endzeit (HH:MM)',
+        'form.eventType': 'Event Typ*',
+        'form.recurrence': 'Wiederholung',
+        'form.recurrenceNone': 'Keine',
+        'form.weekly': 'Wöchentlich',
+        'form.biweekly': 'Alle 2 Wochen',
+        'form.monthly': 'Monatlich',
+        'form.weekOfMonth': 'Wochentag im Monat',
+        'form.sameAsStart': 'Wie Startdatum',
+        'form.every1': 'Jeden 1.',
+        'form.every2': 'Jeden 2.',
+        'form.every3': 'Jeden 3.',
+        'form.every4': 'Jeden 4.',
+        'form.everyLast': 'Jeden letzten',
+        'form.repeatUntil': 'Wiederholen bis',
+        'form.untilDate': 'Bis (Datum)',
+        'form.occurrenceCount': 'Anzahl Termine',
+        'form.orOccurrenceCount': 'oder Anzahl Termine',
+        'form.resources': 'Benötigte Ressourcen',
+        'form.resourcesHint': '(fett markierte Ressourcen wie "Ganzer Raum" schliessen alle anderen aus)',
+        'form.noResources': 'Keine Ressourcen verfügbar.',
+        'form.retiredResource': '{name} (nicht mehr verfügbar)',
+        'form.responsible': 'Verantwortlich',
+        'form.responsibleHelp': '(Vorname, Name, Telefonnummer, Adresse)',
+        'form.participantInfo': 'Zusätzliche Informationen an die Teilnehmer',
+        'form.participantInfoHelp': 'Hier können zusätzliche Informationen eingetragen werden, auch eine längere Beschreibung. Diese Info erscheint nicht in der Event-Übersicht.',
+        'form.participantInfoHelpShort': 'Zusätzliche Informationen, auch längere Beschreibungen. Erscheint nicht in der Event-Übersicht.',
+        'form.registrationEnabled': 'Anmeldung für Teilnehmende aktivieren',
+        'form.capacity': 'Max. Teilnehmende',
+        'form.capacityHelp': 'Max. Teilnehmende (leer = unbegrenzt)',
+        'form.registrationDeadline': 'Anmeldeschluss',
+        'form.registrationDeadlineHelp': 'Anmeldeschluss (optional)',
+        'form.image': 'Bild hochladen (Optional)',
+        'form.imagePreview': 'Bildvorschau',
+        'form.resetImage': 'Bildauswahl zurücksetzen',
+        'form.requiredFields': 'Titel und Datum sind Pflichtfelder.',
+        'form.fixFields': 'Bitte korrigiere die markierten Felder.',
+        'add.title': 'Neues Event erfassen',
+        'add.submit': 'Event hinzufügen',
+        'add.success': 'Event erfolgreich erfasst.',
+        'add.redirect': 'Du wirst zur Übersicht weitergeleitet...',
+        'edit.title': 'Event bearbeiten',
+        'edit.titleEvent': 'Event bearbeiten: {title}',
+        'edit.titleProposal': 'Vorschlag bearbeiten: {title}',
+        'edit.untitled': 'Unbenannt',
+        'edit.seriesScope': 'Dieser Termin gehört zu einer Serie. Speichern und Löschen gilt für:',
+        'edit.scopeOccurrence': 'Nur diesen Termin',
+        'edit.scopeFollowing': 'Diesen und alle folgenden',
+        'edit.scopeSeries': 'Ganze Serie',
+        'edit.currentImage': 'Aktuelles Bild:',
+        'edit.currentImageAlt': 'Aktuelles Event Bild',
+        'edit.deleteImage': 'Gespeichertes Bild löschen',
+        'edit.noImage': 'Kein Bild für dieses Event hochgeladen.',
+        'edit.changeImage': 'Bild ändern / hinzufügen (Optional)',
+        'edit.changeImageHelp': 'Wähle eine neue Datei aus, um das aktuelle Bild beim Speichern zu ersetzen.',
+        'edit.showHistory': 'Verlauf anzeigen',
+        'edit.deleteEvent': 'Event löschen',
+        'edit.save': 'Änderungen speichern',
+        'edit.cannotOpen': 'Bearbeitungsformular kann nicht geöffnet werden: UI Elemente fehlen.',
+        'edit.notFound': 'Event zum Bearbeiten nicht gefunden.',
+        'edit.saved': 'Event erfolgreich aktualisiert.',
+        'edit.savedOccurrence': 'Termin erfolgreich aktualisiert.',
+        'edit.savedFollowing': 'Folgende Termine erfolgreich aktualisiert.',
+        'edit.noStoredImage': 'Kein gespeichertes Bild zum Löschen vorhanden oder Event-ID fehlt.',
+        'edit.deleteImageConfirm': 'Möchtest du das Bild für dieses Event wirklich löschen?\nDas Event selbst bleibt bestehen.',
+        'edit.imageDeleted': 'Bild erfolgreich gelöscht.',
+        'edit.imageDeleteFailed': 'Fehler beim Löschen des Bildes: {message}',
+        'edit.thisEvent': 'dieses Event',
+        'edit.idMissing': 'Fehler: Event ID zum Löschen nicht gefunden.',
+        'edit.deleteOccurrenceConfirm': 'Möchtest du den Termin "{title}" aus der Serie löschen?',
+        'edit.deleteFollowingConfirm': 'Möchtest du diesen und alle folgenden Termine von "{title}" löschen?',
+        'edit.deleteConfirm': 'Möchtest du das Event "{title}" wirklich löschen? Es kommt in den Papierkorb und kann dort noch wiederhergestellt werden.',
+        'edit.deleted': 'Event in den Papierkorb verschoben.',
+        'edit.deletedOccurrence': 'Termin erfolgreich gelöscht.',
+        'edit.deletedFollowing': 'Folgende Termine erfolgreich gelöscht.',
+        'edit.deleteFailed': 'Fehler beim Löschen des Events: {message}',
+        'edit.changedByOther': 'Achtung: Dieses Event wurde inzwischen von jemand anderem geändert. Beim Speichern kannst du die Änderungen neu laden oder überschreiben.',
+        'edit.deletedByOther': 'Achtung: Dieses Event wurde inzwischen von jemand anderem gelöscht.',
+        'edit.reloaded': 'Das Event wurde neu geladen. Bitte deine Änderungen erneut eintragen.',
+        'edit.gone': 'Das Event wurde inzwischen gelöscht oder verschoben.',
+        'conflict.intro': 'Die gewählte Zeit überschneidet sich mit folgenden Buchungen:',
+        'conflict.saveAnyway': 'Trotzdem speichern',
+        'conflict.versionIntro': 'Das Event wurde inzwischen von jemand anderem geändert. Deine Änderungen wurden nicht gespeichert.',
+        'conflict.reload': 'Neu laden',
+        'availability.free': 'An diesem Tag sind noch keine Ressourcen gebucht.',
+        'availability.booked': 'Bereits gebucht: {slots}',
+
+        // Registrations
+        'registration.title': 'Anmeldung',
+        'registration.closed': 'Anmeldung geschlossen',
+        'registration.confirmedCount': '{count} angemeldet',
+        'registration.spotsLeft': 'Noch {spotsLeft} von {capacity} Plätzen frei',
+        'registration.full': 'Ausgebucht – Warteliste',
+        'registration.deadline': 'Anmeldeschluss: {date}.',
+        'registration.waitlisted': '{count} Person(en) auf der Warteliste.',
+        'registration.headcount': 'Anzahl Personen',
+        'registration.persons': 'Personen',
+        'registration.joinWaitlist': 'Auf Warteliste',
+        'registration.signUp': 'Anmelden',
+        'registration.showAttendees': 'Teilnehmende anzeigen',
+        'registration.csvExport': 'CSV Export',
+        'registration.missingInput': 'Bitte Name und E-Mail angeben.',
+        'registration.confirmed': 'Du bist angemeldet! Mit diesem Link kannst du dich wieder abmelden:',
+        'registration.waitlistedMessage': 'Der Event ist ausgebucht, du bist auf der Warteliste und rückst automatisch nach, sobald ein Platz frei wird. Abmelden kannst du dich mit diesem Link:',
+        'registration.failed': 'Anmeldung fehlgeschlagen: {message}',
+        'registration.loadingAttendees': 'Lade Teilnehmende...',
+        'registration.noAttendees': 'Noch keine Anmeldungen.',
+        'registration.attendeesFailed': 'Teilnehmende konnten nicht geladen werden: {message}',
+        'registration.cancelConfirm': 'Möchtest du dich wirklich von diesem Event abmelden?',
+        'registration.cancelled': 'Du wurdest vom Event abgemeldet.',
+        'registration.cancelFailed': 'Abmeldung fehlgeschlagen: {message}',
+
+        // Proposals
+        'proposal.intro': 'Du hast kein Benutzerkonto und möchtest einen Event im Genossenschaftsraum durchführen? Schlage ihn hier vor. Der Vorstand prüft deinen Vorschlag und trägt ihn nach der Freigabe in die Übersicht ein.',
+        'proposal.responsibleHelp': 'Leer lassen, wenn du selbst verantwortlich bist.',
+        'proposal.name': 'Dein Name*',
+        'proposal.email': 'Deine E-Mail*',
+        'proposal.emailHelp': 'Nur für Rückfragen des Vorstands, wird nicht veröffentlicht.',
+        'proposal.submit': 'Vorschlag senden',
+        'proposal.thanks': 'Danke für deinen Vorschlag! Der Vorstand prüft ihn. Unter diesem Link siehst du jederzeit, ob er freigegeben wurde:',
+        'proposal.booked': 'Zu dieser Zeit ist bereits gebucht: {slots}. Bitte wähle eine andere Zeit oder andere Ressourcen.',
+        'proposal.tooMany': 'Zu viele Vorschläge. Bitte versuche es in {minutes} Minuten erneut.',
+        'proposal.failed': 'Vorschlag konnte nicht gesendet werden: {message}',
+        'proposal.eventLabel': '«{title}» am {date}',
+        'proposal.eventLabelTime': '«{title}» am {date}, {time} Uhr',
+        'proposal.statusPending': 'Dein Vorschlag {event} wird noch geprüft.',
+        'proposal.statusPublished': 'Dein Vorschlag {event} wurde freigegeben und ist in der Event Übersicht eingetragen.',
+        'proposal.statusRejected': 'Dein Vorschlag {event} wurde leider abgelehnt. Begründung: {reason}',
+        'proposal.statusFailed': 'Status des Vorschlags konnte nicht geladen werden: {message}',
+        'proposals.filterPending': 'Offen',
+        'proposals.filterRejected': 'Abgelehnt',
+        'proposals.filterPublished': 'Freigegeben',
+        'proposals.info': 'Offene Vorschläge erscheinen erst nach der Freigabe in der Übersicht. Mit "Bearbeiten" kannst du sie vorher anpassen. Die vorschlagende Person sieht den Entscheid über ihren Status-Link, nach dem Entscheid kannst du sie zusätzlich per E-Mail informieren.',
+        'proposals.proposedBy': 'Vorgeschlagen von',
+        'proposals.responsible': 'Verantwortlich',
+        'proposals.submittedAt': 'Eingereicht am',
+        'proposals.loading': 'Lade Vorschläge...',
+        'proposals.empty': 'Keine Vorschläge.',
+        'proposals.reason': 'Begründung: {reason}',
+        'proposals.approve': 'Freigeben',
+        'proposals.reject': 'Ablehnen',
+        'proposals.loadFailed': 'Vorschläge konnten nicht geladen werden: {message}',
+        'proposals.rejectPrompt': 'Begründung für die Ablehnung von "{title}" (wird der vorschlagenden Person angezeigt):',
+        'proposals.approved': '"{title}" wurde freigegeben, die vorschlagende Person wird per Mail informiert.',
+        'proposals.rejected': '"{title}" wurde abgelehnt, die vorschlagende Person wird per Mail informiert.',
+        'proposals.approveFailed': 'Freigeben fehlgeschlagen: {message}',
+        'proposals.rejectFailed': 'Ablehnen fehlgeschlagen: {message}',
+
+        // Change history and trash
+        'history.loading': 'Lade Verlauf...',
+        'history.empty': 'Kein Verlauf vorhanden.',
+        'history.occurrence': '(Termin {date})',
+        'history.imported': '(Import)',
+        'history.system': 'System',
+        'history.proposalForm': 'Vorschlagsformular',
+        'history.rollback': 'Auf diese Version zurücksetzen',
+        'history.loadFailed': 'Verlauf konnte nicht geladen werden: {message}',
+        'history.rollbackConfirm': 'Event auf den Stand vom {date} zurücksetzen?',
+        'history.rolledBack': 'Event zurückgesetzt.',
+        'history.rollbackFailed': 'Zurücksetzen fehlgeschlagen: {message}',
+        'trash.info': 'Gelöschte Events können bis zur endgültigen Löschung wiederhergestellt werden.',
+        'trash.deletedAt': 'Gelöscht am',
+        'trash.purgeAt': 'Endgültig gelöscht ab',
+        'trash.loading': 'Lade Papierkorb...',
+        'trash.empty': 'Der Papierkorb ist leer.',
+        'trash.restore': 'Wiederherstellen',
+        'trash.loadFailed': 'Papierkorb konnte nicht geladen werden: {message}',
+        'trash.restored': 'Event wiederhergestellt.',
+        'trash.restoreFailed': 'Wiederherstellen fehlgeschlagen: {message}',
+
+        // Users and resources
+        'users.invite': 'Benutzer einladen',
+        'users.emailRequired': 'E-Mail*',
+        'users.role': 'Rolle',
+        'users.inviteButton': 'Einladen',
+        'users.loading': 'Lade Benutzer...',
+        'users.loadFailed': 'Benutzer konnten nicht geladen werden: {message}',
+        'users.invitePending': 'Einladung offen',
+        'users.resetPassword': 'Passwort zurücksetzen',
+        'users.emailMissing': 'Bitte eine E-Mail-Adresse eingeben.',
+        'users.invited': '{email} wurde eingeladen. Sende diesen Link an die Person (7 Tage gültig):',
+        'users.inviteFailed': 'Einladung fehlgeschlagen: {message}',
+        'users.resetConfirm': 'Passwort von {email} zurücksetzen? Das bisherige Passwort wird ungültig.',
+        'users.resetDone': 'Passwort von {email} zurückgesetzt. Sende diesen Link an die Person (7 Tage gültig):',
+        'users.disabled': '{email} wurde deaktiviert.',
+        'users.enabled': '{email} wurde aktiviert.',
+        'users.roleChanged': 'Rolle von {email} geändert.',
+        'users.roleChangeFailed': 'Rolle konnte nicht geändert werden: {message}',
+        'resources.add': 'Ressource hinzufügen',
+        'resources.nameRequired': 'Name*',
+        'resources.quantity': 'Anzahl',
+        'resources.exclusiveLabel': 'Exklusiv (ganzer Raum)',
+        'resources.addButton': 'Hinzufügen',
+        'resources.info': 'Exklusive Ressourcen blockieren alle anderen Buchungen im selben Zeitfenster. Deaktivierte Ressourcen können nicht mehr gebucht werden, bestehende Events zeigen sie weiterhin an. Löschen ist nur möglich, solange kein Event die Ressource bucht.',
+        'resources.sortOrder': 'Reihenfolge',
+        'resources.exclusive': 'Exklusiv',
+        'resources.loading': 'Lade Ressourcen...',
+        'resources.loadFailed': 'Ressourcen konnten nicht geladen werden: {message}',
+        'resources.nameMissing': 'Bitte einen Namen eingeben.',
+        'resources.added': '{name} wurde hinzugefügt.',
+        'resources.addFailed': 'Ressource konnte nicht hinzugefügt werden: {message}',
+        'resources.saved': '{name} wurde gespeichert.',
+        'resources.deleteConfirm': '{name} endgültig löschen?',
+        'resources.deleted': '{name} wurde gelöscht.',
+        'resources.activated': '{name} wurde aktiviert.',
+        'resources.deactivated': '{name} wurde deaktiviert.',
+
+        // Mail log and digest subscription
+        'mailLog.run': 'Erinnerungen und Wochenübersicht jetzt senden',
+        'mailLog.time': 'Zeit',
+        'mailLog.kind': 'Art',
+        'mailLog.to': 'Empfänger',
+        'mailLog.subject': 'Betreff',
+        'mailLog.loading': 'Lade Mail-Protokoll...',
+        'mailLog.smtp': 'Mails werden über SMTP versendet.',
+        'mailLog.noSmtp': 'SMTP ist nicht eingerichtet (SMTP_HOST), Mails werden nur protokolliert.',
+        'mailLog.subscribers': '{count} Abonnent(en) der Wochenübersicht.',
+        'mailLog.empty': 'Noch keine Mails.',
+        'mailLog.loadFailed': 'Mail-Protokoll konnte nicht geladen werden: {message}',
+        'mailLog.sent': '{reminders} Erinnerung(en) und {digests} Wochenübersicht(en) gesendet.',
+        'mailLog.runFailed': 'Senden fehlgeschlagen: {message}',
+        'subscribe.title': 'Wochenübersicht per E-Mail',
+        'subscribe.intro': 'Einmal pro Woche eine Mail mit den öffentlichen Events der nächsten Tage? Trage deine E-Mail-Adresse ein und bestätige das Abo mit dem Link, den wir dir schicken. Abmelden kannst du dich mit dem Link in jeder Wochenübersicht. Als verantwortliche Person eines Events wirst du ausserdem vor dem Event erinnert und bei Änderungen informiert, angemeldete Teilnehmer bei Änderungen und Absagen.',
+        'subscribe.button': 'Abonnieren',
+        'subscribe.almostDone': 'Fast geschafft! Bitte bestätige das Abo mit dem Link in der Mail, die wir dir geschickt haben.',
+        'subscribe.invalidEmail': 'Bitte gib eine gültige E-Mail-Adresse ein.',
+        'subscribe.tooMany': 'Zu viele Anmeldungen. Bitte versuche es in {minutes} Minuten erneut.',
+        'subscribe.failed': 'Abo konnte nicht gespeichert werden: {message}',
+        'subscribe.confirmed': 'Danke! Dein Abo der Wochenübersicht ist bestätigt.',
+        'subscribe.unsubscribed': 'Du bist abgemeldet und erhältst keine Wochenübersicht mehr. Deine E-Mail-Adresse wurde gelöscht.',
+        'subscribe.confirmFailed': 'Abo konnte nicht bestätigt werden: {message}',
+        'subscribe.unsubscribeFailed': 'Abmeldung fehlgeschlagen: {message}',
+
+        // Statistics
+        'stats.from': 'Von',
+        'stats.to': 'Bis',
+        'stats.show': 'Anzeigen',
+        'stats.invalidRange': 'Bitte einen gültigen Zeitraum wählen (Von vor Bis).',
+        'stats.loading': 'Lade Statistik...',
+        'stats.totals': '{from} - {to}: {events} Events ({publicEvents} öffentlich, {privateEvents} privat), {hours} gebucht.',
+        'stats.withoutTimes': '{count} Event(s) ohne Start- oder Endzeit zählen ohne Stunden.',
+        'stats.loadFailed': 'Statistik konnte nicht geladen werden: {message}',
+        'stats.hours': 'Stunden',
+        'stats.noData': 'Keine Daten im gewählten Zeitraum.',
+        'stats.months': 'Events pro Monat',
+        'stats.month': 'Monat',
+        'stats.monthDetails': '{publicEvents} öffentlich, {privateEvents} privat',
+        'stats.eventTypes': 'Öffentlich / Privat',
+        'stats.eventType': 'Art',
+        'stats.noEventType': 'Ohne Art',
+        'stats.resources': 'Nutzung pro Ressource',
+        'stats.resource': 'Ressource',
+        'stats.weekdays': 'Belegteste Wochentage',
+        'stats.weekday': 'Tag',
+        'stats.timeSlots': 'Belegteste Tageszeiten',
+        'stats.timeSlot': 'Zeitfenster',
+        'stats.organizers': 'Aktivste Verantwortliche',
+        'stats.organizer': 'Verantwortlich',
+        'stats.slots.morning': 'Vormittag (bis 12 Uhr)',
+        'stats.slots.afternoon': 'Nachmittag (12-17 Uhr)',
+        'stats.slots.evening': 'Abend (17-21 Uhr)',
+        'stats.slots.night': 'Nacht (ab 21 Uhr)',
+        'stats.slots.none': 'Ohne Startzeit',
+
+        // Help page (the prose is in the data-lang blocks of index.html)
+        'help.linksTitle': 'Zusammenfassung der Links:',
+        'help.webpage': 'EBA BAR Event Webpage:',
+        'help.access': 'Zugang für das Erfassen und Editieren von Events:',
+        'help.accessBefore': 'Benutzerkonto beim Vorstand anfragen (',
+        'help.accessAfter': '). Ohne Benutzerkonto kannst du einen Event über "Event vorschlagen" im Menü einreichen, der Vorstand prüft ihn und schaltet ihn frei.',
+        'help.calendarFeed': 'Kalender-Abo (Google, Apple, Outlook):',
+        'help.calendarFeedPublic': '(nur öffentliche Events:',
+
+        // API error codes
+        'errors.csrf_invalid': 'Die Sitzung ist abgelaufen. Bitte lade die Seite neu.',
+        'errors.version_conflict': 'Das Event wurde inzwischen von jemand anderem geändert. Bitte lade es neu, bevor du speicherst.',
+        'errors.validation_failed': 'Bitte korrigiere die markierten Felder.',
+        'errors.invalid_date_filter': 'Ungültiger Datumsfilter.',
+        'errors.unauthorized': 'Nicht angemeldet. Bitte zuerst einloggen.',
+        'errors.account_disabled': 'Dein Benutzerkonto ist deaktiviert. Bitte wende dich an einen Admin.',
+        'errors.forbidden': 'Deine Rolle erlaubt diese Aktion nicht.',
+        'errors.session_check_failed': 'Die Sitzung konnte nicht geprüft werden.',
+        'errors.invalid_cursor': 'Ungültige Seite der Event Liste. Bitte neu laden.',
+        'errors.events_load_failed': 'Die Events konnten nicht geladen werden.',
+        'errors.facets_load_failed': 'Die Filter konnten nicht geladen werden.',
+        'errors.calendar_feed_failed': 'Das Kalender-Abo konnte nicht erstellt werden.',
+        'errors.calendar_file_failed': 'Die Kalenderdatei konnte nicht erstellt werden.',
+        'errors.event_not_found': 'Event nicht gefunden.',
+        'errors.occurrence_not_found': 'Termin der Serie nicht gefunden.',
+        'errors.booking_conflict': 'Die gewählte Zeit überschneidet sich mit bestehenden Buchungen.',
+        'errors.event_create_failed': 'Das Event konnte nicht erfasst werden.',
+        'errors.invalid_json': 'Die Datei ist kein gültiges JSON.',
+        'errors.invalid_import_json': 'Die JSON Datei muss eine Liste von Events oder { "events": [...] } enthalten.',
+        'errors.unsupported_file_type': 'Nicht unterstützter Dateityp. Bitte eine .csv oder .json Datei hochladen.',
+        'errors.empty_import': 'Die Datei enthält keine Events.',
+        'errors.too_many_rows': 'Zu viele Zeilen für einen Import.',
+        'errors.invalid_export_format': 'Ungültiges Exportformat.',
+        'errors.export_failed': 'Die Events konnten nicht exportiert werden.',
+        'errors.no_file': 'Keine Datei hochgeladen.',
+        'errors.import_has_errors': 'Nichts importiert: einige Zeilen enthalten Fehler.',
+        'errors.import_failed': 'Die Events konnten nicht importiert werden.',
+        'errors.event_id_missing': 'Event ID fehlt.',
+        'errors.invalid_data': 'Ungültige Daten.',
+        'errors.event_edit_forbidden': 'Du kannst nur Events bearbeiten, die du erstellt hast oder für die du verantwortlich bist.',
+        'errors.invalid_if_match': 'Ungültige Version des Events. Bitte neu laden.',
+        'errors.invalid_scope': 'Ungültige Auswahl für die Serie.',
+        'errors.series_image_only': 'Bilder können nur für die ganze Serie geändert werden.',
+        'errors.event_update_failed': 'Das Event konnte nicht gespeichert werden.',
+        'errors.event_delete_forbidden': 'Du kannst nur Events löschen, die du erstellt hast oder für die du verantwortlich bist.',
+        'errors.event_delete_failed': 'Das Event konnte nicht gelöscht werden.',
+        'errors.image_delete_failed': 'Das Bild konnte nicht gelöscht werden.',
+        'errors.invalid_image': 'Die Datei ist kein gültiges Bild oder zu gross.',
+        'errors.unsupported_image_format': 'Nicht unterstütztes Bildformat. Erlaubt sind JPEG, PNG, WebP und GIF.',
+        'errors.image_processing_failed': 'Das Bild konnte nicht verarbeitet werden.',
+        'errors.history_load_failed': 'Der Verlauf konnte nicht geladen werden.',
+        'errors.version_not_found': 'Version nicht gefunden.',
+        'errors.event_in_trash': 'Bitte stelle das Event zuerst aus dem Papierkorb wieder her.',
+        'errors.rollback_failed': 'Das Event konnte nicht zurückgesetzt werden.',
+        'errors.trash_load_failed': 'Der Papierkorb konnte nicht geladen werden.',
+        'errors.trash_event_not_found': 'Event nicht im Papierkorb gefunden.',
+        'errors.event_restore_forbidden': 'Du kannst nur Events wiederherstellen, die du erstellt hast oder für die du verantwortlich bist.',
+        'errors.restore_failed': 'Das Event konnte nicht wiederhergestellt werden.',
+        'errors.trash_purge_failed': 'Der Papierkorb konnte nicht geleert werden.',
+        'errors.invalid_name': 'Bitte gib deinen Namen ein (max. 100 Zeichen).',
+        'errors.invalid_email': 'Bitte gib eine gültige E-Mail-Adresse ein.',
+        'errors.invalid_headcount': 'Die Anzahl Personen ist ungültig.',
+        'errors.registration_closed': 'Die Anmeldung für diesen Event ist geschlossen.',
+        'errors.already_registered': 'Diese E-Mail-Adresse ist für diesen Event bereits angemeldet.',
+        'errors.registration_failed': 'Die Anmeldung konnte nicht gespeichert werden.',
+        'errors.cancel_token_missing': 'Der Abmeldelink ist unvollständig.',
+        'errors.registration_not_found': 'Anmeldung nicht gefunden oder Abmeldelink ungültig.',
+        'errors.registration_cancel_failed': 'Die Abmeldung konnte nicht gespeichert werden.',
+        'errors.attendees_forbidden': 'Du kannst nur die Teilnehmenden von Events sehen, die du erstellt hast oder für die du verantwortlich bist.',
+        'errors.registrations_load_failed': 'Die Anmeldungen konnten nicht geladen werden.',
+        'errors.registrations_export_failed': 'Die Anmeldungen konnten nicht exportiert werden.',
+        'errors.invalid_image_variant': 'Ungültige Bildgrösse.',
+        'errors.image_not_found': 'Bild nicht gefunden.',
+        'errors.image_load_failed': 'Das Bild konnte nicht geladen werden.',
+        'errors.date_required': 'Bitte ein gültiges Datum angeben.',
+        'errors.availability_load_failed': 'Die Buchungen des Tages konnten nicht geladen werden.',
+        'errors.too_many_proposals': 'Zu viele Vorschläge. Bitte versuche es später erneut.',
+        'errors.proposal_failed': 'Der Vorschlag konnte nicht gespeichert werden.',
+        'errors.proposal_not_found': 'Vorschlag nicht gefunden oder Status-Link ungültig.',
+        'errors.proposal_status_failed': 'Der Status des Vorschlags konnte nicht geladen werden.',
+        'errors.invalid_status': 'Ungültiger Status.',
+        'errors.proposals_load_failed': 'Die Vorschläge konnten nicht geladen werden.',
+        'errors.pending_proposal_not_found': 'Offener Vorschlag nicht gefunden.',
+        'errors.proposal_approve_failed': 'Der Vorschlag konnte nicht freigegeben werden.',
+        'errors.proposal_reject_failed': 'Der Vorschlag konnte nicht abgelehnt werden.',
+        'errors.too_many_subscriptions': 'Zu viele Anmeldungen. Bitte versuche es später erneut.',
+        'errors.too_many_registrations': 'Zu viele Anmeldungen. Bitte versuche es später erneut.',
+        'errors.subscription_failed': 'Das Abo konnte nicht gespeichert werden.',
+        'errors.subscription_not_found': 'Abo nicht gefunden oder Bestätigungslink ungültig.',
+        'errors.subscription_confirm_failed': 'Das Abo konnte nicht bestätigt werden.',
+        'errors.unsubscribe_link_invalid': 'Abo nicht gefunden oder Link ungültig. Vielleicht bist du schon abgemeldet.',
+        'errors.unsubscribe_failed': 'Die Abmeldung konnte nicht gespeichert werden.',
+        'errors.mail_log_load_failed': 'Das Mail-Protokoll konnte nicht geladen werden.',
+        'errors.notifications_failed': 'Die Mails konnten nicht gesendet werden.',
+        'errors.invalid_date_range': 'Ungültiger Zeitraum.',
+        'errors.date_range_reversed': 'Der Beginn des Zeitraums darf nicht nach dem Ende liegen.',
+        'errors.date_range_too_long': 'Der Zeitraum ist zu lang.',
+        'errors.stats_failed': 'Die Statistik konnte nicht erstellt werden.',
+        'errors.invalid_report': 'Ungültige Auswertung.',
+        'errors.stats_export_failed': 'Die Statistik konnte nicht exportiert werden.',
+        'errors.resources_load_failed': 'Die Ressourcen konnten nicht geladen werden.',
+        'errors.resource_name_taken': 'Es gibt bereits eine Ressource mit diesem Namen.',
+        'errors.resource_create_failed': 'Die Ressource konnte nicht hinzugefügt werden.',
+        'errors.resource_not_found': 'Ressource nicht gefunden.',
+        'errors.resource_update_failed': 'Die Ressource konnte nicht gespeichert werden.',
+        'errors.resource_in_use': 'Die Ressource wird von Events gebucht. Deaktiviere sie stattdessen, damit diese Events sie weiterhin anzeigen.',
+        'errors.resource_delete_failed': 'Die Ressource konnte nicht gelöscht werden.',
+        'errors.too_many_logins': 'Zu viele fehlgeschlagene Logins. Bitte versuche es später erneut.',
+        'errors.credentials_required': 'Bitte E-Mail und Passwort eingeben.',
+        'errors.invalid_credentials': 'E-Mail oder Passwort ist falsch.',
+        'errors.session_failed': 'Die Sitzung konnte nicht erstellt werden.',
+        'errors.login_failed': 'Login fehlgeschlagen.',
+        'errors.logout_failed': 'Logout fehlgeschlagen.',
+        'errors.auth_status_failed': 'Der Login-Status konnte nicht geprüft werden.',
+        'errors.token_missing': 'Der Link ist unvollständig.',
+        'errors.link_invalid': 'Der Link ist ungültig oder abgelaufen.',
+        'errors.password_too_short': 'Das Passwort muss mindestens 10 Zeichen lang sein.',
+        'errors.set_password_failed': 'Das Passwort konnte nicht gespeichert werden.',
+        'errors.users_load_failed': 'Die Benutzer konnten nicht geladen werden.',
+        'errors.invalid_role': 'Ungültige Rolle.',
+        'errors.user_exists': 'Es gibt bereits einen Benutzer mit dieser E-Mail-Adresse.',
+        'errors.invite_failed': 'Der Benutzer konnte nicht eingeladen werden.',
+        'errors.own_account': 'Du kannst dein eigenes Benutzerkonto nicht deaktivieren oder herabstufen.',
+        'errors.user_not_found': 'Benutzer nicht gefunden.',
+        'errors.user_update_failed': 'Der Benutzer konnte nicht gespeichert werden.',
+        'errors.password_reset_failed': 'Das Passwort konnte nicht zurückgesetzt werden.',
+        'errors.too_many_connections': 'Zu viele Live-Verbindungen. Bitte später neu laden.',
+        // Field errors of the forms (errorCodes of validation_failed)
+        'errors.required': 'Pflichtfeld.',
+        'errors.too_long': 'Der Text ist zu lang.',
+        'errors.invalid_date': 'Ungültiges Datum.',
+        'errors.invalid_time': 'Ungültige Zeit. Bitte HH:MM verwenden (00:00 - 23:59).',
+        'errors.end_before_start': 'Die Endzeit muss nach der Startzeit liegen.',
+        'errors.end_date_before_start': 'Das Enddatum darf nicht vor dem Datum liegen.',
+        'errors.event_too_long': 'Ein Event darf höchstens 14 Tage dauern.',
+        'errors.invalid_event_type': 'Ungültiger Event Typ.',
+        'errors.unknown_resources': 'Unbekannte Ressourcen ausgewählt.',
+        'errors.exclusive_resource': 'Diese Ressource kann nicht mit anderen kombiniert werden.',
+        'errors.name_contains_comma': 'Der Name darf keine Kommas enthalten.',
+        'errors.invalid_quantity': 'Die Anzahl muss eine ganze Zahl zwischen 1 und 100 sein.',
+        'errors.invalid_sort_order': 'Die Reihenfolge muss eine ganze Zahl zwischen 0 und 999 sein.',
+        'errors.invalid_frequency': 'Ungültige Wiederholung.',
+        'errors.invalid_recurrence_end': 'Ungültiges Enddatum der Wiederholung.',
+        'errors.recurrence_end_before_start': 'Das Enddatum der Wiederholung darf nicht vor dem ersten Termin liegen.',
+        'errors.invalid_recurrence_count': 'Ungültige Anzahl Termine.',
+        'errors.recurrence_end_missing': 'Eine Serie braucht ein Enddatum oder eine Anzahl Termine.',
+        'errors.invalid_week_of_month': 'Ungültiger Wochentag im Monat.',
+        'errors.invalid_capacity': 'Ungültige Anzahl Teilnehmende.',
+        'errors.invalid_registration_deadline': 'Ungültiger Anmeldeschluss.',
+        'errors.date_in_past': 'Bitte ein Datum in der Zukunft vorschlagen.',
+        'errors.reason_required': 'Bitte eine Begründung angeben.',
+    },
+    en: {
+        'app.title': 'EBA-BAR Event List & Planner',
+        'language.name': 'English',
+
+        // Common
+        'common.email': 'Email',
+        'common.name': 'Name',
+        'common.date': 'Date',
+        'common.status': 'Status',
+        'common.actions': 'Actions',
+        'common.description': 'Description',
+        'common.edit': 'Edit',
+        'common.save': 'Save',
+        'common.delete': 'Delete',
+        'common.cancel': 'Cancel',
+        'common.active': 'Active',
+        'common.disabled': 'Disabled',
+        'common.activate': 'Enable',
+        'common.deactivate': 'Disable',
+        'common.event': 'Event',
+        'common.events': 'Events',
+        'common.httpError': 'HTTP error {status}',
+        'common.unknownError': 'An unknown error occurred.',
+        'common.errorPrefix': 'Error: {message}',
+        'common.communicationError': 'Communication error: {message}',
+        'common.actionFailed': 'Action failed: {message}',
+        'common.initFailed': 'Initialization error: {count} critical UI elements are missing or the modal could not be initialized. Check the console.',
+
+        // Menu
+        'menu.toggle': 'Menu',
+        'menu.list': 'Event overview',
+        'menu.month': 'Month view',
+        'menu.week': 'Week view',
+        'menu.add': 'Add event',
+        'menu.propose': 'Propose an event',
+        'menu.proposals': 'Review proposals',
+        'menu.stats': 'Statistics',
+        'menu.trash': 'Trash',
+        'menu.users': 'Manage users',
+        'menu.resources': 'Manage resources',
+        'menu.mailLog': 'Mail log',
+        'menu.help': 'Principles and help',
+        'menu.logout': 'Log out',
+        'menu.language': 'Language',
+        'menu.loggedInAs': 'Logged in: {name} ({role})',
+
+        // Roles, event types and other value labels
+        'roles.admin': 'Admin',
+        'roles.organizer': 'Organizer',
+        'roles.viewer': 'Viewer',
+        'eventTypes.public': 'Public',
+        'eventTypes.private': 'Private',
+        'historyActions.create': 'Created',
+        'historyActions.update': 'Changed',
+        'historyActions.image': 'Image removed',
+        'historyActions.delete': 'Moved to the trash',
+        'historyActions.restore': 'Restored',
+        'historyActions.rollback': 'Rolled back',
+        'historyActions.purge': 'Purged',
+        'historyActions.propose': 'Proposed',
+        'historyActions.approve': 'Proposal approved',
+        'historyActions.reject': 'Proposal rejected',
+        'registrationStatus.confirmed': 'Registered',
+        'registrationStatus.waitlisted': 'Waiting list',
+        'registrationStatus.cancelled': 'Cancelled',
+        'mailKinds.created': 'New event',
+        'mailKinds.updated': 'Event changed',
+        'mailKinds.cancelled': 'Event cancelled',
+        'mailKinds.reminder': 'Reminder',
+        'mailKinds.digest': 'Weekly digest',
+        'mailKinds.subscription': 'Subscription confirmation',
+        'mailKinds.proposal': 'Proposal decision',
+        'mailStatus.sent': 'Sent',
+        'mailStatus.failed': 'Failed',
+        'mailStatus.skipped': 'Not sent (no SMTP)',
+
+        // Login and password
+        'login.title': 'Login required',
+        'login.intro': 'Please log in with your user account to add or edit events.',
+        'login.noAccountBefore': 'No user account? You can also',
+        'login.noAccountLink': 'propose',
+        'login.noAccountAfter': ' an event, the board reviews and publishes it.',
+        'login.password': 'Password',
+        'login.button': 'Log in',
+        'login.inProgress': 'Logging in...',
+        'login.missingInput': 'Please enter your email and password.',
+        'login.tooManyAttempts': 'Too many failed attempts. Please try again in {minutes} minutes.',
+        'login.failed': 'Login failed.',
+        'login.failedWith': 'Login failed: {message}',
+        'login.loggingOut': 'Logging out...',
+        'login.loggedOut': 'You have been logged out.',
+        'login.toEdit': 'Please log in to edit events.',
+        'login.toAdd': 'Please log in to add events.',
+        'password.title': 'Set password',
+        'password.intro': 'Choose a password for your user account (at least 10 characters).',
+        'password.new': 'New password',
+        'password.repeat': 'Repeat password',
+        'password.save': 'Save password',
+        'password.linkInvalid': 'The link is invalid.',
+        'password.tooShort': 'The password must be at least 10 characters long.',
+        'password.mismatch': 'The passwords do not match.',
+        'password.saved': 'Password saved. You can log in now.',
+        'password.saveFailed': 'The password could not be saved: {message}',
+
+        // Event list, filters and calendar
+        'events.title': 'EBA-BAR event list',
+        'events.loading': 'Loading events...',
+        'events.noMatches': 'No events match the current filters.',
+        'events.loadMore': 'Load more events',
+        'events.unexpectedFormat': 'Unexpected data format from the server.',
+        'events.notFound': 'Event not found.',
+        'events.details': 'Event details',
+        'events.liveNotice': 'The events were updated by someone else.',
+        'filters.search': 'Search (title/description)',
+        'filters.searchPlaceholder': 'Enter a search term...',
+        'filters.type': 'Type',
+        'filters.all': 'All',
+        'filters.monthYear': 'Month / year',
+        'filters.allMonths': 'Month (all)',
+        'filters.allYears': 'Year (all)',
+        'filters.past': 'Past',
+        'filters.reset': 'Reset',
+        'calendar.previous': 'Previous',
+        'calendar.today': 'Today',
+        'calendar.next': 'Next',
+        'calendar.loading': 'Loading calendar...',
+        'calendar.untimed': 'No time',
+
+        // Event tile
+        'event.untitled': 'Untitled event',
+        'event.noDate': 'No date',
+        'event.invalidDate': 'Invalid date',
+        'event.timeRange': '{start} - {end}',
+        'event.timeMultiDay': 'Starts {start}, ends {end}',
+        'event.timeFrom': 'From {start}',
+        'event.noTime': 'No time given',
+        'event.wholeDay': 'all day',
+        'event.series': 'Series',
+        'event.addToCalendar': 'Add to calendar',
+        'event.responsible': 'Responsible:',
+        'event.description': 'Description:',
+        'event.resources': 'Resources:',
+        'event.participantInfo': 'Additional information for participants:',
+        'event.image': 'Image:',
+        'event.imageAlt': 'Event image for {title}',
+        'event.noImage': 'No image available.',
+
+        // Add/edit/proposal forms
+        'form.title': 'Event title*',
+        'form.date': 'Date*',
+        'form.startTime': 'Start time (HH:MM)',
+        'form.endDate': 'End date (multi-day)',
+        'form.endTime': 'End time (HH:MM)',
+        'form.eventType': 'Event type*',
+        'form.recurrence': 'Repeat',
+        'form.recurrenceNone': 'None',
+        'form.weekly': 'Weekly',
+        'form.biweekly': 'Every 2 weeks',
+        'form.monthly': 'Monthly',
+        'form.weekOfMonth': 'Weekday in the month',
+        'form.sameAsStart': 'Same as start date',
+        'form.every1': 'Every 1st',
+        'form.every2': 'Every 2nd',
+        'form.every3': 'Every 3rd',
+        'form.every4': 'Every 4th',
+        'form.everyLast': 'Every last',
+        'form.repeatUntil': 'Repeat until',
+        'form.untilDate': 'Until (date)',
+        'form.occurrenceCount': 'Number of dates',
+        'form.orOccurrenceCount': 'or number of dates',
+        'form.resources': 'Required resources',
+        'form.resourcesHint': '(resources in bold like "Ganzer Raum" exclude all others)',
+        'form.noResources': 'No resources available.',
+        'form.retiredResource': '{name} (no longer available)',
+        'form.responsible': 'Responsible',
+        'form.responsibleHelp': '(first name, last name, phone number, address)',
+        'form.participantInfo': 'Additional information for participants',
+        'form.participantInfoHelp': 'Additional information can be entered here, also a longer description. It does not appear in the event overview.',
+        'form.participantInfoHelpShort': 'Additional information, also longer descriptions. Does not appear in the event overview.',
+        'form.registrationEnabled': 'Enable registration for participants',
+        'form.capacity': 'Max. participants',
+        'form.capacityHelp': 'Max. participants (empty = unlimited)',
+        'form.registrationDeadline': 'Registration deadline',
+        'form.registrationDeadlineHelp': 'Registration deadline (optional)',
+        'form.image': 'Upload image (optional)',
+        'form.imagePreview': 'Image preview',
+        'form.resetImage': 'Reset image selection',
+        'form.requiredFields': 'Title and date are required.',
+        'form.fixFields': 'Please correct the marked fields.',
+        'add.title': 'Add a new event',
+        'add.submit': 'Add event',
+        'add.success': 'Event added.',
+        'add.redirect': 'You will be taken to the overview...',
+        'edit.title': 'Edit event',
+        'edit.titleEvent': 'Edit event: {title}',
+        'edit.titleProposal': 'Edit proposal: {title}',
+        'edit.untitled': 'Untitled',
+        'edit.seriesScope': 'This date belongs to a series. Saving and deleting applies to:',
+        'edit.scopeOccurrence': 'Only this date',
+        'edit.scopeFollowing': 'This and all following dates',
+        'edit.scopeSeries': 'Whole series',
+        'edit.currentImage': 'Current image:',
+        'edit.currentImageAlt': 'Current event image',
+        'edit.deleteImage': 'Delete stored image',
+        'edit.noImage': 'No image uploaded for this event.',
+        'edit.changeImage': 'Change / add image (optional)',
+        'edit.changeImageHelp': 'Choose a new file to replace the current image when saving.',
+        'edit.showHistory': 'Show history',
+        'edit.deleteEvent': 'Delete event',
+        'edit.save': 'Save changes',
+        'edit.cannotOpen': 'The edit form cannot be opened: UI elements are missing.',
+        'edit.notFound': 'Event to edit not found.',
+        'edit.saved': 'Event updated.',
+        'edit.savedOccurrence': 'Date updated.',
+        'edit.savedFollowing': 'Following dates updated.',
+        'edit.noStoredImage': 'There is no stored image to delete or the event ID is missing.',
+        'edit.deleteImageConfirm': 'Do you really want to delete the image of this event?\nThe event itself is kept.',
+        'edit.imageDeleted': 'Image deleted.',
+        'edit.imageDeleteFailed': 'Error deleting the image: {message}',
+        'edit.thisEvent': 'this event',
+        'edit.idMissing': 'Error: event ID for deleting not found.',
+        'edit.deleteOccurrenceConfirm': 'Do you want to delete the date "{title}" from the series?',
+        'edit.deleteFollowingConfirm': 'Do you want to delete this and all following dates of "{title}"?',
+        'edit.deleteConfirm': 'Do you really want to delete the event "{title}"? It goes to the trash and can still be restored there.',
+        'edit.deleted': 'Event moved to the trash.',
+        'edit.deletedOccurrence': 'Date deleted.',
+        'edit.deletedFollowing': 'Following dates deleted.',
+        'edit.deleteFailed': 'Error deleting the event: {message}',
+        'edit.changedByOther': 'Note: this event has been changed by someone else in the meantime. When saving you can reload or overwrite the changes.',
+        'edit.deletedByOther': 'Note: this event has been deleted by someone else in the meantime.',
+        'edit.reloaded': 'The event was reloaded. Please enter your changes again.',
+        'edit.gone': 'The event has been deleted or moved in the meantime.',
+        'conflict.intro': 'The selected time overlaps with these bookings:',
+        'conflict.saveAnyway': 'Save anyway',
+        'conflict.versionIntro': 'The event has been changed by someone else in the meantime. Your changes were not saved.',
+        'conflict.reload': 'Reload',
+        'availability.free': 'No resources are booked on this day yet.',
+        'availability.booked': 'Already booked: {slots}',
+
+        // Registrations
+        'registration.title': 'Registration',
+        'registration.closed': 'Registration closed',
+        'registration.confirmedCount': '{count} registered',
+        'registration.spotsLeft': '{spotsLeft} of {capacity} places left',
+        'registration.full': 'Fully booked – waiting list',
+        'registration.deadline': 'Registration deadline: {date}.',
+        'registration.waitlisted': '{count} person(s) on the waiting list.',
+        'registration.headcount': 'Number of persons',
+        'registration.persons': 'Persons',
+        'registration.joinWaitlist': 'Join waiting list',
+        'registration.signUp': 'Sign up',
+        'registration.showAttendees': 'Show attendees',
+        'registration.csvExport': 'CSV export',
+        'registration.missingInput': 'Please enter your name and email.',
+        'registration.confirmed': 'You are registered! You can cancel with this link:',
+        'registration.waitlistedMessage': 'The event is fully booked. You are on the waiting list and move up automatically as soon as a place becomes free. You can cancel with this link:',
+        'registration.failed': 'Registration failed: {message}',
+        'registration.loadingAttendees': 'Loading attendees...',
+        'registration.noAttendees': 'No registrations yet.',
+        'registration.attendeesFailed': 'Attendees could not be loaded: {message}',
+        'registration.cancelConfirm': 'Do you really want to cancel your registration for this event?',
+        'registration.cancelled': 'Your registration has been cancelled.',
+        'registration.cancelFailed': 'Cancelling failed: {message}',
+
+        // Proposals
+        'proposal.intro': 'You do not have a user account and would like to hold an event in the cooperative room? Propose it here. The board reviews your proposal and adds it to the overview once approved.',
+        'proposal.responsibleHelp': 'Leave empty if you are responsible yourself.',
+        'proposal.name': 'Your name*',
+        'proposal.email': 'Your email*',
+        'proposal.emailHelp': 'Only for questions of the board, not published.',
+        'proposal.submit': 'Send proposal',
+        'proposal.thanks': 'Thank you for your proposal! The board will review it. This link shows you at any time whether it was approved:',
+        'proposal.booked': 'This time is already booked: {slots}. Please choose another time or other resources.',
+        'proposal.tooMany': 'Too many proposals. Please try again in {minutes} minutes.',
+        'proposal.failed': 'The proposal could not be sent: {message}',
+        'proposal.eventLabel': '"{title}" on {date}',
+        'proposal.eventLabelTime': '"{title}" on {date}, {time}',
+        'proposal.statusPending': 'Your proposal {event} is still being reviewed.',
+        'proposal.statusPublished': 'Your proposal {event} was approved and is listed in the event overview.',
+        'proposal.statusRejected': 'Unfortunately your proposal {event} was rejected. Reason: {reason}',
+        'proposal.statusFailed': 'The status of the proposal could not be loaded: {message}',
+        'proposals.filterPending': 'Open',
+        'proposals.filterRejected': 'Rejected',
+        'proposals.filterPublished': 'Approved',
+        'proposals.info': 'Open proposals only appear in the overview once they are approved. Use "Edit" to adjust them first. The proposer sees the decision on their status link; after deciding you can also inform them by email.',
+        'proposals.proposedBy': 'Proposed by',
+        'proposals.responsible': 'Responsible',
+        'proposals.submittedAt': 'Submitted on',
+        'proposals.loading': 'Loading proposals...',
+        'proposals.empty': 'No proposals.',
+        'proposals.reason': 'Reason: {reason}',
+        'proposals.approve': 'Approve',
+        'proposals.reject': 'Reject',
+        'proposals.loadFailed': 'Proposals could not be loaded: {message}',
+        'proposals.rejectPrompt': 'Reason for rejecting "{title}" (shown to the proposer):',
+        'proposals.approved': '"{title}" was approved, the proposer is informed by mail.',
+        'proposals.rejected': '"{title}" was rejected, the proposer is informed by mail.',
+        'proposals.approveFailed': 'Approving failed: {message}',
+        'proposals.rejectFailed': 'Rejecting failed: {message}',
+
+        // Change history and trash
+        'history.loading': 'Loading history...',
+        'history.empty': 'No history available.',
+        'history.occurrence': '(date {date})',
+        'history.imported': '(import)',
+        'history.system': 'System',
+        'history.proposalForm': 'Proposal form',
+        'history.rollback': 'Restore this version',
+        'history.loadFailed': 'History could not be loaded: {message}',
+        'history.rollbackConfirm': 'Roll the event back to the version of {date}?',
+        'history.rolledBack': 'Event rolled back.',
+        'history.rollbackFailed': 'Rollback failed: {message}',
+        'trash.info': 'Deleted events can be restored until they are purged.',
+        'trash.deletedAt': 'Deleted on',
+        'trash.purgeAt': 'Purged from',
+        'trash.loading': 'Loading trash...',
+        'trash.empty': 'The trash is empty.',
+        'trash.restore': 'Restore',
+        'trash.loadFailed': 'The trash could not be loaded: {message}',
+        'trash.restored': 'Event restored.',
+        'trash.restoreFailed': 'Restoring failed: {message}',
+
+        // Users and resources
+        'users.invite': 'Invite user',
+        'users.emailRequired': 'Email*',
+        'users.role': 'Role',
+        'users.inviteButton': 'Invite',
+        'users.loading': 'Loading users...',
+        'users.loadFailed': 'Users could not be loaded: {message}',
+        'users.invitePending': 'Invitation pending',
+        'users.resetPassword': 'Reset password',
+        'users.emailMissing': 'Please enter an email address.',
+        'users.invited': '{email} was invited. Send this link to the person (valid for 7 days):',
+        'users.inviteFailed': 'Invitation failed: {message}',
+        'users.resetConfirm': 'Reset the password of {email}? The current password stops working.',
+        'users.resetDone': 'Password of {email} reset. Send this link to the person (valid for 7 days):',
+        'users.disabled': '{email} was disabled.',
+        'users.enabled': '{email} was enabled.',
+        'users.roleChanged': 'Role of {email} changed.',
+        'users.roleChangeFailed': 'The role could not be changed: {message}',
+        'resources.add': 'Add resource',
+        'resources.nameRequired': 'Name*',
+        'resources.quantity': 'Quantity',
+        'resources.exclusiveLabel': 'Exclusive (whole room)',
+        'resources.addButton': 'Add',
+        'resources.info': 'Exclusive resources block all other bookings in the same time slot. Disabled resources can no longer be booked, existing events still show them. A resource can only be deleted as long as no event books it.',
+        'resources.sortOrder': 'Order',
+        'resources.exclusive': 'Exclusive',
+        'resources.loading': 'Loading resources...',
+        'resources.loadFailed': 'Resources could not be loaded: {message}',
+        'resources.nameMissing': 'Please enter a name.',
+        'resources.added': '{name} was added.',
+        'resources.addFailed': 'The resource could not be added: {message}',
+        'resources.saved': '{name} was saved.',
+        'resources.deleteConfirm': 'Delete {name} permanently?',
+        'resources.deleted': '{name} was deleted.',
+        'resources.activated': '{name} was enabled.',
+        'resources.deactivated': '{name} was disabled.',
+
+        // Mail log and digest subscription
+        'mailLog.run': 'Send reminders and weekly digest now',
+        'mailLog.time': 'Time',
+        'mailLog.kind': 'Type',
+        'mailLog.to': 'Recipient',
+        'mailLog.subject': 'Subject',
+        'mailLog.loading': 'Loading mail log...',
+        'mailLog.smtp': 'Mails are sent over SMTP.',
+        'mailLog.noSmtp': 'SMTP is not configured (SMTP_HOST), mails are only logged.',
+        'mailLog.subscribers': '{count} subscriber(s) of the weekly digest.',
+        'mailLog.empty': 'No mails yet.',
+        'mailLog.loadFailed': 'The mail log could not be loaded: {message}',
+        'mailLog.sent': '{reminders} reminder(s) and {digests} weekly digest(s) sent.',
+        'mailLog.runFailed': 'Sending failed: {message}',
+        'subscribe.title': 'Weekly digest by email',
+        'subscribe.intro': 'Once a week, a mail with the public events of the coming days? Enter your email address and confirm the subscription with the link we send you. You can unsubscribe with the link in every weekly digest. As the person responsible for an event you are also reminded before the event and informed about changes; registered participants are informed about changes and cancellations.',
+        'subscribe.button': 'Subscribe',
+        'subscribe.almostDone': 'Almost done! Please confirm the subscription with the link in the mail we sent you.',
+        'subscribe.invalidEmail': 'Please enter a valid email address.',
+        'subscribe.tooMany': 'Too many sign-ups. Please try again in {minutes} minutes.',
+        'subscribe.failed': 'The subscription could not be saved: {message}',
+        'subscribe.confirmed': 'Thank you! Your subscription to the weekly digest is confirmed.',
+        'subscribe.unsubscribed': 'You are unsubscribed and will no longer receive the weekly digest. Your email address was deleted.',
+        'subscribe.confirmFailed': 'The subscription could not be confirmed: {message}',
+        'subscribe.unsubscribeFailed': 'Unsubscribing failed: {message}',
+
+        // Statistics
+        'stats.from': 'From',
+        'stats.to': 'To',
+        'stats.show': 'Show',
+        'stats.invalidRange': 'Please choose a valid date range (From before To).',
+        'stats.loading': 'Loading statistics...',
+        'stats.totals': '{from} - {to}: {events} events ({publicEvents} public, {privateEvents} private), {hours} booked.',
+        'stats.withoutTimes': '{count} event(s) without start or end time count without hours.',
+        'stats.loadFailed': 'Statistics could not be loaded: {message}',
+        'stats.hours': 'Hours',
+        'stats.noData': 'No data in the selected range.',
+        'stats.months': 'Events per month',
+        'stats.month': 'Month',
+        'stats.monthDetails': '{publicEvents} public, {privateEvents} private',
+        'stats.eventTypes': 'Public / private',
+        'stats.eventType': 'Type',
+        'stats.noEventType': 'No type',
+        'stats.resources': 'Usage per resource',
+        'stats.resource': 'Resource',
+        'stats.weekdays': 'Busiest weekdays',
+        'stats.weekday': 'Day',
+        'stats.timeSlots': 'Busiest times of day',
+        'stats.timeSlot': 'Time slot',
+        'stats.organizers': 'Most active organizers',
+        'stats.organizer': 'Responsible',
+        'stats.slots.morning': 'Morning (until 12:00)',
+        'stats.slots.afternoon': 'Afternoon (12:00-17:00)',
+        'stats.slots.evening': 'Evening (17:00-21:00)',
+        'stats.slots.night': 'Night (from 21:00)',
+        'stats.slots.none': 'No start time',
+
+        // Help page (the prose is in the data-lang blocks of index.html)
+        'help.linksTitle': 'Summary of the links:',
+        'help.webpage': 'EBA BAR event webpage:',
+        'help.access': 'Access for adding and editing events:',
+        'help.accessBefore': 'Ask the board for a user account (',
+        'help.accessAfter': '). Without a user account you can submit an event with "Propose an event" in the menu, the board reviews and publishes it.',
+        'help.calendarFeed': 'Calendar subscription (Google, Apple, Outlook):',
+        'help.calendarFeedPublic': '(public events only:',
+
+        // API error codes
+        'errors.csrf_invalid': 'Your session has expired. Please reload the page.',
+        'errors.version_conflict': 'The event has been changed by someone else in the meantime. Please reload it before saving.',
+        'errors.validation_failed': 'Please correct the marked fields.',
+        'errors.invalid_date_filter': 'Invalid date filter.',
+        'errors.unauthorized': 'Not logged in. Please log in first.',
+        'errors.account_disabled': 'Your account is disabled. Please contact an admin.',
+        'errors.forbidden': 'Your role does not allow this action.',
+        'errors.session_check_failed': 'Your session could not be checked.',
+        'errors.invalid_cursor': 'Invalid page of the event list. Please reload.',
+        'errors.events_load_failed': 'The events could not be loaded.',
+        'errors.facets_load_failed': 'The filters could not be loaded.',
+        'errors.calendar_feed_failed': 'The calendar subscription could not be created.',
+        'errors.calendar_file_failed': 'The calendar file could not be created.',
+        'errors.event_not_found': 'Event not found.',
+        'errors.occurrence_not_found': 'Date of the series not found.',
+        'errors.booking_conflict': 'The selected time overlaps with existing bookings.',
+        'errors.event_create_failed': 'The event could not be added.',
+        'errors.invalid_json': 'The file is not valid JSON.',
+        'errors.invalid_import_json': 'The JSON file must contain a list of events or { "events": [...] }.',
+        'errors.unsupported_file_type': 'Unsupported file type. Please upload a .csv or .json file.',
+        'errors.empty_import': 'The file contains no events.',
+        'errors.too_many_rows': 'Too many rows for one import.',
+        'errors.invalid_export_format': 'Invalid export format.',
+        'errors.export_failed': 'The events could not be exported.',
+        'errors.no_file': 'No file uploaded.',
+        'errors.import_has_errors': 'Nothing imported: some rows have errors.',
+        'errors.import_failed': 'The events could not be imported.',
+        'errors.event_id_missing': 'Event ID missing.',
+        'errors.invalid_data': 'Invalid data.',
+        'errors.event_edit_forbidden': 'You can only edit events you created or are responsible for.',
+        'errors.invalid_if_match': 'Invalid version of the event. Please reload.',
+        'errors.invalid_scope': 'Invalid choice for the series.',
+        'errors.series_image_only': 'Images can only be changed for the whole series.',
+        'errors.event_update_failed': 'The event could not be saved.',
+        'errors.event_delete_forbidden': 'You can only delete events you created or are responsible for.',
+        'errors.event_delete_failed': 'The event could not be deleted.',
+        'errors.image_delete_failed': 'The image could not be deleted.',
+        'errors.invalid_image': 'The file is not a valid image or is too large.',
+        'errors.unsupported_image_format': 'Unsupported image format. Allowed are JPEG, PNG, WebP and GIF.',
+        'errors.image_processing_failed': 'The image could not be processed.',
+        'errors.history_load_failed': 'The history could not be loaded.',
+        'errors.version_not_found': 'Version not found.',
+        'errors.event_in_trash': 'Please restore the event from the trash first.',
+        'errors.rollback_failed': 'The event could not be rolled back.',
+        'errors.trash_load_failed': 'The trash could not be loaded.',
+        'errors.trash_event_not_found': 'Event not found in the trash.',
+        'errors.event_restore_forbidden': 'You can only restore events you created or are responsible for.',
+        'errors.restore_failed': 'The event could not be restored.',
+        'errors.trash_purge_failed': 'The trash could not be emptied.',
+        'errors.invalid_name': 'Please enter your name (max. 100 characters).',
+        'errors.invalid_email': 'Please enter a valid email address.',
+        'errors.invalid_headcount': 'The number of persons is invalid.',
+        'errors.registration_closed': 'Registration for this event is closed.',
+        'errors.already_registered': 'This email address is already registered for this event.',
+        'errors.registration_failed': 'The registration could not be saved.',
+        'errors.cancel_token_missing': 'The cancel link is incomplete.',
+        'errors.registration_not_found': 'Registration not found or cancel link invalid.',
+        'errors.registration_cancel_failed': 'The cancellation could not be saved.',
+        'errors.attendees_forbidden': 'You can only see the attendees of events you created or are responsible for.',
+        'errors.registrations_load_failed': 'The registrations could not be loaded.',
+        'errors.registrations_export_failed': 'The registrations could not be exported.',
+        'errors.invalid_image_variant': 'Invalid image size.',
+        'errors.image_not_found': 'Image not found.',
+        'errors.image_load_failed': 'The image could not be loaded.',
+        'errors.date_required': 'Please enter a valid date.',
+        'errors.availability_load_failed': 'The bookings of the day could not be loaded.',
+        'errors.too_many_proposals': 'Too many proposals. Please try again later.',
+        'errors.proposal_failed': 'The proposal could not be saved.',
+        'errors.proposal_not_found': 'Proposal not found or status link invalid.',
+        'errors.proposal_status_failed': 'The status of the proposal could not be loaded.',
+        'errors.invalid_status': 'Invalid status.',
+        'errors.proposals_load_failed': 'The proposals could not be loaded.',
+        'errors.pending_proposal_not_found': 'Open proposal not found.',
+        'errors.proposal_approve_failed': 'The proposal could not be approved.',
+        'errors.proposal_reject_failed': 'The proposal could not be rejected.',
+        'errors.too_many_subscriptions': 'Too many sign-ups. Please try again later.',
+        'errors.too_many_registrations': 'Too many sign-ups. Please try again later.',
+        'errors.subscription_failed': 'The subscription could not be saved.',
+        'errors.subscription_not_found': 'Subscription not found or confirmation link invalid.',
+        'errors.subscription_confirm_failed': 'The subscription could not be confirmed.',
+        'errors.unsubscribe_link_invalid': 'Subscription not found or link invalid. Maybe you have already unsubscribed.',
+        'errors.unsubscribe_failed': 'Unsubscribing could not be saved.',
+        'errors.mail_log_load_failed': 'The mail log could not be loaded.',
+        'errors.notifications_failed': 'The mails could not be sent.',
+        'errors.invalid_date_range': 'Invalid date range.',
+        'errors.date_range_reversed': 'The start of the date range must not be after its end.',
+        'errors.date_range_too_long': 'The date range is too long.',
+        'errors.stats_failed': 'The statistics could not be built.',
+        'errors.invalid_report': 'Invalid report.',
+        'errors.stats_export_failed': 'The statistics could not be exported.',
+        'errors.resources_load_failed': 'The resources could not be loaded.',
+        'errors.resource_name_taken': 'A resource with this name already exists.',
+        'errors.resource_create_failed': 'The resource could not be added.',
+        'errors.resource_not_found': 'Resource not found.',
+        'errors.resource_update_failed': 'The resource could not be saved.',
+        'errors.resource_in_use': 'The resource is booked by events. Disable it instead, so these events still show it.',
+        'errors.resource_delete_failed': 'The resource could not be deleted.',
+        'errors.too_many_logins': 'Too many failed logins. Please try again later.',
+        'errors.credentials_required': 'Please enter your email and password.',
+        'errors.invalid_credentials': 'Invalid email or password.',
+        'errors.session_failed': 'The session could not be created.',
+        'errors.login_failed': 'Login failed.',
+        'errors.logout_failed': 'Logout failed.',
+        'errors.auth_status_failed': 'The login status could not be checked.',
+        'errors.token_missing': 'The link is incomplete.',
+        'errors.link_invalid': 'This link is invalid or has expired.',
+        'errors.password_too_short': 'The password must be at least 10 characters long.',
+        'errors.set_password_failed': 'The password could not be saved.',
+        'errors.users_load_failed': 'The users could not be loaded.',
+        'errors.invalid_role': 'Invalid role.',
+        'errors.user_exists': 'A user with this email address already exists.',
+        'errors.invite_failed': 'The user could not be invited.',
+        'errors.own_account': 'You cannot disable or demote your own account.',
+        'errors.user_not_found': 'User not found.',
+        'errors.user_update_failed': 'The user could not be saved.',
+        'errors.password_reset_failed': 'The password could not be reset.',
+        'errors.too_many_connections': 'Too many live connections. Please reload later.',
+        // Field errors of the forms (errorCodes of validation_failed)
+        'errors.required': 'Required.',
+        'errors.too_long': 'The text is too long.',
+        'errors.invalid_date': 'Invalid date.',
+        'errors.invalid_time': 'Invalid time. Please use HH:MM (00:00 - 23:59).',
+        'errors.end_before_start': 'The end time must be after the start time.',
+        'errors.end_date_before_start': 'The end date must not be before the date.',
+        'errors.event_too_long': 'An event may last at most 14 days.',
+        'errors.invalid_event_type': 'Invalid event type.',
+        'errors.unknown_resources': 'Unknown resources selected.',
+        'errors.exclusive_resource': 'This resource cannot be combined with others.',
+        'errors.name_contains_comma': 'The name must not contain commas.',
+        'errors.invalid_quantity': 'The quantity must be a whole number between 1 and 100.',
+        'errors.invalid_sort_order': 'The order must be a whole number between 0 and 999.',
+        'errors.invalid_frequency': 'Invalid repetition.',
+        'errors.invalid_recurrence_end': 'Invalid end date of the repetition.',
+        'errors.recurrence_end_before_start': 'The end date of the repetition must not be before the first date.',
+        'errors.invalid_recurrence_count': 'Invalid number of dates.',
+        'errors.recurrence_end_missing': 'A series needs an end date or a number of dates.',
+        'errors.invalid_week_of_month': 'Invalid weekday in the month.',
+        'errors.invalid_capacity': 'Invalid number of participants.',
+        'errors.invalid_registration_deadline': 'Invalid registration deadline.',
+        'errors.date_in_past': 'Please propose a date in the future.',
+        'errors.reason_required': 'Please enter a reason.',
+    },
+};
+
+// readStoredLanguage() - Language chosen in the menu, null if none was chosen (or localStorage is blocked)
+function readStoredLanguage() {
+    try { return localStorage.getItem(LANGUAGE_STORAGE_KEY); } catch (error) { return null; }
+}
+
+/** Language of the manual choice, otherwise the first supported browser language, otherwise German */
+function detectLanguage() {
+    const stored = readStoredLanguage();
+    if (LANGUAGES.includes(stored)) return stored;
+    const browserLanguages = navigator.languages?.length ? navigator.languages : [navigator.language || ''];
+    const supported = browserLanguages.map(language => String(language).toLowerCase().split('-')[0]).find(language => LANGUAGES.includes(language));
+    return supported || DEFAULT_LANGUAGE;
+}
+
+let currentLanguage = detectLanguage();
+
+/** Current language ('de' or 'en') */
+function getLanguage() {
+    return currentLanguage;
+}
+
+/** Locale of the current language for toLocaleDateString() and friends */
+function getLocale() {
+    return LOCALES[currentLanguage];
+}
+
+/** True if the key has a text (in the current language or in German) */
+function hasTranslation(key) {
+    return key in TRANSLATIONS[currentLanguage] || key in TRANSLATIONS[DEFAULT_LANGUAGE];
+}
+
+/** Text of a key in the current language (German if missing, the key itself as last resort) with {placeholders} replaced by params */
+function t(key, params = {}) {
+    const text = TRANSLATIONS[currentLanguage][key] ?? TRANSLATIONS[DEFAULT_LANGUAGE][key];
+    if (text === undefined) { console.warn(`Missing translation: ${key}`); return key; } // Keep console English
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] ?? placeholder));
+}
+
+/** Sets the static texts of the page (data-i18n attributes and data-lang blocks) to the current language */
+function applyTranslations(root = document) {
+    document.documentElement.lang = currentLanguage;
+    root.querySelectorAll('[data-i18n]').forEach(element => { element.textContent = t(element.dataset.i18n); });
+    Object.entries(I18N_ATTRIBUTES).forEach(([dataKey, attribute]) => {
+        const selector = `[data-${dataKey.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}]`;
+        root.querySelectorAll(selector).forEach(element => element.setAttribute(attribute, t(element.dataset[dataKey])));
+    });
+    root.querySelectorAll('[data-lang]').forEach(element => element.classList.toggle('d-none', element.dataset.lang !== currentLanguage));
+    root.querySelectorAll('[data-language]').forEach(button => {
+        button.classList.toggle('active', button.dataset.language === currentLanguage);
+        button.setAttribute('aria-pressed', String(button.dataset.language === currentLanguage));
+    });
+}
+
+/** Switches the language (manual choice from the menu): stores it, translates the page and notifies the views */
+function setLanguage(language) {
+    if (!LANGUAGES.includes(language) || language === currentLanguage) return;
+    currentLanguage = language;
+    try { localStorage.setItem(LANGUAGE_STORAGE_KEY, language); } catch (error) { console.warn("Language choice could not be stored:", error); } // Keep console English
+    applyTranslations();
+    document.dispatchEvent(new CustomEvent(LANGUAGE_CHANGE_EVENT, { detail: { language } }));
+}
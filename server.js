@@ -1,26 +1,41 @@
-// server.js (Single Container Version - Firestore/GCS Backend + Static Frontend + Session Auth)
+// server.js (Single Container Version - Firestore/GCS or Local Storage Backend + Static Frontend + Session Auth)
 
 // Load .env file for local development environment variables (must be the first line)
 require('dotenv').config();
 
 const express = require('express');
 const path = require('path'); // Required for serving static files and catch-all route
+const crypto = require('crypto'); // CSRF token comparison, development session secret
 const session = require('express-session'); // *** NEW: For sessions ***
-const { Firestore, FieldValue, Timestamp } = require('@google-cloud/firestore'); // Firestore Client + Helpers
-const { FirestoreStore } = require('@google-cloud/connect-firestore'); // *** NEW: Session Store ***
-const { Storage } = require('@google-cloud/storage'); // Google Cloud Storage Client
 const Multer = require('multer'); // Middleware for handling multipart/form-data (file uploads)
-const { format } = require('util'); // Node.js utility
+const { createStorage } = require('./lib/storage'); // Storage backend (Firestore/GCS or local), selected by STORAGE_BACKEND
+const { buildCalendar } = require('./lib/ics'); // iCalendar feed builder
+const { toCsv, parseCsv, unescapeCell } = require('./lib/csv'); // CSV export/import
+const { diffFields } = require('./lib/history'); // Change history diffs
+const { IMAGE_CONTENT_TYPE, IMAGE_VARIANT_NAMES, processImage, createImageName, toVariantName } = require('./lib/images'); // Image upload pipeline
+const { hashPassword, verifyPassword, validatePasswordStrength, generateToken, hashToken } = require('./lib/passwords'); // User account passwords
+const { MAX_EVENT_DAYS, todayInZurich, startOfDay, toZonedDateTime, toStoredTimes, fromStoredTimes, withInstants, fromLegacyFields } = require('./lib/eventTimes'); // Event start/end in Europe/Zurich
+const { OVERRIDABLE_FIELDS, isValidDate, addDays, normalizeRecurrence, isSameRecurrence, getOccurrenceDates, toOccurrence, expandSeriesEvent, splitOccurrenceId } = require('./lib/recurrence'); // Event series
+const { parseResources, getExclusiveIds, toResourceId, loadResources, ensureDefaultResources } = require('./lib/resources'); // Resource catalogue
+const { validateEventFields, validateResourceFields, formatValidationErrors } = require('./lib/validation'); // Event/resource field validation
+const { createRateLimiter } = require('./lib/rateLimiter'); // Brute-force protection of the login, spam protection of the public forms
+const { createEventStream } = require('./lib/eventStream'); // Live updates (Server-Sent Events)
+const { MAIL_STATUS_FAILED, readSmtpConfig, createMailer } = require('./lib/mailer'); // Notification mails (SMTP)
+const { eventChangeMail, reminderMail, digestMail, subscriptionConfirmMail, proposalDecisionMail } = require('./lib/mailTemplates'); // German mail texts
+const { REPORTS, REPORT_COLUMNS, buildUsageStats } = require('./lib/stats'); // Room usage statistics
 
 // --- Configuration ---
 const PORT = process.env.PORT || 8080;
-const db = new Firestore(); // Initialize Firestore client
+const storage = createStorage();
+const { db, FieldValue, FieldPath, Timestamp, images } = storage;
 const eventsCollection = db.collection('events');
-
-// Google Cloud Storage Configuration
-const GCS_BUCKET_NAME = 'ebaplanner_event_images'; // ** VERIFY THIS BUCKET NAME IS CORRECT **
-const storage = new Storage();
-const bucket = storage.bucket(GCS_BUCKET_NAME);
+const usersCollection = db.collection('users');
+const resourcesCollection = db.collection('resources'); // Resource catalogue (bookable items)
+const historyCollection = db.collection('eventHistory'); // Audit log, entries survive purging of the event
+const supersededImagesCollection = db.collection('supersededImages'); // Replaced or removed images, kept for rollbacks until purged
+const mailLogCollection = db.collection('mailLog'); // Delivery log of the notification mails
+const subscribersCollection = db.collection('subscribers'); // Subscribers of the weekly digest
+const eventStream = createEventStream(); // Pushes event changes to the open planners
 
 // Multer configuration
 const multer = Multer({
@@ -30,10 +45,57 @@ const multer = Multer({
   },
 });
 
-// Password Check (from environment variable)
-const APP_PASSWORD = process.env.APP_PASSWORD;
-// Session Secret (MUST be set securely via Env Var or Secret Manager in production)
-const SESSION_SECRET = process.env.SESSION_SECRET || 'a-very-insecure-fallback-secret-replace-me!';
+// User Roles: admins manage users and all events, organizers manage their own events, viewers only read
+const ROLE_ADMIN = 'admin';
+const ROLE_ORGANIZER = 'organizer';
+const ROLE_VIEWER = 'viewer';
+const USER_ROLES = [ROLE_ADMIN, ROLE_ORGANIZER, ROLE_VIEWER];
+const PASSWORD_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Invite/reset links are valid for 7 days
+// Initial admin account, created on startup if no user with this email exists yet
+const INITIAL_ADMIN_EMAIL = process.env.INITIAL_ADMIN_EMAIL;
+const INITIAL_ADMIN_PASSWORD = process.env.INITIAL_ADMIN_PASSWORD;
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+// Session Secret (MUST be set via Env Var or Secret Manager in production, the server refuses to start without it).
+// Development falls back to a random secret, so sessions end when the server restarts.
+const SESSION_SECRET = process.env.SESSION_SECRET || (IS_PRODUCTION ? undefined : crypto.randomBytes(32).toString('hex'));
+const MIN_SESSION_SECRET_LENGTH = 32;
+// Login brute-force protection: failed logins within the window lock out the IP. Distributed attacks (many failures in total)
+// only slow every login down, so one client cannot lock the organizers out.
+const loginLimiter = createRateLimiter({ // Only failed logins count as attempts
+    maxAttemptsPerIp: Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 5,
+    maxAttemptsGlobal: Number(process.env.LOGIN_MAX_FAILURES_GLOBAL) || 1000,
+    windowMs: (Number(process.env.LOGIN_WINDOW_MINUTES) || 15) * 60 * 1000,
+    lockoutMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+    globalDelayMs: (Number(process.env.LOGIN_GLOBAL_DELAY_SECONDS) || 2) * 1000,
+});
+// Spam protection of the public proposal form: every proposal counts, the limit is per hour (per IP and in total)
+const proposalLimiter = createRateLimiter({
+    maxAttemptsPerIp: Number(process.env.PROPOSALS_PER_IP_PER_HOUR) || 5,
+    maxAttemptsGlobal: Number(process.env.PROPOSALS_PER_HOUR) || 50,
+    windowMs: 60 * 60 * 1000,
+    lockoutMs: 60 * 60 * 1000,
+});
+// Sign-ups for the weekly digest send a confirmation mail, so they are limited like proposals
+const subscriptionLimiter = createRateLimiter({
+    maxAttemptsPerIp: Number(process.env.SUBSCRIPTIONS_PER_IP_PER_HOUR) || 5,
+    maxAttemptsGlobal: Number(process.env.SUBSCRIPTIONS_PER_HOUR) || 100,
+    windowMs: 60 * 60 * 1000,
+    lockoutMs: 60 * 60 * 1000,
+});
+// Public sign-ups for events take spots and mail the waitlist, so they are limited like proposals
+const registrationLimiter = createRateLimiter({
+    maxAttemptsPerIp: Number(process.env.REGISTRATIONS_PER_IP_PER_HOUR) || 10,
+    maxAttemptsGlobal: Number(process.env.REGISTRATIONS_PER_HOUR) || 300,
+    windowMs: 60 * 60 * 1000,
+    lockoutMs: 60 * 60 * 1000,
+});
+// Notification mails (SMTP_* env vars, see lib/mailer.js). Links in mails point to APP_BASE_URL, scheduled mails have no request to take the host from.
+const APP_BASE_URL = String(process.env.APP_BASE_URL || '').replace(/\/+$/, '');
+const mailer = createMailer({ smtp: readSmtpConfig(), from: process.env.MAIL_FROM || undefined, log: entry => mailLogCollection.add({ ...entry, createdAt: FieldValue.serverTimestamp() }) });
+const REMINDER_DAYS_BEFORE = Number(process.env.REMINDER_DAYS_BEFORE) || 2; // The responsible person is reminded N days before the event
+const DIGEST_WEEKDAY = Number(process.env.DIGEST_WEEKDAY) || 1; // Weekday of the weekly digest in Europe/Zurich (1 = Monday ... 7 = Sunday)
+const DIGEST_DAYS = 7; // The digest lists the public events of the next 7 days
+const NOTIFICATION_INTERVAL_MS = 60 * 60 * 1000; // Reminders and digest are checked hourly, the delivery log prevents duplicates
 
 // --- Express App Initialization ---
 const app = express();
@@ -42,151 +104,1232 @@ const app = express();
 
 // ** NO CORS needed for single-container setup **
 
+// Cloud Run terminates HTTPS in front of the container: take the client IP (login limits) and protocol (secure cookie) from X-Forwarded-*
+if (IS_PRODUCTION) app.set('trust proxy', 1);
+
 // JSON Body Parser (needed for login, PUT /api/events/:id and POST /api/auth/check)
 app.use(express.json());
 
 // *** Session Configuration ***
-if (SESSION_SECRET === 'a-very-insecure-fallback-secret-replace-me!' && process.env.NODE_ENV === 'production') {
-    console.error('FATAL ERROR: SESSION_SECRET is not securely set for production!');
-    // process.exit(1); // Optionally exit if not set in production
-}
 app.use(session({
-    store: new FirestoreStore({ // Store sessions in Firestore
-        dataset: db,
-        kind: 'express-sessions', // Collection name for sessions in Firestore
-    }),
+    store: storage.createSessionStore(session), // Sessions are stored by the storage backend
     secret: SESSION_SECRET, // Secret to sign the session ID cookie
     resave: false, // Don't save back if unmodified
     saveUninitialized: false, // Don't save empty sessions
     cookie: {
         maxAge: 1000 * 60 * 60, // Session expiration: 1 hour in milliseconds
-        secure: process.env.NODE_ENV === 'production', // Send cookie only over HTTPS in production
+        secure: IS_PRODUCTION, // Send cookie only over HTTPS in production
         httpOnly: true, // Prevent client-side JS access to cookie
-        // sameSite: 'lax' // Good default for CSRF protection
+        sameSite: 'lax' // Not sent with cross-site POST/PUT/DELETE requests
     }
 }));
 
+// *** CSRF Protection ***
+// State-changing API requests must send the token of the session in the X-CSRF-Token header (GET /api/auth/csrf-token).
+// Other sites can make the browser send the session cookie, but cannot read the token.
+const CSRF_HEADER = 'X-CSRF-Token';
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// getCsrfToken(req) - CSRF token of the session, created on first use (login and logout start a new session with a new token)
+function getCsrfToken(req) {
+    if (!req.session.csrfToken) req.session.csrfToken = generateToken();
+    return req.session.csrfToken;
+}
+
+// hasValidCsrfToken(req) - Constant-time comparison of the header with the token of the session
+function hasValidCsrfToken(req) {
+    const expected = Buffer.from(req.session?.csrfToken || ''); const sent = Buffer.from(String(req.get(CSRF_HEADER) || ''));
+    return expected.length > 0 && expected.length === sent.length && crypto.timingSafeEqual(expected, sent);
+}
+
+app.use('/api', (req, res, next) => {
+    if (CSRF_SAFE_METHODS.includes(req.method) || hasValidCsrfToken(req)) return next();
+    console.warn(`CSRF check failed: ${req.method} ${req.originalUrl}`);
+    res.status(403).json({ success: false, code: 'csrf_invalid', message: 'Invalid or missing CSRF token. Please reload the page.' });
+});
+
 // *** Static File Serving ***
 // Serve static files (index.html, stylesheet.css, etc.) from the 'public' directory
 app.use(express.static(path.join(__dirname, 'public')));
 
 // --- Helper Functions ---
 
-// uploadToGcs(buffer, originalname, mimetype) - Unchanged from previous
-async function uploadToGcs(buffer, originalname, mimetype) {
-  return new Promise((resolve, reject) => {
-    const uniqueFilename = `${Date.now()}-${originalname.replace(/ /g, '_')}`;
-    const blob = bucket.file(uniqueFilename);
-    const blobStream = blob.createWriteStream({ metadata: { contentType: mimetype }, resumable: false });
-    blobStream.on('error', (err) => { console.error("GCS Upload Error:", err); reject(`Error uploading to GCS: ${err.message}`); });
-    blobStream.on('finish', async () => {
-      try { await blob.makePublic(); const publicUrl = format(`https://storage.googleapis.com/${bucket.name}/${blob.name}`); console.log("GCS Upload successful, public URL:", publicUrl); resolve(publicUrl); }
-      catch (err) { console.error("Error making file public or getting URL:", err); reject(`Error finalizing GCS upload: ${err.message}`); }
+// toApiEvent(doc) - Converts a Firestore event document into the JSON shape used by the API/frontend.
+// The stored instants startAt/endAt are returned as ISO strings plus the wall-clock fields eventDate/startTime/endDate/endTime (Europe/Zurich).
+function toApiEvent(doc) {
+    const { proposal, startAt, endAt, allDay, openEnd, ...data } = doc.data(); // Contact data of proposers is only returned by the review queue
+    const times = startAt && endAt
+        ? { ...fromStoredTimes({ startAt: startAt.toDate(), endAt: endAt.toDate(), allDay, openEnd }), startAt: startAt.toDate().toISOString(), endAt: endAt.toDate().toISOString() }
+        : { eventDate: null, startAt: null, endAt: null };
+    return { id: doc.id, ...data, version: getEventVersion(data), ...times, resources: parseResources(data.resources), createdAt: data.createdAt?.toDate()?.toISOString() || null };
+}
+
+// toTimeFields(value) - Stored time fields { startAt, endAt (Timestamps), allDay, openEnd } of validated wall-clock fields
+function toTimeFields(value) {
+    const { startAt, endAt, allDay, openEnd } = toStoredTimes(value);
+    return { startAt: Timestamp.fromDate(startAt), endAt: Timestamp.fromDate(endAt), allDay, openEnd };
+}
+
+// toEventFields(value) - Validated event fields (see validateEventFields) as stored: the wall-clock fields are replaced by the time fields
+function toEventFields(value) {
+    const { eventDate, startTime, endDate, endTime, ...fields } = value;
+    return { ...fields, ...toTimeFields(value) };
+}
+
+// upgradeLegacyTimes(data) - A stored event from before the start/end instants (eventDate Timestamp, free-text times; e.g. an old version
+// in the change history) with the time fields of the current format, see migrate-event-times.js. Current events are returned unchanged.
+function upgradeLegacyTimes(data) {
+    if (data.startAt || !data.eventDate) return data;
+    const { eventDate, startTime, endTime, ...fields } = data;
+    return { ...fields, ...toTimeFields(fromLegacyFields(data)) };
+}
+
+// getStartDate(data) - Start date ('YYYY-MM-DD', Europe/Zurich) of a stored event, e.g. the first occurrence of a series
+function getStartDate(data) {
+    return data.startAt ? toZonedDateTime(data.startAt.toDate()).date : null;
+}
+
+// compareEvents(a, b) - Sort order of the event list: start instant (id keeps the order stable for paging)
+function compareEvents(a, b) {
+    return String(a.startAt || '').localeCompare(String(b.startAt || '')) || String(a.id).localeCompare(String(b.id));
+}
+
+// getRangeBounds(from, to) - Instants (ISO strings) of a range of whole days in Europe/Zurich: { start, end }, end exclusive, null = open
+function getRangeBounds(from, to) {
+    return { start: from ? startOfDay(from).toISOString() : null, end: to ? startOfDay(addDays(to, 1)).toISOString() : null };
+}
+
+// overlapsRange(event, bounds) - Whether an API event takes place (at least partly) within the bounds of getRangeBounds
+function overlapsRange(event, { start, end }) {
+    return (!start || event.endAt > start) && (!end || event.startAt < end);
+}
+
+// whereStartsInRange(query, from, to, startAt) - Limits a query to the single events that may overlap the date range:
+// starting before its end and at most MAX_EVENT_DAYS before its start (or after startAt, e.g. a cursor position, if that is later)
+function whereStartsInRange(query, from, to, startAt = null) {
+    const { end } = getRangeBounds(from, to);
+    const lowerBound = [from ? startOfDay(addDays(from, -MAX_EVENT_DAYS)).toISOString() : null, startAt].filter(Boolean).sort().pop();
+    if (lowerBound) query = query.where('startAt', '>=', Timestamp.fromDate(new Date(lowerBound)));
+    if (end) query = query.where('startAt', '<', Timestamp.fromDate(new Date(end)));
+    return query.orderBy('startAt', 'asc');
+}
+
+// isInTrash(data) - Deleted events stay in the collection (soft delete) until they are purged
+function isInTrash(data) {
+    return Boolean(data.deletedAt);
+}
+
+// Publication state: proposals (POST /api/proposals) stay hidden until an admin approves them, events without status are published
+const EVENT_STATUS_PENDING = 'pending';
+const EVENT_STATUS_REJECTED = 'rejected';
+const EVENT_STATUS_PUBLISHED = 'published';
+const PROPOSAL_ACTOR = { id: null, name: 'proposal' }; // Acting "user" of proposals in the history, the contact details stay in the proposal field
+
+// isPublished(data) - Approved proposals and all events created by users
+function isPublished(data) {
+    return !data.status || data.status === EVENT_STATUS_PUBLISHED;
+}
+
+// isListed(data) - Events that are part of the planner (lists, feeds, conflict checks): published and not in the trash
+function isListed(data) {
+    return isPublished(data) && !isInTrash(data);
+}
+
+// isEditableEvent(data, user) - Listed events; pending proposals too for admins (edited before publishing)
+function isEditableEvent(data, user) {
+    return isListed(data) || (data.status === EVENT_STATUS_PENDING && !isInTrash(data) && user?.role === ROLE_ADMIN);
+}
+
+// loadEvents({ from, to }) - Loads single events and the occurrences of all series, optionally limited to the events taking place in a date range
+async function loadEvents({ from = null, to = null } = {}) {
+    const bounds = getRangeBounds(from, to);
+    // Series are loaded separately: their first occurrence may lie before the requested range
+    const [snapshot, seriesSnapshot] = await Promise.all([whereStartsInRange(eventsCollection, from, to).get(), eventsCollection.where('isSeries', '==', true).get()]);
+    const events = [];
+    snapshot.forEach(doc => { if (!doc.data().isSeries && isListed(doc.data())) events.push(toApiEvent(doc)); });
+    seriesSnapshot.forEach(doc => { if (isListed(doc.data())) events.push(...expandSeriesEvent(toApiEvent(doc), from, to)); });
+    return events.filter(event => overlapsRange(event, bounds)).sort(compareEvents);
+}
+
+// --- Privacy Helpers ---
+
+const EVENT_TYPE_PRIVATE = 'Privat';
+const EVENT_TYPE_PUBLIC = 'Öffentlich';
+const PRIVATE_EVENT_TITLE = 'Belegt'; // Shown to anonymous callers instead of the title of a private event
+// The only fields of a private event anonymous callers get to see: date, time and booked resources
+const PUBLIC_PRIVATE_EVENT_FIELDS = ['id', 'seriesId', 'occurrenceDate', 'eventDate', 'startTime', 'endDate', 'endTime', 'startAt', 'endAt', 'resources', 'eventType'];
+
+// canViewEventDetails(user, event) - Private events are only shown in full to logged-in users
+function canViewEventDetails(user, event) {
+    return event.eventType !== EVENT_TYPE_PRIVATE || Boolean(user);
+}
+
+// toImageProxyUrl(imageUrl, variant) - Public URL of a stored image or one of its variants (served through GET /api/images/:name)
+function toImageProxyUrl(imageUrl, variant = 'full') {
+    const objectName = images.getObjectName(imageUrl);
+    if (!objectName) return imageUrl || null;
+    return `/api/images/${encodeURIComponent(objectName)}${variant === 'full' ? '' : `?variant=${variant}`}`;
+}
+
+// toViewerEvent(event, user) - API event as the given viewer (null = anonymous) may see it
+function toViewerEvent(event, user) {
+    if (!canViewEventDetails(user, event)) {
+        const projected = { title: PRIVATE_EVENT_TITLE };
+        PUBLIC_PRIVATE_EVENT_FIELDS.forEach(field => { if (event[field] !== undefined) projected[field] = event[field]; });
+        return projected;
+    }
+    const { registrationStats, ...visibleEvent } = event;
+    return { ...visibleEvent, imageUrl: toImageProxyUrl(event.imageUrl), thumbnailUrl: toImageProxyUrl(event.imageUrl, 'thumb'), registration: toRegistrationSummary(event) };
+}
+
+// --- Registration Helpers (sign-ups stored in the subcollection events/<id>/registrations) ---
+
+const REGISTRATION_CONFIRMED = 'confirmed';
+const REGISTRATION_WAITLISTED = 'waitlisted';
+const REGISTRATION_CANCELLED = 'cancelled';
+const REGISTRATION_KEY_SINGLE = 'single'; // Registration key of single events, series occurrences use their date
+const MAX_CAPACITY = 1000;
+const MAX_HEADCOUNT = 10; // Max. persons per sign-up
+const REGISTRATION_HONEYPOT_FIELD = 'website'; // Hidden in the sign-up form: only bots fill it in, their sign-ups are silently dropped
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// getRegistrationKey(event) - Registrations and their counters (registrationStats.<key>) are kept per occurrence
+function getRegistrationKey(event) {
+    return event.occurrenceDate || REGISTRATION_KEY_SINGLE;
+}
+
+// isRegistrationOpen(event) - Sign-ups are possible until the deadline (inclusive), at the latest on the event day
+function isRegistrationOpen(event) {
+    const today = todayInZurich();
+    return Boolean(event.registrationEnabled) && event.eventDate >= today && (!event.registrationDeadline || event.registrationDeadline >= today);
+}
+
+// toRegistrationSummary(event) - Public registration state (counts only, never participant data), null if registration is off
+function toRegistrationSummary(event) {
+    if (!event.registrationEnabled) return null;
+    const stats = event.registrationStats?.[getRegistrationKey(event)] || {};
+    const capacity = event.capacity ?? null;
+    const confirmed = stats.confirmed || 0;
+    return { capacity, deadline: event.registrationDeadline || null, confirmed, waitlisted: stats.waitlisted || 0, spotsLeft: capacity === null ? null : Math.max(capacity - confirmed, 0), open: isRegistrationOpen(event) };
+}
+
+// readRegistrationInput(body) - Validates the registration settings of the add/edit forms, returns { registration } or { field, code, error }
+function readRegistrationInput(body) {
+    if (body.registrationEnabled !== 'true') return { registration: { registrationEnabled: false, capacity: null, registrationDeadline: null } };
+    const capacity = String(body.capacity ?? '').trim() === '' ? null : Number(body.capacity); // Empty = unlimited
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_CAPACITY)) return { field: 'capacity', code: 'invalid_capacity', error: `Capacity must be between 1 and ${MAX_CAPACITY}.` };
+    const registrationDeadline = String(body.registrationDeadline || '').trim() || null;
+    if (registrationDeadline && !isValidDate(registrationDeadline)) return { field: 'registrationDeadline', code: 'invalid_registration_deadline', error: 'Invalid registration deadline. Please use YYYY-MM-DD.' };
+    return { registration: { registrationEnabled: true, capacity, registrationDeadline } };
+}
+
+// resolveApiEvent(doc, occurrenceDate) - API event of a doc; for series the requested occurrence (null if it does not exist, is in the trash or not published)
+function resolveApiEvent(doc, occurrenceDate) {
+    if (!isListed(doc.data())) return null;
+    const event = toApiEvent(doc);
+    if (!event.isSeries) return event;
+    return expandSeriesEvent(event).find(occurrence => occurrence.occurrenceDate === occurrenceDate) || null;
+}
+
+// promoteWaitlisted(transaction, capacity, stats, waitingDocs) - Moves waitlisted sign-ups (oldest first) into free spots.
+// Groups that do not fit are skipped, so a smaller sign-up further down can still move up. Updates stats, returns the promoted registrations.
+function promoteWaitlisted(transaction, capacity, stats, waitingDocs) {
+    const promoted = [];
+    waitingDocs
+        .sort((a, b) => a.data().createdAt.toMillis() - b.data().createdAt.toMillis())
+        .forEach(doc => {
+            const registration = doc.data();
+            if (capacity !== null && stats.confirmed + registration.headcount > capacity) return;
+            transaction.update(doc.ref, { status: REGISTRATION_CONFIRMED, promotedAt: Timestamp.now() });
+            stats.confirmed += registration.headcount; stats.waitlisted -= registration.headcount;
+            promoted.push({ id: doc.id, ...registration });
+        });
+    return promoted;
+}
+
+// promoteWaitlists(eventRef) - Re-checks all waitlists of an event, e.g. after its capacity was raised
+async function promoteWaitlists(eventRef) {
+    const doc = await eventRef.get();
+    const stats = doc.data()?.registrationStats || {};
+    for (const key of Object.keys(stats).filter(key => stats[key].waitlisted > 0)) {
+        const promoted = await db.runTransaction(async (transaction) => {
+            const eventDoc = await transaction.get(eventRef);
+            const waiting = await transaction.get(eventRef.collection('registrations').where('registrationKey', '==', key).where('status', '==', REGISTRATION_WAITLISTED));
+            const eventData = eventDoc.data();
+            if (!eventData.registrationEnabled) return [];
+            const keyStats = { confirmed: 0, waitlisted: 0, ...(eventData.registrationStats?.[key] || {}) };
+            const promotedRegistrations = promoteWaitlisted(transaction, eventData.capacity ?? null, keyStats, waiting.docs);
+            transaction.update(eventRef, new FieldPath('registrationStats', key), keyStats);
+            return promotedRegistrations;
+        });
+        if (promoted.length > 0) console.log(`Promoted ${promoted.length} waitlisted registration(s) of event ${eventRef.id} (${key}).`);
+    }
+}
+
+// deleteRegistrations(eventRef) - Removes the registrations subcollection (Firestore does not delete it with the event)
+async function deleteRegistrations(eventRef) {
+    const snapshot = await eventRef.collection('registrations').get();
+    for (let i = 0; i < snapshot.docs.length; i += 500) {
+        const batch = db.batch();
+        snapshot.docs.slice(i, i + 500).forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+    }
+}
+
+// --- Change History & Trash ---
+
+// History actions: create, update, image, delete (moved to trash), restore, rollback, purge (finally removed)
+const HISTORY_IGNORED_FIELDS = ['registrationStats', 'version']; // Counters changed by sign-ups and the version counter, not by editing the event
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30; // Days before deleted events are purged
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// toHistoryUser(user) - Copy of the acting user, so entries stay readable after the account changes
+function toHistoryUser(user) {
+    return user ? { id: user.id, email: user.email || null, name: user.name || '' } : null;
+}
+
+// recordHistory(eventId, action, user, before, after, extra) - Stores one entry with the field-level diff and the new version (used for rollbacks).
+// Errors are only logged: the change itself has already been written.
+async function recordHistory(eventId, action, user, before, after, extra = {}) {
+    try {
+        await historyCollection.add({ eventId, action, at: FieldValue.serverTimestamp(), user: toHistoryUser(user), changes: diffFields(before, after, HISTORY_IGNORED_FIELDS), snapshot: after || null, ...extra });
+    } catch (error) { console.error(`Error recording history for event ${eventId} (${action}):`, error.message); }
+}
+
+// recordChange(eventRef, action, user, before, extra) - Re-reads the event after a write (resolves server timestamps/deletes) and records the change
+async function recordChange(eventRef, action, user, before, extra = {}) {
+    try {
+        const doc = await eventRef.get();
+        await recordHistory(eventRef.id, action, user, before, doc.exists ? doc.data() : null, extra);
+    } catch (error) { console.error(`Error recording history for event ${eventRef.id} (${action}):`, error.message); }
+}
+
+// keepSupersededImage(imageUrl, eventId) - Notes an image that was replaced or removed instead of deleting it, so a rollback can restore it
+async function keepSupersededImage(imageUrl, eventId) {
+    if (!imageUrl) return;
+    try {
+        await supersededImagesCollection.add({ imageUrl, eventId, supersededAt: FieldValue.serverTimestamp() });
+    } catch (error) { console.error(`Error noting superseded image ${imageUrl} of event ${eventId}:`, error.message); }
+}
+
+// purgeSupersededImages(cutoff) - Deletes images superseded before the cutoff that no event uses and no history entry after the cutoff references.
+// Images still referenced stay noted and are checked again on the next purge.
+async function purgeSupersededImages(cutoff) {
+    const snapshot = await supersededImagesCollection.where('supersededAt', '<=', cutoff).get();
+    let deleted = 0;
+    for (const doc of snapshot.docs) {
+        const { imageUrl, eventId } = doc.data();
+        const [usage, versions] = await Promise.all([eventsCollection.where('imageUrl', '==', imageUrl).limit(1).get(), historyCollection.where('snapshot.imageUrl', '==', imageUrl).get()]);
+        if (versions.docs.some(entry => entry.data().at && entry.data().at.toMillis() > cutoff.toMillis())) continue; // A recent version can still be rolled back to
+        if (usage.empty) { await deleteImage(imageUrl); deleted++; } // Images in use again are noted anew when they are superseded the next time
+        await doc.ref.delete();
+        console.log(`Superseded image ${imageUrl} of event ${eventId} ${usage.empty ? 'deleted' : 'is in use again, no longer kept'}.`);
+    }
+    return deleted;
+}
+
+// purgeDeletedEvents() - Finally removes events that were in the trash longer than TRASH_RETENTION_DAYS, incl. image and registrations,
+// and images that were superseded longer than that (see purgeSupersededImages)
+async function purgeDeletedEvents() {
+    const cutoff = Timestamp.fromMillis(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const snapshot = await eventsCollection.where('deletedAt', '<=', cutoff).get();
+    for (const doc of snapshot.docs) {
+        const eventData = doc.data();
+        if (eventData.imageUrl) { await deleteImageIfUnused(eventData.imageUrl, doc.id); }
+        await deleteRegistrations(doc.ref);
+        await doc.ref.delete();
+        await recordHistory(doc.id, 'purge', null, eventData, null);
+    }
+    if (snapshot.size > 0) console.log(`Purged ${snapshot.size} event(s) from the trash (retention ${TRASH_RETENTION_DAYS} days).`);
+    const deletedImages = await purgeSupersededImages(cutoff);
+    if (deletedImages > 0) console.log(`Deleted ${deletedImages} superseded image(s).`);
+    return snapshot.size;
+}
+
+// --- Live Updates & Optimistic Concurrency ---
+
+const CLIENT_ID_HEADER = 'X-Client-Id'; // Random id of a browser tab, sent with its changes so it can skip their broadcast
+
+// getEventVersion(data) - Version counter of an event document, raised by every change (events of older versions start at 0)
+function getEventVersion(data) {
+    return Number.isInteger(data?.version) ? data.version : 0;
+}
+
+// withNextVersion(update) - Update data that also raises the version counter
+function withNextVersion(update) {
+    return { ...update, version: FieldValue.increment(1) };
+}
+
+// readExpectedVersion(req) - Version the client edited, from the If-Match header ('"3"' or '3'); null without header, NaN if invalid
+function readExpectedVersion(req) {
+    const header = req.get('If-Match');
+    if (!header) return null;
+    const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim());
+    return match ? Number(match[1]) : NaN;
+}
+
+// sendVersionConflict(res) - 412 response: the event was changed by someone else since the client loaded it
+function sendVersionConflict(res) {
+    return res.status(412).json({ success: false, code: 'version_conflict', message: 'The event was changed by someone else in the meantime. Please reload it before saving.' });
+}
+
+// writeIfUnchanged(eventRef, expectedVersion, write) - Runs write(transaction) only while the stored version still is expectedVersion (null: no check).
+// Returns false if the event was changed in the meantime, nothing is written then.
+async function writeIfUnchanged(eventRef, expectedVersion, write) {
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(eventRef);
+        if (expectedVersion !== null && (!doc.exists || getEventVersion(doc.data()) !== expectedVersion)) return false;
+        write(transaction);
+        return true;
     });
-    blobStream.end(buffer);
-  });
 }
 
-// deleteFromGcs(fileUrl) - Unchanged from previous
-async function deleteFromGcs(fileUrl) {
-    const gcsPrefix = `https://storage.googleapis.com/${bucket.name}/`;
-    if (!fileUrl || !fileUrl.startsWith(gcsPrefix)) { console.warn(`Invalid GCS URL for deletion: ${fileUrl}`); return; }
+// notifyEventChange(req, action, id) - Broadcasts a change (create, update, delete, image) to the open planners.
+// The X-Client-Id of the acting browser is sent along as origin, so it can skip its own change.
+function notifyEventChange(req, action, id) {
+    const origin = String(req.get(CLIENT_ID_HEADER) || '');
+    eventStream.publish({ action, id, origin: /^[\w-]{1,64}$/.test(origin) ? origin : null });
+}
+
+// --- Event Query Helpers (filters and cursor pagination for GET /api/events) ---
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const QUERY_CHUNK_SIZE = 100; // Single events are read from Firestore in chunks of this size
+
+// parseEventFilters(query, options) - Reads the list filters from the query string, returns { filters } or { code, error }.
+// Without from/to only upcoming (and running) events are listed, unless includePast=true (or options.defaultUpcoming is false).
+function parseEventFilters(query, { defaultUpcoming = true } = {}) {
+    const filters = {
+        from: query.from || null, to: query.to || null,
+        eventType: query.eventType || null, resource: query.resource ? parseResources(query.resource)[0] || null : null, // Resource id (labels are accepted too)
+        responsible: String(query.responsible || '').trim().toLowerCase() || null,
+        q: String(query.q || '').trim().toLowerCase() || null,
+    };
+    if ((filters.from && !isValidDate(filters.from)) || (filters.to && !isValidDate(filters.to))) return { code: 'invalid_date_filter', error: 'Invalid date filter. Please use YYYY-MM-DD.' };
+    if (defaultUpcoming && !filters.from && !filters.to && query.includePast !== 'true') filters.from = todayInZurich();
+    return { filters };
+}
+
+// matchesEventFilters(event, filters) - Filters applied in memory (Firestore cannot combine them with the date range)
+function matchesEventFilters(event, filters) {
+    if (filters.eventType && event.eventType !== filters.eventType) return false;
+    if (filters.resource && !parseResources(event.resources).includes(filters.resource)) return false;
+    if (filters.responsible && !String(event.responsible || '').toLowerCase().includes(filters.responsible)) return false;
+    if (filters.q && !`${event.title || ''}\n${event.description || ''}`.toLowerCase().includes(filters.q)) return false;
+    return true;
+}
+
+// encodeCursor(event) / decodeCursor(cursor) - Opaque cursor: sort position (start instant, id) of the last event of a page
+function encodeCursor(event) {
+    return Buffer.from(JSON.stringify([event.startAt, event.id])).toString('base64url');
+}
+function decodeCursor(cursor) {
     try {
-        const fileName = fileUrl.substring(gcsPrefix.length);
-        if (!fileName) { console.warn(`Could not extract filename from URL: ${fileUrl}`); return; }
-        console.log(`Attempting to delete GCS object: ${fileName}`); await bucket.file(fileName).delete(); console.log(`Successfully deleted GCS object: ${fileName}`);
-    } catch (error) { console.error(`Failed to delete GCS object ${fileUrl}:`, error.message); }
+        const [startAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        return typeof startAt === 'string' && !isNaN(Date.parse(startAt)) ? { startAt: new Date(startAt).toISOString(), id: String(id) } : null;
+    } catch (e) { return null; }
 }
 
-// *** NEW: Authentication Middleware ***
-function isAuthenticated(req, res, next) {
-    if (req.session && req.session.isAuthenticated) {
-        // User has a valid session, proceed to the route handler
-        return next();
-    } else {
-        // No valid session, send unauthorized error
-        console.warn("Unauthorized access attempt blocked.");
-        res.status(401).json({ error: 'Unauthorized. Please log in first.' });
+// queryEvents(filters, cursor, limit, viewer) - One page of filtered events (series expanded) after the cursor position, as the viewer may see them.
+// Single events are read in start order, chunk by chunk, until the page is complete, so reads grow with the page size and not with the collection.
+// Events that started before the range but still run into it are listed too. Filters run on the projected events, so a search cannot reveal hidden details of private events.
+async function queryEvents(filters, cursor = null, limit = DEFAULT_PAGE_SIZE, viewer = null) {
+    const bounds = getRangeBounds(filters.from, filters.to);
+    const seriesSnapshot = await eventsCollection.where('isSeries', '==', true).get();
+    const occurrences = seriesSnapshot.docs.filter(doc => isListed(doc.data())).flatMap(doc => expandSeriesEvent(toApiEvent(doc), filters.from, filters.to));
+    const singles = [];
+    let lastDoc = null;
+
+    for (;;) {
+        let query = whereStartsInRange(eventsCollection, filters.from, filters.to, cursor?.startAt).limit(QUERY_CHUNK_SIZE);
+        if (lastDoc) query = query.startAfter(lastDoc);
+        const snapshot = await query.get();
+        snapshot.forEach(doc => { if (!doc.data().isSeries && isListed(doc.data())) singles.push(toApiEvent(doc)); });
+        const exhausted = snapshot.size < QUERY_CHUNK_SIZE;
+        if (snapshot.size > 0) lastDoc = snapshot.docs[snapshot.size - 1];
+
+        // Until all single events are read, only the events starting before the last read one are complete
+        const completeBefore = exhausted ? null : toApiEvent(lastDoc).startAt;
+        const candidates = [...singles, ...occurrences]
+            .filter(event => (!completeBefore || event.startAt < completeBefore) && overlapsRange(event, bounds))
+            .map(event => toViewerEvent(event, viewer))
+            .filter(event => (!cursor || compareEvents(event, cursor) > 0) && matchesEventFilters(event, filters))
+            .sort(compareEvents);
+        if (exhausted || candidates.length > limit) {
+            const events = candidates.slice(0, limit);
+            return { events, nextCursor: candidates.length > limit ? encodeCursor(events[events.length - 1]) : null };
+        }
+    }
+}
+
+// loadBookedEvents(bookings) - Events (single events and series occurrences) taking place between the first and the last requested booking (see getRequestedBookings)
+async function loadBookedEvents(bookings) {
+    if (bookings.length === 0) return [];
+    const days = bookings.flatMap(booking => [booking.eventDate, booking.endDate]).sort();
+    return loadEvents({ from: days[0], to: days[days.length - 1] });
+}
+
+// storeImage(file) - Validates and re-encodes an uploaded image and stores all variants, returns { imageUrl } or { error, code }
+async function storeImage(file) {
+    const { variants, error, code } = await processImage(file.buffer);
+    if (error) { console.log(`Image upload ${file.originalname} rejected: ${error}`); return { error, code }; }
+    const objectName = createImageName(file.originalname);
+    await Promise.all(IMAGE_VARIANT_NAMES.map(variant => images.save(toVariantName(objectName, variant), variants[variant], IMAGE_CONTENT_TYPE)));
+    return { imageUrl: images.toStorageUrl(objectName) };
+}
+
+// deleteImage(imageUrl) - Deletes a stored image with all of its variants
+async function deleteImage(imageUrl) {
+    const objectName = images.getObjectName(imageUrl);
+    if (!objectName) { await images.remove(imageUrl); return; } // Not one of ours, remove() logs it
+    await Promise.all(IMAGE_VARIANT_NAMES.map(variant => images.remove(images.toStorageUrl(toVariantName(objectName, variant)))));
+}
+
+// deleteImageIfUnused(imageUrl, docId) - Deletes the image unless another event (e.g. a split-off series or an event in the trash) still uses it
+async function deleteImageIfUnused(imageUrl, docId) {
+    if (!imageUrl) return;
+    const snapshot = await eventsCollection.where('imageUrl', '==', imageUrl).get();
+    if (snapshot.docs.some(doc => doc.id !== docId)) { console.log(`Image ${imageUrl} is still used by another event, not deleting.`); return; }
+    await deleteImage(imageUrl);
+}
+
+// --- Booking Conflict Helpers ---
+
+// bookableResources(catalogue, bookedIds) - Resources an event may book: the active ones plus retired ones it already books (edits keep them)
+function bookableResources(catalogue, bookedIds = []) {
+    return catalogue.filter(resource => resource.active !== false || bookedIds.includes(resource.id));
+}
+
+// getRequestedBookings(value, recurrence) - The occurrences a new or edited event would book: its wall-clock fields with startAt/endAt
+// (every occurrence of a series). A missing start time books from midnight, a missing end time the rest of the last day.
+function getRequestedBookings(value, recurrence = null) {
+    return recurrence ? expandSeriesEvent({ ...value, recurrence }) : [withInstants(value)];
+}
+
+// findBookingConflicts(bookings, resources, excludeDocId, catalogue)
+// Returns the existing events whose time overlaps one of the requested bookings (see getRequestedBookings) and which share at least one resource.
+// An exclusive resource of the catalogue ("Ganzer Raum") on either side conflicts with every overlapping event. excludeDocId skips the edited event/series.
+async function findBookingConflicts(bookings, resources, excludeDocId, catalogue) {
+    return findConflictsIn(await loadBookedEvents(bookings), bookings, resources, excludeDocId ? [excludeDocId] : [], getExclusiveIds(catalogue));
+}
+
+// findConflictsIn(events, bookings, resources, excludeDocIds, exclusiveIds) - Events of the given list (see loadBookedEvents) that overlap one of the requested bookings
+function findConflictsIn(events, bookings, resources, excludeDocIds, exclusiveIds) {
+    const requestedResources = parseResources(resources);
+    const conflicts = [];
+    events.forEach(event => {
+        if (excludeDocIds.includes(event.seriesId || event.id)) return;
+        if (!bookings.some(booking => booking.startAt < event.endAt && event.startAt < booking.endAt)) return; // No overlap
+        const bookedResources = parseResources(event.resources);
+        let conflictingResources;
+        const exclusiveResources = [...new Set([...requestedResources, ...bookedResources])].filter(r => exclusiveIds.includes(r));
+        if (exclusiveResources.length > 0) {
+            conflictingResources = exclusiveResources;
+        } else {
+            conflictingResources = bookedResources.filter(r => requestedResources.includes(r));
+        }
+        if (conflictingResources.length === 0) return;
+        conflicts.push({
+            id: event.id, title: event.title || '', eventDate: event.eventDate,
+            startTime: event.startTime || '', endDate: event.endDate, endTime: event.endTime || '',
+            conflictingResources
+        });
+    });
+    return conflicts;
+}
+
+// --- User Account Helpers ---
+
+// Hash of a random password, compared against when the email is unknown (keeps login timing uniform)
+const DUMMY_PASSWORD_HASH = 'scrypt$00000000000000000000000000000000$' + '0'.repeat(128);
+
+// normalizeEmail(value) - Emails are stored and compared in lower case
+function normalizeEmail(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+// findUserByEmail(email) - Returns the user document snapshot or null
+async function findUserByEmail(email) {
+    const snapshot = await usersCollection.where('email', '==', normalizeEmail(email)).limit(1).get();
+    return snapshot.empty ? null : snapshot.docs[0];
+}
+
+// toSessionUser(doc) - Minimal user info kept in the session and returned by /api/auth/status
+function toSessionUser(doc) {
+    const data = doc.data();
+    return { id: doc.id, email: data.email, name: data.name || '', role: data.role };
+}
+
+// toApiUser(doc) - User as listed for admins (never includes password hashes or tokens)
+function toApiUser(doc) {
+    const data = doc.data();
+    return { ...toSessionUser(doc), disabled: Boolean(data.disabled), hasPassword: Boolean(data.passwordHash), invitePending: Boolean(data.passwordTokenHash), createdAt: data.createdAt?.toDate()?.toISOString() || null, lastLoginAt: data.lastLoginAt?.toDate()?.toISOString() || null };
+}
+
+// buildPasswordLink(req, type, token) - Link to the frontend view where the user sets a password
+function buildPasswordLink(req, type, token) {
+    return `${req.protocol}://${req.get('host')}/?${type}=${encodeURIComponent(token)}`;
+}
+
+const EMAIL_IN_TEXT_PATTERN = /[^\s@,;<>()]+@[^\s@,;<>()]+\.[^\s@,;<>()]+/g;
+const RESPONSIBLE_SEPARATOR_PATTERN = /\s*(?:[,;/&+\n]|\bund\b|\band\b)\s*/; // Between the persons of the free-text responsible field
+
+// toNameKey(value) - Lower-case name with single spaces, for comparing names
+function toNameKey(value) {
+    return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// isResponsibleUser(user, responsible) - true if the responsible text names the user: one of its entries ('Anna Muster, Ben und Carla')
+// is the full name of the user, or it contains the user's email. Whole entries only, so 'Anna' does not match 'Annabelle' or 'Marianna'.
+function isResponsibleUser(user, responsible) {
+    const text = String(responsible || '').toLowerCase();
+    const name = toNameKey(user.name);
+    if (name && text.split(RESPONSIBLE_SEPARATOR_PATTERN).some(entry => toNameKey(entry) === name)) return true;
+    return Boolean(user.email && (text.match(EMAIL_IN_TEXT_PATTERN) || []).map(normalizeEmail).includes(normalizeEmail(user.email)));
+}
+
+// canEditEvent(user, eventData) - Admins edit everything, organizers only events they created or are responsible for
+function canEditEvent(user, eventData) {
+    if (!user) return false;
+    if (user.role === ROLE_ADMIN) return true;
+    if (user.role !== ROLE_ORGANIZER) return false;
+    if (eventData.createdBy && eventData.createdBy === user.id) return true;
+    return isResponsibleUser(user, eventData.responsible);
+}
+
+// ensureInitialAdmin() - Creates the admin account from INITIAL_ADMIN_EMAIL/INITIAL_ADMIN_PASSWORD if missing
+async function ensureInitialAdmin() {
+    if (!INITIAL_ADMIN_EMAIL || !INITIAL_ADMIN_PASSWORD) return;
+    if (await findUserByEmail(INITIAL_ADMIN_EMAIL)) return;
+    const passwordError = validatePasswordStrength(INITIAL_ADMIN_PASSWORD);
+    if (passwordError) { console.error(`ERROR: INITIAL_ADMIN_PASSWORD rejected: ${passwordError}`); return; }
+    await usersCollection.add({ email: normalizeEmail(INITIAL_ADMIN_EMAIL), name: 'Admin', role: ROLE_ADMIN, disabled: false, passwordHash: await hashPassword(INITIAL_ADMIN_PASSWORD), createdAt: FieldValue.serverTimestamp() });
+    console.log(`Initial admin account ${INITIAL_ADMIN_EMAIL} created.`);
+}
+
+// *** Authentication Middleware ***
+// loadSessionUser(req) - Re-reads the logged-in user, returns the session user or null (disabled/removed accounts are logged out)
+async function loadSessionUser(req) {
+    if (!req.session || !req.session.isAuthenticated || !req.session.user?.id) return null;
+    const userDoc = await usersCollection.doc(req.session.user.id).get();
+    if (!userDoc.exists || userDoc.data().disabled) {
+        console.warn(`Access blocked for disabled/removed user ${req.session.user.id}.`);
+        req.session.isAuthenticated = false; req.session.user = null;
+        return null;
+    }
+    req.session.user = toSessionUser(userDoc);
+    return req.session.user;
+}
+
+// requireRole(...roles) - Requires a logged-in, active user with one of the given roles (any role if none given).
+// The user is re-read on every request, so disabling an account or changing its role applies immediately.
+function requireRole(...roles) {
+    return async (req, res, next) => {
+        if (!req.session || !req.session.isAuthenticated || !req.session.user?.id) {
+            console.warn("Unauthorized access attempt blocked.");
+            return res.status(401).json({ code: 'unauthorized', error: 'Unauthorized. Please log in first.' });
+        }
+        try {
+            req.user = await loadSessionUser(req);
+            if (!req.user) { return res.status(401).json({ code: 'account_disabled', error: 'Your account is disabled. Please contact an admin.' }); }
+            if (roles.length > 0 && !roles.includes(req.user.role)) {
+                console.warn(`Forbidden: ${req.user.email} (${req.user.role}) tried ${req.method} ${req.path}`);
+                return res.status(403).json({ code: 'forbidden', error: 'Forbidden. Your role does not allow this action.' });
+            }
+            next();
+        } catch (error) { console.error("Error checking user session:", error.message, error.stack); res.status(500).json({ code: 'session_check_failed', error: 'Error checking user session.' }); }
+    };
+}
+
+// isAuthenticated - Any logged-in, active user
+const isAuthenticated = requireRole();
+// canManageEvents - Users allowed to create events (editing additionally checks canEditEvent)
+const canManageEvents = requireRole(ROLE_ADMIN, ROLE_ORGANIZER);
+
+// optionalUser - For public endpoints: sets req.user for logged-in users, null for anonymous callers (also on errors, so details stay hidden)
+async function optionalUser(req, res, next) {
+    try { req.user = await loadSessionUser(req); }
+    catch (error) { console.error("Error checking user session:", error.message); req.user = null; }
+    next();
+}
+
+// --- Email Notifications (mails about changed events, reminders and the weekly digest, delivery log in 'mailLog') ---
+
+const MAIL_EVENT_CREATED = 'created';
+const MAIL_EVENT_UPDATED = 'updated';
+const MAIL_EVENT_CANCELLED = 'cancelled';
+const MAIL_KIND_REMINDER = 'reminder';
+const MAIL_KIND_DIGEST = 'digest';
+const MAIL_KIND_SUBSCRIPTION = 'subscription';
+const MAIL_KIND_PROPOSAL = 'proposal'; // Decision on a proposal, sent to the proposer
+const SUBSCRIPTION_PENDING = 'pending'; // Waiting for the confirmation link (double opt-in)
+const SUBSCRIPTION_ACTIVE = 'active';
+// getAppUrl(req) - Base URL of the planner for links in mails (APP_BASE_URL, else the host of the request)
+function getAppUrl(req = null) {
+    if (APP_BASE_URL) return APP_BASE_URL;
+    return req ? `${req.protocol}://${req.get('host')}` : `http://localhost:${PORT}`;
+}
+
+// findResponsibleEmails(eventData) - Emails of the responsible person: addresses in the text and active users it names (isResponsibleUser, as canEditEvent)
+async function findResponsibleEmails(eventData) {
+    const responsible = String(eventData.responsible || '').toLowerCase();
+    if (!responsible) return [];
+    const emails = responsible.match(EMAIL_IN_TEXT_PATTERN) || [];
+    const snapshot = await usersCollection.get();
+    snapshot.forEach(doc => { const user = doc.data(); if (!user.disabled && user.name && isResponsibleUser(user, responsible)) emails.push(user.email); });
+    return [...new Set(emails.map(normalizeEmail))];
+}
+
+// findParticipantEmails(eventRef, occurrenceDate, fromDate) - Emails of the active sign-ups: of one occurrence, of the occurrences from a date on, or all
+async function findParticipantEmails(eventRef, occurrenceDate = null, fromDate = null) {
+    const snapshot = await eventRef.collection('registrations').get();
+    return [...new Set(snapshot.docs.map(doc => doc.data())
+        .filter(registration => registration.status !== REGISTRATION_CANCELLED)
+        .filter(registration => fromDate ? registration.registrationKey >= fromDate : !occurrenceDate || registration.registrationKey === occurrenceDate)
+        .map(registration => registration.email))];
+}
+
+// sendEventMails(req, change, doc, options) - Mails a created/updated/cancelled event to the responsible person and (updates, cancellations) the participants.
+// options: occurrenceDate (the mail is about this occurrence of the series), registrationsRef (event whose sign-ups are mailed, default doc),
+// registrationsFrom (only sign-ups of occurrences from this date on). Runs in the background, the acting user gets no mail.
+function sendEventMails(req, change, doc, { occurrenceDate = null, registrationsRef = doc.ref, registrationsFrom = null } = {}) {
+    const deliver = async () => {
+        const apiEvent = toApiEvent(doc);
+        const event = occurrenceDate ? { ...toOccurrence(apiEvent, occurrenceDate), isSeries: false } : apiEvent;
+        const recipients = new Map((await findResponsibleEmails(event)).map(email => [email, 'responsible']));
+        if (change !== MAIL_EVENT_CREATED) {
+            (await findParticipantEmails(registrationsRef, occurrenceDate, registrationsFrom)).forEach(email => { if (!recipients.has(email)) recipients.set(email, 'participant'); });
+        }
+        recipients.delete(req.user?.email);
+        if (recipients.size === 0) return;
+        const catalogue = await loadResources(resourcesCollection);
+        for (const [email, recipient] of recipients) {
+            const { subject, text } = eventChangeMail(change, event, { catalogue, link: getAppUrl(req), recipient });
+            await mailer.send({ to: email, subject, text, kind: change, eventId: doc.id });
+        }
+    };
+    deliver().catch(error => console.error(`Error sending '${change}' mails for event ${doc.id}:`, error.message));
+}
+
+// sendProposalDecisionMail(req, doc, reason) - Mails the decision on a proposal to the proposer (approved without reason, rejected with it).
+// Runs in the background like sendEventMails; doc: the proposal document after the decision.
+function sendProposalDecisionMail(req, doc, reason = null) {
+    const deliver = async () => {
+        const email = doc.data().proposal?.email;
+        if (!email) return;
+        const { subject, text } = proposalDecisionMail(toApiEvent(doc), { approved: !reason, reason, catalogue: await loadResources(resourcesCollection), link: getAppUrl(req) });
+        await mailer.send({ to: email, subject, text, kind: MAIL_KIND_PROPOSAL, eventId: doc.id });
+    };
+    deliver().catch(error => console.error(`Error sending the proposal decision for event ${doc.id}:`, error.message));
+}
+
+// wasMailed(key) - Whether the mail with this key (reminder, digest) was already sent or skipped; failed mails are retried
+async function wasMailed(key) {
+    const snapshot = await mailLogCollection.where('key', '==', key).get();
+    return snapshot.docs.some(doc => doc.data().status !== MAIL_STATUS_FAILED);
+}
+
+// sendReminders() - Reminds the responsible persons of the events starting in the next REMINDER_DAYS_BEFORE days (once per event date), returns the number of mails
+async function sendReminders() {
+    const today = todayInZurich();
+    const dates = Array.from({ length: REMINDER_DAYS_BEFORE }, (value, index) => addDays(today, index + 1)); // Days missed by a sleeping instance are caught up
+    const events = (await loadEvents({ from: dates[0], to: dates[dates.length - 1] })).filter(event => dates.includes(event.eventDate));
+    const catalogue = await loadResources(resourcesCollection);
+    let count = 0;
+    for (const event of events) {
+        for (const email of await findResponsibleEmails(event)) {
+            const key = `${MAIL_KIND_REMINDER}:${event.id}:${event.eventDate}:${email}`;
+            if (await wasMailed(key)) continue;
+            const { subject, text } = reminderMail(event, dates.indexOf(event.eventDate) + 1, { catalogue, link: getAppUrl() });
+            await mailer.send({ to: email, subject, text, kind: MAIL_KIND_REMINDER, eventId: event.seriesId || event.id, key });
+            count++;
+        }
+    }
+    return count;
+}
+
+// sendWeeklyDigest() - Sends the public events of the next DIGEST_DAYS days to the active subscribers on DIGEST_WEEKDAY (once per week), returns the number of mails
+async function sendWeeklyDigest() {
+    const today = todayInZurich();
+    if ((new Date(`${today}T00:00:00Z`).getUTCDay() || 7) !== DIGEST_WEEKDAY) return 0;
+    const subscribers = await subscribersCollection.where('status', '==', SUBSCRIPTION_ACTIVE).get();
+    if (subscribers.empty) return 0;
+    const { events } = await queryEvents({ from: today, to: addDays(today, DIGEST_DAYS - 1), eventType: EVENT_TYPE_PUBLIC }, null, MAX_PAGE_SIZE);
+    if (events.length === 0) return 0; // No mail without events
+    const catalogue = await loadResources(resourcesCollection);
+    let count = 0;
+    for (const doc of subscribers.docs) {
+        const key = `${MAIL_KIND_DIGEST}:${today}:${doc.id}`;
+        if (await wasMailed(key)) continue;
+        const unsubscribeLink = `${getAppUrl()}/?unsubscribe=${encodeURIComponent(doc.id)}&token=${encodeURIComponent(doc.data().unsubscribeToken)}`;
+        const { subject, text } = digestMail(events, { catalogue, link: getAppUrl(), unsubscribeLink });
+        await mailer.send({ to: doc.data().email, subject, text, kind: MAIL_KIND_DIGEST, key });
+        count++;
     }
+    return count;
+}
+
+// runNotificationJobs() - Sends due reminders and the weekly digest, returns { reminders, digests }
+async function runNotificationJobs() {
+    const reminders = await sendReminders();
+    const digests = await sendWeeklyDigest();
+    if (reminders + digests > 0) console.log(`Notification mails: ${reminders} reminder(s), ${digests} digest(s).`);
+    return { reminders, digests };
 }
 
 // --- API Endpoints ---
 
-// GET /api/events - Fetches all events (Publicly accessible)
-app.get('/api/events', async (req, res) => {
-  console.log('API GET /api/events called');
+// GET /api/events - Fetches one page of events, series expanded into occurrences (Publicly accessible)
+// Filters: ?from=YYYY-MM-DD&to=YYYY-MM-DD&eventType=&resource=&responsible=&q=&includePast=true
+// Paging: ?limit=50&cursor=<nextCursor of the previous page>. Without a date range only upcoming events are returned.
+app.get('/api/events', optionalUser, async (req, res) => {
+  console.log('API GET /api/events called with query:', req.query);
+  const { filters, error, code } = parseEventFilters(req.query);
+  if (error) { return res.status(400).json({ code, error }); }
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+  if (req.query.cursor && !cursor) { return res.status(400).json({ code: 'invalid_cursor', error: 'Invalid cursor.' }); }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
   try {
-    const snapshot = await eventsCollection.orderBy('eventDate', 'asc').orderBy('startTime', 'asc').get();
-    const events = [];
+    const page = await queryEvents(filters, cursor, limit, req.user);
+    console.log(`${page.events.length} events fetched from Firestore${page.nextCursor ? ' (more available)' : ''}.`);
+    res.json(page);
+  } catch (error) {
+    console.error("Error in GET /api/events:", error.message, error.stack);
+    res.status(500).json({ code: 'events_load_failed', error: "Error loading events from database." });
+  }
+});
+
+// GET /api/events/stream - Live updates as Server-Sent Events: 'change' messages { action, id, origin } (Publicly accessible)
+// Only ids are sent, browsers re-load the events through GET /api/events (and only see what they may see).
+app.get('/api/events/stream', (req, res) => {
+  console.log(`API GET /api/events/stream connected (${eventStream.clientCount() + 1} open)`);
+  eventStream.subscribe(req, res);
+});
+
+// GET /api/events/facets - Lightweight filter options (years, event types, resources) for the list filters (Publicly accessible)
+app.get('/api/events/facets', async (req, res) => {
+  console.log('API GET /api/events/facets called');
+  try {
+    // Projection query: only the fields needed for the facets are transferred
+    const snapshot = await eventsCollection.select('startAt', 'endAt', 'allDay', 'openEnd', 'eventType', 'resources', 'isSeries', 'recurrence', 'deletedAt', 'status').get();
+    const years = new Set(); const eventTypes = new Set(); const resources = new Set();
     snapshot.forEach(doc => {
-      const data = doc.data();
-      events.push({ id: doc.id, ...data, eventDate: data.eventDate?.toDate()?.toISOString()?.split('T')[0] || null, createdAt: data.createdAt?.toDate()?.toISOString() || null });
+      const event = toApiEvent(doc);
+      if (!event.eventDate || !isListed(event)) return;
+      years.add(event.eventDate.substring(0, 4));
+      if (event.isSeries && event.recurrence) { const lastDate = getOccurrenceDates(event.eventDate, event.recurrence).pop(); if (lastDate) for (let y = Number(event.eventDate.substring(0, 4)); y <= Number(lastDate.substring(0, 4)); y++) years.add(String(y)); }
+      if (event.eventType) eventTypes.add(event.eventType);
+      parseResources(event.resources).forEach(resource => resources.add(resource));
     });
-    console.log(`${events.length} events fetched from Firestore.`);
-    res.json(events);
+    res.json({ years: [...years].sort((a, b) => b.localeCompare(a)), eventTypes: [...eventTypes].sort(), resources: [...resources].sort() });
   } catch (error) {
-    console.error("Error in GET /api/events:", error.message, error.stack);
-    res.status(500).json({ error: "Error loading events from database." });
+    console.error("Error in GET /api/events/facets:", error.message, error.stack);
+    res.status(500).json({ code: 'facets_load_failed', error: "Error loading filter options." });
   }
 });
 
-// POST /api/events - Adds a new event (Requires Authentication)
+// GET /api/events.ics - iCalendar subscription feed (Publicly accessible)
+// Optional filters (same as GET /api/events, but past events are included): ?eventType=Öffentlich&from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/events.ics', optionalUser, async (req, res) => {
+  console.log('API GET /api/events.ics called with filters:', req.query);
+  const { filters, error, code } = parseEventFilters(req.query, { defaultUpcoming: false });
+  if (error) { return res.status(400).json({ code, error }); }
+
+  try {
+    const events = (await loadEvents({ from: filters.from, to: filters.to })).map(event => toViewerEvent(event, req.user)).filter(event => matchesEventFilters(event, filters));
+
+    res.type('text/calendar; charset=utf-8');
+    res.send(buildCalendar(events, { name: filters.eventType ? `EBA-BAR Events (${filters.eventType})` : 'EBA-BAR Events', resources: await loadResources(resourcesCollection) }));
+  } catch (error) {
+    console.error("Error in GET /api/events.ics:", error.message, error.stack);
+    res.status(500).json({ code: 'calendar_feed_failed', error: "Error building calendar feed." });
+  }
+});
+
+// GET /api/events/:id/calendar.ics - Single event (or series occurrence) as .ics download (Publicly accessible)
+app.get('/api/events/:id/calendar.ics', optionalUser, async (req, res) => {
+  const eventId = req.params.id;
+  const { docId, occurrenceDate } = splitOccurrenceId(eventId);
+  console.log(`API GET /api/events/${eventId}/calendar.ics called`);
+  try {
+    const doc = await eventsCollection.doc(docId).get();
+    if (!doc.exists) { return res.status(404).json({ success: false, code: 'event_not_found', message: 'Event not found.' }); }
+    let event = resolveApiEvent(doc, occurrenceDate);
+    if (!event) { return res.status(404).json({ success: false, code: 'occurrence_not_found', message: 'Event occurrence not found.' }); }
+    event = toViewerEvent(event, req.user);
+    res.type('text/calendar; charset=utf-8');
+    res.attachment(`eba-event-${eventId.replace(/[^\w-]/g, '_')}.ics`);
+    res.send(buildCalendar([event], { name: event.title || 'EBA-BAR Event', resources: await loadResources(resourcesCollection) }));
+  } catch (error) {
+    console.error(`Error in GET /api/events/${eventId}/calendar.ics:`, error.message, error.stack);
+    res.status(500).json({ code: 'calendar_file_failed', error: "Error building calendar file." });
+  }
+});
+
+// Edit/delete scopes for series occurrences
+const SCOPE_OCCURRENCE = 'occurrence'; // Only this occurrence (stored as exception on the series)
+const SCOPE_FOLLOWING = 'following'; // This and all following occurrences (splits the series)
+const SCOPE_SERIES = 'series'; // The whole series
+
+// readRecurrenceInput(body) - Extracts the recurrence fields sent by the add/edit forms
+function readRecurrenceInput(body) {
+  return { frequency: body.recurrenceFrequency, until: body.recurrenceUntil, count: body.recurrenceCount, weekOfMonth: body.recurrenceWeekOfMonth };
+}
+
+// readEventInput(eventData, resources) - Validates the fields of a new event (add form and import rows) against the bookable resources,
+// returns { fields (as stored), bookings (see getRequestedBookings), recurrence } or { errors, codes } (per field)
+function readEventInput(eventData, resources) {
+  const { value, errors, codes } = validateEventFields(eventData || {}, { resources });
+  if (errors) return { errors, codes };
+  const { recurrence, error: recurrenceError, code: recurrenceCode } = normalizeRecurrence(readRecurrenceInput(eventData), value.eventDate);
+  if (recurrenceError) return { errors: { recurrence: recurrenceError }, codes: { recurrence: recurrenceCode } };
+  const { registration, field, error: registrationError, code: registrationCode } = readRegistrationInput(eventData);
+  if (registrationError) return { errors: { [field]: registrationError }, codes: { [field]: registrationCode } };
+  return { fields: { ...toEventFields(value), ...registration }, bookings: getRequestedBookings(value, recurrence), recurrence };
+}
+
+// sendValidationErrors(res, errors, codes) - 400 response with the per-field errors (shown next to the inputs by the forms)
+// and their codes (errorCodes: { field: code }, translated by the frontend)
+function sendValidationErrors(res, errors, codes = {}) {
+  return res.status(400).json({ success: false, code: 'validation_failed', message: formatValidationErrors(errors), errors, errorCodes: codes });
+}
+
+// POST /api/events - Adds a new event or event series (Requires Authentication)
 // Applies session check *then* multer
-app.post('/api/events', isAuthenticated, multer.single('eventImage'), async (req, res) => {
+app.post('/api/events', canManageEvents, multer.single('eventImage'), async (req, res) => {
   console.log('API POST /api/events called');
   try {
     const eventData = req.body; const uploadedFile = req.file;
-    const FIELD_TITLE = 'title'; const FIELD_DATE = 'eventDate'; // ... (define other FIELD_* constants needed from FormData)
-    const FIELD_START_TIME = 'startTime'; const FIELD_END_TIME = 'endTime'; const FIELD_DESCRIPTION = 'description'; const FIELD_RESOURCES = 'resources'; const FIELD_RESPONSIBLE = 'responsible'; const FIELD_EVENT_TYPE = 'eventType'; const FIELD_PARTICIPANT_INFO = 'participantInfo';
+    const catalogue = await loadResources(resourcesCollection);
+    const { fields, bookings, recurrence, errors, codes } = readEventInput(eventData, bookableResources(catalogue));
+    if (errors) { return sendValidationErrors(res, errors, codes); }
 
-    if (!eventData || !eventData[FIELD_TITLE] || !eventData[FIELD_DATE]) { return res.status(400).json({ success: false, message: 'Title and Date are required fields.' }); }
+    // Reject overlapping bookings (on every occurrence of a series) unless the user explicitly chose to override
+    if (eventData.ignoreConflicts !== 'true') {
+      const conflicts = await findBookingConflicts(bookings, fields.resources, null, catalogue);
+      if (conflicts.length > 0) { console.log(`Booking conflict for new event on ${eventData.eventDate}:`, conflicts.map(c => c.id)); return res.status(409).json({ success: false, code: 'booking_conflict', message: 'The requested time slot conflicts with existing bookings.', conflicts }); }
+    }
 
     let imageUrl = null;
-    if (uploadedFile) { imageUrl = await uploadToGcs(uploadedFile.buffer, uploadedFile.originalname, uploadedFile.mimetype); }
-
-    let eventDateTimestamp = null;
-    if (eventData[FIELD_DATE]) { try { eventDateTimestamp = Timestamp.fromDate(new Date(eventData[FIELD_DATE] + 'T00:00:00Z')); } catch(e) { return res.status(400).json({ success: false, message: 'Invalid date format. Please use YYYY-MM-DD.' }); } }
-    else { return res.status(400).json({ success: false, message: 'Date is a required field.' }); }
+    if (uploadedFile) {
+      const stored = await storeImage(uploadedFile);
+      if (stored.error) { return res.status(400).json({ success: false, code: stored.code, message: stored.error }); }
+      imageUrl = stored.imageUrl;
+    }
 
-    const newEvent = { title: eventData[FIELD_TITLE] || '', eventDate: eventDateTimestamp, startTime: eventData[FIELD_START_TIME] || '', endTime: eventData[FIELD_END_TIME] || '', description: eventData[FIELD_DESCRIPTION] || '', resources: eventData[FIELD_RESOURCES] || '', responsible: eventData[FIELD_RESPONSIBLE] || '', eventType: eventData[FIELD_EVENT_TYPE] || 'Öffentlich', participantInfo: eventData[FIELD_PARTICIPANT_INFO] || '', imageUrl: imageUrl, createdAt: FieldValue.serverTimestamp() };
+    const newEvent = { ...fields, imageUrl: imageUrl, createdBy: req.user.id, createdAt: FieldValue.serverTimestamp(), version: 1 };
+    if (recurrence) { Object.assign(newEvent, { isSeries: true, recurrence, exceptions: {} }); }
     const docRef = await eventsCollection.add(newEvent);
-    console.log("New event added to Firestore with ID:", docRef.id);
-    res.status(201).json({ success: true, message: "Event added successfully.", id: docRef.id });
-  } catch (error) { console.error("Error in POST /api/events:", error.message, error.stack); res.status(500).json({ success: false, message: "Error adding event." }); }
+    await recordChange(docRef, 'create', req.user, null);
+    notifyEventChange(req, 'create', docRef.id);
+    sendEventMails(req, MAIL_EVENT_CREATED, await docRef.get());
+    console.log(`New ${recurrence ? 'event series' : 'event'} added to Firestore with ID:`, docRef.id);
+    res.status(201).json({ success: true, message: recurrence ? "Event series added successfully." : "Event added successfully.", id: docRef.id });
+  } catch (error) { console.error("Error in POST /api/events:", error.message, error.stack); res.status(500).json({ success: false, code: 'event_create_failed', message: "Error adding event." }); }
+});
+
+
+// --- Bulk Export & Import ---
+
+// Columns of exported events; the import reads the same columns (CSV header row / JSON keys)
+// version: the exported version of the event, rows of events changed since the export are skipped by the import
+const EXPORT_FIELDS = ['id', 'eventDate', 'startTime', 'endDate', 'endTime', 'title', 'eventType', 'resources', 'responsible', 'description', 'participantInfo', 'registrationEnabled', 'capacity', 'registrationDeadline', 'version'];
+const EXPORT_FORMATS = ['csv', 'json'];
+const MAX_IMPORT_ROWS = 1000;
+const IMPORT_BATCH_SIZE = 400; // Firestore batch limit is 500 operations
+// Import row actions: new event, changed existing event (row has its id), existing event without changes, series occurrence (not importable), invalid row
+const IMPORT_CREATE = 'create';
+const IMPORT_UPDATE = 'update';
+const IMPORT_UNCHANGED = 'unchanged';
+const IMPORT_SKIP = 'skip';
+const IMPORT_ERROR = 'error';
+// Skipped row of an event changed in the planner since the export (or while the import was written)
+const IMPORT_VERSION_CONFLICT = { action: IMPORT_SKIP, code: 'version_conflict', message: 'The event was changed in the planner since the export. Export it again to import your changes.' };
+
+// toExportRow(event) - API event reduced to the export columns
+function toExportRow(event) {
+    return Object.fromEntries(EXPORT_FIELDS.map(field => [field, event[field] ?? null]));
+}
+
+// readImportRows(file) - Rows of an uploaded .csv (header row = export columns) or .json file (array or { events: [...] }).
+// Values are read as strings, like the fields of the add form. Returns { rows: [{ rowNumber, values }] } or { error }.
+function readImportRows(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const text = file.buffer.toString('utf8');
+    let rows;
+    if (extension === '.json') {
+        let records;
+        try { const data = JSON.parse(text.replace(/^\uFEFF/, '')); records = Array.isArray(data) ? data : data?.events; } catch (e) { return { code: 'invalid_json', error: 'The file is not valid JSON.' }; }
+        if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) { return { code: 'invalid_import_json', error: 'The JSON file must contain an array of events or { "events": [...] }.' }; }
+        rows = records.map((record, index) => ({ rowNumber: index + 1, values: Object.fromEntries(Object.entries(record).map(([field, value]) => [field, value === null || value === undefined ? '' : String(value).trim()])) }));
+    } else if (extension === '.csv') {
+        const [header = [], ...lines] = parseCsv(text);
+        const fields = header.map(field => field.trim());
+        rows = lines
+            .map((cells, index) => ({ rowNumber: index + 2, values: Object.fromEntries(fields.map((field, i) => [field, unescapeCell(String(cells[i] ?? '').trim())])) })) // Row 1 is the header
+            .filter(row => Object.values(row.values).some(value => value !== ''));
+    } else {
+        return { code: 'unsupported_file_type', error: 'Unsupported file type. Please upload a .csv or .json file.' };
+    }
+    if (rows.length === 0) return { code: 'empty_import', error: 'The file contains no events.' };
+    if (rows.length > MAX_IMPORT_ROWS) return { code: 'too_many_rows', error: `Too many rows. Import at most ${MAX_IMPORT_ROWS} events at once.` };
+    return { rows };
+}
+
+/**
+ * Validates every import row with the rules of POST /api/events and checks booking conflicts
+ * (against stored events and against the other rows of the file). Rows with the id of an existing single event update it.
+ * Rows with a version column only update the event while it still has that version, else (and without version) the version read here is expected.
+ * Returns one plan item per row: { rowNumber, id, title, eventDate, action, errors, changes?, conflicts? } plus internal fields/bookings/recurrence/before/expectedVersion.
+ */
+async function buildImportPlan(rows, user) {
+    const ids = [...new Set(rows.map(row => row.values.id).filter(id => id && !id.includes(':')))];
+    const existingDocs = new Map((await Promise.all(ids.map(id => eventsCollection.doc(id).get()))).map(doc => [doc.id, doc]));
+    const catalogue = await loadResources(resourcesCollection);
+
+    const plan = rows.map(({ rowNumber, values }) => {
+        const item = { rowNumber, id: values.id || null, title: values.title || '', eventDate: values.eventDate || '', errors: [] };
+        if (item.id?.includes(':')) return { ...item, action: IMPORT_SKIP, message: 'Series occurrences are not imported, edit the series in the planner.' };
+        const doc = item.id ? existingDocs.get(item.id) : null;
+        const { fields, bookings, recurrence, errors } = readEventInput(values, bookableResources(catalogue, doc?.exists ? parseResources(doc.data().resources) : []));
+        if (errors) item.errors.push(...Object.values(errors));
+        let before = null;
+        if (item.id) {
+            if (!doc?.exists || !isListed(doc.data())) item.errors.push('Event not found. Remove the id to create a new event.');
+            else if (doc.data().isSeries || recurrence) item.errors.push('Event series cannot be changed by an import.');
+            else if (!canEditEvent(user, doc.data())) item.errors.push('You can only edit events you created or are responsible for.');
+            else before = doc.data();
+        }
+        if (item.errors.length > 0) return { ...item, action: IMPORT_ERROR };
+        if (!before) return { ...item, action: IMPORT_CREATE, fields, bookings, recurrence, ignoreConflicts: values.ignoreConflicts === 'true' };
+        const changes = diffFields(before, fields, Object.keys(before).filter(field => !(field in fields)));
+        if (Object.keys(changes).length === 0) return { ...item, action: IMPORT_UNCHANGED };
+        const expectedVersion = values.version ? Number(values.version) : getEventVersion(before);
+        if (expectedVersion !== getEventVersion(before)) return { ...item, ...IMPORT_VERSION_CONFLICT };
+        return { ...item, action: IMPORT_UPDATE, changes: Object.keys(changes), fields, bookings, before, expectedVersion, ignoreConflicts: values.ignoreConflicts === 'true' };
+    });
+
+    // Booking conflicts: the stored versions of updated events are replaced by their rows, accepted rows block later ones
+    const writes = plan.filter(item => item.action === IMPORT_CREATE || item.action === IMPORT_UPDATE);
+    const bookedEvents = await loadBookedEvents(writes.flatMap(item => item.bookings));
+    const replacedIds = writes.filter(item => item.action === IMPORT_UPDATE).map(item => item.id);
+    writes.forEach(item => {
+        if (!item.ignoreConflicts) {
+            const conflicts = findConflictsIn(bookedEvents, item.bookings, item.fields.resources, replacedIds, getExclusiveIds(catalogue));
+            if (conflicts.length > 0) { Object.assign(item, { action: IMPORT_ERROR, conflicts, errors: ['The requested time slot conflicts with existing bookings.'] }); return; }
+        }
+        bookedEvents.push(...item.bookings.map(booking => ({ ...booking, id: item.id })));
+    });
+    return plan;
+}
+
+// commitImportPlan(plan, user) - Writes the created and updated events in transactions of IMPORT_BATCH_SIZE rows, then records their history.
+// Updated events whose version is no longer the expected one are not written, their rows become skipped version conflicts.
+// Returns the written rows [{ ref, item }].
+async function commitImportPlan(plan, user) {
+    const writes = plan.filter(item => item.action === IMPORT_CREATE || item.action === IMPORT_UPDATE);
+    const written = [];
+    for (let start = 0; start < writes.length; start += IMPORT_BATCH_SIZE) {
+        const chunk = writes.slice(start, start + IMPORT_BATCH_SIZE);
+        const { chunkWritten, stale } = await db.runTransaction(async (transaction) => {
+            const updated = chunk.filter(item => item.action === IMPORT_UPDATE);
+            const currentDocs = await Promise.all(updated.map(item => transaction.get(eventsCollection.doc(item.id)))); // All reads before the writes
+            const staleItems = updated.filter((item, index) => !currentDocs[index].exists || getEventVersion(currentDocs[index].data()) !== item.expectedVersion);
+            const results = [];
+            chunk.filter(item => !staleItems.includes(item)).forEach(item => {
+                const ref = item.action === IMPORT_CREATE ? eventsCollection.doc() : eventsCollection.doc(item.id);
+                if (item.action === IMPORT_CREATE) {
+                    const newEvent = { ...item.fields, imageUrl: null, createdBy: user.id, createdAt: FieldValue.serverTimestamp(), version: 1 };
+                    if (item.recurrence) { Object.assign(newEvent, { isSeries: true, recurrence: item.recurrence, exceptions: {} }); }
+                    transaction.set(ref, newEvent);
+                } else {
+                    transaction.update(ref, withNextVersion(Object.fromEntries(item.changes.map(field => [field, item.fields[field]]))));
+                }
+                results.push({ ref, item });
+            });
+            return { chunkWritten: results, stale: staleItems };
+        });
+        stale.forEach(item => { delete item.changes; Object.assign(item, IMPORT_VERSION_CONFLICT); });
+        written.push(...chunkWritten);
+    }
+
+    for (const { ref, item } of written) {
+        await recordChange(ref, item.action, user, item.before || null, { imported: true });
+        if (item.changes?.includes('capacity') || item.changes?.includes('registrationEnabled')) await promoteWaitlists(ref);
+    }
+    return written;
+}
+
+// summarizeImportPlan(plan) - { counts, rows } of the import response: rows per action and the rows without their internal fields
+function summarizeImportPlan(plan) {
+    const counts = { [IMPORT_CREATE]: 0, [IMPORT_UPDATE]: 0, [IMPORT_UNCHANGED]: 0, [IMPORT_SKIP]: 0, [IMPORT_ERROR]: 0 };
+    plan.forEach(item => { counts[item.action]++; });
+    return { counts, rows: plan.map(({ fields, bookings, recurrence, before, expectedVersion, ignoreConflicts, ...item }) => item) };
+}
+
+// GET /api/events/export?format=csv|json - All events matching the list filters (same query parameters as GET /api/events) as a download (Requires Authentication)
+// Series are exported as their occurrences (ids '<seriesId>:<YYYY-MM-DD>', skipped by the import).
+app.get('/api/events/export', isAuthenticated, async (req, res) => {
+  console.log('API GET /api/events/export called with query:', req.query);
+  const format = req.query.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) { return res.status(400).json({ code: 'invalid_export_format', error: `Invalid format. Allowed: ${EXPORT_FORMATS.join(', ')}.` }); }
+  const { filters, error, code } = parseEventFilters(req.query);
+  if (error) { return res.status(400).json({ code, error }); }
+
+  try {
+    const events = [];
+    let cursor = null;
+    do {
+      const page = await queryEvents(filters, cursor, MAX_PAGE_SIZE, req.user);
+      events.push(...page.events);
+      cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+    } while (cursor);
+    const rows = events.map(toExportRow);
+    console.log(`Exporting ${rows.length} events as ${format}.`);
+    res.attachment(`events-${filters.from || 'start'}-${filters.to || 'end'}.${format}`);
+    if (format === 'json') { return res.json({ exportedAt: new Date().toISOString(), filters, events: rows }); }
+    res.type('text/csv; charset=utf-8');
+    res.send(toCsv(rows, EXPORT_FIELDS.map(field => ({ key: field, label: field }))));
+  } catch (error) {
+    console.error("Error in GET /api/events/export:", error.message, error.stack);
+    res.status(500).json({ code: 'export_failed', error: 'Error exporting events.' });
+  }
+});
+
+// POST /api/events/import - Imports events from an uploaded CSV/JSON file (field 'file', columns as exported) (Requires Authentication)
+// Without commit=true only the per-row preview is returned. With commit=true nothing is written unless every row is valid;
+// rows of events changed in the meantime are skipped (version_conflict). Every written event is pushed to the live stream.
+app.post('/api/events/import', canManageEvents, multer.single('file'), async (req, res) => {
+  console.log('API POST /api/events/import called');
+  if (!req.file) { return res.status(400).json({ success: false, code: 'no_file', message: 'No file uploaded.' }); }
+  const { rows, error, code } = readImportRows(req.file);
+  if (error) { return res.status(400).json({ success: false, code, message: error }); }
+  const commit = req.body?.commit === 'true';
+
+  try {
+    const plan = await buildImportPlan(rows, req.user);
+    const preview = summarizeImportPlan(plan);
+    if (!commit) { return res.json({ success: true, committed: false, ...preview }); }
+    if (preview.counts[IMPORT_ERROR] > 0) { return res.status(400).json({ success: false, committed: false, code: 'import_has_errors', message: `Nothing imported: ${preview.counts[IMPORT_ERROR]} rows have errors.`, ...preview }); }
+
+    const written = await commitImportPlan(plan, req.user);
+    const result = summarizeImportPlan(plan); // Rows changed during the import are skipped now
+    console.log(`Import by ${req.user.email}: ${result.counts[IMPORT_CREATE]} created, ${result.counts[IMPORT_UPDATE]} updated, ${result.counts[IMPORT_SKIP]} skipped.`);
+    written.forEach(({ ref, item }) => notifyEventChange(req, item.action, ref.id));
+    res.json({ success: true, committed: true, message: 'Import completed successfully.', ...result });
+  } catch (error) {
+    console.error("Error in POST /api/events/import:", error.message, error.stack);
+    res.status(500).json({ success: false, code: 'import_failed', message: 'Error importing events.' });
+  }
 });
 
 
 // PUT /api/events/:id - Updates an event (Requires Authentication, handles image update)
+// For series occurrences (id '<seriesId>:<YYYY-MM-DD>') the 'scope' field selects occurrence / following / series.
 // Applies session check *then* multer
-app.put('/api/events/:id', isAuthenticated, multer.single('eventImage'), async (req, res) => {
-    const eventId = req.params.id; const eventData = req.body; const newImageFile = req.file;
-    console.log(`API PUT /api/events/${eventId} called`);
-    const FIELD_TITLE = 'title'; const FIELD_DATE = 'eventDate'; // ... define other FIELD_* constants needed from FormData
-    const FIELD_START_TIME = 'startTime'; const FIELD_END_TIME = 'endTime'; const FIELD_DESCRIPTION = 'description'; const FIELD_RESOURCES = 'resources'; const FIELD_RESPONSIBLE = 'responsible'; const FIELD_EVENT_TYPE = 'eventType'; const FIELD_PARTICIPANT_INFO = 'participantInfo';
+app.put('/api/events/:id', canManageEvents, multer.single('eventImage'), async (req, res) => {
+    const { docId: eventId, occurrenceDate } = splitOccurrenceId(req.params.id); const eventData = req.body; const newImageFile = req.file;
+    console.log(`API PUT /api/events/${req.params.id} called`);
+    const FIELD_IGNORE_CONFLICTS = 'ignoreConflicts'; const FIELD_SCOPE = 'scope';
 
-    if (!eventId) return res.status(400).json({ error: 'Event ID missing.' });
-    if (!eventData || typeof eventData !== 'object' || !eventData[FIELD_TITLE] || !eventData[FIELD_DATE]) { return res.status(400).json({ success: false, message: 'Invalid data or Title/Date missing.' }); }
+    if (!eventId) return res.status(400).json({ code: 'event_id_missing', error: 'Event ID missing.' });
+    if (!eventData || typeof eventData !== 'object') { return res.status(400).json({ success: false, code: 'invalid_data', message: 'Invalid data.' }); }
 
     try {
         const eventRef = eventsCollection.doc(eventId);
         const doc = await eventRef.get();
-        if (!doc.exists) { return res.status(404).json({ success: false, message: 'Event not found.' }); }
+        if (!doc.exists || !isEditableEvent(doc.data(), req.user)) { return res.status(404).json({ success: false, code: 'event_not_found', message: 'Event not found.' }); }
 
         const existingData = doc.data();
+        if (!canEditEvent(req.user, existingData)) { return res.status(403).json({ success: false, code: 'event_edit_forbidden', message: 'You can only edit events you created or are responsible for.' }); }
+        // Optimistic concurrency: with If-Match (version the form was opened with) a stale edit is rejected instead of overwriting
+        const expectedVersion = readExpectedVersion(req);
+        if (Number.isNaN(expectedVersion)) { return res.status(400).json({ success: false, code: 'invalid_if_match', message: 'Invalid If-Match header. Please send the version of the event.' }); }
+        if (expectedVersion !== null && expectedVersion !== getEventVersion(existingData)) { console.log(`Stale edit of event ${eventId} rejected (version ${expectedVersion}, stored ${getEventVersion(existingData)}).`); return sendVersionConflict(res); }
         let imageUrlToUpdate = existingData.imageUrl;
 
+        // Retired resources the event (or the edited occurrence) already books may be kept
+        const catalogue = await loadResources(resourcesCollection);
+        const bookedResources = parseResources(existingData.resources).concat(parseResources(existingData.exceptions?.[occurrenceDate]?.resources));
+        const { value: fieldValues, errors: fieldErrors, codes: fieldCodes } = validateEventFields(eventData, { resources: bookableResources(catalogue, bookedResources) });
+        if (fieldErrors) { return sendValidationErrors(res, fieldErrors, fieldCodes); }
+        const storedFields = toEventFields(fieldValues);
+
+        // Resolve the series scope: 'following' on the first occurrence is the same as editing the whole series
+        const seriesStart = getStartDate(existingData);
+        let scope = existingData.isSeries && occurrenceDate ? (eventData[FIELD_SCOPE] || SCOPE_OCCURRENCE) : SCOPE_SERIES;
+        if (![SCOPE_OCCURRENCE, SCOPE_FOLLOWING, SCOPE_SERIES].includes(scope)) { return res.status(400).json({ success: false, code: 'invalid_scope', message: 'Invalid scope. Use occurrence, following or series.' }); }
+        if (scope === SCOPE_FOLLOWING && occurrenceDate <= seriesStart) scope = SCOPE_SERIES;
+        if (scope !== SCOPE_SERIES && newImageFile) { return res.status(400).json({ success: false, code: 'series_image_only', message: 'Images can only be changed for the whole series.' }); }
+
+        let recurrence = null; let registration = null;
+        if (scope !== SCOPE_OCCURRENCE) {
+            const normalized = normalizeRecurrence(readRecurrenceInput(eventData), fieldValues.eventDate);
+            if (normalized.error) { return sendValidationErrors(res, { recurrence: normalized.error }, { recurrence: normalized.code }); }
+            recurrence = normalized.recurrence;
+            // Registration settings apply to the whole event/series, single occurrences keep them
+            const registrationInput = readRegistrationInput(eventData);
+            if (registrationInput.error) { return sendValidationErrors(res, { [registrationInput.field]: registrationInput.error }, { [registrationInput.field]: registrationInput.code }); }
+            registration = registrationInput.registration;
+        }
+
+        // Reject overlapping bookings unless the user explicitly chose to override (the event/series itself is excluded)
+        if (eventData[FIELD_IGNORE_CONFLICTS] !== 'true') {
+            const conflicts = await findBookingConflicts(getRequestedBookings(fieldValues, recurrence), fieldValues.resources, eventId, catalogue);
+            if (conflicts.length > 0) { console.log(`Booking conflict for event ${req.params.id}:`, conflicts.map(c => c.id)); return res.status(409).json({ success: false, code: 'booking_conflict', message: 'The requested time slot conflicts with existing bookings.', conflicts }); }
+        }
+
+        if (scope === SCOPE_OCCURRENCE) {
+            // Store the changed values (wall-clock fields, see lib/recurrence.js) as exception of this occurrence only
+            const exception = {};
+            OVERRIDABLE_FIELDS.forEach(field => { exception[field] = fieldValues[field]; });
+            const written = await writeIfUnchanged(eventRef, expectedVersion, transaction => transaction.update(eventRef, withNextVersion({ exceptions: { ...(existingData.exceptions || {}), [occurrenceDate]: exception } })));
+            if (!written) return sendVersionConflict(res);
+            await recordChange(eventRef, 'update', req.user, existingData, { occurrenceDate });
+            notifyEventChange(req, 'update', eventId);
+            if (isListed(existingData)) sendEventMails(req, MAIL_EVENT_UPDATED, await eventRef.get(), { occurrenceDate });
+            console.log(`Occurrence ${occurrenceDate} of series ${eventId} successfully updated.`);
+            return res.json({ success: true, message: "Event occurrence updated successfully." });
+        }
+
+        if (scope === SCOPE_FOLLOWING) {
+            // End the existing series before this occurrence and continue with a new series from here
+            const previousDates = getOccurrenceDates(seriesStart, existingData.recurrence, null, addDays(occurrenceDate, -1));
+            const remainingCount = existingData.recurrence.count ? existingData.recurrence.count - previousDates.length : null;
+            const keptExceptions = Object.fromEntries(Object.entries(existingData.exceptions || {}).filter(([date]) => date < occurrenceDate));
+            const carriedExceptions = Object.fromEntries(Object.entries(existingData.exceptions || {}).filter(([date]) => date > occurrenceDate)); // Later cancelled/edited occurrences stay so
+            const newSeries = { ...storedFields, ...registration, imageUrl: existingData.imageUrl || null, isSeries: true, recurrence: recurrence && !isSameRecurrence(recurrence, existingData.recurrence) ? recurrence : { ...existingData.recurrence, count: remainingCount }, exceptions: carriedExceptions, createdBy: existingData.createdBy || req.user.id, createdAt: FieldValue.serverTimestamp() };
+            if (!recurrence) { // Series turned into a single event from this occurrence on
+                delete newSeries.isSeries; delete newSeries.recurrence; delete newSeries.exceptions;
+            }
+            const newRef = eventsCollection.doc();
+            const written = await writeIfUnchanged(eventRef, expectedVersion, transaction => {
+                transaction.update(eventRef, withNextVersion({ recurrence: { ...existingData.recurrence, until: addDays(occurrenceDate, -1), count: existingData.recurrence.count ? previousDates.length : null }, exceptions: keptExceptions }));
+                transaction.set(newRef, { ...newSeries, version: 1 });
+            });
+            if (!written) return sendVersionConflict(res);
+            await recordChange(eventRef, 'update', req.user, existingData, { occurrenceDate });
+            await recordChange(newRef, 'create', req.user, null, { splitFrom: eventId });
+            notifyEventChange(req, 'update', eventId);
+            if (isListed(existingData)) sendEventMails(req, MAIL_EVENT_UPDATED, await newRef.get(), { registrationsRef: eventRef, registrationsFrom: occurrenceDate }); // Sign-ups stay with the original series
+            console.log(`Series ${eventId} split at ${occurrenceDate}, following occurrences continue in ${newRef.id}.`);
+            return res.json({ success: true, message: "Following occurrences updated successfully.", id: newRef.id });
+        }
+
         if (newImageFile) {
             console.log("Processing new image upload for update:", newImageFile.originalname);
-            if (existingData.imageUrl) { await deleteFromGcs(existingData.imageUrl); }
-            imageUrlToUpdate = await uploadToGcs(newImageFile.buffer, newImageFile.originalname, newImageFile.mimetype);
+            const stored = await storeImage(newImageFile); // Before replacing the old image, so a rejected upload keeps it
+            if (stored.error) { return res.status(400).json({ success: false, code: stored.code, message: stored.error }); }
+            imageUrlToUpdate = stored.imageUrl; // The old image is kept for rollbacks once the update is stored
             console.log("New image uploaded, URL:", imageUrlToUpdate);
         }
 
-        let eventDateTimestamp = null;
-        if (eventData[FIELD_DATE]) { try { eventDateTimestamp = Timestamp.fromDate(new Date(eventData[FIELD_DATE] + 'T00:00:00Z')); } catch(e) { return res.status(400).json({ success: false, message: 'Invalid date format. Please use YYYY-MM-DD.' }); } }
-        else { return res.status(400).json({ success: false, message: 'Date is a required field.' }); }
-
-        const updatePayload = { title: eventData[FIELD_TITLE] || '', eventDate: eventDateTimestamp, startTime: eventData[FIELD_START_TIME] || '', endTime: eventData[FIELD_END_TIME] || '', description: eventData[FIELD_DESCRIPTION] || '', resources: eventData[FIELD_RESOURCES] || '', responsible: eventData[FIELD_RESPONSIBLE] || '', eventType: eventData[FIELD_EVENT_TYPE] || 'Öffentlich', participantInfo: eventData[FIELD_PARTICIPANT_INFO] || '', imageUrl: imageUrlToUpdate };
+        const updatePayload = { ...storedFields, ...registration, imageUrl: imageUrlToUpdate };
+        // Adding/changing/removing the recurrence rule (removing it turns the series into a single event)
+        if (recurrence) { Object.assign(updatePayload, { isSeries: true, recurrence, exceptions: existingData.exceptions || {} }); }
+        else if (existingData.isSeries) { Object.assign(updatePayload, { isSeries: FieldValue.delete(), recurrence: FieldValue.delete(), exceptions: FieldValue.delete() }); }
 
         // Clean payload from undefined values before update (Firestore doesn't like undefined)
          Object.keys(updatePayload).forEach(key => {
@@ -210,79 +1353,774 @@ app.put('/api/events/:id', isAuthenticated, multer.single('eventImage'), async (
          }
 
 
-        await eventRef.update(updatePayload);
+        const written = await writeIfUnchanged(eventRef, expectedVersion, transaction => transaction.update(eventRef, withNextVersion(updatePayload)));
+        if (!written) {
+            if (newImageFile) { await deleteImageIfUnused(imageUrlToUpdate, eventId); } // The upload of the rejected edit
+            return sendVersionConflict(res);
+        }
+        if (newImageFile && existingData.imageUrl) { await keepSupersededImage(existingData.imageUrl, eventId); }
+        await recordChange(eventRef, 'update', req.user, existingData);
+        if (isListed(existingData)) { // Pending proposals are not shown in the planners and not mailed
+            notifyEventChange(req, 'update', eventId);
+            sendEventMails(req, MAIL_EVENT_UPDATED, await eventRef.get());
+        }
         console.log(`Event ${eventId} successfully updated.`);
+        if (registration.registrationEnabled && registration.capacity !== (existingData.capacity ?? null)) { await promoteWaitlists(eventRef); } // More spots may be free now
         res.json({ success: true, message: "Event updated successfully." });
-    } catch (error) { console.error(`Error in PUT /api/events/${eventId}:`, error.message, error.stack); res.status(500).json({ success: false, message: "Error updating event." }); }
+    } catch (error) { console.error(`Error in PUT /api/events/${req.params.id}:`, error.message, error.stack); res.status(500).json({ success: false, code: 'event_update_failed', message: "Error updating event." }); }
 });
 
-// DELETE /api/events/:id - Deletes Event from Firestore & GCS (Requires Authentication)
-app.delete('/api/events/:id', isAuthenticated, async (req, res) => {
-    const eventId = req.params.id;
-    console.log(`API DELETE /api/events/${eventId} called`);
-    if (!eventId) return res.status(400).json({ error: 'Event ID missing.' });
+// DELETE /api/events/:id - Moves the event to the trash (Requires Authentication), purged with image after TRASH_RETENTION_DAYS
+// For series occurrences (id '<seriesId>:<YYYY-MM-DD>') ?scope=occurrence|following|series selects what is deleted.
+// If-Match: version of the event the client saw, 412 if it was changed since. Occurrence and following deletes rewrite the
+// exceptions of the series they read, so they are always rejected if the series changed in between.
+app.delete('/api/events/:id', canManageEvents, async (req, res) => {
+    const { docId: eventId, occurrenceDate } = splitOccurrenceId(req.params.id);
+    console.log(`API DELETE /api/events/${req.params.id} called`);
+    if (!eventId) return res.status(400).json({ code: 'event_id_missing', error: 'Event ID missing.' });
 
     try {
         const eventRef = eventsCollection.doc(eventId);
         const doc = await eventRef.get();
-        if (doc.exists) { const eventData = doc.data(); if (eventData.imageUrl) { await deleteFromGcs(eventData.imageUrl); } await eventRef.delete(); console.log(`Event ${eventId} successfully deleted from Firestore.`); res.json({ success: true, message: 'Event deleted successfully.' }); }
-        else { console.log(`Event ${eventId} not found for deletion.`); res.status(404).json({ success: false, message: 'Event not found.' }); }
-    } catch (error) { console.error(`Error in DELETE /api/events/${eventId}:`, error.message, error.stack); res.status(500).json({ success: false, message: "Error deleting event." }); }
+        if (!doc.exists || !isListed(doc.data())) { console.log(`Event ${eventId} not found for deletion.`); return res.status(404).json({ success: false, code: 'event_not_found', message: 'Event not found.' }); }
+        const eventData = doc.data();
+        if (!canEditEvent(req.user, eventData)) { return res.status(403).json({ success: false, code: 'event_delete_forbidden', message: 'You can only delete events you created or are responsible for.' }); }
+        const expectedVersion = readExpectedVersion(req);
+        if (Number.isNaN(expectedVersion)) { return res.status(400).json({ success: false, code: 'invalid_if_match', message: 'Invalid If-Match header. Please send the version of the event.' }); }
+        if (expectedVersion !== null && expectedVersion !== getEventVersion(eventData)) { console.log(`Stale delete of event ${eventId} rejected (version ${expectedVersion}, stored ${getEventVersion(eventData)}).`); return sendVersionConflict(res); }
+
+        const seriesStart = getStartDate(eventData);
+        let scope = eventData.isSeries && occurrenceDate ? (req.query.scope || SCOPE_OCCURRENCE) : SCOPE_SERIES;
+        if (![SCOPE_OCCURRENCE, SCOPE_FOLLOWING, SCOPE_SERIES].includes(scope)) { return res.status(400).json({ success: false, code: 'invalid_scope', message: 'Invalid scope. Use occurrence, following or series.' }); }
+        if (scope === SCOPE_FOLLOWING && occurrenceDate <= seriesStart) scope = SCOPE_SERIES;
+
+        if (scope === SCOPE_OCCURRENCE) {
+            const written = await writeIfUnchanged(eventRef, getEventVersion(eventData), transaction => transaction.update(eventRef, withNextVersion({ exceptions: { ...(eventData.exceptions || {}), [occurrenceDate]: { cancelled: true } } })));
+            if (!written) return sendVersionConflict(res);
+            await recordChange(eventRef, 'update', req.user, eventData, { occurrenceDate });
+            notifyEventChange(req, 'update', eventId);
+            sendEventMails(req, MAIL_EVENT_CANCELLED, doc, { occurrenceDate });
+            console.log(`Occurrence ${occurrenceDate} of series ${eventId} cancelled.`);
+            return res.json({ success: true, message: 'Event occurrence deleted successfully.' });
+        }
+        if (scope === SCOPE_FOLLOWING) {
+            const previousDates = getOccurrenceDates(seriesStart, eventData.recurrence, null, addDays(occurrenceDate, -1));
+            const keptExceptions = Object.fromEntries(Object.entries(eventData.exceptions || {}).filter(([date]) => date < occurrenceDate));
+            const written = await writeIfUnchanged(eventRef, getEventVersion(eventData), transaction => transaction.update(eventRef, withNextVersion({ recurrence: { ...eventData.recurrence, until: addDays(occurrenceDate, -1), count: eventData.recurrence.count ? previousDates.length : null }, exceptions: keptExceptions })));
+            if (!written) return sendVersionConflict(res);
+            await recordChange(eventRef, 'update', req.user, eventData, { occurrenceDate });
+            notifyEventChange(req, 'update', eventId);
+            sendEventMails(req, MAIL_EVENT_CANCELLED, doc, { occurrenceDate, registrationsFrom: occurrenceDate });
+            console.log(`Series ${eventId} ended before ${occurrenceDate}.`);
+            return res.json({ success: true, message: 'Following occurrences deleted successfully.' });
+        }
+
+        // Soft delete: image and registrations are kept until the event is purged from the trash
+        const written = await writeIfUnchanged(eventRef, expectedVersion, transaction => transaction.update(eventRef, withNextVersion({ deletedAt: FieldValue.serverTimestamp(), deletedBy: req.user.id })));
+        if (!written) return sendVersionConflict(res);
+        await recordChange(eventRef, 'delete', req.user, eventData);
+        notifyEventChange(req, 'delete', eventId);
+        sendEventMails(req, MAIL_EVENT_CANCELLED, doc);
+        console.log(`Event ${eventId} moved to the trash.`);
+        res.json({ success: true, message: 'Event moved to the trash.' });
+    } catch (error) { console.error(`Error in DELETE /api/events/${req.params.id}:`, error.message, error.stack); res.status(500).json({ success: false, code: 'event_delete_failed', message: "Error deleting event." }); }
 });
 
-// DELETE /api/events/:id/image - Deletes only the image (Requires Authentication)
-app.delete('/api/events/:id/image', isAuthenticated, async (req, res) => {
-    const eventId = req.params.id;
-    console.log(`API DELETE /api/events/${eventId}/image called`);
-    if (!eventId) { return res.status(400).json({ error: 'Event ID missing.' }); }
+// DELETE /api/events/:id/image - Removes only the image (Requires Authentication), the file is kept for rollbacks until the purge
+// The image belongs to the event or the whole series, occurrence ids are resolved to their series.
+app.delete('/api/events/:id/image', canManageEvents, async (req, res) => {
+    const { docId: eventId } = splitOccurrenceId(req.params.id);
+    console.log(`API DELETE /api/events/${req.params.id}/image called`);
+    if (!eventId) { return res.status(400).json({ code: 'event_id_missing', error: 'Event ID missing.' }); }
 
     try {
         const eventRef = eventsCollection.doc(eventId);
         const doc = await eventRef.get();
-        if (!doc.exists) { return res.status(404).json({ success: false, message: 'Event not found.' }); }
+        if (!doc.exists || !isEditableEvent(doc.data(), req.user)) { return res.status(404).json({ success: false, code: 'event_not_found', message: 'Event not found.' }); }
         const eventData = doc.data();
+        if (!canEditEvent(req.user, eventData)) { return res.status(403).json({ success: false, code: 'event_edit_forbidden', message: 'You can only edit events you created or are responsible for.' }); }
 
         if (!eventData.imageUrl) { console.log(`Event ${eventId} has no image to delete.`); return res.json({ success: true, message: 'No image found for this event.' }); }
 
-        await deleteFromGcs(eventData.imageUrl);
-        await eventRef.update({ imageUrl: FieldValue.delete() }); // Remove field from Firestore
+        await eventRef.update(withNextVersion({ imageUrl: FieldValue.delete() })); // Remove field from Firestore
+        await keepSupersededImage(eventData.imageUrl, eventId); // Deleted from storage by the purge, a rollback can bring it back until then
+        await recordChange(eventRef, 'image', req.user, eventData);
+        if (isListed(eventData)) notifyEventChange(req, 'image', eventId);
 
         console.log(`Image for event ${eventId} deleted successfully.`);
         res.json({ success: true, message: 'Image deleted successfully.' });
-    } catch (error) { console.error(`Error in DELETE /api/events/${eventId}/image:`, error.message, error.stack); res.status(500).json({ success: false, message: "Error deleting image." }); }
+    } catch (error) { console.error(`Error in DELETE /api/events/${eventId}/image:`, error.message, error.stack); res.status(500).json({ success: false, code: 'image_delete_failed', message: "Error deleting image." }); }
+});
+
+// GET /api/events/:id/history - Change history of an event, newest first (Admins only)
+app.get('/api/events/:id/history', requireRole(ROLE_ADMIN), async (req, res) => {
+  const { docId } = splitOccurrenceId(req.params.id);
+  console.log(`API GET /api/events/${docId}/history called`);
+  try {
+    const snapshot = await historyCollection.where('eventId', '==', docId).get();
+    const entries = snapshot.docs.map(doc => {
+      const { action, at, user, changes, snapshot: version, occurrenceDate, splitFrom, rolledBackTo, imported } = doc.data();
+      return { id: doc.id, action, at: at?.toDate()?.toISOString() || null, user, changes, occurrenceDate: occurrenceDate || null, splitFrom: splitFrom || null, rolledBackTo: rolledBackTo || null, imported: Boolean(imported), canRollback: Boolean(version) };
+    }).sort((a, b) => String(b.at).localeCompare(String(a.at)));
+    res.json(entries);
+  } catch (error) {
+    console.error(`Error in GET /api/events/${docId}/history:`, error.message, error.stack);
+    res.status(500).json({ success: false, code: 'history_load_failed', message: 'Error loading history.' });
+  }
+});
+
+// POST /api/events/:id/history/:entryId/rollback - Restores the event to the version stored in a history entry (Admins only)
+// Registration counters, creator and creation date are kept. An image that no longer exists is not restored.
+app.post('/api/events/:id/history/:entryId/rollback', requireRole(ROLE_ADMIN), async (req, res) => {
+  const { docId } = splitOccurrenceId(req.params.id);
+  console.log(`API POST /api/events/${docId}/history/${req.params.entryId}/rollback called`);
+  try {
+    const entryDoc = await historyCollection.doc(req.params.entryId).get();
+    if (!entryDoc.exists || entryDoc.data().eventId !== docId || !entryDoc.data().snapshot) { return res.status(404).json({ success: false, code: 'version_not_found', message: 'Version not found.' }); }
+    const eventRef = eventsCollection.doc(docId);
+    const doc = await eventRef.get();
+    if (!doc.exists) { return res.status(404).json({ success: false, code: 'event_not_found', message: 'Event not found.' }); }
+    const current = doc.data();
+    if (isInTrash(current)) { return res.status(400).json({ success: false, code: 'event_in_trash', message: 'Please restore the event from the trash first.' }); }
+
+    const { registrationStats, createdAt, createdBy, deletedAt, deletedBy, version, ...versionFields } = upgradeLegacyTimes(entryDoc.data().snapshot);
+    let imageMissing = false;
+    if (versionFields.imageUrl && versionFields.imageUrl !== current.imageUrl) {
+      const objectName = images.getObjectName(versionFields.imageUrl);
+      const exists = objectName ? await images.exists(objectName) : false;
+      if (!exists) { delete versionFields.imageUrl; imageMissing = true; }
+    }
+    const restored = { ...versionFields, registrationStats: current.registrationStats || {}, createdAt: current.createdAt, createdBy: current.createdBy, version: getEventVersion(current) + 1 };
+    Object.keys(restored).forEach(key => { if (restored[key] === undefined) delete restored[key]; });
+    await eventRef.set(restored); // Replaces the whole document, fields added after that version are removed
+    if (current.imageUrl && current.imageUrl !== restored.imageUrl) { await keepSupersededImage(current.imageUrl, docId); } // So the newer version can be restored again
+    await recordChange(eventRef, 'rollback', req.user, current, { rolledBackTo: req.params.entryId });
+    if (isListed(current)) notifyEventChange(req, 'update', docId);
+    console.log(`Event ${docId} rolled back to version ${req.params.entryId}${imageMissing ? ' (image no longer available)' : ''}.`);
+    res.json({ success: true, message: imageMissing ? 'Event rolled back. The image of that version no longer exists.' : 'Event rolled back successfully.' });
+  } catch (error) {
+    console.error(`Error in POST /api/events/${docId}/history/${req.params.entryId}/rollback:`, error.message, error.stack);
+    res.status(500).json({ success: false, code: 'rollback_failed', message: 'Error rolling back event.' });
+  }
+});
+
+// GET /api/trash - Deleted events that can still be restored (Requires Authentication, organizers see their own events)
+app.get('/api/trash', canManageEvents, async (req, res) => {
+  console.log('API GET /api/trash called');
+  try {
+    const snapshot = await eventsCollection.where('deletedAt', '>', Timestamp.fromMillis(0)).get();
+    const events = snapshot.docs
+      .filter(doc => canEditEvent(req.user, doc.data()))
+      .map(doc => {
+        const { exceptions, registrationStats, ...event } = toApiEvent(doc);
+        const deletedAt = doc.data().deletedAt.toDate();
+        return { ...event, imageUrl: toImageProxyUrl(event.imageUrl), deletedAt: deletedAt.toISOString(), purgeAt: new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString() };
+      })
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    res.json(events);
+  } catch (error) {
+    console.error("Error in GET /api/trash:", error.message, error.stack);
+    res.status(500).json({ success: false, code: 'trash_load_failed', message: 'Error loading trash.' });
+  }
+});
+
+// POST /api/trash/:id/restore - Restores a deleted event (Requires Authentication)
+app.post('/api/trash/:id/restore', canManageEvents, async (req, res) => {
+  const eventId = req.params.id;
+  console.log(`API POST /api/trash/${eventId}/restore called`);
+  try {
+    const eventRef = eventsCollection.doc(eventId);
+    const doc = await eventRef.get();
+    if (!doc.exists || !isInTrash(doc.data())) { return res.status(404).json({ success: false, code: 'trash_event_not_found', message: 'Event not found in the trash.' }); }
+    if (!canEditEvent(req.user, doc.data())) { return res.status(403).json({ success: false, code: 'event_restore_forbidden', message: 'You can only restore events you created or are responsible for.' }); }
+    await eventRef.update(withNextVersion({ deletedAt: FieldValue.delete(), deletedBy: FieldValue.delete() }));
+    await recordChange(eventRef, 'restore', req.user, doc.data());
+    if (isPublished(doc.data())) notifyEventChange(req, 'create', eventId);
+    console.log(`Event ${eventId} restored from the trash.`);
+    res.json({ success: true, message: 'Event restored successfully.' });
+  } catch (error) {
+    console.error(`Error in POST /api/trash/${eventId}/restore:`, error.message, error.stack);
+    res.status(500).json({ success: false, code: 'restore_failed', message: 'Error restoring event.' });
+  }
+});
+
+// POST /api/trash/purge - Purges expired events right away, e.g. from a scheduler (Admins only)
+app.post('/api/trash/purge', requireRole(ROLE_ADMIN), async (req, res) => {
+  console.log('API POST /api/trash/purge called');
+  try {
+    const purged = await purgeDeletedEvents();
+    res.json({ success: true, message: `${purged} event(s) purged.`, purged });
+  } catch (error) {
+    console.error("Error in POST /api/trash/purge:", error.message, error.stack);
+    res.status(500).json({ success: false, code: 'trash_purge_failed', message: 'Error purging trash.' });
+  }
+});
+
+// POST /api/events/:id/registrations - Signs up for an event or series occurrence (Publicly accessible)
+// Body: { name, email, headcount }. Returns the status (confirmed/waitlisted) and the personal cancel link.
+// Spam protection: honeypot field, registrationLimiter per IP/in total.
+app.post('/api/events/:id/registrations', optionalUser, async (req, res) => {
+  const { docId, occurrenceDate } = splitOccurrenceId(req.params.id);
+  console.log(`API POST /api/events/${req.params.id}/registrations called`);
+  if (String(req.body?.[REGISTRATION_HONEYPOT_FIELD] || '').trim()) { console.warn(`Registration from ${req.ip} dropped: honeypot field filled in.`); return res.status(201).json({ success: true, message: 'Registration confirmed.', status: REGISTRATION_CONFIRMED }); }
+  const lockoutMs = registrationLimiter.getLockout(req.ip);
+  if (lockoutMs > 0) { res.set('Retry-After', String(Math.ceil(lockoutMs / 1000))); return res.status(429).json({ success: false, code: 'too_many_registrations', message: `Too many sign-ups. Please try again in ${Math.ceil(lockoutMs / 60000)} minutes.`, retryAfter: Math.ceil(lockoutMs / 1000) }); }
+  const name = String(req.body?.name || '').trim(); const email = normalizeEmail(req.body?.email); const headcount = Number(req.body?.headcount || 1);
+  if (!name || name.length > 100) { return res.status(400).json({ success: false, code: 'invalid_name', message: 'Please enter your name (max. 100 characters).' }); }
+  if (!EMAIL_PATTERN.test(email)) { return res.status(400).json({ success: false, code: 'invalid_email', message: 'Please enter a valid email address.' }); }
+  if (!Number.isInteger(headcount) || headcount < 1 || headcount > MAX_HEADCOUNT) { return res.status(400).json({ success: false, code: 'invalid_headcount', message: `Number of persons must be between 1 and ${MAX_HEADCOUNT}.` }); }
+
+  const cancelToken = generateToken();
+  const eventRef = eventsCollection.doc(docId);
+  try {
+    // Transaction: the capacity check and the counter update must see the same state
+    const result = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(eventRef);
+      const event = doc.exists ? resolveApiEvent(doc, occurrenceDate) : null;
+      if (!event || !canViewEventDetails(req.user, event)) return { status: 404, code: 'event_not_found', message: 'Event not found.' };
+      if (!isRegistrationOpen(event)) return { status: 400, code: 'registration_closed', message: 'Registration is closed for this event.' };
+      const key = getRegistrationKey(event);
+      const registrations = eventRef.collection('registrations');
+      const existing = await transaction.get(registrations.where('registrationKey', '==', key).where('email', '==', email));
+      if (existing.docs.some(existingDoc => existingDoc.data().status !== REGISTRATION_CANCELLED)) return { status: 409, code: 'already_registered', message: 'This email address is already registered for this event.' };
+
+      const stats = { confirmed: 0, waitlisted: 0, ...(event.registrationStats?.[key] || {}) };
+      const status = event.capacity == null || stats.confirmed + headcount <= event.capacity ? REGISTRATION_CONFIRMED : REGISTRATION_WAITLISTED;
+      stats[status] += headcount;
+      const registrationRef = registrations.doc();
+      transaction.set(registrationRef, { name, email, headcount, status, registrationKey: key, occurrenceDate: event.occurrenceDate || null, cancelTokenHash: hashToken(cancelToken), createdAt: Timestamp.now() });
+      transaction.update(eventRef, new FieldPath('registrationStats', key), stats);
+      return { status: 201, registrationId: registrationRef.id, registrationStatus: status };
+    });
+    if (result.status !== 201) { return res.status(result.status).json({ success: false, code: result.code, message: result.message }); }
+    registrationLimiter.recordAttempt(req.ip); // Every stored sign-up counts against the limit
+
+    console.log(`Registration ${result.registrationId} for event ${req.params.id}: ${result.registrationStatus} (${headcount} person(s)).`);
+    const cancelUrl = `${req.protocol}://${req.get('host')}/?cancelEvent=${encodeURIComponent(docId)}&registration=${encodeURIComponent(result.registrationId)}&token=${encodeURIComponent(cancelToken)}`;
+    res.status(201).json({ success: true, message: result.registrationStatus === REGISTRATION_CONFIRMED ? 'Registration confirmed.' : 'The event is full, you are on the waitlist.', status: result.registrationStatus, cancelUrl });
+  } catch (error) {
+    console.error(`Error in POST /api/events/${req.params.id}/registrations:`, error.message, error.stack);
+    res.status(500).json({ success: false, code: 'registration_failed', message: 'Error saving registration.' });
+  }
+});
+
+// POST /api/events/:id/registrations/:registrationId/cancel - Cancels a sign-up with the token from the cancel link (Publicly accessible)
+// Freed spots are given to the waitlist. Only events that are live (not in the trash, no pending proposal) can be cancelled.
+app.post('/api/events/:id/registrations/:registrationId/cancel', async (req, res) => {
+  const { docId } = splitOccurrenceId(req.params.id);
+  console.log(`API POST /api/events/${docId}/registrations/${req.params.registrationId}/cancel called`);
+  const token = String(req.body?.token || '');
+  if (!token) { return res.status(400).json({ success: false, code: 'cancel_token_missing', message: 'Cancel token missing.' }); }
+
+  const eventRef = eventsCollection.doc(docId);
+  const registrationRef = eventRef.collection('registrations').doc(req.params.registrationId);
+  try {
+    const result = await db.runTransaction(async (transaction) => {
+      const eventDoc = await transaction.get(eventRef);
+      const registrationDoc = await transaction.get(registrationRef);
+      if (!eventDoc.exists || !isListed(eventDoc.data())) return { status: 404, code: 'event_not_found', message: 'Event not found.' }; // Events in the trash or pending proposals are not live
+      if (!registrationDoc.exists || registrationDoc.data().cancelTokenHash !== hashToken(token)) return { status: 404, code: 'registration_not_found', message: 'Registration not found or cancel link invalid.' };
+      const registration = registrationDoc.data();
+      if (registration.status === REGISTRATION_CANCELLED) return { status: 200, promoted: [] };
+
+      const key = registration.registrationKey;
+      const waiting = registration.status === REGISTRATION_CONFIRMED ? await transaction.get(eventRef.collection('registrations').where('registrationKey', '==', key).where('status', '==', REGISTRATION_WAITLISTED)) : null;
+      const eventData = eventDoc.data();
+      const stats = { confirmed: 0, waitlisted: 0, ...(eventData.registrationStats?.[key] || {}) };
+      stats[registration.status] = Math.max(stats[registration.status] - registration.headcount, 0);
+      transaction.update(registrationRef, { status: REGISTRATION_CANCELLED, cancelledAt: Timestamp.now() });
+      const promoted = waiting && eventData.registrationEnabled ? promoteWaitlisted(transaction, eventData.capacity ?? null, stats, waiting.docs) : [];
+      transaction.update(eventRef, new FieldPath('registrationStats', key), stats);
+      return { status: 200, promoted };
+    });
+    if (result.status !== 200) { return res.status(result.status).json({ success: false, code: result.code, message: result.message }); }
+    if (result.promoted.length > 0) console.log(`Registration ${req.params.registrationId} cancelled, promoted from waitlist:`, result.promoted.map(r => r.id));
+    res.json({ success: true, message: 'Registration cancelled.' });
+  } catch (error) {
+    console.error(`Error in POST /api/events/${docId}/registrations/${req.params.registrationId}/cancel:`, error.message, error.stack);
+    res.status(500).json({ success: false, code: 'registration_cancel_failed', message: 'Error cancelling registration.' });
+  }
+});
+
+// loadEventRegistrations(eventId, user) - Attendee list of an event/occurrence for its organizers, returns { event, registrations } or { status, message }
+async function loadEventRegistrations(eventId, user) {
+  const { docId, occurrenceDate } = splitOccurrenceId(eventId);
+  const eventRef = eventsCollection.doc(docId);
+  const doc = await eventRef.get();
+  const event = doc.exists ? resolveApiEvent(doc, occurrenceDate) : null;
+  if (!event) return { status: 404, code: 'event_not_found', message: 'Event not found.' };
+  if (!canEditEvent(user, doc.data())) return { status: 403, code: 'attendees_forbidden', message: 'You can only see the attendees of events you created or are responsible for.' };
+  const snapshot = await eventRef.collection('registrations').where('registrationKey', '==', getRegistrationKey(event)).get();
+  const registrations = snapshot.docs
+    .map(registrationDoc => { const { name, email, headcount, status, createdAt } = registrationDoc.data(); return { id: registrationDoc.id, name, email, headcount, status, createdAt: createdAt?.toDate()?.toISOString() || null }; })
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  return { event, registrations };
+}
+
+// GET /api/events/:id/registrations - Attendee list incl. waitlist and cancellations (Requires Authentication)
+app.get('/api/events/:id/registrations', canManageEvents, async (req, res) => {
+  console.log(`API GET /api/events/${req.params.id}/registrations called`);
+  try {
+    const result = await loadEventRegistrations(req.params.id, req.user);
+    if (result.status) { return res.status(result.status).json({ success: false, code: result.code, message: result.message }); }
+    res.json({ registration: toRegistrationSummary(result.event), registrations: result.registrations });
+  } catch (error) {
+    console.error(`Error in GET /api/events/${req.params.id}/registrations:`, error.message, error.stack);
+    res.status(500).json({ success: false, code: 'registrations_load_failed', message: 'Error loading registrations.' });
+  }
+});
+
+// GET /api/events/:id/registrations.csv - Attendee list as CSV export (Requires Authentication)
+app.get('/api/events/:id/registrations.csv', canManageEvents, async (req, res) => {
+  console.log(`API GET /api/events/${req.params.id}/registrations.csv called`);
+  try {
+    const result = await loadEventRegistrations(req.params.id, req.user);
+    if (result.status) { return res.status(result.status).json({ success: false, code: result.code, message: result.message }); }
+    const columns = [{ key: 'name', label: 'Name' }, { key: 'email', label: 'E-Mail' }, { key: 'headcount', label: 'Personen' }, { key: 'status', label: 'Status' }, { key: 'createdAt', label: 'Angemeldet am' }];
+    res.type('text/csv; charset=utf-8');
+    res.attachment(`teilnehmende-${result.event.eventDate}-${req.params.id.replace(/[^\w-]/g, '_')}.csv`);
+    res.send(toCsv(result.registrations, columns));
+  } catch (error) {
+    console.error(`Error in GET /api/events/${req.params.id}/registrations.csv:`, error.message, error.stack);
+    res.status(500).json({ success: false, code: 'registrations_export_failed', message: 'Error exporting registrations.' });
+  }
+});
+
+// GET /api/images/:name?variant=thumb - Streams an event image (or a variant), subject to the privacy rules of the events using it (Publicly accessible)
+app.get('/api/images/:name', optionalUser, async (req, res) => {
+  const objectName = req.params.name; const variant = req.query.variant || 'full';
+  if (!IMAGE_VARIANT_NAMES.includes(variant)) { return res.status(400).json({ code: 'invalid_image_variant', error: `Invalid variant. Allowed: ${IMAGE_VARIANT_NAMES.join(', ')}.` }); }
+  try {
+    const snapshot = await eventsCollection.where('imageUrl', '==', images.toStorageUrl(objectName)).get();
+    const events = snapshot.docs.map(doc => doc.data()).filter(event => !isInTrash(event));
+    // Unknown images and images of private events look the same to anonymous callers
+    if (!events.some(event => canViewEventDetails(req.user, event))) { return res.status(404).json({ code: 'image_not_found', error: 'Image not found.' }); }
+    // Images uploaded before the processing pipeline have no variants, the original is served instead
+    const image = await images.open(toVariantName(objectName, variant)).catch(error => { if (error.code === 404 && variant !== 'full') return images.open(objectName); throw error; });
+    res.set({ 'Content-Type': image.contentType || 'application/octet-stream', 'X-Content-Type-Options': 'nosniff' });
+    res.set('Cache-Control', events.some(event => event.eventType !== EVENT_TYPE_PRIVATE) ? 'public, max-age=86400' : 'private, max-age=3600');
+    image.stream
+      .on('error', (err) => { console.error(`Error streaming image ${objectName}:`, err.message); res.destroy(err); })
+      .pipe(res);
+  } catch (error) {
+    if (error.code === 404) { return res.status(404).json({ code: 'image_not_found', error: 'Image not found.' }); }
+    console.error(`Error in GET /api/images/${objectName}:`, error.message, error.stack);
+    res.status(500).json({ code: 'image_load_failed', error: "Error loading image." });
+  }
+});
+
+// GET /api/availability?date=YYYY-MM-DD - Returns the booked resources per time slot of a day (Publicly accessible)
+app.get('/api/availability', async (req, res) => {
+    const dateStr = String(req.query.date || '');
+    console.log(`API GET /api/availability called for ${dateStr}`);
+    if (!isValidDate(dateStr)) { return res.status(400).json({ code: 'date_required', error: 'Query parameter "date" (YYYY-MM-DD) is required.' }); }
+
+    try {
+        const [events, catalogue] = await Promise.all([loadEvents({ from: dateStr, to: dateStr }), loadResources(resourcesCollection)]);
+        const exclusiveIds = getExclusiveIds(catalogue);
+        // Bookings as instants (ms), events running over midnight are cut to the day (23 or 25 hours long on DST changes)
+        const dayStart = startOfDay(dateStr).getTime(); const dayEnd = startOfDay(addDays(dateStr, 1)).getTime();
+        const toTime = ms => (ms === dayEnd ? '24:00' : toZonedDateTime(new Date(ms)).time);
+        const bookings = [];
+        events.forEach(event => {
+            const resources = parseResources(event.resources);
+            if (resources.length > 0) { bookings.push({ start: Math.max(Date.parse(event.startAt), dayStart), end: Math.min(Date.parse(event.endAt), dayEnd), resources }); }
+        });
+
+        // Split the day at every booking boundary and collect the resources booked in each resulting slot
+        const boundaries = [...new Set(bookings.flatMap(b => [b.start, b.end]))].sort((a, b) => a - b);
+        const slots = [];
+        for (let i = 0; i < boundaries.length - 1; i++) {
+            const active = bookings.filter(b => b.start < boundaries[i + 1] && b.end > boundaries[i]);
+            if (active.length === 0) continue;
+            const resources = [...new Set(active.flatMap(b => b.resources))];
+            slots.push({ startTime: toTime(boundaries[i]), endTime: toTime(boundaries[i + 1]), resources, wholeRoom: resources.some(r => exclusiveIds.includes(r)) });
+        }
+        res.json({ date: dateStr, slots });
+    } catch (error) { console.error("Error in GET /api/availability:", error.message, error.stack); res.status(500).json({ code: 'availability_load_failed', error: "Error loading availability." }); }
 });
 
+// --- Event Proposals (suggestions of members without account, published after an admin review) ---
+
+const PROPOSAL_NAME_MAX_LENGTH = 100;
+const PROPOSAL_REASON_MAX_LENGTH = 1000;
+const PROPOSAL_HONEYPOT_FIELD = 'website'; // Hidden in the form: only bots fill it in, their proposals are silently dropped
+const PROPOSAL_LIST_STATUSES = [EVENT_STATUS_PENDING, EVENT_STATUS_REJECTED, EVENT_STATUS_PUBLISHED];
+
+// toApiProposal(doc) - Proposal as listed in the review queue: the event plus contact data of the proposer and the decision
+function toApiProposal(doc) {
+  const { proposal = {} } = doc.data();
+  return { ...toApiEvent(doc), proposer: { name: proposal.name || '', email: proposal.email || '' }, submittedAt: proposal.submittedAt?.toDate()?.toISOString() || null, decidedAt: proposal.decidedAt?.toDate()?.toISOString() || null, decidedBy: proposal.decidedBy || null, reason: proposal.reason || null };
+}
+
+// loadPendingProposal(id) - Document snapshot of a proposal waiting for review, null otherwise
+async function loadPendingProposal(id) {
+  const doc = await eventsCollection.doc(id).get();
+  return doc.exists && doc.data().proposal && doc.data().status === EVENT_STATUS_PENDING && !isInTrash(doc.data()) ? doc : null;
+}
+
+// POST /api/proposals - Proposes an event, stored as pending until an admin approves it (Publicly accessible, JSON body)
+// Spam protection: honeypot field, proposalLimiter per IP/in total. Returns a status link for the proposer.
+app.post('/api/proposals', async (req, res) => {
+  console.log('API POST /api/proposals called');
+  const body = req.body || {};
+  if (String(body[PROPOSAL_HONEYPOT_FIELD] || '').trim()) { console.warn(`Proposal from ${req.ip} dropped: honeypot field filled in.`); return res.status(201).json({ success: true, message: 'Thank you! Your proposal will be reviewed.' }); }
+  const lockoutMs = proposalLimiter.getLockout(req.ip);
+  if (lockoutMs > 0) { res.set('Retry-After', String(Math.ceil(lockoutMs / 1000))); return res.status(429).json({ success: false, code: 'too_many_proposals', message: `Too many proposals. Please try again in ${Math.ceil(lockoutMs / 60000)} minutes.`, retryAfter: Math.ceil(lockoutMs / 1000) }); }
+
+  try {
+    const catalogue = await loadResources(resourcesCollection);
+    const { value, errors: fieldErrors, codes: fieldCodes } = validateEventFields(body, { resources: bookableResources(catalogue) });
+    const errors = { ...fieldErrors }; const codes = { ...fieldCodes };
+    const name = String(body.proposerName || '').trim(); const email = normalizeEmail(body.proposerEmail);
+    if (!name || name.length > PROPOSAL_NAME_MAX_LENGTH) { errors.proposerName = `Please enter your name (max. ${PROPOSAL_NAME_MAX_LENGTH} characters).`; codes.proposerName = 'invalid_name'; }
+    if (!EMAIL_PATTERN.test(email)) { errors.proposerEmail = 'Please enter a valid email address.'; codes.proposerEmail = 'invalid_email'; }
+    if (value && value.eventDate < todayInZurich()) { errors.eventDate = 'Please propose a date in the future.'; codes.eventDate = 'date_in_past'; }
+    if (Object.keys(errors).length > 0) { return sendValidationErrors(res, errors, codes); }
+
+    // Booked slots cannot be proposed; anonymous callers only see when and what is booked, not by whom
+    const conflicts = await findBookingConflicts(getRequestedBookings(value), value.resources, null, catalogue);
+    if (conflicts.length > 0) { return res.status(409).json({ success: false, code: 'booking_conflict', message: 'The requested time slot is already booked.', conflicts: conflicts.map(({ eventDate, startTime, endDate, endTime, conflictingResources }) => ({ eventDate, startTime, endDate, endTime, conflictingResources })) }); }
+
+    const statusToken = generateToken();
+    const docRef = await eventsCollection.add({
+      ...toEventFields(value), responsible: value.responsible || name, registrationEnabled: false, capacity: null, registrationDeadline: null, imageUrl: null,
+      status: EVENT_STATUS_PENDING, proposal: { name, email, statusTokenHash: hashToken(statusToken), submittedAt: Timestamp.now() }, createdBy: null, createdAt: FieldValue.serverTimestamp(), version: 1,
+    });
+    proposalLimiter.recordAttempt(req.ip); // Every stored proposal counts against the limit
+    await recordChange(docRef, 'propose', PROPOSAL_ACTOR, null);
+    console.log(`Event proposal ${docRef.id} for ${value.eventDate} stored, waiting for review.`);
+    const statusUrl = `${req.protocol}://${req.get('host')}/?proposal=${encodeURIComponent(docRef.id)}&token=${encodeURIComponent(statusToken)}`;
+    res.status(201).json({ success: true, message: 'Thank you! Your proposal will be reviewed.', id: docRef.id, statusUrl });
+  } catch (error) { console.error("Error in POST /api/proposals:", error.message, error.stack); res.status(500).json({ success: false, code: 'proposal_failed', message: 'Error saving proposal.' }); }
+});
+
+// GET /api/proposals/:id/status?token= - Review state of a proposal for its proposer, with the token of the status link (Publicly accessible)
+app.get('/api/proposals/:id/status', async (req, res) => {
+  console.log(`API GET /api/proposals/${req.params.id}/status called`);
+  const token = String(req.query.token || '');
+  try {
+    const doc = token ? await eventsCollection.doc(req.params.id).get() : null;
+    const proposal = doc?.exists ? doc.data().proposal : null;
+    if (!proposal || proposal.statusTokenHash !== hashToken(token)) { return res.status(404).json({ success: false, code: 'proposal_not_found', message: 'Proposal not found or status link invalid.' }); }
+    const event = toApiEvent(doc);
+    res.json({ success: true, status: event.status, title: event.title, eventDate: event.eventDate, startTime: event.startTime || '', endDate: event.endDate, endTime: event.endTime || '', reason: proposal.reason || null, decidedAt: proposal.decidedAt?.toDate()?.toISOString() || null });
+  } catch (error) { console.error(`Error in GET /api/proposals/${req.params.id}/status:`, error.message, error.stack); res.status(500).json({ success: false, code: 'proposal_status_failed', message: 'Error loading proposal status.' }); }
+});
+
+// GET /api/proposals - Review queue: proposals with ?status=pending (default), rejected or published, by event date (Admins only)
+app.get('/api/proposals', requireRole(ROLE_ADMIN), async (req, res) => {
+  const status = String(req.query.status || EVENT_STATUS_PENDING);
+  console.log(`API GET /api/proposals called (${status})`);
+  if (!PROPOSAL_LIST_STATUSES.includes(status)) { return res.status(400).json({ success: false, code: 'invalid_status', message: `Invalid status. Use ${PROPOSAL_LIST_STATUSES.join(', ')}.` }); }
+  try {
+    const snapshot = await eventsCollection.where('status', '==', status).get();
+    res.json(snapshot.docs.filter(doc => doc.data().proposal && !isInTrash(doc.data())).map(toApiProposal).sort(compareEvents));
+  } catch (error) { console.error("Error in GET /api/proposals:", error.message, error.stack); res.status(500).json({ success: false, code: 'proposals_load_failed', message: 'Error loading proposals.' }); }
+});
+
+// POST /api/proposals/:id/approve - Publishes a pending proposal and mails the proposer (Admins only); changes are made before with PUT /api/events/:id
+// Rejected with 409 if the slot was booked in the meantime, unless { ignoreConflicts: true } (or 'true').
+app.post('/api/proposals/:id/approve', requireRole(ROLE_ADMIN), async (req, res) => {
+  console.log(`API POST /api/proposals/${req.params.id}/approve called`);
+  try {
+    const doc = await loadPendingProposal(req.params.id);
+    if (!doc) { return res.status(404).json({ success: false, code: 'pending_proposal_not_found', message: 'Pending proposal not found.' }); }
+    const event = toApiEvent(doc);
+    if (String(req.body?.ignoreConflicts) !== 'true') { // JSON boolean or the string of forms, like the other conflict overrides
+      const bookings = event.isSeries ? expandSeriesEvent(event) : [event];
+      const conflicts = await findBookingConflicts(bookings, event.resources, doc.id, await loadResources(resourcesCollection));
+      if (conflicts.length > 0) { return res.status(409).json({ success: false, code: 'booking_conflict', message: 'The requested time slot conflicts with existing bookings.', conflicts }); }
+    }
+    await doc.ref.update(withNextVersion({ status: EVENT_STATUS_PUBLISHED, 'proposal.decidedAt': Timestamp.now(), 'proposal.decidedBy': toHistoryUser(req.user) }));
+    await recordChange(doc.ref, 'approve', req.user, doc.data());
+    notifyEventChange(req, 'create', doc.id);
+    const approvedDoc = await doc.ref.get();
+    sendEventMails(req, MAIL_EVENT_CREATED, approvedDoc);
+    sendProposalDecisionMail(req, approvedDoc);
+    console.log(`Proposal ${doc.id} approved by ${req.user.email}.`);
+    res.json({ success: true, message: 'Proposal approved and published.' });
+  } catch (error) { console.error(`Error in POST /api/proposals/${req.params.id}/approve:`, error.message, error.stack); res.status(500).json({ success: false, code: 'proposal_approve_failed', message: 'Error approving proposal.' }); }
+});
+
+// POST /api/proposals/:id/reject - Rejects a pending proposal with a reason shown to and mailed to the proposer (Admins only)
+app.post('/api/proposals/:id/reject', requireRole(ROLE_ADMIN), async (req, res) => {
+  console.log(`API POST /api/proposals/${req.params.id}/reject called`);
+  const reason = String(req.body?.reason || '').trim();
+  if (!reason || reason.length > PROPOSAL_REASON_MAX_LENGTH) { return sendValidationErrors(res, { reason: `Please enter a reason (max. ${PROPOSAL_REASON_MAX_LENGTH} characters).` }, { reason: 'reason_required' }); }
+  try {
+    const doc = await loadPendingProposal(req.params.id);
+    if (!doc) { return res.status(404).json({ success: false, code: 'pending_proposal_not_found', message: 'Pending proposal not found.' }); }
+    await doc.ref.update(withNextVersion({ status: EVENT_STATUS_REJECTED, 'proposal.reason': reason, 'proposal.decidedAt': Timestamp.now(), 'proposal.decidedBy': toHistoryUser(req.user) }));
+    await recordChange(doc.ref, 'reject', req.user, doc.data());
+    sendProposalDecisionMail(req, doc, reason);
+    console.log(`Proposal ${doc.id} rejected by ${req.user.email}.`);
+    res.json({ success: true, message: 'Proposal rejected.' });
+  } catch (error) { console.error(`Error in POST /api/proposals/${req.params.id}/reject:`, error.message, error.stack); res.status(500).json({ success: false, code: 'proposal_reject_failed', message: 'Error rejecting proposal.' }); }
+});
+
+// --- Notification Endpoints (weekly digest subscriptions, delivery log) ---
+
+const SUBSCRIPTION_HONEYPOT_FIELD = 'website';
+const MAIL_LOG_DEFAULT_LIMIT = 100;
+const MAIL_LOG_MAX_LIMIT = 500;
+
+// POST /api/subscriptions - Subscribes an email to the weekly digest, active after the confirmation link (Publicly accessible, JSON body { email })
+// Always answers the same, so the endpoint does not reveal who is subscribed.
+app.post('/api/subscriptions', async (req, res) => {
+  console.log('API POST /api/subscriptions called');
+  const body = req.body || {};
+  const reply = () => res.status(202).json({ success: true, message: 'Please confirm the subscription with the link we sent you by email.' });
+  if (String(body[SUBSCRIPTION_HONEYPOT_FIELD] || '').trim()) { console.warn(`Subscription from ${req.ip} dropped: honeypot field filled in.`); return reply(); }
+  const lockoutMs = subscriptionLimiter.getLockout(req.ip);
+  if (lockoutMs > 0) { res.set('Retry-After', String(Math.ceil(lockoutMs / 1000))); return res.status(429).json({ success: false, code: 'too_many_subscriptions', message: `Too many subscriptions. Please try again in ${Math.ceil(lockoutMs / 60000)} minutes.`, retryAfter: Math.ceil(lockoutMs / 1000) }); }
+  const email = normalizeEmail(body.email);
+  if (!EMAIL_PATTERN.test(email) || email.length > 254) { return sendValidationErrors(res, { email: 'Please enter a valid email address.' }, { email: 'invalid_email' }); }
+
+  try {
+    const snapshot = await subscribersCollection.where('email', '==', email).limit(1).get();
+    const existing = snapshot.empty ? null : snapshot.docs[0];
+    if (existing?.data().status === SUBSCRIPTION_ACTIVE) { console.log(`Subscription for an already active subscriber ${existing.id} ignored.`); return reply(); }
+    // unsubscribeToken is stored as is: every digest needs it for its unsubscribe link (it allows nothing else)
+    const confirmToken = generateToken();
+    const subscriberRef = existing ? existing.ref : subscribersCollection.doc();
+    await subscriberRef.set({ email, status: SUBSCRIPTION_PENDING, confirmTokenHash: hashToken(confirmToken), unsubscribeToken: existing?.data().unsubscribeToken || generateToken(), createdAt: existing?.data().createdAt || FieldValue.serverTimestamp() });
+    subscriptionLimiter.recordAttempt(req.ip); // Every confirmation mail counts against the limit
+    const { subject, text } = subscriptionConfirmMail({ confirmLink: `${getAppUrl(req)}/?subscription=${encodeURIComponent(subscriberRef.id)}&token=${encodeURIComponent(confirmToken)}` });
+    await mailer.send({ to: email, subject, text, kind: MAIL_KIND_SUBSCRIPTION });
+    console.log(`Digest subscription ${subscriberRef.id} waiting for confirmation.`);
+    reply();
+  } catch (error) { console.error("Error in POST /api/subscriptions:", error.message, error.stack); res.status(500).json({ success: false, code: 'subscription_failed', message: 'Error saving subscription.' }); }
+});
+
+// POST /api/subscriptions/:id/confirm - Activates a subscription with the token of the confirmation mail (Publicly accessible, JSON body { token })
+app.post('/api/subscriptions/:id/confirm', async (req, res) => {
+  console.log(`API POST /api/subscriptions/${req.params.id}/confirm called`);
+  try {
+    const subscriberRef = subscribersCollection.doc(req.params.id);
+    const doc = await subscriberRef.get();
+    if (doc.exists && doc.data().status === SUBSCRIPTION_ACTIVE) { return res.json({ success: true, message: 'The subscription is already active.' }); }
+    if (!doc.exists || doc.data().confirmTokenHash !== hashToken(String(req.body?.token || ''))) { return res.status(404).json({ success: false, code: 'subscription_not_found', message: 'Subscription not found or confirmation link invalid.' }); }
+    await subscriberRef.update({ status: SUBSCRIPTION_ACTIVE, confirmTokenHash: FieldValue.delete(), confirmedAt: FieldValue.serverTimestamp() });
+    console.log(`Digest subscription ${doc.id} confirmed.`);
+    res.json({ success: true, message: 'Subscription confirmed.' });
+  } catch (error) { console.error(`Error in POST /api/subscriptions/${req.params.id}/confirm:`, error.message, error.stack); res.status(500).json({ success: false, code: 'subscription_confirm_failed', message: 'Error confirming subscription.' }); }
+});
+
+// POST /api/subscriptions/:id/unsubscribe - Ends a subscription with the token of the digest link, the email is deleted (Publicly accessible, JSON body { token })
+app.post('/api/subscriptions/:id/unsubscribe', async (req, res) => {
+  console.log(`API POST /api/subscriptions/${req.params.id}/unsubscribe called`);
+  try {
+    const subscriberRef = subscribersCollection.doc(req.params.id);
+    const doc = await subscriberRef.get();
+    if (!doc.exists || doc.data().unsubscribeToken !== String(req.body?.token || '')) { return res.status(404).json({ success: false, code: 'unsubscribe_link_invalid', message: 'Subscription not found or link invalid. Maybe you have already unsubscribed.' }); }
+    await subscriberRef.delete();
+    console.log(`Digest subscription ${doc.id} ended.`);
+    res.json({ success: true, message: 'You will no longer receive the weekly digest.' });
+  } catch (error) { console.error(`Error in POST /api/subscriptions/${req.params.id}/unsubscribe:`, error.message, error.stack); res.status(500).json({ success: false, code: 'unsubscribe_failed', message: 'Error ending subscription.' }); }
+});
+
+// GET /api/mail-log - Delivery log of the notification mails, newest first (Admins only), ?limit= (default 100, max. 500)
+app.get('/api/mail-log', requireRole(ROLE_ADMIN), async (req, res) => {
+  console.log('API GET /api/mail-log called');
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MAIL_LOG_DEFAULT_LIMIT, 1), MAIL_LOG_MAX_LIMIT);
+  try {
+    const [snapshot, subscribers] = await Promise.all([mailLogCollection.orderBy('createdAt', 'desc').limit(limit).get(), subscribersCollection.where('status', '==', SUBSCRIPTION_ACTIVE).get()]);
+    const entries = snapshot.docs.map(doc => {
+      const { kind, to, subject, eventId, status, error, createdAt } = doc.data();
+      return { id: doc.id, kind, to, subject, eventId: eventId || null, status, error: error || null, createdAt: createdAt?.toDate()?.toISOString() || null };
+    });
+    res.json({ smtpConfigured: mailer.enabled, subscribers: subscribers.size, entries });
+  } catch (error) { console.error("Error in GET /api/mail-log:", error.message, error.stack); res.status(500).json({ success: false, code: 'mail_log_load_failed', message: 'Error loading mail log.' }); }
+});
+
+// POST /api/notifications/run - Sends due reminders and the weekly digest right away, e.g. from a scheduler (Admins only)
+app.post('/api/notifications/run', requireRole(ROLE_ADMIN), async (req, res) => {
+  console.log('API POST /api/notifications/run called');
+  try {
+    const result = await runNotificationJobs();
+    res.json({ success: true, message: `${result.reminders} reminder(s) and ${result.digests} digest(s) sent.`, ...result });
+  } catch (error) { console.error("Error in POST /api/notifications/run:", error.message, error.stack); res.status(500).json({ success: false, code: 'notifications_failed', message: 'Error sending notifications.' }); }
+});
+
+// --- Usage Statistics (reporting dashboard) ---
+
+const STATS_MAX_DAYS = 5 * 366; // Longest date range of one report, every day of a series is expanded in memory
+
+// parseStatsRange(query) - Reads ?from=&to= (default: the current year), returns { from, to } or { code, error }
+function parseStatsRange(query) {
+    const year = todayInZurich().substring(0, 4);
+    const from = query.from || `${year}-01-01`;
+    const to = query.to || `${year}-12-31`;
+    if (!isValidDate(from) || !isValidDate(to)) return { code: 'invalid_date_range', error: 'Invalid date range. Please use YYYY-MM-DD.' };
+    if (from > to) return { code: 'date_range_reversed', error: 'The start of the date range must not be after its end.' };
+    if (to > addDays(from, STATS_MAX_DAYS)) return { code: 'date_range_too_long', error: `The date range must not be longer than ${STATS_MAX_DAYS} days.` };
+    return { from, to };
+}
+
+// loadUsageStats(from, to) - All reports of the listed events (series occurrences included) starting in the date range
+async function loadUsageStats(from, to) {
+    const [events, catalogue] = await Promise.all([loadEvents({ from, to }), loadResources(resourcesCollection)]);
+    return buildUsageStats(events.filter(event => event.eventDate >= from), { from, to, catalogue, publicType: EVENT_TYPE_PUBLIC, privateType: EVENT_TYPE_PRIVATE });
+}
+
+// GET /api/stats - Room usage reports of the date range (Requires login), ?from=&to= (YYYY-MM-DD, default: current year)
+app.get('/api/stats', isAuthenticated, async (req, res) => {
+  console.log('API GET /api/stats called with query:', req.query);
+  const { from, to, error, code } = parseStatsRange(req.query);
+  if (error) { return res.status(400).json({ code, error }); }
+  try {
+    res.json(await loadUsageStats(from, to));
+  } catch (error) {
+    console.error("Error in GET /api/stats:", error.message, error.stack);
+    res.status(500).json({ code: 'stats_failed', error: 'Error building statistics.' });
+  }
+});
+
+// GET /api/stats/export - One report of the date range as CSV download (Requires login), ?report=months|eventTypes|resources|weekdays|timeSlots|organizers&from=&to=
+app.get('/api/stats/export', isAuthenticated, async (req, res) => {
+  console.log('API GET /api/stats/export called with query:', req.query);
+  const report = req.query.report;
+  if (!REPORTS.includes(report)) { return res.status(400).json({ code: 'invalid_report', error: `Invalid report. Allowed: ${REPORTS.join(', ')}.` }); }
+  const { from, to, error, code } = parseStatsRange(req.query);
+  if (error) { return res.status(400).json({ code, error }); }
+  try {
+    const stats = await loadUsageStats(from, to);
+    res.attachment(`stats-${report}-${from}-${to}.csv`);
+    res.type('text/csv; charset=utf-8');
+    res.send(toCsv(stats[report], REPORT_COLUMNS[report].map(key => ({ key, label: key }))));
+  } catch (error) {
+    console.error("Error in GET /api/stats/export:", error.message, error.stack);
+    res.status(500).json({ code: 'stats_export_failed', error: 'Error exporting statistics.' });
+  }
+});
+
+// --- Resource Catalogue Endpoints ---
+
+// hasResourceName(catalogue, name, exceptId) - Whether another resource already uses the name (names are accepted instead of ids by imports)
+function hasResourceName(catalogue, name, exceptId = null) {
+    return catalogue.some(resource => resource.id !== exceptId && resource.name.toLowerCase() === name.toLowerCase());
+}
+
+// GET /api/resources - The whole catalogue including retired resources (Publicly accessible, forms and event list render from it)
+app.get('/api/resources', async (req, res) => {
+    console.log('API GET /api/resources called');
+    try { res.json(await loadResources(resourcesCollection)); }
+    catch (error) { console.error("Error in GET /api/resources:", error.message, error.stack); res.status(500).json({ code: 'resources_load_failed', error: 'Error loading resources.' }); }
+});
+
+// POST /api/resources - Adds a resource { name, description, quantity, active, exclusive, sortOrder } (Admins only)
+app.post('/api/resources', requireRole(ROLE_ADMIN), async (req, res) => {
+    console.log('API POST /api/resources called');
+    const { value, errors, codes } = validateResourceFields(req.body || {});
+    if (errors) { return sendValidationErrors(res, errors, codes); }
+
+    try {
+        const catalogue = await loadResources(resourcesCollection);
+        if (hasResourceName(catalogue, value.name)) { return res.status(409).json({ success: false, code: 'resource_name_taken', message: 'A resource with this name already exists.' }); }
+        const id = toResourceId(value.name, catalogue.map(resource => resource.id));
+        const sortOrder = value.sortOrder ?? Math.max(-1, ...catalogue.map(resource => resource.sortOrder ?? 0)) + 1; // New resources go to the end
+        await resourcesCollection.doc(id).set({ ...value, sortOrder, createdAt: FieldValue.serverTimestamp() });
+        console.log(`Resource ${id} added by ${req.user.email}`);
+        res.status(201).json({ success: true, message: 'Resource added successfully.', id });
+    } catch (error) { console.error("Error in POST /api/resources:", error.message, error.stack); res.status(500).json({ success: false, code: 'resource_create_failed', message: 'Error adding resource.' }); }
+});
+
+// PUT /api/resources/:id - Changes the given fields of a resource; active: false retires it (Admins only)
+// The id never changes, so events keep pointing to the resource when it is renamed.
+app.put('/api/resources/:id', requireRole(ROLE_ADMIN), async (req, res) => {
+    const resourceId = req.params.id;
+    console.log(`API PUT /api/resources/${resourceId} called`);
+    const { value, errors, codes } = validateResourceFields(req.body || {}, { partial: true });
+    if (errors) { return sendValidationErrors(res, errors, codes); }
+
+    try {
+        const resourceRef = resourcesCollection.doc(resourceId);
+        const doc = await resourceRef.get();
+        if (!doc.exists) { return res.status(404).json({ success: false, code: 'resource_not_found', message: 'Resource not found.' }); }
+        if (value.name && hasResourceName(await loadResources(resourcesCollection), value.name, resourceId)) { return res.status(409).json({ success: false, code: 'resource_name_taken', message: 'A resource with this name already exists.' }); }
+        await resourceRef.update({ ...value, updatedAt: FieldValue.serverTimestamp() });
+        console.log(`Resource ${resourceId} updated by ${req.user.email}:`, Object.keys(value));
+        res.json({ success: true, message: 'Resource updated successfully.' });
+    } catch (error) { console.error(`Error in PUT /api/resources/${resourceId}:`, error.message, error.stack); res.status(500).json({ success: false, code: 'resource_update_failed', message: 'Error updating resource.' }); }
+});
+
+// DELETE /api/resources/:id - Deletes a resource no event books (Admins only); booked resources are retired with active: false instead
+app.delete('/api/resources/:id', requireRole(ROLE_ADMIN), async (req, res) => {
+    const resourceId = req.params.id;
+    console.log(`API DELETE /api/resources/${resourceId} called`);
+    try {
+        const resourceRef = resourcesCollection.doc(resourceId);
+        const doc = await resourceRef.get();
+        if (!doc.exists) { return res.status(404).json({ success: false, code: 'resource_not_found', message: 'Resource not found.' }); }
+        const usage = await eventsCollection.where('resources', 'array-contains', resourceId).limit(1).get();
+        if (!usage.empty) { return res.status(409).json({ success: false, code: 'resource_in_use', message: 'The resource is booked by events. Deactivate it instead, so these events still show it.' }); }
+        await resourceRef.delete();
+        console.log(`Resource ${resourceId} deleted by ${req.user.email}`);
+        res.json({ success: true, message: 'Resource deleted successfully.' });
+    } catch (error) { console.error(`Error in DELETE /api/resources/${resourceId}:`, error.message, error.stack); res.status(500).json({ success: false, code: 'resource_delete_failed', message: 'Error deleting resource.' }); }
+});
 
 // --- Authentication Endpoints ---
 
-// POST /api/login - Creates a session if password is correct
-app.post('/api/login', (req, res) => {
+// GET /api/auth/csrf-token - CSRF token of the session, required for every POST/PUT/DELETE /api/* request (Publicly accessible)
+app.get('/api/auth/csrf-token', (req, res) => {
+    res.json({ csrfToken: getCsrfToken(req) });
+});
+
+// sendLoginLockout(res, lockoutMs) - 429 response while the login is locked for the caller
+function sendLoginLockout(res, lockoutMs) {
+    const retryAfter = Math.ceil(lockoutMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ success: false, code: 'too_many_logins', message: `Too many failed logins. Please try again in ${Math.ceil(retryAfter / 60)} minutes.`, retryAfter });
+}
+
+// POST /api/login - Creates a new session if email and password match an active user account
+// Failed attempts lock out the IP and slow all logins down beyond the global limit (loginLimiter), the session ID is regenerated on success (no session fixation).
+app.post('/api/login', async (req, res) => {
     console.log('API POST /api/login called');
-    const { password } = req.body;
+    const email = normalizeEmail(req.body?.email); const password = req.body?.password;
+    if (!email || !password) { return res.status(400).json({ success: false, code: 'credentials_required', message: 'Email and password are required.' }); }
+    const lockoutMs = loginLimiter.getLockout(req.ip);
+    if (lockoutMs > 0) { console.warn(`Login for ${email} from ${req.ip} refused: locked out for ${Math.ceil(lockoutMs / 1000)}s`); return sendLoginLockout(res, lockoutMs); }
+    const delayMs = loginLimiter.getDelay();
+    if (delayMs > 0) { console.warn(`Login for ${email} from ${req.ip} delayed by ${delayMs}ms: too many failed logins in total`); await new Promise(resolve => setTimeout(resolve, delayMs)); }
 
-    if (!APP_PASSWORD) { console.error("APP_PASSWORD is not configured!"); return res.status(500).json({ success: false, message: 'Server configuration error.' }); }
+    try {
+        const userDoc = await findUserByEmail(email);
+        const userData = userDoc?.data();
+        // Always run the hash comparison so unknown emails take the same time as wrong passwords
+        const passwordMatches = await verifyPassword(password, userData?.passwordHash || DUMMY_PASSWORD_HASH);
+        if (!userDoc || !userData.passwordHash || !passwordMatches) {
+            const newLockoutMs = loginLimiter.recordAttempt(req.ip);
+            console.log(`Login failed for ${email} from ${req.ip}: Unknown user or incorrect password${newLockoutMs > 0 ? ' (now locked out)' : ''}`);
+            return res.status(401).json({ success: false, code: 'invalid_credentials', message: 'Invalid email or password.' });
+        }
+        if (userData.disabled) { console.log(`Login refused for ${email}: Account disabled`); return res.status(403).json({ success: false, code: 'account_disabled', message: 'This account has been disabled.' }); }
 
-    if (password && password === APP_PASSWORD) {
-        req.session.isAuthenticated = true; // Mark session as authenticated
-        req.session.user = { role: 'admin' }; // Store minimal user info
-        console.log(`Login successful, session created/updated: ${req.session.id}`);
-        req.session.save(err => { // Explicitly save session before responding
-            if (err) { console.error("Session save error:", err); return res.status(500).json({ success: false, message: 'Session could not be saved.' }); }
-            res.json({ success: true, message: 'Login successful.' });
+        loginLimiter.reset(req.ip);
+        await userDoc.ref.update({ lastLoginAt: FieldValue.serverTimestamp() });
+        req.session.regenerate(regenerateError => { // New session ID (and CSRF token) for the logged-in user
+            if (regenerateError) { console.error("Session regenerate error:", regenerateError); return res.status(500).json({ success: false, code: 'session_failed', message: 'Session could not be created.' }); }
+            req.session.isAuthenticated = true; // Mark session as authenticated
+            req.session.user = toSessionUser(userDoc);
+            const csrfToken = getCsrfToken(req);
+            req.session.save(err => { // Explicitly save session before responding
+                if (err) { console.error("Session save error:", err); return res.status(500).json({ success: false, code: 'session_failed', message: 'Session could not be saved.' }); }
+                console.log(`Login successful for ${email}, new session created`);
+                res.json({ success: true, message: 'Login successful.', user: req.session.user, csrfToken });
+            });
         });
-    } else {
-        console.log('Login failed: Incorrect password');
-        res.status(401).json({ success: false, message: 'Invalid password.' });
-    }
+    } catch (error) { console.error("Error in POST /api/login:", error.message, error.stack); res.status(500).json({ success: false, code: 'login_failed', message: 'Login failed.' }); }
 });
 
 // POST /api/logout - Destroys the current session
 app.post('/api/logout', (req, res) => {
-    console.log(`API POST /api/logout called for session: ${req.session.id}`);
+    console.log('API POST /api/logout called');
     req.session.destroy(err => {
         if (err) {
             console.error("Error destroying session:", err);
-            return res.status(500).json({ success: false, message: 'Logout failed.' });
+            return res.status(500).json({ success: false, code: 'logout_failed', message: 'Logout failed.' });
         }
         // Standard cookie name for express-session is 'connect.sid'
         res.clearCookie('connect.sid'); // Adjust if cookie name was changed in session config
@@ -291,15 +2129,105 @@ app.post('/api/logout', (req, res) => {
     });
 });
 
-// GET /api/auth/status - Checks if the current request has a valid session
-app.get('/api/auth/status', (req, res) => {
-    if (req.session && req.session.isAuthenticated) {
-         console.log(`Auth status check: User is authenticated (Session ID: ${req.session.id})`);
-        res.json({ loggedIn: true, user: req.session.user });
-    } else {
-         console.log("Auth status check: User is not authenticated");
-        res.json({ loggedIn: false });
+// GET /api/auth/status - Checks if the current request has a valid session and returns the current user
+app.get('/api/auth/status', async (req, res) => {
+    if (req.session && req.session.isAuthenticated && req.session.user?.id) {
+        try {
+            const userDoc = await usersCollection.doc(req.session.user.id).get();
+            if (userDoc.exists && !userDoc.data().disabled) {
+                req.session.user = toSessionUser(userDoc); // Pick up role/name changes made by an admin
+                console.log(`Auth status check: ${req.session.user.email} is authenticated`);
+                return res.json({ loggedIn: true, user: req.session.user });
+            }
+        } catch (error) { console.error("Error in GET /api/auth/status:", error.message, error.stack); return res.status(500).json({ code: 'auth_status_failed', error: 'Error checking login status.' }); }
     }
+    console.log("Auth status check: User is not authenticated");
+    res.json({ loggedIn: false });
+});
+
+// POST /api/auth/set-password - Sets the password with an invite or reset token (Publicly accessible)
+app.post('/api/auth/set-password', async (req, res) => {
+    console.log('API POST /api/auth/set-password called');
+    const { token, password } = req.body || {};
+    if (!token) { return res.status(400).json({ success: false, code: 'token_missing', message: 'Token is missing.' }); }
+    const passwordError = validatePasswordStrength(password);
+    if (passwordError) { return res.status(400).json({ success: false, code: 'password_too_short', message: passwordError }); }
+
+    try {
+        const snapshot = await usersCollection.where('passwordTokenHash', '==', hashToken(token)).limit(1).get();
+        const userDoc = snapshot.docs[0];
+        if (!userDoc || userDoc.data().disabled || userDoc.data().passwordTokenExpiresAt?.toMillis() < Date.now()) { return res.status(400).json({ success: false, code: 'link_invalid', message: 'This link is invalid or has expired.' }); }
+
+        await userDoc.ref.update({ passwordHash: await hashPassword(password), passwordTokenHash: FieldValue.delete(), passwordTokenExpiresAt: FieldValue.delete(), updatedAt: FieldValue.serverTimestamp() });
+        console.log(`Password set for user ${userDoc.id}`);
+        res.json({ success: true, message: 'Password set successfully. You can now log in.' });
+    } catch (error) { console.error("Error in POST /api/auth/set-password:", error.message, error.stack); res.status(500).json({ success: false, code: 'set_password_failed', message: 'Error setting password.' }); }
+});
+
+
+// --- User Management Endpoints (Admin only) ---
+
+// GET /api/users - Lists all user accounts
+app.get('/api/users', requireRole(ROLE_ADMIN), async (req, res) => {
+    console.log('API GET /api/users called');
+    try {
+        const snapshot = await usersCollection.orderBy('email', 'asc').get();
+        res.json(snapshot.docs.map(toApiUser));
+    } catch (error) { console.error("Error in GET /api/users:", error.message, error.stack); res.status(500).json({ code: 'users_load_failed', error: 'Error loading users.' }); }
+});
+
+// POST /api/users - Invites a new user; returns a one-time link to set the password
+app.post('/api/users', requireRole(ROLE_ADMIN), async (req, res) => {
+    console.log('API POST /api/users called');
+    const email = normalizeEmail(req.body?.email); const name = String(req.body?.name || '').trim(); const role = req.body?.role || ROLE_ORGANIZER;
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) { return res.status(400).json({ success: false, code: 'invalid_email', message: 'A valid email address is required.' }); }
+    if (!USER_ROLES.includes(role)) { return res.status(400).json({ success: false, code: 'invalid_role', message: `Invalid role. Allowed: ${USER_ROLES.join(', ')}.` }); }
+
+    try {
+        if (await findUserByEmail(email)) { return res.status(409).json({ success: false, code: 'user_exists', message: 'A user with this email already exists.' }); }
+        const token = generateToken();
+        const docRef = await usersCollection.add({ email, name, role, disabled: false, passwordTokenHash: hashToken(token), passwordTokenExpiresAt: Timestamp.fromMillis(Date.now() + PASSWORD_TOKEN_TTL_MS), invitedBy: req.user.id, createdAt: FieldValue.serverTimestamp() });
+        console.log(`User ${email} (${role}) invited by ${req.user.email}, ID: ${docRef.id}`);
+        res.status(201).json({ success: true, message: 'User invited successfully.', id: docRef.id, inviteUrl: buildPasswordLink(req, 'invite', token) });
+    } catch (error) { console.error("Error in POST /api/users:", error.message, error.stack); res.status(500).json({ success: false, code: 'invite_failed', message: 'Error inviting user.' }); }
+});
+
+// PUT /api/users/:id - Changes name, role or disabled flag of a user
+app.put('/api/users/:id', requireRole(ROLE_ADMIN), async (req, res) => {
+    const userId = req.params.id;
+    console.log(`API PUT /api/users/${userId} called`);
+    const { name, role, disabled } = req.body || {};
+    if (role !== undefined && !USER_ROLES.includes(role)) { return res.status(400).json({ success: false, code: 'invalid_role', message: `Invalid role. Allowed: ${USER_ROLES.join(', ')}.` }); }
+    // Prevent admins from locking themselves out
+    if (userId === req.user.id && (disabled === true || (role !== undefined && role !== ROLE_ADMIN))) { return res.status(400).json({ success: false, code: 'own_account', message: 'You cannot disable or demote your own account.' }); }
+
+    try {
+        const userRef = usersCollection.doc(userId);
+        const doc = await userRef.get();
+        if (!doc.exists) { return res.status(404).json({ success: false, code: 'user_not_found', message: 'User not found.' }); }
+        const updatePayload = { updatedAt: FieldValue.serverTimestamp() };
+        if (name !== undefined) updatePayload.name = String(name).trim();
+        if (role !== undefined) updatePayload.role = role;
+        if (disabled !== undefined) updatePayload.disabled = Boolean(disabled);
+        await userRef.update(updatePayload);
+        console.log(`User ${userId} updated by ${req.user.email}:`, Object.keys(updatePayload));
+        res.json({ success: true, message: 'User updated successfully.' });
+    } catch (error) { console.error(`Error in PUT /api/users/${userId}:`, error.message, error.stack); res.status(500).json({ success: false, code: 'user_update_failed', message: 'Error updating user.' }); }
+});
+
+// POST /api/users/:id/reset - Invalidates the current password and returns a one-time link to set a new one
+app.post('/api/users/:id/reset', requireRole(ROLE_ADMIN), async (req, res) => {
+    const userId = req.params.id;
+    console.log(`API POST /api/users/${userId}/reset called`);
+    try {
+        const userRef = usersCollection.doc(userId);
+        const doc = await userRef.get();
+        if (!doc.exists) { return res.status(404).json({ success: false, code: 'user_not_found', message: 'User not found.' }); }
+        const token = generateToken();
+        await userRef.update({ passwordHash: FieldValue.delete(), passwordTokenHash: hashToken(token), passwordTokenExpiresAt: Timestamp.fromMillis(Date.now() + PASSWORD_TOKEN_TTL_MS), updatedAt: FieldValue.serverTimestamp() });
+        console.log(`Password of user ${userId} reset by ${req.user.email}`);
+        res.json({ success: true, message: 'Password reset. Send the link to the user.', resetUrl: buildPasswordLink(req, 'reset', token) });
+    } catch (error) { console.error(`Error in POST /api/users/${userId}/reset:`, error.message, error.stack); res.status(500).json({ success: false, code: 'password_reset_failed', message: 'Error resetting password.' }); }
 });
 
 // *** Catch-All Route for Frontend ***
@@ -312,20 +2240,51 @@ app.get('/*splat', (req, res) => {
 
 
 // --- Server Start ---
-app.listen(PORT, () => {
-  console.log(`Server listening on port ${PORT}`);
-  // Startup Warnings
-  if (!process.env.GOOGLE_APPLICATION_CREDENTIALS && !process.env.GOOGLE_CLOUD_PROJECT && process.env.NODE_ENV !== 'production') {
-      // Warning only relevant for local development if not running on GCP
-      console.warn('WARNING: Local ADC not found/configured (GOOGLE_APPLICATION_CREDENTIALS or gcloud login).');
-  }
-   if (!APP_PASSWORD) {
-       console.warn('WARNING: APP_PASSWORD environment variable is not set. Login/protected routes will fail.');
-   }
-    if (!SESSION_SECRET || SESSION_SECRET === 'a-very-insecure-fallback-secret-replace-me!') {
-       console.warn('WARNING: SESSION_SECRET is not securely set. Session cookies are insecure!');
-   }
-   if (!GCS_BUCKET_NAME){
-        console.error('ERROR: GCS_BUCKET_NAME constant is not defined or empty!');
-   }
-});
\ No newline at end of file
+
+// getMissingSecrets() - Secrets that are missing or too weak; production refuses to start with any of them
+function getMissingSecrets() {
+  const missing = [];
+  if (!process.env.SESSION_SECRET || process.env.SESSION_SECRET.length < MIN_SESSION_SECRET_LENGTH) missing.push(`SESSION_SECRET (at least ${MIN_SESSION_SECRET_LENGTH} characters)`);
+  if (INITIAL_ADMIN_EMAIL && !INITIAL_ADMIN_PASSWORD) missing.push('INITIAL_ADMIN_PASSWORD (INITIAL_ADMIN_EMAIL is set)');
+  return missing;
+}
+
+// startServer(port) - Starts listening and runs the startup tasks, resolves with the HTTP server (used by the API tests with port 0)
+// Rejects without listening if secrets are missing in production.
+function startServer(port = PORT) {
+  return new Promise((resolve, reject) => {
+    const missingSecrets = getMissingSecrets();
+    if (missingSecrets.length > 0 && IS_PRODUCTION) { return reject(new Error(`Missing secrets for production: ${missingSecrets.join(', ')}`)); }
+    const server = app.listen(port, async () => {
+      console.log(`Server listening on port ${server.address().port} (storage backend: ${storage.backend})`);
+      // Startup Warnings
+      storage.logStartupWarnings();
+      if (missingSecrets.length > 0) {
+        console.warn(`WARNING: Missing secrets (required in production): ${missingSecrets.join(', ')}.${process.env.SESSION_SECRET ? '' : ' A random session secret is used, sessions end when the server restarts.'}`);
+      }
+      await ensureInitialAdmin().catch(error => console.error('ERROR: Could not create initial admin account:', error.message));
+      await ensureDefaultResources(resourcesCollection).catch(error => console.error('ERROR: Could not create the resource catalogue:', error.message));
+      // Purge the trash on startup and then daily (POST /api/trash/purge can be scheduled for instances that scale to zero)
+      const runPurge = () => purgeDeletedEvents().catch(error => console.error('ERROR: Purging the trash failed:', error.message));
+      runPurge();
+      setInterval(runPurge, PURGE_INTERVAL_MS).unref();
+      // Reminders and weekly digest (POST /api/notifications/run can be scheduled for instances that scale to zero)
+      if (!mailer.enabled) console.warn('WARNING: SMTP_HOST is not set, notification mails are only written to the delivery log (mailLog), not sent.');
+      else if (!APP_BASE_URL) console.warn('WARNING: APP_BASE_URL is not set, links in reminders and digests point to localhost.');
+      const runNotifications = () => runNotificationJobs().catch(error => console.error('ERROR: Sending notification mails failed:', error.message));
+      runNotifications();
+      setInterval(runNotifications, NOTIFICATION_INTERVAL_MS).unref();
+      resolve(server);
+    });
+    server.on('error', reject);
+  });
+}
+
+if (require.main === module) {
+  startServer().catch(error => {
+    console.error('FATAL ERROR:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { app, startServer };
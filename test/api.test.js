@@ -0,0 +1,807 @@
+// test/api.test.js - API tests for the event and auth routes, run against the local storage backend (npm test)
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const ADMIN_EMAIL = 'admin@example.com';
+const ADMIN_PASSWORD = 'Admin-Passwort-123';
+const NEXT_YEAR = new Date().getUTCFullYear() + 1; // Upcoming dates, GET /api/events hides past events by default
+const EVENT_DATE = `${NEXT_YEAR}-06-15`;
+
+let dataDir;
+let server;
+let baseUrl;
+let smtpSink;
+
+// startSmtpSink() - Minimal local SMTP server that accepts every mail, resolves with { server, port, mails: [{ to, data }] }
+function startSmtpSink() {
+    const mails = []; const sockets = new Set();
+    const sinkServer = net.createServer(socket => {
+        sockets.add(socket); socket.on('close', () => sockets.delete(socket));
+        let buffer = ''; let mail = { to: [], data: null };
+        socket.write('220 sink ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            for (let end = buffer.indexOf('\r\n'); end !== -1; end = buffer.indexOf('\r\n')) {
+                const line = buffer.slice(0, end); buffer = buffer.slice(end + 2);
+                if (mail.data !== null) {
+                    if (line === '.') { mails.push({ to: mail.to, data: mail.data.join('\n') }); mail = { to: [], data: null }; socket.write('250 OK\r\n'); } else mail.data.push(line);
+                    continue;
+                }
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'RCPT') mail.to.push(line.match(/<(.*)>/)[1]);
+                if (command === 'DATA') { mail.data = []; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+                else if (command === 'QUIT') socket.end('221 Bye\r\n');
+                else socket.write(command === 'EHLO' ? '250 sink\r\n' : '250 OK\r\n');
+            }
+        });
+    });
+    sinkServer.closeAll = () => { sockets.forEach(socket => socket.destroy()); sinkServer.close(); };
+    return new Promise(resolve => sinkServer.listen(0, '127.0.0.1', () => resolve({ server: sinkServer, port: sinkServer.address().port, mails })));
+}
+
+// decodeMailBody(data) - Mail source with the quoted-printable body decoded (UTF-8)
+function decodeMailBody(data) {
+    return Buffer.from(data.replace(/=\n/g, '').replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1').toString('utf8');
+}
+
+// waitFor(check) - Polls until check() returns a truthy value (mails are sent in the background)
+async function waitFor(check, timeoutMs = 5000) {
+    for (const end = Date.now() + timeoutMs; ;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > end) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+// createClient({ csrf }) - fetch wrapper that keeps the session cookie and, like the frontend, sends the CSRF token with POST/PUT/DELETE
+function createClient({ csrf = true } = {}) {
+    let cookie = null;
+    let csrfToken = null;
+    async function request(method, urlPath, body, extraHeaders = {}) {
+        const headers = { ...extraHeaders };
+        if (method !== 'GET' && csrf) {
+            if (!csrfToken) csrfToken = (await request('GET', '/api/auth/csrf-token')).data.csrfToken;
+            headers['X-CSRF-Token'] = csrfToken;
+        }
+        if (cookie) headers.Cookie = cookie;
+        let payload;
+        if (body instanceof FormData) payload = body;
+        else if (body !== undefined) { headers['Content-Type'] = 'application/json'; payload = JSON.stringify(body); }
+        const response = await fetch(`${baseUrl}${urlPath}`, { method, headers, body: payload });
+        const sessionCookie = response.headers.getSetCookie().find(value => value.startsWith('connect.sid='));
+        if (sessionCookie) cookie = sessionCookie.split(';')[0];
+        const text = await response.text();
+        let data = text;
+        try { data = JSON.parse(text); } catch (error) { /* not JSON */ }
+        if (data?.csrfToken) csrfToken = data.csrfToken; // The login starts a new session with a new token
+        return { status: response.status, data, headers: response.headers, cookie };
+    }
+    return request;
+}
+
+// eventForm(fields) - Multipart body as sent by the event form of the frontend
+function eventForm(fields) {
+    const form = new FormData();
+    Object.entries({ startTime: '18:00', endTime: '20:00', eventType: 'Öffentlich', ...fields }).forEach(([key, value]) => form.append(key, value));
+    return form;
+}
+
+async function loginAsAdmin() {
+    const request = createClient();
+    const response = await request('POST', '/api/login', { email: ADMIN_EMAIL, password: ADMIN_PASSWORD });
+    assert.equal(response.status, 200);
+    return request;
+}
+
+// loginAsNewUser(admin, user) - Invites a user ({ email, name, role }), sets the password through the invite link and returns a logged-in client
+async function loginAsNewUser(admin, { email, name, role }) {
+    const invite = await admin('POST', '/api/users', { email, name, role });
+    assert.equal(invite.status, 201);
+    const request = createClient(); const password = 'Test-Passwort-123';
+    assert.equal((await request('POST', '/api/auth/set-password', { token: new URL(invite.data.inviteUrl).searchParams.get('invite'), password })).status, 200);
+    assert.equal((await request('POST', '/api/login', { email, password })).status, 200);
+    return request;
+}
+
+before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ebaplanner-test-'));
+    smtpSink = await startSmtpSink();
+    const todayWeekday = new Date(`${new Intl.DateTimeFormat('en-CA', { timeZone: 'Europe/Zurich' }).format(new Date())}T00:00:00Z`).getUTCDay() || 7;
+    Object.assign(process.env, { STORAGE_BACKEND: 'local', LOCAL_DATA_DIR: dataDir, INITIAL_ADMIN_EMAIL: ADMIN_EMAIL, INITIAL_ADMIN_PASSWORD: ADMIN_PASSWORD,
+        SMTP_HOST: '127.0.0.1', SMTP_PORT: String(smtpSink.port), APP_BASE_URL: 'http://planer.example.com', DIGEST_WEEKDAY: String(todayWeekday) }); // The digest is due today
+    const { startServer } = require('../server');
+    server = await startServer(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+    smtpSink.server.closeAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// --- Auth ---
+
+test('login rejects wrong credentials', async () => {
+    const request = createClient();
+    assert.equal((await request('POST', '/api/login', { email: ADMIN_EMAIL })).status, 400);
+    const response = await request('POST', '/api/login', { email: ADMIN_EMAIL, password: 'wrong-password' });
+    assert.equal(response.status, 401);
+    assert.equal(response.data.success, false);
+});
+
+test('login, auth status and logout', async () => {
+    const request = createClient();
+    assert.deepEqual((await request('GET', '/api/auth/status')).data, { loggedIn: false });
+
+    const login = await request('POST', '/api/login', { email: ADMIN_EMAIL.toUpperCase(), password: ADMIN_PASSWORD });
+    assert.equal(login.status, 200);
+    assert.equal(login.data.user.email, ADMIN_EMAIL);
+    assert.equal(login.data.user.role, 'admin');
+
+    const status = await request('GET', '/api/auth/status');
+    assert.equal(status.data.loggedIn, true);
+    assert.equal(status.data.user.email, ADMIN_EMAIL);
+
+    assert.equal((await request('POST', '/api/logout')).status, 200);
+    assert.equal((await request('GET', '/api/auth/status')).data.loggedIn, false);
+});
+
+test('state-changing requests require the CSRF token of the session and the login rotates the session', async () => {
+    const withoutToken = createClient({ csrf: false });
+    const refused = await withoutToken('POST', '/api/login', { email: ADMIN_EMAIL, password: ADMIN_PASSWORD });
+    assert.equal(refused.status, 403);
+
+    const request = createClient();
+    const anonymousToken = (await request('GET', '/api/auth/csrf-token')).data.csrfToken;
+    const anonymousCookie = (await request('GET', '/api/auth/csrf-token')).cookie;
+    const login = await request('POST', '/api/login', { email: ADMIN_EMAIL, password: ADMIN_PASSWORD });
+    assert.equal(login.status, 200);
+    assert.notEqual(login.cookie, anonymousCookie);
+    assert.notEqual(login.data.csrfToken, anonymousToken);
+    assert.equal((await request('POST', '/api/events', eventForm({ title: 'Ohne Token' }))).status, 400); // Passes the CSRF check, fails validation
+
+    // The cookie alone (as sent by a form on another site) is not enough
+    const forged = await fetch(`${baseUrl}/api/logout`, { method: 'POST', headers: { Cookie: login.cookie, 'X-CSRF-Token': anonymousToken } });
+    assert.equal(forged.status, 403);
+    assert.equal((await request('GET', '/api/auth/status')).data.loggedIn, true);
+});
+
+test('invited users set their password and log in with their role', async () => {
+    const admin = await loginAsAdmin();
+    const invite = await admin('POST', '/api/users', { email: 'viewer@example.com', name: 'Viewer', role: 'viewer' });
+    assert.equal(invite.status, 201);
+    assert.equal((await admin('POST', '/api/users', { email: 'viewer@example.com', role: 'viewer' })).status, 409);
+
+    const token = new URL(invite.data.inviteUrl).searchParams.get('invite');
+    const viewer = createClient();
+    assert.equal((await viewer('POST', '/api/login', { email: 'viewer@example.com', password: 'Viewer-Passwort-123' })).status, 401);
+    assert.equal((await viewer('POST', '/api/auth/set-password', { token, password: 'Viewer-Passwort-123' })).status, 200);
+    assert.equal((await viewer('POST', '/api/auth/set-password', { token, password: 'Viewer-Passwort-123' })).status, 400); // One-time link
+
+    const login = await viewer('POST', '/api/login', { email: 'viewer@example.com', password: 'Viewer-Passwort-123' });
+    assert.equal(login.status, 200);
+    assert.equal(login.data.user.role, 'viewer');
+    assert.equal((await viewer('POST', '/api/events', eventForm({ title: 'Nicht erlaubt', eventDate: EVENT_DATE }))).status, 403);
+    assert.equal((await viewer('GET', '/api/users')).status, 403);
+});
+
+// --- Events ---
+
+test('creating events requires a login', async () => {
+    const response = await createClient()('POST', '/api/events', eventForm({ title: 'Anonym', eventDate: EVENT_DATE }));
+    assert.equal(response.status, 401);
+    assert.equal(response.data.code, 'unauthorized');
+});
+
+test('create, list, filter, update and delete an event', async () => {
+    const admin = await loginAsAdmin();
+    assert.equal((await admin('POST', '/api/events', eventForm({ title: 'Ohne Datum' }))).status, 400);
+
+    const created = await admin('POST', '/api/events', eventForm({ title: 'Jassabend', eventDate: EVENT_DATE, resources: 'flipperkasten', description: 'Schieber' }));
+    assert.equal(created.status, 201);
+    const eventId = created.data.id;
+
+    const list = await createClient()('GET', `/api/events?from=${EVENT_DATE}&to=${EVENT_DATE}`);
+    assert.equal(list.status, 200);
+    const event = list.data.events.find(e => e.id === eventId);
+    assert.equal(event.title, 'Jassabend');
+    assert.equal(event.eventDate, EVENT_DATE);
+    assert.deepEqual(event.resources, ['flipperkasten']);
+
+    assert.equal((await admin('GET', `/api/events?q=schieber&from=${EVENT_DATE}`)).data.events.length, 1);
+    assert.equal((await admin('GET', `/api/events?q=unbekannt&from=${EVENT_DATE}`)).data.events.length, 0);
+    const facets = await admin('GET', '/api/events/facets');
+    assert.ok(facets.data.years.includes(String(NEXT_YEAR)));
+
+    const updated = await admin('PUT', `/api/events/${eventId}`, eventForm({ title: 'Jassturnier', eventDate: EVENT_DATE, resources: 'flipperkasten' }));
+    assert.equal(updated.status, 200);
+    const afterUpdate = await admin('GET', `/api/events?from=${EVENT_DATE}&to=${EVENT_DATE}`);
+    assert.equal(afterUpdate.data.events.find(e => e.id === eventId).title, 'Jassturnier');
+
+    assert.equal((await admin('DELETE', `/api/events/${eventId}`)).status, 200);
+    const afterDelete = await admin('GET', `/api/events?from=${EVENT_DATE}&to=${EVENT_DATE}`);
+    assert.ok(!afterDelete.data.events.some(e => e.id === eventId));
+    const deletedTwice = await admin('DELETE', `/api/events/${eventId}`);
+    assert.equal(deletedTwice.status, 404);
+    assert.equal(deletedTwice.data.code, 'event_not_found');
+
+    const trash = await admin('GET', '/api/trash');
+    assert.ok(trash.data.some(e => e.id === eventId));
+    assert.equal((await admin('POST', `/api/trash/${eventId}/restore`)).status, 200);
+    const afterRestore = await admin('GET', `/api/events?from=${EVENT_DATE}&to=${EVENT_DATE}`);
+    assert.ok(afterRestore.data.events.some(e => e.id === eventId));
+
+    const history = await admin('GET', `/api/events/${eventId}/history`);
+    assert.deepEqual(history.data.map(entry => entry.action).sort(), ['create', 'delete', 'restore', 'update']);
+});
+
+test('series occurrences are edited and cancelled alone, from an occurrence on or as a whole series', async () => {
+    const admin = await loginAsAdmin();
+    const dates = [3, 10, 17, 24, 31].map(day => `${NEXT_YEAR}-05-${String(day).padStart(2, '0')}`);
+    const seriesForm = fields => eventForm({ recurrenceFrequency: 'weekly', recurrenceCount: '5', ...fields });
+    const created = await admin('POST', '/api/events', seriesForm({ title: 'Spieleabend', eventDate: dates[0] }));
+    assert.equal(created.status, 201);
+    // listed() - [date, title, series id] of the occurrences in May
+    const listed = async () => (await admin('GET', `/api/events?from=${dates[0]}&to=${dates[4]}`)).data.events.map(event => [event.eventDate, event.title, event.id.split(':')[0]]);
+    const seriesId = created.data.id;
+    assert.deepEqual((await listed()).map(([date]) => date), dates);
+
+    assert.equal((await admin('PUT', `/api/events/${seriesId}:${dates[1]}`, seriesForm({ title: 'Turnier', eventDate: dates[1], scope: 'occurrence' }))).status, 200);
+    const staleCancel = await admin('DELETE', `/api/events/${seriesId}:${dates[3]}`, undefined, { 'If-Match': '"1"' }); // The occurrence edit raised the version
+    assert.deepEqual([staleCancel.status, staleCancel.data.code], [412, 'version_conflict']);
+    assert.equal((await admin('DELETE', `/api/events/${seriesId}:${dates[3]}`)).status, 200); // Cancels this occurrence only
+    const split = await admin('PUT', `/api/events/${seriesId}:${dates[2]}`, seriesForm({ title: 'Neue Spiele', eventDate: dates[2], scope: 'following' }));
+    assert.equal(split.status, 200);
+    const newId = split.data.id;
+    // The cancelled occurrence after the split stays cancelled in the new series
+    assert.deepEqual(await listed(), [[dates[0], 'Spieleabend', seriesId], [dates[1], 'Turnier', seriesId], [dates[2], 'Neue Spiele', newId], [dates[4], 'Neue Spiele', newId]]);
+
+    assert.equal((await admin('PUT', `/api/events/${newId}:${dates[4]}`, seriesForm({ title: 'Spielnacht', eventDate: dates[2], recurrenceCount: '3', scope: 'series' }))).status, 200);
+    assert.deepEqual((await listed()).map(([date, title]) => [date, title]), [[dates[0], 'Spieleabend'], [dates[1], 'Turnier'], [dates[2], 'Spielnacht'], [dates[4], 'Spielnacht']]);
+    assert.equal((await admin('PUT', `/api/events/${seriesId}:${dates[0]}`, seriesForm({ title: 'x', eventDate: dates[0], scope: 'everything' }))).status, 400);
+});
+
+test('cursor pagination walks all events of a range once and in order, series occurrences included', async () => {
+    const admin = await loginAsAdmin();
+    const from = `${NEXT_YEAR}-01-01`; const to = `${NEXT_YEAR}-01-31`;
+    for (const title of ['Erster', 'Zweiter', 'Dritter']) { // Same start: ordered by id
+        assert.equal((await admin('POST', '/api/events', eventForm({ title, eventDate: `${NEXT_YEAR}-01-12` }))).status, 201);
+    }
+    assert.equal((await admin('POST', '/api/events', eventForm({ title: 'Brunch', eventDate: `${NEXT_YEAR}-01-11`, startTime: '10:00', endTime: '13:00' }))).status, 201);
+    assert.equal((await admin('POST', '/api/events', eventForm({ title: 'Probe', eventDate: `${NEXT_YEAR}-01-05`, recurrenceFrequency: 'weekly', recurrenceCount: '3' }))).status, 201);
+
+    const all = (await admin('GET', `/api/events?from=${from}&to=${to}`)).data;
+    assert.equal(all.events.length, 7);
+    assert.equal(all.nextCursor, null);
+    const pagedIds = [];
+    let cursor = null; let pages = 0;
+    do {
+        const page = (await admin('GET', `/api/events?from=${from}&to=${to}&limit=3${cursor ? `&cursor=${cursor}` : ''}`)).data;
+        assert.ok(page.events.length <= 3);
+        pagedIds.push(...page.events.map(event => event.id));
+        cursor = page.nextCursor; pages++;
+    } while (cursor);
+    assert.equal(pages, 3);
+    assert.deepEqual(pagedIds, all.events.map(event => event.id)); // No duplicates, no gaps
+    assert.equal((await admin('GET', `/api/events?from=${from}&cursor=kaputt`)).data.code, 'invalid_cursor');
+});
+
+test('an event is rolled back to an earlier version from its history', async () => {
+    const admin = await loginAsAdmin();
+    const eventDate = `${NEXT_YEAR}-06-20`;
+    const created = await admin('POST', '/api/events', eventForm({ title: 'Lesung', eventDate, description: 'Mit Apéro', resources: 'beamer-sofa' }));
+    const eventId = created.data.id;
+    assert.equal((await admin('PUT', `/api/events/${eventId}`, eventForm({ title: 'Lesung abgesagt', eventDate, startTime: '19:00', endTime: '21:00' }))).status, 200);
+
+    const history = (await admin('GET', `/api/events/${eventId}/history`)).data;
+    const createEntry = history.find(entry => entry.action === 'create');
+    assert.ok(createEntry.canRollback);
+    const rolledBack = await admin('POST', `/api/events/${eventId}/history/${createEntry.id}/rollback`);
+    assert.equal(rolledBack.status, 200);
+
+    const [event] = (await admin('GET', `/api/events?from=${eventDate}&to=${eventDate}`)).data.events.filter(e => e.id === eventId);
+    assert.deepEqual([event.title, event.description, event.resources, event.startTime, event.endTime, event.version], ['Lesung', 'Mit Apéro', ['beamer-sofa'], '18:00', '20:00', 3]);
+    const rollbackEntry = (await admin('GET', `/api/events/${eventId}/history`)).data.find(entry => entry.action === 'rollback');
+    assert.equal(rollbackEntry.rolledBackTo, createEntry.id);
+    assert.equal((await admin('POST', `/api/events/${eventId}/history/unbekannt/rollback`)).status, 404);
+});
+
+test('the calendar feed lists timed, open-ended and series events with their start and end in Europe/Zurich', async () => {
+    const admin = await loginAsAdmin();
+    const day = date => date.replaceAll('-', '');
+    const [openDate, seriesDate] = [`${NEXT_YEAR}-08-20`, `${NEXT_YEAR}-08-22`];
+    const openEnded = await admin('POST', '/api/events', eventForm({ title: 'Offene Bühne', eventDate: openDate, startTime: '20:00', endTime: '' }));
+    const series = await admin('POST', '/api/events', eventForm({ title: 'Kino', eventDate: seriesDate, startTime: '19:30', endTime: '22:00', eventType: 'Privat', recurrenceFrequency: 'weekly', recurrenceCount: '2' }));
+    assert.deepEqual([openEnded.status, series.status], [201, 201]);
+
+    const feed = await createClient()('GET', `/api/events.ics?from=${openDate}&to=${NEXT_YEAR}-08-31`);
+    assert.equal(feed.status, 200);
+    assert.match(feed.headers.get('content-type'), /^text\/calendar/);
+    const vevents = feed.data.split('BEGIN:VEVENT').slice(1);
+    assert.equal(vevents.length, 3);
+    const [open, ...occurrences] = vevents;
+    assert.match(open, new RegExp(`UID:${openEnded.data.id}@ebaplanner\r\n`));
+    assert.match(open, new RegExp(`DTSTART;TZID=Europe/Zurich:${day(openDate)}T200000\r\nDTEND;TZID=Europe/Zurich:${day(`${NEXT_YEAR}-08-21`)}T000000\r\n`)); // Open end: until midnight
+    assert.match(open, /SUMMARY:Offene Bühne\r\n/);
+    assert.match(occurrences[1], new RegExp(`UID:${series.data.id}:${NEXT_YEAR}-08-29@ebaplanner\r\nDTSTAMP:\\d+T\\d+Z\r\nDTSTART;TZID=Europe/Zurich:${day(`${NEXT_YEAR}-08-29`)}T193000\r\nDTEND;TZID=Europe/Zurich:${day(`${NEXT_YEAR}-08-29`)}T220000\r\n`));
+    assert.ok(occurrences.every(vevent => vevent.includes('CLASS:PRIVATE') && !vevent.includes('SUMMARY:Kino'))); // Private titles stay hidden from anonymous subscribers
+
+    const single = await createClient()('GET', `/api/events/${series.data.id}:${seriesDate}/calendar.ics`);
+    assert.match(single.headers.get('content-disposition'), /attachment; filename="eba-event-.+\.ics"/);
+    assert.equal(single.data.split('BEGIN:VEVENT').length, 2);
+    assert.equal((await createClient()('GET', `/api/events.ics?from=kaputt`)).status, 400);
+});
+
+test('organizers edit events they created or that name them as a whole entry of the responsible field', async () => {
+    const admin = await loginAsAdmin();
+    const organizer = await loginAsNewUser(admin, { email: 'rahel@example.com', name: 'Rahel', role: 'organizer' });
+    const date = `${NEXT_YEAR}-04-20`;
+    const createEvent = async responsible => (await admin('POST', '/api/events', eventForm({ title: `Für ${responsible}`, eventDate: date, responsible }))).data.id;
+    const canEdit = async id => (await organizer('PUT', `/api/events/${id}`, eventForm({ title: 'Geändert', eventDate: date }))).status === 200;
+
+    assert.equal(await canEdit(await createEvent('Tom, rahel und Ben')), true);
+    assert.equal(await canEdit(await createEvent('Kontakt: Rahel@Example.com')), true);
+    assert.equal(await canEdit(await createEvent('Rahela')), false);
+    assert.equal(await canEdit(await createEvent('Marahel / Tom')), false);
+    const own = await organizer('POST', '/api/events', eventForm({ title: 'Eigener Event', eventDate: date, responsible: 'Verein' }));
+    assert.equal(await canEdit(own.data.id), true);
+});
+
+test('overlapping bookings of the same resource are rejected unless overridden', async () => {
+    const admin = await loginAsAdmin();
+    const date = `${NEXT_YEAR}-07-01`;
+    assert.equal((await admin('POST', '/api/events', eventForm({ title: 'Konzert', eventDate: date, resources: 'beamer-sofa' }))).status, 201);
+
+    const conflict = await admin('POST', '/api/events', eventForm({ title: 'Probe', eventDate: date, startTime: '19:00', endTime: '21:00', resources: 'beamer-sofa' }));
+    assert.equal(conflict.status, 409);
+    assert.equal(conflict.data.conflicts.length, 1);
+    assert.equal((await admin('POST', '/api/events', eventForm({ title: 'Probe', eventDate: date, startTime: '20:00', endTime: '22:00', resources: 'beamer-sofa' }))).status, 201);
+    assert.equal((await admin('POST', '/api/events', eventForm({ title: 'Probe 2', eventDate: date, startTime: '19:00', endTime: '21:00', resources: 'beamer-sofa', ignoreConflicts: 'true' }))).status, 201);
+});
+
+test('multi-day events are stored as Europe/Zurich instants and listed, booked and ordered on every day they cover', async () => {
+    const admin = await loginAsAdmin();
+    const dstChange = new Date(Date.UTC(NEXT_YEAR, 2, 31)); dstChange.setUTCDate(31 - dstChange.getUTCDay()); // Last Sunday of March, 02:00 -> 03:00
+    const sunday = dstChange.toISOString().split('T')[0]; const saturday = new Date(dstChange.getTime() - 86400000).toISOString().split('T')[0];
+    const created = await admin('POST', '/api/events', eventForm({ title: 'LAN-Party', eventDate: saturday, startTime: '20:00', endDate: sunday, endTime: '10:00', resources: 'ganzer-raum' }));
+    assert.equal(created.status, 201);
+    assert.equal((await admin('POST', '/api/events', eventForm({ title: 'Brunch', eventDate: sunday, startTime: '09:00', endTime: '11:00', resources: 'flipperkasten' }))).status, 409);
+    assert.equal((await admin('POST', '/api/events', eventForm({ title: 'Aufräumen', eventDate: sunday, startTime: '10:00', endTime: '12:00', resources: 'flipperkasten' }))).status, 201);
+    assert.equal((await admin('POST', '/api/events', eventForm({ title: 'Ferienlager', eventDate: saturday, endDate: `${NEXT_YEAR}-05-01` }))).data.errorCodes.endDate, 'event_too_long');
+    assert.equal((await admin('POST', '/api/events', eventForm({ title: 'Rückwärts', eventDate: sunday, endDate: saturday }))).data.errorCodes.endDate, 'end_date_before_start');
+
+    const list = await createClient()('GET', `/api/events?from=${sunday}&to=${sunday}`);
+    assert.deepEqual(list.data.events.map(event => [event.title, event.eventDate, event.startTime, event.endDate, event.endTime]), [['LAN-Party', saturday, '20:00', sunday, '10:00'], ['Aufräumen', sunday, '10:00', sunday, '12:00']]);
+    const lanParty = list.data.events[0];
+    assert.equal(lanParty.startAt, `${saturday}T19:00:00.000Z`); // CET (UTC+1) before the change, CEST (UTC+2) after it
+    assert.equal(lanParty.endAt, `${sunday}T08:00:00.000Z`);
+    const availability = await createClient()('GET', `/api/availability?date=${sunday}`);
+    assert.deepEqual(availability.data.slots.map(slot => [slot.startTime, slot.endTime]), [['00:00', '10:00'], ['10:00', '12:00']]);
+});
+
+test('event fields are validated with per-field errors', async () => {
+    const admin = await loginAsAdmin();
+    const date = `${NEXT_YEAR}-07-15`;
+    const invalid = await admin('POST', '/api/events', eventForm({ title: 'x'.repeat(121), eventDate: `${NEXT_YEAR}-02-31`, startTime: '25:00', endTime: '18:00', eventType: 'Geheim', resources: 'Kegelbahn' }));
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(Object.keys(invalid.data.errors).sort(), ['eventDate', 'eventType', 'resources', 'startTime', 'title']);
+    assert.equal(invalid.data.code, 'validation_failed');
+    assert.deepEqual(invalid.data.errorCodes, { title: 'too_long', eventDate: 'invalid_date', startTime: 'invalid_time', eventType: 'invalid_event_type', resources: 'unknown_resources' });
+    const backwards = await admin('POST', '/api/events', eventForm({ title: 'Rückwärts', eventDate: date, startTime: '20:00', endTime: '19:00' }));
+    assert.equal(backwards.data.errors.endTime, 'The end time must be after the start time.');
+    assert.equal(backwards.data.errorCodes.endTime, 'end_before_start');
+    assert.ok((await admin('POST', '/api/events', eventForm({ title: 'Alles', eventDate: date, resources: 'ganzer-raum,flipperkasten' }))).data.errors.resources);
+
+    // Labels of older clients are stored as resource ids, repeated form fields arrive as an array
+    const form = eventForm({ title: 'Filmabend', eventDate: date, resources: 'Beamer und Sofa' });
+    form.append('resources', 'tische-1-2');
+    const created = await admin('POST', '/api/events', form);
+    assert.equal(created.status, 201);
+    const event = (await admin('GET', `/api/events?from=${date}&to=${date}`)).data.events.find(e => e.id === created.data.id);
+    assert.deepEqual(event.resources, ['beamer-sofa', 'tische-1-2']);
+    const invalidUpdate = await admin('PUT', `/api/events/${created.data.id}`, eventForm({ title: '', eventDate: date, startTime: '7:5' }));
+    assert.deepEqual(Object.keys(invalidUpdate.data.errors).sort(), ['startTime', 'title']);
+});
+
+test('admins manage the resource catalogue, retired resources stay on their events', async () => {
+    const admin = await loginAsAdmin();
+    const date = `${NEXT_YEAR}-11-05`;
+    assert.equal((await createClient()('POST', '/api/resources', { name: 'Bühne' })).status, 401);
+    assert.equal((await admin('POST', '/api/resources', { name: 'Flipperkasten' })).status, 409);
+    assert.deepEqual(Object.keys((await admin('POST', '/api/resources', { name: 'a,b', quantity: 0 })).data.errors).sort(), ['name', 'quantity']);
+
+    const created = await admin('POST', '/api/resources', { name: 'Bühne', description: 'Mit Licht', exclusive: true });
+    assert.equal(created.status, 201);
+    assert.equal(created.data.id, 'buehne');
+    const catalogue = (await createClient()('GET', '/api/resources')).data;
+    assert.deepEqual(catalogue.filter(resource => resource.exclusive).map(resource => resource.id), ['ganzer-raum', 'buehne']);
+
+    // Exclusive resources block every other booking in the time slot
+    const event = await admin('POST', '/api/events', eventForm({ title: 'Theater', eventDate: date, resources: 'buehne' }));
+    assert.equal(event.status, 201);
+    const conflict = await admin('POST', '/api/events', eventForm({ title: 'Jassen', eventDate: date, resources: 'tische-1-2' }));
+    assert.equal(conflict.status, 409);
+    assert.deepEqual(conflict.data.conflicts[0].conflictingResources, ['buehne']);
+
+    assert.equal((await admin('DELETE', '/api/resources/buehne')).status, 409);
+    assert.equal((await admin('PUT', '/api/resources/buehne', { active: false })).status, 200);
+    assert.ok((await admin('POST', '/api/events', eventForm({ title: 'Theater 2', eventDate: `${NEXT_YEAR}-11-06`, resources: 'buehne' }))).data.errors.resources);
+    assert.equal((await admin('PUT', `/api/events/${event.data.id}`, eventForm({ title: 'Theater (Premiere)', eventDate: date, resources: 'buehne' }))).status, 200);
+
+    assert.equal((await admin('POST', '/api/resources', { name: 'Dartscheibe' })).status, 201);
+    assert.equal((await admin('DELETE', '/api/resources/dartscheibe')).status, 200);
+    assert.equal((await admin('DELETE', '/api/resources/dartscheibe')).status, 404);
+});
+
+test('private events only show date, time and resources to anonymous callers', async () => {
+    const admin = await loginAsAdmin();
+    const date = `${NEXT_YEAR}-08-01`;
+    const created = await admin('POST', '/api/events', eventForm({ title: 'Geburtstag Anna', eventDate: date, eventType: 'Privat', resources: 'retro-game-station', description: 'Geheim' }));
+    assert.equal(created.status, 201);
+
+    const anonymous = await createClient()('GET', `/api/events?from=${date}&to=${date}`);
+    const projected = anonymous.data.events.find(e => e.id === created.data.id);
+    assert.equal(projected.title, 'Belegt');
+    assert.deepEqual(projected.resources, ['retro-game-station']);
+    assert.equal(projected.description, undefined);
+    assert.equal((await createClient()('GET', `/api/events?q=anna&from=${date}`)).data.events.length, 0);
+
+    const full = await admin('GET', `/api/events?from=${date}&to=${date}`);
+    assert.equal(full.data.events.find(e => e.id === created.data.id).description, 'Geheim');
+});
+
+test('uploaded images are validated, re-encoded without metadata and served through the image proxy', async () => {
+    const admin = await loginAsAdmin();
+    const date = `${NEXT_YEAR}-09-01`;
+    const fake = eventForm({ title: 'Kein Bild', eventDate: date });
+    fake.append('eventImage', new Blob([Buffer.from('not-really-a-png')], { type: 'image/png' }), 'fake.png');
+    assert.equal((await admin('POST', '/api/events', fake)).status, 400);
+
+    const photo = await sharp({ create: { width: 2400, height: 1200, channels: 3, background: '#c03' } })
+        .jpeg().withExif({ IFD0: { Artist: 'Secret Photographer' } }).toBuffer();
+    const form = eventForm({ title: 'Mit Bild', eventDate: date });
+    form.append('eventImage', new Blob([photo], { type: 'image/jpeg' }), 'Plakat Sommer.jpg');
+    const created = await admin('POST', '/api/events', form);
+    assert.equal(created.status, 201);
+
+    const list = await createClient()('GET', `/api/events?from=${date}&to=${date}`);
+    const event = list.data.events.find(e => e.id === created.data.id);
+    assert.match(event.imageUrl, /^\/api\/images\/\d+-[0-9a-f]{8}-Plakat_Sommer\.webp$/);
+    assert.equal(event.thumbnailUrl, `${event.imageUrl}?variant=thumb`);
+
+    const full = await fetch(`${baseUrl}${event.imageUrl}`);
+    assert.equal(full.headers.get('content-type'), 'image/webp');
+    const fullMetadata = await sharp(Buffer.from(await full.arrayBuffer())).metadata();
+    assert.deepEqual([fullMetadata.format, fullMetadata.width, fullMetadata.height, fullMetadata.exif], ['webp', 1600, 800, undefined]);
+    const thumbMetadata = await sharp(Buffer.from(await (await fetch(`${baseUrl}${event.thumbnailUrl}`)).arrayBuffer())).metadata();
+    assert.deepEqual([thumbMetadata.width, thumbMetadata.height], [320, 160]);
+
+    assert.equal((await fetch(`${baseUrl}/api/images/unknown.webp`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/api/images/..%2Fdb.json`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}${event.imageUrl}?variant=original`)).status, 400);
+
+    assert.equal((await admin('DELETE', `/api/events/${created.data.id}/image`)).status, 200);
+    assert.equal((await fetch(`${baseUrl}${event.imageUrl}`)).status, 404);
+    assert.ok(fs.readdirSync(path.join(dataDir, 'images')).some(name => event.imageUrl.endsWith(name))); // Kept for rollbacks until the purge
+});
+
+test('replaced images are kept, so a rollback serves the earlier image again and rolling forward the newer one', async () => {
+    const admin = await loginAsAdmin();
+    const date = `${NEXT_YEAR}-09-02`;
+    // imageForm(fields, background) - Event form with a generated poster in the given colour
+    const imageForm = async (fields, background) => {
+        const form = eventForm({ eventDate: date, ...fields });
+        form.append('eventImage', new Blob([await sharp({ create: { width: 400, height: 300, channels: 3, background } }).png().toBuffer()], { type: 'image/png' }), 'Plakat.png');
+        return form;
+    };
+    // currentImage() - Image URL of the event in the list and the status the image proxy serves it with
+    const currentImage = async () => {
+        const { imageUrl } = (await admin('GET', `/api/events?from=${date}&to=${date}`)).data.events.find(e => e.id === created.data.id);
+        return [imageUrl, (await fetch(`${baseUrl}${imageUrl}`)).status];
+    };
+    const created = await admin('POST', '/api/events', await imageForm({ title: 'Vernissage' }, '#036'));
+    const [firstImage] = await currentImage();
+    assert.equal((await admin('PUT', `/api/events/${created.data.id}`, await imageForm({ title: 'Vernissage' }, '#c60'))).status, 200);
+    const [secondImage, secondStatus] = await currentImage();
+    assert.notEqual(secondImage, firstImage);
+    assert.equal(secondStatus, 200);
+    assert.equal((await fetch(`${baseUrl}${firstImage}`)).status, 404); // Superseded images are not served
+
+    const history = (await admin('GET', `/api/events/${created.data.id}/history`)).data;
+    const rolledBack = await admin('POST', `/api/events/${created.data.id}/history/${history.find(entry => entry.action === 'create').id}/rollback`);
+    assert.equal(rolledBack.data.message, 'Event rolled back successfully.');
+    assert.deepEqual(await currentImage(), [firstImage, 200]);
+    assert.equal((await admin('POST', `/api/events/${created.data.id}/history/${history.find(entry => entry.action === 'update').id}/rollback`)).status, 200);
+    assert.deepEqual(await currentImage(), [secondImage, 200]);
+
+    assert.equal((await admin('POST', '/api/trash/purge')).status, 200);
+    const stored = fs.readdirSync(path.join(dataDir, 'images'));
+    assert.ok([firstImage, secondImage].every(imageUrl => stored.some(name => imageUrl.endsWith(name)))); // Superseded within the retention period
+});
+
+test('events are exported as CSV/JSON and imported with a per-row preview', async () => {
+    const admin = await loginAsAdmin();
+    const from = `${NEXT_YEAR}-10-01`; const to = `${NEXT_YEAR}-10-31`;
+    const created = await admin('POST', '/api/events', eventForm({ title: 'Herbstfest', eventDate: `${NEXT_YEAR}-10-03`, resources: 'retro-game-station', description: 'Mit "Marroni"; Most' }));
+    assert.equal(created.status, 201);
+
+    assert.equal((await createClient()('GET', `/api/events/export?from=${from}&to=${to}`)).status, 401);
+    assert.equal((await admin('GET', `/api/events/export?format=xml`)).status, 400);
+    const json = await admin('GET', `/api/events/export?format=json&from=${from}&to=${to}`);
+    assert.deepEqual(json.data.events.map(event => [event.id, event.title, event.resources]), [[created.data.id, 'Herbstfest', ['retro-game-station']]]);
+    const csv = await admin('GET', `/api/events/export?from=${from}&to=${to}`);
+    assert.equal(csv.status, 200);
+    assert.match(csv.data, /^id;eventDate;startTime;endDate;endTime;title;/); // text() drops the BOM
+
+    // Round trip: the exported row is unchanged, edited/new rows are validated before anything is written
+    const importFile = (name, content) => { const form = new FormData(); form.append('file', new Blob([content]), name); return form; };
+    const lines = csv.data.trim().split('\r\n');
+    const edited = [lines[0], lines[1], lines[1].replace('Herbstfest', 'Apéro').replace('retro-game-station', 'flipperkasten').replace(created.data.id, ''), `;${NEXT_YEAR}-10-03;19:00;;21:00;Kollision;Öffentlich;retro-game-station,flipperkasten;;;;false;;`, `;${NEXT_YEAR}-13-01;;;;Falsches Datum;;;;;;false;;`].join('\r\n');
+    const preview = await admin('POST', '/api/events/import', importFile('events.csv', edited));
+    assert.equal(preview.status, 200);
+    assert.equal(preview.data.committed, false);
+    assert.deepEqual(preview.data.rows.map(row => [row.rowNumber, row.action]), [[2, 'unchanged'], [3, 'create'], [4, 'error'], [5, 'error']]);
+    assert.equal(preview.data.rows[3].errors[0], 'Invalid date. Please use an existing date in the format YYYY-MM-DD.');
+    assert.deepEqual(preview.data.rows[2].conflicts.map(conflict => conflict.title), ['Herbstfest', 'Apéro']); // Stored event and row 3 of the file
+
+    const refused = await admin('POST', '/api/events/import', (() => { const form = importFile('events.csv', edited); form.append('commit', 'true'); return form; })());
+    assert.equal(refused.status, 400);
+    assert.equal((await admin('GET', `/api/events/export?format=json&from=${from}&to=${to}`)).data.events.length, 1);
+
+    const jsonImport = JSON.stringify({ events: [{ ...json.data.events[0], title: 'Herbstfest (verschoben)', eventDate: `${NEXT_YEAR}-10-10`, endDate: `${NEXT_YEAR}-10-10` }, { title: 'Kastanienbraten', eventDate: `${NEXT_YEAR}-10-17`, registrationEnabled: true, capacity: 20 }] });
+    const committed = await admin('POST', '/api/events/import', (() => { const form = importFile('events.json', jsonImport); form.append('commit', 'true'); return form; })());
+    assert.equal(committed.status, 200);
+    assert.deepEqual(committed.data.counts, { create: 1, update: 1, unchanged: 0, skip: 0, error: 0 });
+    assert.deepEqual(committed.data.rows[0].changes.sort(), ['endAt', 'startAt', 'title']);
+    const afterImport = await admin('GET', `/api/events?from=${from}&to=${to}`);
+    assert.deepEqual(afterImport.data.events.map(event => [event.eventDate, event.title, event.registration?.capacity ?? null]), [[`${NEXT_YEAR}-10-10`, 'Herbstfest (verschoben)', null], [`${NEXT_YEAR}-10-17`, 'Kastanienbraten', 20]]);
+    const history = await admin('GET', `/api/events/${created.data.id}/history`);
+    assert.ok(history.data.some(entry => entry.action === 'update' && entry.imported === true));
+
+    // The exported version 1 was changed by the import above: the stale row is skipped instead of overwriting the newer version
+    const staleImport = JSON.stringify({ events: [{ ...json.data.events[0], title: 'Veraltet', eventDate: `${NEXT_YEAR}-10-10`, endDate: `${NEXT_YEAR}-10-10` }] });
+    const stale = await admin('POST', '/api/events/import', (() => { const form = importFile('events.json', staleImport); form.append('commit', 'true'); return form; })());
+    assert.equal(stale.status, 200);
+    assert.deepEqual(stale.data.rows.map(row => [row.action, row.code]), [['skip', 'version_conflict']]);
+    assert.equal((await admin('GET', `/api/events?from=${from}&to=${to}`)).data.events[0].title, 'Herbstfest (verschoben)');
+});
+
+test('sign-ups are confirmed up to the capacity and waitlisted beyond it, cancellations and a raised capacity promote the waitlist', async () => {
+    const admin = await loginAsAdmin(); const anonymous = createClient();
+    const date = `${NEXT_YEAR}-04-25`;
+    const created = await admin('POST', '/api/events', eventForm({ title: 'Kochkurs', eventDate: date, registrationEnabled: 'true', capacity: '3' }));
+    const id = created.data.id;
+    const signUp = (name, headcount = 1) => anonymous('POST', `/api/events/${id}/registrations`, { name, email: `${name.toLowerCase()}@example.com`, headcount });
+    // statuses() - Status per name of the attendee list, with the public counters
+    const statuses = async () => {
+        const { data } = await admin('GET', `/api/events/${id}/registrations`);
+        return { ...Object.fromEntries(data.registrations.map(registration => [registration.name, registration.status])), counts: [data.registration.confirmed, data.registration.waitlisted, data.registration.spotsLeft] };
+    };
+
+    const anna = await signUp('Anna', 2);
+    assert.deepEqual([anna.status, anna.data.status], [201, 'confirmed']);
+    const twice = await anonymous('POST', `/api/events/${id}/registrations`, { name: 'Anna', email: 'ANNA@example.com' });
+    assert.deepEqual([twice.status, twice.data.code], [409, 'already_registered']);
+    assert.equal((await anonymous('POST', `/api/events/${id}/registrations`, { name: 'Bot', email: 'bot@example.com', website: 'http://spam.example' })).status, 201); // Honeypot: accepted, not stored
+    assert.equal((await signUp('Ben', 2)).data.status, 'waitlisted'); // 2 + 2 > 3
+    assert.equal((await signUp('Carla')).data.status, 'confirmed'); // A smaller sign-up still fits
+    const dora = await signUp('Dora');
+    assert.equal(dora.data.status, 'waitlisted');
+    assert.deepEqual(await statuses(), { Anna: 'confirmed', Ben: 'waitlisted', Carla: 'confirmed', Dora: 'waitlisted', counts: [3, 3, 0] });
+    assert.equal((await anonymous('GET', `/api/events?from=${date}&to=${date}`)).data.events[0].registration.spotsLeft, 0);
+
+    // Anna's two spots go to Ben (oldest on the waitlist), Dora does not fit any more
+    const cancelUrl = new URL(anna.data.cancelUrl);
+    const cancelPath = `/api/events/${id}/registrations/${cancelUrl.searchParams.get('registration')}/cancel`;
+    assert.equal((await anonymous('POST', cancelPath, { token: 'wrong' })).status, 404);
+    assert.equal((await anonymous('POST', cancelPath, { token: cancelUrl.searchParams.get('token') })).status, 200);
+    assert.deepEqual(await statuses(), { Anna: 'cancelled', Ben: 'confirmed', Carla: 'confirmed', Dora: 'waitlisted', counts: [3, 1, 0] });
+    assert.equal((await signUp('Anna')).data.status, 'waitlisted'); // Cancelled sign-ups may register again
+
+    // A raised capacity moves the waitlist up, oldest first
+    assert.equal((await admin('PUT', `/api/events/${id}`, eventForm({ title: 'Kochkurs', eventDate: date, registrationEnabled: 'true', capacity: '4' }))).status, 200);
+    const afterRaise = await admin('GET', `/api/events/${id}/registrations`);
+    assert.deepEqual(afterRaise.data.registrations.map(registration => [registration.name, registration.status]), [['Anna', 'cancelled'], ['Ben', 'confirmed'], ['Carla', 'confirmed'], ['Dora', 'confirmed'], ['Anna', 'waitlisted']]);
+
+    assert.equal((await anonymous('GET', `/api/events/${id}/registrations.csv`)).status, 401);
+    const csv = await admin('GET', `/api/events/${id}/registrations.csv`);
+    assert.equal(csv.status, 200);
+    assert.deepEqual(csv.data.trim().split('\r\n').map(line => line.split(';').slice(0, 4).join(';')), ['Name;E-Mail;Personen;Status', 'Anna;anna@example.com;2;cancelled', 'Ben;ben@example.com;2;confirmed', 'Carla;carla@example.com;1;confirmed', 'Dora;dora@example.com;1;confirmed', 'Anna;anna@example.com;1;waitlisted']);
+
+    // Events in the trash are not live: cancelling there neither changes the sign-ups nor promotes the waitlist
+    assert.equal((await admin('DELETE', `/api/events/${id}`)).status, 200);
+    const doraCancel = new URL(dora.data.cancelUrl);
+    const trashed = await anonymous('POST', `/api/events/${id}/registrations/${doraCancel.searchParams.get('registration')}/cancel`, { token: doraCancel.searchParams.get('token') });
+    assert.deepEqual([trashed.status, trashed.data.code], [404, 'event_not_found']);
+});
+
+test('usage statistics count events and booked hours of the date range and export each report as CSV', async () => {
+    const admin = await loginAsAdmin();
+    const year = NEXT_YEAR + 1; // No other test books this year
+    const seriesStart = `${year}-01-05`;
+    assert.equal((await admin('POST', '/api/events', eventForm({ title: 'Spielabend', eventDate: seriesStart, resources: 'flipperkasten', responsible: 'Beat', recurrenceFrequency: 'weekly', recurrenceCount: '3' }))).status, 201);
+    assert.equal((await admin('POST', '/api/events', eventForm({ title: 'Geburtstag', eventDate: `${year}-02-10`, startTime: '10:00', endTime: '11:30', eventType: 'Privat', resources: 'ganzer-raum', responsible: 'Anna' }))).status, 201);
+    const range = `from=${year}-01-01&to=${year}-02-28`;
+
+    assert.equal((await createClient()('GET', `/api/stats?${range}`)).status, 401);
+    assert.equal((await admin('GET', `/api/stats?from=${year}-03-01&to=${year}-01-01`)).status, 400);
+    const stats = await admin('GET', `/api/stats?${range}`);
+    assert.equal(stats.status, 200);
+    assert.deepEqual(stats.data.totals, { events: 4, hours: 7.5, publicEvents: 3, privateEvents: 1, eventsWithoutTimes: 0 });
+    assert.deepEqual(stats.data.months.map(row => [row.month, row.events, row.hours]), [[`${year}-01`, 3, 6], [`${year}-02`, 1, 1.5]]);
+    assert.deepEqual(stats.data.eventTypes.map(row => [row.eventType, row.events, row.share]), [['Öffentlich', 3, 75], ['Privat', 1, 25]]);
+    assert.deepEqual(stats.data.resources.slice(0, 2).map(row => [row.resource, row.events, row.hours]), [['flipperkasten', 3, 6], ['ganzer-raum', 1, 1.5]]);
+    const seriesWeekday = new Date(`${seriesStart}T00:00:00Z`).getUTCDay() || 7;
+    assert.deepEqual(stats.data.weekdays.slice(0, 1).map(row => [row.weekday, row.events, row.hours]), [[seriesWeekday, 3, 6]]); // Busiest day first
+    assert.deepEqual(stats.data.timeSlots.filter(row => row.events > 0).map(row => [row.slot, row.events]), [['evening', 3], ['morning', 1]]); // Busiest first
+    assert.deepEqual(stats.data.organizers.map(row => [row.responsible, row.events]), [['Beat', 3], ['Anna', 1]]);
+
+    assert.equal((await admin('GET', `/api/stats/export?report=unknown&${range}`)).status, 400);
+    const csv = await admin('GET', `/api/stats/export?report=months&${range}`);
+    assert.equal(csv.status, 200);
+    assert.equal(csv.data, `month;events;hours;publicEvents;privateEvents\r\n${year}-01;3;6;3;0\r\n${year}-02;1;1.5;0;1\r\n`); // text() drops the BOM
+});
+
+test('public proposals stay hidden until an admin approves them, rejected proposals show the reason to the proposer', async () => {
+    const admin = await loginAsAdmin(); const anonymous = createClient();
+    const date = `${NEXT_YEAR}-12-05`;
+    const proposal = { title: 'Spieleabend', eventDate: date, startTime: '19:00', endTime: '22:00', eventType: 'Öffentlich', resources: ['tische-2-4'], proposerName: 'Mia', proposerEmail: 'Mia@Example.com' };
+    assert.deepEqual(Object.keys((await anonymous('POST', '/api/proposals', { ...proposal, title: '', proposerEmail: 'mia' })).data.errors).sort(), ['proposerEmail', 'title']);
+    assert.equal((await anonymous('POST', '/api/proposals', { ...proposal, website: 'http://spam.example' })).status, 201); // Honeypot: accepted, not stored
+
+    const created = await anonymous('POST', '/api/proposals', proposal);
+    assert.equal(created.status, 201);
+    const statusPath = `/api/proposals/${created.data.id}/status?token=${new URL(created.data.statusUrl).searchParams.get('token')}`;
+    assert.equal((await anonymous('GET', statusPath)).data.status, 'pending');
+    assert.equal((await anonymous('GET', `/api/proposals/${created.data.id}/status?token=wrong`)).status, 404);
+    assert.equal((await anonymous('GET', `/api/events?from=${date}&to=${date}`)).data.events.length, 0);
+    assert.equal((await anonymous('GET', '/api/proposals')).status, 401);
+
+    const queue = (await admin('GET', '/api/proposals')).data;
+    assert.deepEqual(queue.map(item => [item.title, item.responsible, item.proposer.email]), [['Spieleabend', 'Mia', 'mia@example.com']]);
+    const [proposed] = (await admin('GET', `/api/events/${created.data.id}/history`)).data;
+    assert.deepEqual([proposed.action, proposed.user], ['propose', { id: null, email: null, name: 'proposal' }]); // The proposer's contact details stay out of the history
+    assert.equal((await admin('PUT', `/api/events/${created.data.id}`, eventForm({ title: 'Spieleabend (Brettspiele)', eventDate: date, startTime: '19:00', endTime: '22:00', resources: 'tische-2-4' }))).status, 200);
+    assert.equal((await admin('POST', `/api/proposals/${created.data.id}/approve`)).status, 200);
+    assert.equal((await admin('POST', `/api/proposals/${created.data.id}/approve`)).status, 404);
+    const listed = (await anonymous('GET', `/api/events?from=${date}&to=${date}`)).data.events;
+    assert.deepEqual(listed.map(event => [event.title, event.proposal]), [['Spieleabend (Brettspiele)', undefined]]);
+    assert.equal((await anonymous('POST', '/api/proposals', { ...proposal, title: 'Zur gleichen Zeit' })).status, 409);
+    const mailTo = (address, text) => smtpSink.mails.find(mail => mail.to.includes(address) && decodeMailBody(mail.data).includes(text));
+    assert.ok(await waitFor(() => mailTo('mia@example.com', 'dein Vorschlag wurde angenommen')));
+
+    const second = await anonymous('POST', '/api/proposals', { ...proposal, title: 'Kinoabend', startTime: '14:00', endTime: '16:00' });
+    assert.equal((await admin('POST', `/api/proposals/${second.data.id}/reject`, {})).status, 400);
+    assert.equal((await admin('POST', `/api/proposals/${second.data.id}/reject`, { reason: 'Der Beamer ist in Reparatur.' })).status, 200);
+    const status = await anonymous('GET', `/api/proposals/${second.data.id}/status?token=${new URL(second.data.statusUrl).searchParams.get('token')}`);
+    assert.deepEqual([status.data.status, status.data.reason], ['rejected', 'Der Beamer ist in Reparatur.']);
+    assert.ok(await waitFor(() => mailTo('mia@example.com', 'Begründung: Der Beamer ist in Reparatur.')));
+    assert.deepEqual((await admin('GET', '/api/proposals?status=rejected')).data.map(item => item.title), ['Kinoabend']);
+
+    const third = await anonymous('POST', '/api/proposals', { ...proposal, title: 'Flohmarkt', startTime: '10:00', endTime: '12:00' });
+    assert.equal((await admin('POST', '/api/events', eventForm({ title: 'Aufbau', eventDate: date, startTime: '11:00', endTime: '13:00', resources: 'tische-2-4', ignoreConflicts: 'true' }))).status, 201);
+    assert.equal((await admin('POST', `/api/proposals/${third.data.id}/approve`)).status, 409);
+    assert.equal((await admin('POST', `/api/proposals/${third.data.id}/approve`, { ignoreConflicts: 'true' })).status, 200); // As sent by forms
+});
+
+test('event changes are pushed to the live stream and stale edits are rejected', async () => {
+    const admin = await loginAsAdmin();
+    const abort = new AbortController();
+    const stream = await fetch(`${baseUrl}/api/events/stream`, { signal: abort.signal });
+    assert.equal(stream.status, 200);
+    assert.match(stream.headers.get('content-type'), /^text\/event-stream/);
+    const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+    // nextChange() - Data of the next 'change' message of the stream
+    let buffer = '';
+    async function nextChange() {
+        for (;;) {
+            const message = buffer.split('\n\n').slice(0, -1).find(block => block.includes('event: change'));
+            if (message) { buffer = buffer.slice(buffer.indexOf(message) + message.length + 2); return JSON.parse(message.match(/^data: (.*)$/m)[1]); }
+            const { value, done } = await reader.read();
+            if (done) throw new Error('Stream ended');
+            buffer += value;
+        }
+    }
+
+    try {
+        const created = await admin('POST', '/api/events', eventForm({ title: 'Live-Test', eventDate: `${NEXT_YEAR}-12-10` }), { 'X-Client-Id': 'tab-1' });
+        assert.equal(created.status, 201);
+        const id = created.data.id;
+        assert.deepEqual(await nextChange(), { action: 'create', id, origin: 'tab-1' });
+        // findEvent() - The test event as listed by GET /api/events
+        const findEvent = async () => (await admin('GET', '/api/events?q=Live-Test')).data.events.find(event => event.id === id);
+        assert.equal((await findEvent()).version, 1);
+
+        // Saved with the loaded version, then a second form with the same (now stale) version is rejected
+        const saved = await admin('PUT', `/api/events/${id}`, eventForm({ title: 'Live-Test geändert', eventDate: `${NEXT_YEAR}-12-10` }), { 'If-Match': '"1"' });
+        assert.equal(saved.status, 200);
+        assert.deepEqual(await nextChange(), { action: 'update', id, origin: null });
+        const stale = await admin('PUT', `/api/events/${id}`, eventForm({ title: 'Veraltet', eventDate: `${NEXT_YEAR}-12-10` }), { 'If-Match': '"1"' });
+        assert.equal(stale.status, 412);
+        assert.equal((await admin('PUT', `/api/events/${id}`, eventForm({ title: 'Veraltet', eventDate: `${NEXT_YEAR}-12-10` }), { 'If-Match': 'abc' })).status, 400);
+        const current = await findEvent();
+        assert.equal(current.title, 'Live-Test geändert');
+        assert.equal(current.version, 2);
+
+        assert.equal((await admin('DELETE', `/api/events/${id}`)).status, 200);
+        assert.deepEqual(await nextChange(), { action: 'delete', id, origin: null });
+
+        const importForm = new FormData(); importForm.append('file', new Blob([JSON.stringify([{ title: 'Live-Import', eventDate: `${NEXT_YEAR}-12-11` }])]), 'events.json'); importForm.append('commit', 'true');
+        assert.equal((await admin('POST', '/api/events/import', importForm, { 'X-Client-Id': 'tab-2' })).status, 200);
+        const imported = (await admin('GET', '/api/events?q=Live-Import')).data.events[0];
+        assert.deepEqual(await nextChange(), { action: 'create', id: imported.id, origin: 'tab-2' });
+    } finally {
+        abort.abort();
+    }
+});
+
+test('event changes, reminders and the weekly digest are mailed and logged, subscriptions need a confirmation', async () => {
+    const admin = await loginAsAdmin();
+    const anonymous = createClient();
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toLocaleDateString('sv-SE', { timeZone: 'Europe/Zurich' });
+    // mailTo(address, text) - The mail to the address in the sink whose decoded body contains the text
+    const mailTo = (address, text) => smtpSink.mails.find(mail => mail.to.includes(address) && decodeMailBody(mail.data).includes(text));
+    const logEntries = async () => (await admin('GET', '/api/mail-log')).data.entries;
+
+    const created = await admin('POST', '/api/events', eventForm({ title: 'Mail-Test', eventDate: tomorrow, responsible: 'Lea <lea@example.com>' }));
+    assert.equal(created.status, 201);
+    await waitFor(() => mailTo('lea@example.com', 'ein neuer Event wurde eingetragen'));
+    const entry = (await waitFor(async () => (await logEntries()).find(item => item.kind === 'created' && item.to === 'lea@example.com')));
+    assert.equal(entry.status, 'sent');
+    assert.equal(entry.eventId, created.data.id);
+    assert.equal((await anonymous('GET', '/api/mail-log')).status, 401);
+
+    assert.equal((await admin('PUT', `/api/events/${created.data.id}`, eventForm({ title: 'Mail-Test', eventDate: tomorrow, startTime: '19:00', endTime: '21:00', responsible: 'Lea <lea@example.com>' }))).status, 200);
+    assert.match(decodeMailBody((await waitFor(() => mailTo('lea@example.com', 'ein Event wurde geändert'))).data), /19:00 - 21:00 Uhr/);
+
+    // Reminders are sent once per event date
+    assert.equal((await anonymous('POST', '/api/notifications/run')).status, 401);
+    const firstRun = await admin('POST', '/api/notifications/run');
+    assert.equal(firstRun.data.reminders, 1);
+    assert.ok(mailTo('lea@example.com', 'kleine Erinnerung: morgen'));
+    assert.equal((await admin('POST', '/api/notifications/run')).data.reminders, 0);
+
+    // Double opt-in: the subscription is only active after the link of the confirmation mail
+    assert.equal((await anonymous('POST', '/api/subscriptions', { email: 'kein-mail' })).status, 400);
+    assert.equal((await anonymous('POST', '/api/subscriptions', { email: 'Abo@Example.com' })).status, 202);
+    const confirmMail = decodeMailBody((await waitFor(() => mailTo('abo@example.com', 'http://planer.example.com/?subscription='))).data);
+    const [, subscriberId, confirmToken] = confirmMail.match(/\?subscription=([^&\s]+)&token=(\S+)/);
+    assert.equal((await admin('POST', '/api/notifications/run')).data.digests, 0); // Not confirmed yet
+    assert.equal((await anonymous('POST', `/api/subscriptions/${subscriberId}/confirm`, { token: 'falsch' })).status, 404);
+    assert.equal((await anonymous('POST', `/api/subscriptions/${subscriberId}/confirm`, { token: confirmToken })).status, 200);
+    assert.equal((await admin('GET', '/api/mail-log')).data.subscribers, 1);
+
+    // The digest is due today (DIGEST_WEEKDAY) and lists the public events of the next days
+    assert.equal((await admin('POST', '/api/notifications/run')).data.digests, 1);
+    assert.equal((await admin('POST', '/api/notifications/run')).data.digests, 0);
+    const digest = decodeMailBody(mailTo('abo@example.com', 'Keine Wochenübersicht mehr erhalten').data);
+    assert.match(digest, /Mail-Test \(|: Mail-Test/);
+    const [, unsubscribeId, unsubscribeToken] = digest.match(/\?unsubscribe=([^&\s]+)&token=(\S+)/);
+    assert.equal((await anonymous('POST', `/api/subscriptions/${unsubscribeId}/unsubscribe`, { token: 'falsch' })).status, 404);
+    assert.equal((await anonymous('POST', `/api/subscriptions/${unsubscribeId}/unsubscribe`, { token: unsubscribeToken })).status, 200);
+    assert.equal((await admin('GET', '/api/mail-log')).data.subscribers, 0);
+
+    assert.equal((await admin('DELETE', `/api/events/${created.data.id}`)).status, 200);
+    await waitFor(() => mailTo('lea@example.com', 'ein Event wurde abgesagt'));
+});
+
+// --- Runs last: locks out the IP of the test clients ---
+
+test('repeated failed logins lock out the IP', async () => {
+    const request = createClient();
+    for (let attempt = 1; attempt <= 5; attempt++) {
+        assert.equal((await request('POST', '/api/login', { email: ADMIN_EMAIL, password: 'wrong-password' })).status, 401);
+    }
+    const locked = await request('POST', '/api/login', { email: ADMIN_EMAIL, password: ADMIN_PASSWORD });
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get('Retry-After')) > 0);
+});
@@ -0,0 +1,127 @@
+// test/migrate.test.js - Sheet sync (migrate.js) with a local CSV export against the local storage backend (npm test)
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HEADER = 'Zeitstempel,Wann findet der Event statt?,Event Titel,Wann starter der Event?,Wann ist der Event zu Ende?,Um was geht es bei dem Event?,Welche Ressourcen brauchst du?,Wer ist für den Event Verantwortlich?,Event Typ,Zusatzinfo Teilnehmer';
+const ROWS = [
+    '01.03.2025 10:00:00,15.06.2027,Jassabend,18:00,22:00,"Schieber, gemütlich",Flipperkasten,Anna,Öffentlich,',
+    '01.03.2025 11:00:00,31.02.x,Kaputt,18:00,22:00,,,,Öffentlich,',
+    ',16.06.2027,Ohne Key,18:00,22:00,,,,Öffentlich,',
+    '01.03.2025 12:00:00,2027-07-01,Konzert,20:00,23:00,,Beamer und Sofa,Ben,Privat,',
+];
+
+let workDir;
+
+// runScript(script, ...args) - Runs a migration script against the local database of the test, returns its output
+function runScript(script, ...args) {
+    return execFileSync(process.execPath, [path.join(__dirname, '..', script), ...args], {
+        env: { ...process.env, STORAGE_BACKEND: 'local', LOCAL_DATA_DIR: path.join(workDir, 'data') }, encoding: 'utf8',
+    });
+}
+
+// runSync(rows, ...args) - Runs migrate.js on a CSV with the given rows, returns the JSON report
+function runSync(rows, ...args) {
+    const csvFile = path.join(workDir, 'export.csv'); const reportFile = path.join(workDir, 'report.json');
+    fs.writeFileSync(csvFile, [HEADER, ...rows].join('\n'));
+    runScript('migrate.js', '--file', csvFile, '--report', reportFile, ...args);
+    return JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+}
+
+// storedEvents() - Event documents in the local database file
+function storedEvents() {
+    const dbFile = path.join(workDir, 'data', 'db.json');
+    return fs.existsSync(dbFile) ? Object.values(JSON.parse(fs.readFileSync(dbFile, 'utf8')).events || {}) : [];
+}
+
+before(() => { workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ebaplanner-migrate-')); });
+after(() => { fs.rmSync(workDir, { recursive: true, force: true }); });
+
+test('dry run reports creates and rejected rows without writing', () => {
+    const report = runSync(ROWS, '--dry-run');
+    assert.equal(report.dryRun, true);
+    assert.deepEqual(report.counts, { create: 2, update: 0, unchanged: 0, skip: 0, rejected: 2 });
+    assert.deepEqual(report.rejected.map(row => [row.rowNumber, row.reason]), [[3, 'Date "31.02.x" could not be parsed'], [4, 'Missing value in key column "Zeitstempel"']]);
+    assert.equal(storedEvents().length, 0);
+});
+
+test('re-running the sync updates changed rows instead of duplicating them', () => {
+    assert.equal(runSync(ROWS).counts.create, 2);
+    const [jassabend] = storedEvents().filter(event => event.title === 'Jassabend');
+    assert.equal(jassabend.importKey, '01.03.2025 10:00:00');
+    assert.equal(jassabend.description, 'Schieber, gemütlich');
+    assert.deepEqual(jassabend.resources, ['flipperkasten']);
+
+    assert.deepEqual(runSync(ROWS).counts, { create: 0, update: 0, unchanged: 2, skip: 0, rejected: 2 });
+
+    const changedRows = [ROWS[0].replace('Jassabend', 'Jassturnier'), ...ROWS.slice(1)];
+    const report = runSync(changedRows);
+    assert.deepEqual(report.counts, { create: 0, update: 1, unchanged: 1, skip: 0, rejected: 2 });
+    assert.deepEqual(Object.keys(report.rows.find(row => row.action === 'update').changes), ['title']);
+    assert.deepEqual(storedEvents().map(event => event.title).sort(), ['Jassturnier', 'Konzert']);
+});
+
+test('duplicate row keys are rejected', () => {
+    const report = runSync([...ROWS, '01.03.2025 10:00:00,17.06.2027,Doppelt,18:00,22:00,,,,Öffentlich,'], '--dry-run');
+    assert.equal(report.rejected.at(-1).reason, 'Duplicate key (same as row 2)');
+});
+
+test('rows with invalid times or unknown resources are rejected', () => {
+    const report = runSync([ROWS[0], '01.03.2025 13:00:00,18.06.2027,Spät,22:00,21:00,,Kegelbahn,,Öffentlich,'], '--dry-run');
+    assert.equal(report.rejected[0].reason, 'The end time must be after the start time. Unknown resources: Kegelbahn.');
+});
+
+test('migrate-resources converts comma-joined resource labels into resource ids', () => {
+    const dbFile = path.join(workDir, 'data', 'db.json');
+    const data = JSON.parse(fs.readFileSync(dbFile, 'utf8'));
+    data.events.legacy = { title: 'Alt', resources: 'Beamer und Sofa, Flipperkasten', exceptions: { '2027-01-08': { resources: 'Ganzer Raum' } } };
+    data.events.unknown = { title: 'Unbekannt', resources: 'Kegelbahn, 1-2 Tische' };
+    fs.writeFileSync(dbFile, JSON.stringify(data));
+
+    assert.match(runScript('migrate-resources.js', '--dry-run'), /1 to convert, 1 left unchanged/);
+    runScript('migrate-resources.js');
+    const events = JSON.parse(fs.readFileSync(dbFile, 'utf8')).events;
+    assert.deepEqual(events.legacy.resources, ['beamer-sofa', 'flipperkasten']);
+    assert.deepEqual(events.legacy.exceptions['2027-01-08'].resources, ['ganzer-raum']);
+    assert.equal(events.unknown.resources, 'Kegelbahn, 1-2 Tische');
+
+    runScript('migrate-resources.js', '--drop-unknown');
+    assert.deepEqual(JSON.parse(fs.readFileSync(dbFile, 'utf8')).events.unknown.resources, ['tische-1-2']);
+});
+
+test('the sync stores start and end as Europe/Zurich instants', () => {
+    const [konzert] = storedEvents().filter(event => event.title === 'Konzert');
+    assert.deepEqual([konzert.startAt, konzert.endAt, konzert.allDay, konzert.openEnd], [{ $timestamp: [Date.UTC(2027, 6, 1, 18) / 1000, 0] }, { $timestamp: [Date.UTC(2027, 6, 1, 21) / 1000, 0] }, false, false]);
+    assert.equal(konzert.eventDate, undefined);
+});
+
+test('migrate-event-times converts the old date and time fields, events running past midnight end the next day', () => {
+    const dbFile = path.join(workDir, 'data', 'db.json');
+    const data = JSON.parse(fs.readFileSync(dbFile, 'utf8'));
+    data.events.night = { title: 'Nachtfilm', eventDate: { $timestamp: [Date.UTC(2027, 9, 30) / 1000, 0] }, startTime: '22:00', endTime: '02:00 Uhr' };
+    data.events.vague = { title: 'Irgendwann', eventDate: { $timestamp: [Date.UTC(2027, 11, 4) / 1000, 0] }, startTime: 'abends', endTime: '' };
+    fs.writeFileSync(dbFile, JSON.stringify(data));
+
+    const dryRun = runScript('migrate-event-times.js', '--dry-run');
+    assert.match(dryRun, /night Nachtfilm: 2027-10-30 22:00 - 2027-10-31 02:00/);
+    assert.match(dryRun, /2 to convert, 1 with unreadable times/);
+    runScript('migrate-event-times.js');
+    const events = JSON.parse(fs.readFileSync(dbFile, 'utf8')).events;
+    assert.deepEqual([events.night.startAt, events.night.endAt, events.night.openEnd], [{ $timestamp: [Date.UTC(2027, 9, 30, 20) / 1000, 0] }, { $timestamp: [Date.UTC(2027, 9, 31, 0) / 1000, 0] }, false]); // 02:00 occurs twice on the night of the DST change, the first one counts
+    assert.equal(events.night.eventDate, undefined);
+    assert.deepEqual([events.vague.startAt, events.vague.endAt, events.vague.allDay, events.vague.openEnd], [{ $timestamp: [Date.UTC(2027, 11, 3, 23) / 1000, 0] }, { $timestamp: [Date.UTC(2027, 11, 4, 23) / 1000, 0] }, true, true]);
+    assert.match(runScript('migrate-event-times.js', '--dry-run'), /0 to convert/);
+});
+
+test('migrate-image-acl checks every stored image, images on disk are never public', () => {
+    fs.mkdirSync(path.join(workDir, 'data', 'images'), { recursive: true });
+    fs.writeFileSync(path.join(workDir, 'data', 'images', 'plakat.webp'), 'image');
+    fs.writeFileSync(path.join(workDir, 'data', 'images', 'plakat.webp.json'), JSON.stringify({ contentType: 'image/webp' }));
+    const output = runScript('migrate-image-acl.js', '--dry-run');
+    assert.match(output, /1 images checked/);
+    assert.match(output, /0 to make private, 0 failed/);
+});
@@ -0,0 +1,39 @@
+// test/rateLimiter.test.js - Lockouts and slowdown of lib/rateLimiter.js with a fake clock (npm test)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../lib/rateLimiter');
+
+const MINUTE = 60 * 1000;
+
+test('too many attempts lock out the IP only, other IPs keep going', () => {
+    let time = 0;
+    const limiter = createRateLimiter({ maxAttemptsPerIp: 3, maxAttemptsGlobal: 100, windowMs: 15 * MINUTE, lockoutMs: 15 * MINUTE, now: () => time });
+    assert.equal(limiter.recordAttempt('10.0.0.1'), 0);
+    assert.equal(limiter.recordAttempt('10.0.0.1'), 0);
+    assert.equal(limiter.recordAttempt('10.0.0.1'), 15 * MINUTE);
+    assert.equal(limiter.getLockout('10.0.0.2'), 0);
+
+    time += 15 * MINUTE;
+    assert.equal(limiter.getLockout('10.0.0.1'), 0);
+    limiter.recordAttempt('10.0.0.1'); limiter.reset('10.0.0.1');
+    assert.equal(limiter.recordAttempt('10.0.0.1'), 0); // Reset forgets the earlier attempts
+});
+
+test('the global limit locks out everybody, or with globalDelayMs only slows everybody down', () => {
+    let time = 0;
+    const options = { maxAttemptsPerIp: 5, maxAttemptsGlobal: 4, windowMs: 15 * MINUTE, lockoutMs: 15 * MINUTE, now: () => time };
+    const lockingLimiter = createRateLimiter(options);
+    ['10.0.0.1', '10.0.0.2', '10.0.0.3', '10.0.0.4'].forEach(ip => lockingLimiter.recordAttempt(ip));
+    assert.equal(lockingLimiter.getLockout('10.0.0.9'), 15 * MINUTE);
+
+    const slowingLimiter = createRateLimiter({ ...options, globalDelayMs: 2000 });
+    for (let attempt = 0; attempt < 4; attempt++) slowingLimiter.recordAttempt('10.0.0.1'); // A single client reaching the global limit
+    assert.deepEqual([slowingLimiter.getLockout('10.0.0.1'), slowingLimiter.getLockout('10.0.0.9'), slowingLimiter.getDelay()], [0, 0, 2000]);
+    slowingLimiter.recordAttempt('10.0.0.1');
+    assert.equal(slowingLimiter.getLockout('10.0.0.1'), 15 * MINUTE); // Its own lockout still applies
+    assert.equal(slowingLimiter.getLockout('10.0.0.9'), 0);
+
+    time += 15 * MINUTE + 1;
+    assert.equal(slowingLimiter.getDelay(), 0); // The slowdown ends with the window
+});